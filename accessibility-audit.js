@@ -41,6 +41,10 @@ program
   .option('--no-nav-prefetch', 'Disable nav prefetch fallback (enabled by default)', false)
   .option('--skip-images', 'Skip image accessibility checks (default: false)', false)
   .option('--skip-contrast', 'Skip color contrast checks (default: false)', false)
+  .option('--contrast-algorithm <algorithm>', 'Text contrast scoring: wcag2, apca or both (default: wcag2)', 'wcag2')
+  .option('--color-modes <modes>', 'Also audit each page in these color modes: comma-separated dark, forced-colors')
+  .option('--no-keyboard-walk', 'Disable the real Tab-key walk and fall back to static focus-order checks')
+  .option('--no-motion', 'Skip the motion and animation checks (about 12s per page)')
   .option('--format <format>', 'Output format (all, summary, detailed, json, default: all)', 'all')
   .action(async (url, options) => {
     try {
@@ -81,6 +85,13 @@ async function runAudit(url, options) {
     // Validate WCAG level
     const wcagLevel = ['AA', 'AAA'].includes(options.level.toUpperCase()) ? options.level.toUpperCase() : 'AA';
 
+    // Validate contrast algorithm
+    const contrastAlgorithm = ['wcag2', 'apca', 'both'].includes(options.contrastAlgorithm.toLowerCase()) ? options.contrastAlgorithm.toLowerCase() : 'wcag2';
+
+    // Validate color modes
+    const colorModes = [...new Set(String(options.colorModes || '').toLowerCase().split(',').map(m => m.trim())
+      .filter(m => ['dark', 'forced-colors'].includes(m)))];
+
     // Initialize security monitors
     const rateLimiter = new RateLimiter(rateLimit, 1000);
     const memoryMonitor = new MemoryMonitor(maxMemory);
@@ -89,6 +100,8 @@ async function runAudit(url, options) {
     console.log(chalk.gray('=============================================='));
     console.log(`URL: ${chalk.cyan(url)}`);
     console.log(`WCAG Level: ${chalk.cyan(wcagLevel)}`);
+    console.log(`Contrast Algorithm: ${chalk.cyan(contrastAlgorithm)}`);
+    if (colorModes.length) console.log(`Color Modes: ${chalk.cyan(colorModes.join(', '))}`);
     console.log(`Max Depth: ${chalk.cyan(depth)}`);
     console.log(`Max Pages: ${chalk.cyan(maxPages)}`);
     console.log(`Output: ${chalk.cyan(options.output)}`);
@@ -99,6 +112,7 @@ async function runAudit(url, options) {
     
     if (options.skipImages) console.log(chalk.yellow('⚠️  Skipping image checks'));
     if (options.skipContrast) console.log(chalk.yellow('⚠️  Skipping contrast checks'));
+    if (!options.keyboardWalk) console.log(chalk.yellow('⚠️  Keyboard walk disabled (static focus-order checks only)'));
     if (options.includeExternal) console.log(chalk.yellow('⚠️  Including external links'));
     
     console.log('');
@@ -229,6 +243,13 @@ async function runAudit(url, options) {
         wcagLevel,
         skipImages: options.skipImages,
         skipContrast: options.skipContrast,
+        contrastAlgorithm,
+        colorModes,
+        keyboardWalk: options.keyboardWalk,
+        motion: options.motion,
+        // Vision simulation images are only rendered with the full report set
+        visionImages: options.format === 'all',
+        timeout,
         includeExternal: options.includeExternal
       }
     };
@@ -296,6 +317,8 @@ async function runAudit(url, options) {
     if (options.format === 'all') {
       reports = await reportGenerator.generateReports(auditResults, auditResults.domain);
     } else {
+      reportGenerator.applyCrossPageChecks(auditResults);
+      await reportGenerator.cleanupVisionScreenshots(auditResults);
       if (options.format === 'summary') {
         reports.summary = await reportGenerator.generateSummaryReport(auditResults, `${auditResults.domain}_summary.md`);
       }
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import { diffAccessibilityTrees } from '../src/utils/ax-tree.js';
+
+const USAGE = 'Usage: node scripts/diff-ax-tree.js <before> <after> [--url <url>] [--include-text] [--json]\n' +
+  '  <before>/<after>: report folders, their accessibility-tree folders, or single snapshot JSON files';
+
+function parseArgs(argv) {
+  const args = { positional: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) {
+      args.positional.push(a);
+      continue;
+    }
+    const key = a.slice(2);
+    const val = argv[i + 1] && !argv[i + 1].startsWith('--') && key === 'url' ? argv[++i] : true;
+    args[key] = val;
+  }
+  return args;
+}
+
+// Normalize URLs so trailing slashes and fragments do not prevent a match
+function urlKey(url) {
+  try {
+    const u = new URL(url);
+    u.hash = '';
+    return u.toString().replace(/\/$/, '');
+  } catch {
+    return String(url || '');
+  }
+}
+
+// Map of url -> snapshot from a report folder, an accessibility-tree folder or one JSON file
+async function loadSnapshots(target) {
+  const stat = await fs.stat(target);
+  let files;
+  if (stat.isDirectory()) {
+    const nested = path.join(target, 'accessibility-tree');
+    const dir = await fs.stat(nested).then(s => (s.isDirectory() ? nested : target)).catch(() => target);
+    files = (await fs.readdir(dir)).filter(f => f.endsWith('.json')).sort().map(f => path.join(dir, f));
+  } else {
+    files = [target];
+  }
+  const snapshots = new Map();
+  for (const file of files) {
+    try {
+      const snapshot = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (snapshot.url && snapshot.tree) snapshots.set(urlKey(snapshot.url), snapshot);
+    } catch {}
+  }
+  return snapshots;
+}
+
+function describe(node) {
+  if (!node) return '(none)';
+  return node.name ? `${node.role} "${node.name.replace(/\s+/g, ' ').trim().substring(0, 80)}"` : `${node.role} (no name)`;
+}
+
+function formatChange(change) {
+  const where = change.path || '(root)';
+  if (change.change === 'added') return `  + added      ${where}: ${describe(change.after)}${change.nodes > 1 ? ` (${change.nodes} nodes)` : ''}`;
+  if (change.change === 'removed') return `  - removed    ${where}: ${describe(change.before)}${change.nodes > 1 ? ` (${change.nodes} nodes)` : ''}`;
+  return `  ~ ${change.change.padEnd(10)} ${where}: ${describe(change.before)} -> ${describe(change.after)}`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (args.positional.length !== 2) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  const [beforePath, afterPath] = args.positional;
+  let before;
+  let after;
+  try {
+    before = await loadSnapshots(beforePath);
+    after = await loadSnapshots(afterPath);
+  } catch (e) {
+    console.error('Failed to read snapshots:', e.message);
+    process.exit(1);
+  }
+
+  const only = args.url ? urlKey(args.url) : null;
+  const urls = [...new Set([...before.keys(), ...after.keys()])].filter(u => !only || u === only).sort();
+  const pages = urls.map(url => {
+    const a = before.get(url);
+    const b = after.get(url);
+    return {
+      url: a?.url || b?.url || url,
+      before: a ? { capturedAt: a.capturedAt, source: a.source } : null,
+      after: b ? { capturedAt: b.capturedAt, source: b.source } : null,
+      changes: a && b ? diffAccessibilityTrees(a.tree, b.tree, { includeText: args['include-text'] === true }) : []
+    };
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify({ before: beforePath, after: afterPath, pages }, null, 2));
+    return;
+  }
+
+  if (pages.length === 0) {
+    console.log(only ? `No snapshots found for ${args.url}` : 'No accessibility tree snapshots found');
+    return;
+  }
+  console.log(`Accessibility tree diff: ${beforePath} -> ${afterPath}\n`);
+  for (const page of pages) {
+    if (!page.before || !page.after) {
+      console.log(`${page.url}: only in ${page.before ? 'before' : 'after'}\n`);
+      continue;
+    }
+    if (page.changes.length === 0) {
+      console.log(`${page.url}: no role or name changes\n`);
+      continue;
+    }
+    console.log(`${page.url}: ${page.changes.length} change${page.changes.length === 1 ? '' : 's'}`);
+    page.changes.forEach(change => console.log(formatChange(change)));
+    console.log('');
+  }
+  const compared = pages.filter(p => p.before && p.after);
+  console.log(`Compared ${compared.length} page(s); ${compared.filter(p => p.changes.length).length} with changes`);
+}
+
+main().catch(err => { console.error(err); process.exit(1); });
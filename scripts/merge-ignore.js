@@ -25,7 +25,7 @@ function saveJsonPretty(p, obj) {
 }
 
 function parseArgs(argv) {
-  // Simple arg parser: --id <id> [--url <url>] [--domain <domain>] [--category <name>] [--type <type>] [--selector <css>] [--textIncludes <substr>] [--severityAtMost <lvl>] [--expiry <YYYY-MM-DD>]
+  // Simple arg parser: --id <id> [--url <url>] [--domain <domain>] [--category <name>] [--type <type>] [--state <state>] [--selector <css>] [--textIncludes <substr>] [--severityAtMost <lvl>] [--expiry <YYYY-MM-DD>]
   const args = {};
   for (let i = 2; i < argv.length; i++) {
     const a = argv[i];
@@ -50,7 +50,7 @@ function validateRule(rule) {
 function main() {
   const args = parseArgs(process.argv);
   if (!args.id && !args.url && !args.domain && !args.selector && !args.category && !args.type) {
-    console.error('Usage: node scripts/merge-ignore.js --id <issueId> [--url <url>] [--domain <domain>] [--category <name>] [--type <type>] [--selector <css>] [--textIncludes <substr>] [--severityAtMost <lvl>] [--expiry <YYYY-MM-DD>]');
+    console.error('Usage: node scripts/merge-ignore.js --id <issueId> [--url <url>] [--domain <domain>] [--category <name>] [--type <type>] [--state <state>] [--selector <css>] [--textIncludes <substr>] [--severityAtMost <lvl>] [--expiry <YYYY-MM-DD>]');
     process.exit(2);
   }
 
@@ -63,6 +63,7 @@ function main() {
     domain: args.domain,
     category: args.category,
     type: args.type,
+    state: args.state,
     selector: args.selector,
     textIncludes: args.textIncludes,
     severityAtMost: args.severityAtMost,
@@ -3,7 +3,18 @@
  * Performs comprehensive accessibility checks on web pages
  */
 
-import { analyzeContrast } from './utils/contrast.js';
+import os from 'os';
+import path from 'path';
+import {
+  analyzeContrast,
+  checkWCAGCompliance,
+  checkAPCACompliance,
+  getAPCAContrast,
+  getContrastRatio,
+  parseColor,
+  suggestContrastFix,
+  suggestPassingColor
+} from './utils/contrast.js';
 import { 
   isLargeText, 
   validateHeadingHierarchy, 
@@ -11,9 +22,22 @@ import {
   validateARIA,
   SEMANTIC_ELEMENTS,
   ARIA_ROLES,
-  IMAGE_ACCESSIBILITY
+  ARIA_SPEC,
+  IMAGE_ACCESSIBILITY,
+  FORM_ACCESSIBILITY,
+  validateLanguageTag
 } from './utils/wcag.js';
 import { testAllVisionTypes, VISION_TYPES } from './utils/vision-simulator.js';
+import { decodePng, diffImages, contrastRange, paintedPixels } from './utils/image.js';
+import { createColorModule } from './utils/color.js';
+import { createAccnameModule } from './utils/accname.js';
+import { createSelectorModule } from './utils/selector.js';
+import { treeFromCdpNodes, countNodes } from './utils/ax-tree.js';
+import { animatedImageInfo } from './utils/animated-image.js';
+import { issueId } from './ignore.js';
+
+// Marks inline links found by the contrast walk so the link distinguishability check can find them again
+const INLINE_LINK_ATTR = 'data-a11y-link-id';
 
 export class AccessibilityAuditor {
   constructor(page, options = {}) {
@@ -23,12 +47,26 @@ export class AccessibilityAuditor {
       semanticHTML: [],
       colorContrast: [],
       ariaLabels: [],
+      forms: [],
       keyboardNavigation: [],
       images: [],
       focusManagement: [],
       touchTargets: [],
       focusOrder: [],
       visionSimulation: [],
+      focusNotObscured: [],
+      reflow: [],
+      textSpacing: [],
+      textZoom: [],
+      nonTextContrast: [],
+      forcedColors: [],
+      linkDistinguishability: [],
+      ariaValidity: [],
+      tables: [],
+      pageMetadata: [],
+      media: [],
+      motion: [],
+      links: [],
       manualReview: { issues: [] },
       issues: [],
       summary: {
@@ -116,12 +154,36 @@ export class AccessibilityAuditor {
   async audit() {
     console.log('Starting accessibility audit...');
     
+    // Captured before any check hovers, focuses or restyles the page; page-level checks run once
+    if (!this.options.mediaCondition) {
+      await this.captureAccessibilityTree();
+      await this.checkPageMetadata();
+      if (this.options.motion !== false) {
+        await this.checkMotion();
+      }
+    }
     await this.checkSemanticHTML();
     if (!this.options.skipContrast) {
       await this.checkColorContrast();
+      await this.checkLinkDistinguishability();
       await this.checkVisionSimulation();
+      await this.checkNonTextContrast();
+      await this.checkInteractiveStateContrast();
     }
+    await this.checkTextSpacing();
     await this.checkARIALabels();
+    await this.checkARIAValidity();
+    await this.checkForms();
+    await this.checkTables();
+    await this.checkMedia();
+    await this.checkLinks();
+    if (this.options.keyboardWalk !== false) {
+      try {
+        this.keyboardWalk = await this.walkKeyboard();
+      } catch (e) {
+        this.keyboardWalk = null; // fall back to static focus-order heuristics
+      }
+    }
     await this.checkKeyboardNavigation();
     if (!this.options.skipImages) {
       await this.checkImages();
@@ -129,25 +191,205 @@ export class AccessibilityAuditor {
     await this.checkFocusManagement();
     await this.checkTouchTargets();
     await this.checkFocusOrder();
+    await this.checkFocusNotObscured();
+    await this.checkReflow();
+    await this.checkTextZoom();
+    if (this.options.mediaCondition === 'forced-colors') {
+      await this.checkForcedColors();
+    }
     // Assign stable IDs and apply ignore rules before summary
     try { this.addStableIds(this.page.url); } catch {}
     try { await this.applyIgnoreRules(); } catch {}
+    if (this.options.colorModes?.length) {
+      await this.auditColorModes();
+    }
 
     this.calculateSummary();
     return this.results;
   }
 
+  /**
+   * Snapshot the browser's accessibility tree so runs can be diffed for role and name regressions.
+   * Uses Playwright's page.accessibility.snapshot() and falls back to CDP Accessibility.getFullAXTree
+   */
+  async captureAccessibilityTree() {
+    const snapshot = { source: null, capturedAt: new Date().toISOString(), nodeCount: 0, tree: null };
+    try {
+      if (this.page.accessibility?.snapshot) {
+        snapshot.tree = await this.page.accessibility.snapshot({ interestingOnly: true });
+        snapshot.source = 'playwright';
+      }
+    } catch (e) {
+      snapshot.tree = null;
+    }
+    if (!snapshot.tree) {
+      let session;
+      try {
+        session = await this.page.context().newCDPSession(this.page);
+        const { nodes } = await session.send('Accessibility.getFullAXTree');
+        snapshot.tree = treeFromCdpNodes(nodes);
+        snapshot.source = 'cdp';
+      } catch (e) {
+        snapshot.error = e.message;
+      } finally {
+        if (session) await session.detach().catch(() => {});
+      }
+    }
+    snapshot.nodeCount = countNodes(snapshot.tree);
+    this.results.accessibilityTree = snapshot;
+  }
+
+  /**
+   * Check page-level metadata: <title> (2.4.2), <html lang> (3.1.1), lang on parts (3.1.2),
+   * viewport zoom restrictions (1.4.4) and timed meta refresh (2.2.1).
+   * Titles duplicated across the crawl are flagged by the reporter, which sees every page
+   */
+  async checkPageMetadata() {
+    await this.installSelectorGenerator();
+    const meta = await this.page.evaluate(() => {
+      const compactSelector = window.__a11ySelector.compactSelector;
+
+      // SVG <title> elements describe graphics, not the document
+      const titleElement = Array.from(document.getElementsByTagName('title')).find(t => !t.closest('svg'));
+      const html = document.documentElement;
+      return {
+        hasTitleElement: !!titleElement,
+        title: (titleElement?.textContent || '').replace(/\s+/g, ' ').trim(),
+        hasLang: html.hasAttribute('lang'),
+        lang: html.getAttribute('lang') || '',
+        xmlLang: html.getAttribute('xml:lang'),
+        parts: Array.from(document.body ? document.body.querySelectorAll('[lang]') : [])
+          .filter(el => el.getAttribute('lang').trim() !== '')
+          .slice(0, 500)
+          .map(el => ({
+            lang: el.getAttribute('lang').trim(),
+            selector: compactSelector(el),
+            textSample: (el.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 60)
+          })),
+        viewport: Array.from(document.querySelectorAll('meta[name="viewport" i]')).map(m => m.getAttribute('content') || ''),
+        refresh: Array.from(document.querySelectorAll('meta[http-equiv="refresh" i]')).map(m => m.getAttribute('content') || '')
+      };
+    });
+
+    const issues = [];
+    const results = {
+      title: meta.title,
+      lang: meta.lang,
+      viewport: meta.viewport[0] ?? null,
+      refresh: meta.refresh[0] ?? null,
+      issues
+    };
+
+    // 2.4.2 Page Titled
+    if (!meta.hasTitleElement || !meta.title) {
+      issues.push({
+        type: meta.hasTitleElement ? 'empty_page_title' : 'missing_page_title',
+        severity: 'high',
+        message: meta.hasTitleElement ? 'Page <title> is empty' : 'Page has no <title> element',
+        recommendation: 'Add a <title> that describes the page topic or purpose, e.g. "Contact us - Example Co"',
+        context: { selector: 'title', elementType: 'title', value: meta.title, textSample: meta.title }
+      });
+    }
+
+    // 3.1.1 Language of Page
+    const pageLang = validateLanguageTag(meta.lang);
+    if (!meta.hasLang || !pageLang.valid) {
+      issues.push({
+        type: meta.hasLang ? 'invalid_html_lang' : 'missing_html_lang',
+        severity: 'high',
+        message: meta.hasLang
+          ? `<html lang="${meta.lang}"> is not a valid language tag (${pageLang.reason})`
+          : '<html> element has no lang attribute',
+        recommendation: 'Set <html lang> to the BCP 47 tag of the page language, e.g. lang="en" or lang="en-GB"',
+        context: { selector: 'html', elementType: 'html', value: meta.lang, textSample: meta.title }
+      });
+    } else if (meta.xmlLang && meta.xmlLang.split('-')[0].toLowerCase() !== meta.lang.split('-')[0].toLowerCase()) {
+      issues.push({
+        type: 'html_lang_mismatch',
+        severity: 'medium',
+        message: `<html> lang="${meta.lang}" and xml:lang="${meta.xmlLang}" name different languages`,
+        recommendation: 'Make lang and xml:lang agree, or remove xml:lang from HTML documents',
+        context: { selector: 'html', elementType: 'html', value: `${meta.lang} / ${meta.xmlLang}`, textSample: meta.title }
+      });
+    }
+
+    // 3.1.2 Language of Parts: one finding per distinct invalid value
+    const invalidParts = new Map();
+    meta.parts.forEach(part => {
+      const check = validateLanguageTag(part.lang);
+      if (check.valid) return;
+      const entry = invalidParts.get(part.lang) || { ...part, reason: check.reason, count: 0, selectors: [] };
+      entry.count++;
+      if (entry.selectors.length < 5) entry.selectors.push(part.selector);
+      invalidParts.set(part.lang, entry);
+    });
+    invalidParts.forEach(entry => {
+      issues.push({
+        type: 'invalid_lang_attribute',
+        severity: 'medium',
+        message: `lang="${entry.lang}" is not a valid language tag (${entry.reason}) on ${entry.count} element${entry.count > 1 ? 's' : ''}`,
+        recommendation: 'Use a BCP 47 tag such as lang="fr" or lang="pt-BR" on passages in another language',
+        context: {
+          selector: entry.selector,
+          elementType: entry.selector.split(/[.#:[ ]/)[0] || 'element',
+          value: entry.lang,
+          occurrences: entry.count,
+          selectors: entry.selectors,
+          textSample: entry.textSample
+        }
+      });
+    });
+
+    // 1.4.4 Resize Text: pinch zoom must stay available
+    meta.viewport.forEach(content => {
+      const props = {};
+      content.split(/[,;]/).forEach(pair => {
+        const [key, value] = pair.split('=').map(x => (x || '').trim().toLowerCase());
+        if (key) props[key] = value;
+      });
+      const scalableOff = props['user-scalable'] === 'no' || props['user-scalable'] === '0';
+      const maxScale = props['maximum-scale'] !== undefined ? parseFloat(props['maximum-scale']) : null;
+      if (scalableOff || (maxScale !== null && Number.isFinite(maxScale) && maxScale < 2)) {
+        issues.push({
+          type: scalableOff ? 'viewport_zoom_disabled' : 'viewport_zoom_limited',
+          severity: 'high',
+          message: scalableOff
+            ? `meta viewport disables zooming (user-scalable=${props['user-scalable']})`
+            : `meta viewport limits zoom to maximum-scale=${props['maximum-scale']} (needs at least 2)`,
+          recommendation: 'Remove user-scalable=no and maximum-scale (or set maximum-scale to 5) so users can pinch-zoom to 200%',
+          context: { selector: 'meta[name="viewport"]', elementType: 'meta', value: content, textSample: content }
+        });
+      }
+    });
+
+    // 2.2.1 Timing Adjustable: delayed refreshes and redirects the user cannot stop
+    meta.refresh.forEach(content => {
+      const match = content.match(/^\s*(\d+(?:\.\d*)?)\s*(?:[;,]\s*(?:url\s*=\s*)?['"]?([^'"]*)['"]?)?/i);
+      if (!match) return;
+      const delay = parseFloat(match[1]);
+      const target = (match[2] || '').trim();
+      // Instant redirects are fine; very long delays (20 hours or more) are treated as no limit
+      if (delay <= 0 || delay >= 72000) return;
+      issues.push({
+        type: target ? 'meta_refresh_redirect' : 'meta_refresh_reload',
+        severity: target ? 'high' : 'medium',
+        message: target
+          ? `Page redirects to ${target.substring(0, 100)} after ${delay} seconds via meta refresh`
+          : `Page reloads itself every ${delay} seconds via meta refresh`,
+        recommendation: target
+          ? 'Use a server-side (HTTP 301/302) redirect, or a zero-delay redirect, instead of a timed meta refresh'
+          : 'Remove the timed refresh, or let users turn it off or extend it',
+        context: { selector: 'meta[http-equiv="refresh"]', elementType: 'meta', value: content, delaySeconds: delay, textSample: content }
+      });
+    });
+
+    this.results.pageMetadata = results;
+  }
+
   // Assign stable IDs for end-user ignore flow
   addStableIds(currentUrl) {
     const url = typeof currentUrl === 'function' ? currentUrl() : currentUrl || '';
-    const norm = (s) => (s || '').toString().replace(/\s+/g, ' ').trim().toLowerCase();
-    const hash = (str) => {
-      let h = 5381; // djb2
-      for (let i = 0; i < str.length; i++) h = ((h << 5) + h) + str.charCodeAt(i);
-      return ('00000000' + (h >>> 0).toString(16)).slice(-8);
-    };
-    const makeId = (cat, type, selector, text) =>
-      hash([norm(url), norm(cat), norm(type), norm(selector), norm(text)].join('|'));
+    const makeId = (cat, type, selector, text) => issueId(url, cat, type, selector, text);
 
     const setId = (catName, list) => {
       if (!list || !Array.isArray(list)) return;
@@ -170,8 +412,21 @@ export class AccessibilityAuditor {
     };
 
     const categories = [
-      'semanticHTML','ariaLabels','keyboardNavigation','images',
-      'focusManagement','touchTargets','focusOrder','visionSimulation'
+      'semanticHTML','ariaLabels','forms','keyboardNavigation','images',
+      'focusManagement','touchTargets','focusOrder','visionSimulation',
+      'focusNotObscured',
+      'reflow',
+      'textSpacing',
+      'textZoom',
+      'nonTextContrast',
+      'forcedColors',
+      'linkDistinguishability',
+      'ariaValidity',
+      'tables',
+      'pageMetadata',
+      'media',
+      'motion',
+      'links'
     ];
     categories.forEach((c) => {
       const cat = this.results[c];
@@ -187,7 +442,9 @@ export class AccessibilityAuditor {
         const selector = combo.elementDetails?.selector || combo.context?.selector || '';
         const text = combo.sampleText || combo.context?.textSample || '';
         const type = combo.type || (combo.status === 'FAIL' ? 'contrast_failure' : 'contrast_entry');
-        combo.id = makeId('colorContrast', type, selector, text);
+        // Resting-state IDs stay unchanged; other states get their own ID
+        const stateType = combo.state && combo.state !== 'default' ? `${type}:${combo.state}` : type;
+        combo.id = makeId('colorContrast', stateType, selector, text);
         combo.url = url;
       }
     }
@@ -219,8 +476,21 @@ export class AccessibilityAuditor {
       };
 
       const cats = [
-        'semanticHTML','ariaLabels','keyboardNavigation','images',
-        'focusManagement','touchTargets','focusOrder','visionSimulation'
+        'semanticHTML','ariaLabels','forms','keyboardNavigation','images',
+        'focusManagement','touchTargets','focusOrder','visionSimulation',
+        'focusNotObscured',
+        'reflow',
+        'textSpacing',
+        'textZoom',
+        'nonTextContrast',
+        'forcedColors',
+        'linkDistinguishability',
+        'ariaValidity',
+        'tables',
+        'pageMetadata',
+        'media',
+        'motion',
+        'links'
       ];
       for (const c of cats) {
         const cat = this.results[c];
@@ -249,6 +519,7 @@ export class AccessibilityAuditor {
             category: 'colorContrast',
             type: 'contrast_failure',
             severity: 'critical',
+            state: combo.state || 'default',
             selector,
             text
           };
@@ -264,6 +535,7 @@ export class AccessibilityAuditor {
    * Check semantic HTML structure
    */
   async checkSemanticHTML() {
+    await this.installSelectorGenerator();
     const semanticData = await this.page.evaluate(() => {
       const results = {
         landmarks: [],
@@ -290,29 +562,7 @@ export class AccessibilityAuditor {
       // Check headings with enhanced context
       const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
       headings.forEach((heading, index) => {
-        const generateHeadingSelector = (headingElement) => {
-          if (headingElement.id && document.querySelectorAll(`#${headingElement.id}`).length === 1) {
-            return `#${headingElement.id}`;
-          }
-          
-          let selector = headingElement.tagName.toLowerCase();
-          if (headingElement.className) {
-            const classes = headingElement.className.split(/\s+/).filter(cls => cls.length > 0);
-            if (classes.length > 0) {
-              selector += '.' + classes.slice(0, 2).join('.');
-            }
-          }
-          
-          // Add position-based selector if needed
-          const siblings = Array.from(headingElement.parentNode?.children || []);
-          const sameTagSiblings = siblings.filter(sib => sib.tagName === headingElement.tagName);
-          if (sameTagSiblings.length > 1) {
-            const headingIndex = sameTagSiblings.indexOf(headingElement) + 1;
-            selector += `:nth-of-type(${headingIndex})`;
-          }
-          
-          return selector;
-        };
+        const generateHeadingSelector = window.__a11ySelector.compactSelector;
 
         const getHeadingContext = (headingElement) => {
           const section = headingElement.closest('section, article, main, nav, aside');
@@ -464,15 +714,54 @@ export class AccessibilityAuditor {
     }
   }
 
+  /**
+   * Install the shared CSS color parser into the page as window.__a11yColor, so in-page
+   * color code understands computed styles such as oklch(), lab() and color(display-p3 ...)
+   */
+  async installColorParser() {
+    await this.page.evaluate(`window.__a11yColor = window.__a11yColor || (${createColorModule.toString()})();`);
+  }
+
+  /**
+   * Install the shared accname 1.2 implementation into the page as window.__a11yAccname, so the
+   * ARIA, form, image and link checks all compute names and descriptions the same way
+   */
+  async installAccnameComputer() {
+    await this.page.evaluate(`window.__a11yAccname = window.__a11yAccname || (${createAccnameModule.toString()})();`);
+  }
+
+  /**
+   * Install the table-driven ARIA validator into the page as window.__a11yValidateARIA; it needs
+   * the accname module for computed roles and takes ARIA_SPEC as an argument
+   */
+  async installAriaValidator() {
+    await this.installAccnameComputer();
+    await this.page.evaluate(`window.__a11yValidateARIA = window.__a11yValidateARIA || (${validateARIA.toString()});`);
+  }
+
+  /**
+   * Install the shared compact selector generator into the page as window.__a11ySelector, so
+   * issues from every check point at elements the same way
+   * @param {Page} [page] - Page to install into (defaults to the audited page)
+   */
+  async installSelectorGenerator(page = this.page) {
+    await page.evaluate(`window.__a11ySelector = window.__a11ySelector || (${createSelectorModule.toString()})();`);
+  }
+
   /**
    * Check color contrast ratios
    */
   async checkColorContrast() {
-    const contrastData = await this.page.evaluate(() => {
+    await this.installColorParser();
+    await this.installAccnameComputer();
+    await this.installSelectorGenerator();
+
+    const contrastData = await this.page.evaluate((linkAttr) => {
       const results = {
         combinations: [],
         issues: [],
-        manualReviews: []
+        imageBackgrounds: [],
+        inlineLinks: []
       };
 
       // Visibility and color utilities
@@ -501,6 +790,9 @@ export class AccessibilityAuditor {
             return { r: parseInt(h.slice(0,2),16), g: parseInt(h.slice(2,4),16), b: parseInt(h.slice(4,6),16), a: parseInt(h.slice(6,8),16)/255 };
           }
         }
+        // Modern syntaxes (oklch(), lab(), color(), ...) go through the installed shared parser
+        const parsed = window.__a11yColor && window.__a11yColor.parse(s);
+        if (parsed) return { r: parsed.r, g: parsed.g, b: parsed.b, a: parsed.alpha };
         return null;
       };
 
@@ -641,72 +933,7 @@ export class AccessibilityAuditor {
         return { present: false };
       };
 
-      // Helper: compact selector generator (robust, avoids bare tag selectors)
-      const compactSelector = (elem) => {
-        if (!elem) return '';
-
-        // 1) Prefer unique ID
-        if (elem.id && document.querySelectorAll(`#${CSS.escape(elem.id)}`).length === 1) {
-          return `#${elem.id}`;
-        }
-
-        // Helpers
-        const tag = elem.tagName.toLowerCase();
-        const classes = (elem.className || '')
-          .toString()
-          .split(/\s+/)
-          .filter(Boolean)
-          .slice(0, 2);
-        const typeAttr = tag === 'input' && elem.type ? `[type="${elem.type}"]` : '';
-        const base = tag + typeAttr + (classes.length ? `.${classes.map(CSS.escape).join('.')}` : '');
-
-        const landmark = elem.closest('main, [role="main"], article, section, nav, aside, header, footer, [role="navigation"], [role="banner"], [role="contentinfo"]');
-        const landSel = (() => {
-          if (!landmark) return '';
-          if (landmark.id && document.querySelectorAll(`#${CSS.escape(landmark.id)}`).length === 1) return `#${landmark.id}`;
-          const ltag = landmark.tagName.toLowerCase();
-          const lcls = (landmark.className || '').toString().split(/\s+/).filter(Boolean)[0];
-          const lrole = landmark.getAttribute('role');
-          if (lrole) return `${ltag}[role="${lrole}"]`;
-          if (lcls) return `${ltag}.${CSS.escape(lcls)}`;
-          return ltag;
-        })();
-
-        const uniqueIn = (sel, root) => (root || document).querySelectorAll(sel).length === 1;
-
-        // Try base globally
-        if (uniqueIn(base)) return base;
-        // Try scoped to landmark
-        if (landSel && uniqueIn(`${landSel} ${base}`)) return `${landSel} ${base}`;
-
-        // Add nth-of-type for stability
-        const siblings = Array.from(elem.parentElement?.children || []).filter(s => s.tagName === elem.tagName);
-        const idx = siblings.indexOf(elem) + 1;
-        const withNth = `${base}:nth-of-type(${idx})`;
-        if (uniqueIn(withNth)) return withNth;
-        if (landSel && uniqueIn(`${landSel} ${withNth}`)) return `${landSel} ${withNth}`;
-
-        // Fallback: include one parent layer
-        if (elem.parentElement) {
-          const p = elem.parentElement;
-          const pTag = p.tagName.toLowerCase();
-          const pCls = (p.className || '').toString().split(/\s+/).filter(Boolean).slice(0,1);
-          const pSel = p.id ? `#${p.id}` : pCls.length ? `${pTag}.${CSS.escape(pCls[0])}` : pTag;
-          const candidate = `${pSel} > ${base}`;
-          if (uniqueIn(candidate)) return candidate;
-          const candidateNth = `${pSel} > ${withNth}`;
-          if (uniqueIn(candidateNth)) return candidateNth;
-          if (landSel && uniqueIn(`${landSel} ${candidateNth}`)) return `${landSel} ${candidateNth}`;
-        }
-
-        // Last resort: always add :nth-of-type for stability; avoid returning a bare tag
-        if (elem.parentElement) {
-          const sibs = Array.from(elem.parentElement.children).filter(s => s.tagName === elem.tagName);
-          const idx2 = sibs.indexOf(elem) + 1;
-          return `${base}:nth-of-type(${idx2})`;
-        }
-        return base;
-      };
+      const compactSelector = window.__a11ySelector.compactSelector;
 
   // Prepare containers for processing
   const processedCombinations = new Set();
@@ -733,47 +960,50 @@ export class AccessibilityAuditor {
 
   const textElements = document.querySelectorAll('p, h1, h2, h3, h4, h5, h6, a, button, span, div, li');
 
-      // Dedupe keys for manual review issues
-      const manualKeys = new Set();
+      // Dedupe keys for text over image/gradient backgrounds
+      const imageKeys = new Set();
 
       textElements.forEach((element) => {
         const computedStyle = window.getComputedStyle(element);
         if (isHidden(element)) return;
         // Skip containers without direct text to reduce duplicate/similar entries
         if (!hasDirectReadableText(element)) return;
-        // If text appears over a background image, ensure overlay exists; otherwise flag for manual review
-        const imageAncestor = findImageAncestor(element);
-        if (imageAncestor) {
-          const overlay = hasSufficientOverlay(element, imageAncestor);
-          if (!overlay.present) {
-            // Only emit for visible, text-bearing leaves with normalized non-empty text
-            const txt = normalizeText(element.textContent || '');
-            if (txt) {
-              const ancKey = imageAncestor.id && document.querySelectorAll(`#${CSS.escape(imageAncestor.id)}`).length === 1
-                ? `#${imageAncestor.id}`
-                : (imageAncestor.tagName.toLowerCase() + '.' + (imageAncestor.className || '').toString().split(/\s+/).filter(Boolean).slice(0,2).join('.'));
-              const key = `${ancKey}::${txt}`;
-              if (!manualKeys.has(key)) {
-                manualKeys.add(key);
-                results.manualReviews.push({
-                  type: 'text_over_image_manual_review',
-                  severity: 'high',
-                  message: 'Possible insufficient dark overlay on image with text. Manual review recommended.',
-                  recommendation: 'Add a dark semi-transparent overlay or ensure contrast meets WCAG AA over the image.',
-                  context: {
-                    selector: compactSelector(element),
-                    textSample: txt.substring(0, 120),
-                    backgroundImageOn: (imageAncestor.id ? `#${imageAncestor.id}` : imageAncestor.tagName.toLowerCase()),
-                    overlayDetected: false
-                  }
-                });
-              }
-            }
-          }
-        }
         const textRGBA = parseRGBA(computedStyle.color) || { r:0,g:0,b:0,a:1 };
         const bgEff = getEffectiveBackground(element);
-        if (!bgEff) return; // skip unreliable backgrounds (images/gradients)
+        if (!bgEff) {
+          // Background is an image or gradient: queue the element for pixel sampling
+          const imageAncestor = findImageAncestor(element);
+          const txt = normalizeText(element.textContent || '');
+          if (!imageAncestor || !txt || (textRGBA.a ?? 1) === 0) return;
+          const ancKey = imageAncestor.id && document.querySelectorAll(`#${CSS.escape(imageAncestor.id)}`).length === 1
+            ? `#${imageAncestor.id}`
+            : (imageAncestor.tagName.toLowerCase() + '.' + (imageAncestor.className || '').toString().split(/\s+/).filter(Boolean).slice(0,2).join('.'));
+          const key = `${ancKey}::${txt}`;
+          if (imageKeys.has(key)) return;
+          imageKeys.add(key);
+          results.imageBackgrounds.push({
+            textRGBA,
+            fontSize: parseFloat(computedStyle.fontSize),
+            fontWeight: computedStyle.fontWeight,
+            sampleText: txt.substring(0, 100),
+            element: element.tagName.toLowerCase(),
+            className: element.className || null,
+            backgroundImageOn: compactSelector(imageAncestor),
+            overlayDetected: hasSufficientOverlay(element, imageAncestor).present,
+            elementDetails: {
+              selector: compactSelector(element),
+              id: element.id || null,
+              textContent: txt.substring(0, 200),
+              outerHTML: element.outerHTML.substring(0, 400),
+              parentContext: element.parentElement ? {
+                tagName: element.parentElement.tagName.toLowerCase(),
+                className: element.parentElement.className || null,
+                id: element.parentElement.id || null
+              } : null
+            }
+          });
+          return;
+        }
         const backgroundColor = toRGBString(bgEff);
         const fontSize = parseFloat(computedStyle.fontSize);
         const fontWeight = computedStyle.fontWeight;
@@ -823,39 +1053,91 @@ export class AccessibilityAuditor {
         }
       });
 
+      // Links inside body copy, with their color and the surrounding text color (WCAG 1.4.1)
+      document.querySelectorAll('p a[href]').forEach((link) => {
+        if (results.inlineLinks.length >= 80 || isHidden(link)) return;
+        const linkText = normalizeText(link.textContent);
+        const paragraphText = normalizeText(link.closest('p').textContent);
+        // A link that is the whole paragraph has no surrounding text to blend into
+        if (!linkText || paragraphText === linkText) return;
+        const bgEff = getEffectiveBackground(link);
+        if (!bgEff) return;
+        const linkRGBA = parseRGBA(window.getComputedStyle(link).color);
+        const surroundingRGBA = parseRGBA(window.getComputedStyle(link.parentElement).color);
+        if (!linkRGBA || !surroundingRGBA) return;
+        const opaque = (c) => ((c.a ?? 1) < 0.999 ? blend(c, bgEff) : c);
+        const index = results.inlineLinks.length;
+        link.setAttribute(linkAttr, String(index));
+        results.inlineLinks.push({
+          index,
+          linkColor: toRGBString(opaque(linkRGBA)),
+          surroundingColor: toRGBString(opaque(surroundingRGBA)),
+          backgroundColor: toRGBString(bgEff),
+          sampleText: linkText.substring(0, 100),
+          accessibleName: window.__a11yAccname.computeAccessibleName(link).name.substring(0, 100),
+          surroundingText: paragraphText.substring(0, 160),
+          elementDetails: {
+            selector: compactSelector(link),
+            id: link.id || null,
+            textContent: linkText.substring(0, 200),
+            outerHTML: link.outerHTML.replace(` ${linkAttr}="${index}"`, '').substring(0, 400)
+          }
+        });
+      });
+
       return results;
-    });
+    }, INLINE_LINK_ATTR);
 
-    // Capture manual review issues (text over images without sufficient overlay)
-    if (contrastData.manualReviews && contrastData.manualReviews.length) {
-      this.results.manualReview = { issues: contrastData.manualReviews };
-    }
+    // Kept for checkLinkDistinguishability, which measures hover/focus cues on the tagged links
+    this.inlineLinks = contrastData.inlineLinks || [];
 
     // Analyze contrast for each combination
     const contrastAnalysis = [];
+
+    // Text over images/gradients: sample the rendered background pixels instead of guessing
+    const sampled = await this.sampleImageBackgrounds(contrastData.imageBackgrounds || []);
+    contrastAnalysis.push(...sampled.analyses);
+    if (sampled.unmeasured.length) {
+      this.results.manualReview = { issues: sampled.unmeasured };
+    }
+
     for (const combo of contrastData.combinations) {
       const isLarge = isLargeText(combo.fontSize, combo.fontWeight);
-      const analysis = analyzeContrast(combo.textColor, combo.backgroundColor, isLarge);
+      const analysis = analyzeContrast(combo.textColor, combo.backgroundColor, isLarge, this.options.wcagLevel || 'AA', {
+        fontSize: combo.fontSize,
+        fontWeight: combo.fontWeight
+      });
       
       if (analysis.error) {
         contrastAnalysis.push({
           ...combo,
           error: analysis.error,
+          state: 'default',
           status: 'ERROR'
         });
       } else {
+        const passes = this.contrastPasses(analysis.compliance, analysis.apca);
         contrastAnalysis.push({
           ...combo,
           contrastRatio: analysis.contrastRatio,
           compliance: analysis.compliance,
-          status: analysis.compliance.passes ? 'PASS' : 'FAIL'
+          apca: analysis.apca,
+          contrastAlgorithm: this.options.contrastAlgorithm || 'wcag2',
+          // Nearest passing text and background colors for the current --level
+          suggestions: analysis.compliance.passes
+            ? null
+            : suggestContrastFix(analysis.textRGB, analysis.bgRGB, analysis.compliance.requiredRatio),
+          state: 'default',
+          status: passes ? 'PASS' : 'FAIL'
         });
         
-        if (!analysis.compliance.passes) {
+        if (!passes) {
           this.results.colorContrast.push({
             type: 'contrast_failure',
             severity: 'critical',
-            message: `Insufficient contrast ratio: ${analysis.contrastRatio}:1 (required: ${analysis.compliance.requiredRatio}:1)`,
+            message: this.options.contrastAlgorithm === 'apca'
+              ? `Insufficient APCA contrast: Lc ${analysis.apca.lc} (required: ${analysis.apca.requiredLc})`
+              : `Insufficient contrast ratio: ${analysis.contrastRatio}:1 (required: ${analysis.compliance.requiredRatio}:1)`,
             textColor: combo.textColor,
             backgroundColor: combo.backgroundColor,
             recommendation: 'Improve color contrast to meet WCAG AA standards',
@@ -881,223 +1163,2776 @@ export class AccessibilityAuditor {
   }
 
   /**
-   * Check color combinations with vision simulation
+   * Decide a text contrast verdict for the selected --contrast-algorithm mode
+   * @param {Object} compliance - WCAG 2.x result from checkWCAGCompliance
+   * @param {Object} apca - APCA result from checkAPCACompliance
+   * @returns {boolean} Whether the combination passes
    */
-  async checkVisionSimulation() {
-    // Get unique color combinations from color contrast results
-    const colorPairs = [];
-    const seen = new Set();
-    
-    if (this.results.colorContrast && this.results.colorContrast.length > 0) {
-      this.results.colorContrast.forEach(item => {
-        if (item.textRGB && item.bgRGB) {
-          const key = `${item.textRGB.join(',')}-${item.bgRGB.join(',')}`;
-          if (!seen.has(key)) {
-            seen.add(key);
-            colorPairs.push({
-              foreground: item.textRGB,
-              background: item.bgRGB,
-              textColor: item.textColor,
-              backgroundColor: item.backgroundColor,
-              element: item.element || item.elementDetails,
-              context: item.context
-            });
-          }
-        }
-      });
+  contrastPasses(compliance, apca) {
+    switch (this.options.contrastAlgorithm) {
+      case 'apca': return apca.passes;
+      case 'both': return compliance.passes && apca.passes;
+      default: return compliance.passes;
     }
-    
-    const visionSimResults = {
-      testedPairs: colorPairs.length,
-      issues: []
-    };
-    
-    // Test each color pair against vision types
-    colorPairs.forEach(pair => {
-      const testResults = testAllVisionTypes(pair.foreground, pair.background);
-      
-      if (!testResults.summary.isAccessible) {
-        visionSimResults.issues.push({
-          type: 'vision_simulation_failure',
-          severity: 'high',
-          message: `Color combination may be indistinguishable for users with ${testResults.summary.problematicTypes.length} type(s) of color vision deficiency`,
-          colorPair: testResults.colorPair,
-          problematicVisionTypes: testResults.summary.problematicTypes.map(type => {
-            const result = testResults.results[type];
-            return {
-              visionType: type,
-              name: this.getVisionTypeName(type),
-              simulatedDifference: result.simulatedDifference,
-              impactPercentage: result.impactPercentage
+  }
+
+  /**
+   * Measure text contrast over background images and gradients from screenshots.
+   * Each element is captured with its text made transparent, and the text color is compared
+   * against every sampled background pixel. The 5th-percentile ratio decides PASS/FAIL so a few
+   * anti-aliased or highlight pixels do not dominate; the full range is recorded alongside.
+   * @param {Array} candidates - Image-background text entries collected in checkColorContrast
+   * @returns {Object} { analyses, unmeasured } contrast entries and manual review fallbacks
+   */
+  async sampleImageBackgrounds(candidates) {
+    const MAX_SAMPLED = 40;
+    const HIDE_ATTR = 'data-a11y-hide-text';
+    const analyses = [];
+    const unmeasured = [];
+    if (candidates.length === 0) return { analyses, unmeasured };
+
+    const manualReview = (candidate, reason) => unmeasured.push({
+      type: 'text_over_image_manual_review',
+      severity: 'high',
+      message: `Text over a background image could not be measured (${reason}). Manual review recommended.`,
+      recommendation: 'Add a dark semi-transparent overlay or ensure contrast meets WCAG AA over the image.',
+      context: {
+        selector: candidate.elementDetails.selector,
+        textSample: candidate.sampleText,
+        backgroundImageOn: candidate.backgroundImageOn,
+        overlayDetected: candidate.overlayDetected
+      }
+    });
+
+    const style = await this.page.addStyleTag({
+      content: `[${HIDE_ATTR}], [${HIDE_ATTR}] * { color: transparent !important; -webkit-text-fill-color: transparent !important; text-shadow: none !important; text-decoration-color: transparent !important; caret-color: transparent !important; }`
+    }).catch(() => null);
+    // Without the style the text would be sampled as background (e.g. a CSP that blocks inline styles)
+    if (!style) {
+      candidates.forEach(candidate => manualReview(candidate, 'text could not be hidden for sampling'));
+      return { analyses, unmeasured };
+    }
+    const viewport = this.page.viewportSize() || { width: 1280, height: 720 };
+
+    try {
+      for (const [index, candidate] of candidates.entries()) {
+        if (index >= MAX_SAMPLED) {
+          manualReview(candidate, 'sampling limit reached');
+          continue;
+        }
+
+        const handle = await this.page.$(candidate.elementDetails.selector).catch(() => null);
+        if (!handle) {
+          manualReview(candidate, 'element not found');
+          continue;
+        }
+
+        let range = null;
+        try {
+          await handle.scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => {});
+          await handle.evaluate((el, attr) => el.setAttribute(attr, ''), HIDE_ATTR);
+          const box = await handle.boundingBox();
+          if (box && box.width >= 1 && box.height >= 1) {
+            const x = Math.max(0, Math.floor(box.x));
+            const y = Math.max(0, Math.floor(box.y));
+            const clip = {
+              x,
+              y,
+              width: Math.min(viewport.width - x, Math.ceil(box.width)),
+              height: Math.min(viewport.height - y, Math.ceil(box.height))
             };
-          }),
-          recommendation: 'Consider using higher contrast colors or adding non-color indicators (text labels, patterns, borders)',
-          context: {
-            selector: pair.context?.selector || 'unknown',
-            textSample: pair.context?.textSample || '',
-            originalColors: testResults.colorPair,
-            failedVisionTypes: testResults.summary.failedVisionTypes,
-            passedVisionTypes: testResults.summary.passedVisionTypes,
-            element: pair.element
+            if (clip.width >= 1 && clip.height >= 1) {
+              const png = await this.page.screenshot({ clip, scale: 'css', animations: 'disabled', caret: 'hide' });
+              range = contrastRange(decodePng(png), candidate.textRGBA);
+            }
           }
+        } catch {
+          range = null;
+        } finally {
+          await handle.evaluate((el, attr) => el.removeAttribute(attr), HIDE_ATTR).catch(() => {});
+          await handle.dispose().catch(() => {});
+        }
+
+        if (!range) {
+          manualReview(candidate, 'element is not rendered in the viewport');
+          continue;
+        }
+
+        const isLarge = isLargeText(candidate.fontSize, candidate.fontWeight);
+        const compliance = checkWCAGCompliance(range.p5.ratio, isLarge, this.options.wcagLevel || 'AA');
+        const { r, g, b } = candidate.textRGBA;
+        const apca = checkAPCACompliance(getAPCAContrast([r, g, b], parseColor(range.p5.color)), candidate.fontSize, candidate.fontWeight);
+        const passes = this.contrastPasses(compliance, apca);
+        const { textRGBA, ...combo } = candidate;
+        analyses.push({
+          ...combo,
+          textColor: `rgb(${r}, ${g}, ${b})`,
+          backgroundColor: `rgb(${parseColor(range.p5.color).join(', ')})`,
+          backgroundSource: 'pixels',
+          contrastRatio: range.p5.ratio,
+          contrastRange: {
+            worst: range.worst.ratio,
+            p5: range.p5.ratio,
+            median: range.median.ratio,
+            best: range.best.ratio
+          },
+          sampledColors: {
+            worst: range.worst.color,
+            p5: range.p5.color,
+            median: range.median.color,
+            best: range.best.color
+          },
+          backgroundLuminance: range.luminance,
+          samples: range.samples,
+          compliance,
+          apca,
+          contrastAlgorithm: this.options.contrastAlgorithm || 'wcag2',
+          // Only the text color can be suggested; the background is an image
+          suggestions: compliance.passes ? null : {
+            requiredRatio: compliance.requiredRatio,
+            foreground: suggestPassingColor([r, g, b], parseColor(range.p5.color), compliance.requiredRatio),
+            background: null
+          },
+          state: 'default',
+          status: passes ? 'PASS' : 'FAIL'
         });
       }
-    });
-    
-    this.results.visionSimulation = visionSimResults;
-  }
+    } finally {
+      await style.evaluate(el => el.remove()).catch(() => {});
+      await this.page.evaluate(() => window.scrollTo(0, 0)).catch(() => {});
+    }
 
-  /**
-   * Get human-readable vision type name
-   */
-  getVisionTypeName(visionType) {
-    const names = {
-      protanopia: 'Protanopia (Red-blind)',
-      deuteranopia: 'Deuteranopia (Green-blind)',
-      tritanopia: 'Tritanopia (Blue-blind)',
-      protanomaly: 'Protanomaly (Red-weak)',
-      deuteranomaly: 'Deuteranomaly (Green-weak, most common)',
-      tritanomaly: 'Tritanomaly (Blue-weak)',
-      achromatopsia: 'Achromatopsia (Complete color blindness)',
-      achromatomaly: 'Achromatomaly (Partial color blindness)'
-    };
-    return names[visionType] || visionType;
+    return { analyses, unmeasured };
   }
 
   /**
-   * Check ARIA labels and accessibility attributes
+   * Re-measure text contrast of interactive elements in their hover, focus, active and visited states.
+   * Hover uses a real pointer hover and focus calls element.focus(); :active and :visited are forced
+   * through CDP CSS.forcePseudoState, and :visited colors are read from CDP because getComputedStyle
+   * never exposes them. Disabled controls are recorded as EXEMPT (1.4.3 excludes inactive components).
+   * A state entry is only added when it changes the element's resting colors.
    */
-  async checkARIALabels() {
-    const ariaData = await this.page.evaluate(() => {
-      const results = {
-        elements: [],
-        issues: []
-      };
+  async checkInteractiveStateContrast() {
+    const MAX_ELEMENTS = 60;
+    const STATE_ATTR = 'data-a11y-state-id';
+    await this.installColorParser();
+    await this.installSelectorGenerator();
 
-      // Compact selector generator for ARIA
-      const ESC = (s) => {
-        try { return CSS.escape(s); } catch { return String(s).replace(/[^a-zA-Z0-9_-]/g, '\\$&'); }
+    const targets = await this.page.evaluate(({ attr, max }) => {
+      // Color utilities (duplicated from checkColorContrast to keep scope inside this evaluate call)
+      const parseRGBA = (str) => {
+        if (!str || typeof str !== 'string') return null;
+        const s = str.trim().toLowerCase();
+        if (s === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+        const m = s.match(/rgba?\((\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)(?:\s*,\s*([\d.]+))?\)/);
+        if (m) return { r: +m[1], g: +m[2], b: +m[3], a: m[4] !== undefined ? +m[4] : 1 };
+        const parsed = window.__a11yColor && window.__a11yColor.parse(s);
+        if (parsed) return { r: parsed.r, g: parsed.g, b: parsed.b, a: parsed.alpha };
+        return null;
+      };
+      const toRGBString = ({ r, g, b }) => `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+      const clamp01 = (x) => Math.max(0, Math.min(1, x));
+      const blend = (top, bottom) => {
+        const aTop = clamp01(top.a ?? 1);
+        const aBottom = clamp01(bottom.a ?? 1);
+        const outA = aTop + aBottom * (1 - aTop);
+        const blendChan = (ct, cb) => Math.round((ct * aTop + cb * aBottom * (1 - aTop)) / (outA || 1));
+        return { r: blendChan(top.r, bottom.r), g: blendChan(top.g, bottom.g), b: blendChan(top.b, bottom.b), a: outA };
       };
-      const compactSelector = (elem) => {
-        if (!elem) return '';
-        if (elem.id && document.querySelectorAll(`#${ESC(elem.id)}`).length === 1) return `#${elem.id}`;
-        const tag = elem.tagName.toLowerCase();
-        const typeAttr = tag === 'input' && elem.type ? `[type="${elem.type}"]` : '';
-        const classes = (elem.className || '').toString().split(/\s+/).filter(Boolean).slice(0, 2);
-        const base = tag + typeAttr + (classes.length ? `.${classes.map(ESC).join('.')}` : '');
-        if (document.querySelectorAll(base).length === 1) return base;
-        const landmark = elem.closest('main, [role="main"], article, section, nav, aside, header, footer, [role="navigation"], [role="banner"], [role="contentinfo"]');
-        if (landmark) {
-          const lSel = landmark.id ? `#${ESC(landmark.id)}` : landmark.tagName.toLowerCase();
-          const cand = `${lSel} ${base}`;
-          if (document.querySelectorAll(cand).length === 1) return cand;
+      // `ownBackground` replaces the element's own background layer (used for CDP-read :visited colors)
+      const getEffectiveBackground = (el, ownBackground) => {
+        let current = el;
+        let acc = { r: 0, g: 0, b: 0, a: 0 };
+        let safety = 0;
+        while (current && current.nodeType === Node.ELEMENT_NODE && safety < 30) {
+          const cs = window.getComputedStyle(current);
+          if (cs.backgroundImage && cs.backgroundImage !== 'none') return null; // unreliable over images/gradients
+          const bg = parseRGBA(current === el && ownBackground ? ownBackground : cs.backgroundColor);
+          if (bg) {
+            acc = blend(bg, acc);
+            if (acc.a >= 0.999) break;
+          }
+          current = current.parentElement;
+          safety++;
         }
-        const sibs = Array.from(elem.parentElement?.children || []).filter(s => s.tagName === elem.tagName);
-        const idx = sibs.indexOf(elem) + 1;
-        const nth = `${base}:nth-of-type(${idx})`;
-        if (document.querySelectorAll(nth).length === 1) return nth;
-        return base;
+        if (acc.a < 0.999) {
+          const htmlBg = parseRGBA(window.getComputedStyle(document.documentElement).backgroundColor) || { r: 255, g: 255, b: 255, a: 1 };
+          const bodyBg = parseRGBA(window.getComputedStyle(document.body).backgroundColor) || { r: 255, g: 255, b: 255, a: 1 };
+          acc = blend(acc, blend(bodyBg, htmlBg));
+        }
+        acc.a = 1;
+        return acc;
       };
 
-      // Check all elements with ARIA attributes
-      const ariaElements = document.querySelectorAll('[aria-label], [aria-labelledby], [aria-describedby], [role], [aria-expanded], [aria-hidden], [aria-disabled]');
-      
-      ariaElements.forEach(element => {
-        const ariaAttrs = {};
-        Array.from(element.attributes).forEach(attr => {
-          if (attr.name.startsWith('aria-')) {
-            ariaAttrs[attr.name] = attr.value;
+      // Kept on window so each state can be measured by a later evaluate call
+      window.__a11yStateMeasure = (el, override = {}) => {
+        if (!el) return null;
+        const cs = window.getComputedStyle(el);
+        const text = parseRGBA(override.color || cs.color);
+        const bg = getEffectiveBackground(el, override.backgroundColor);
+        if (!text || !bg || (text.a ?? 1) === 0) return null;
+        const effText = (text.a ?? 1) < 0.999 ? { ...blend(text, bg), a: 1 } : text;
+        return {
+          textColor: toRGBString(effText),
+          backgroundColor: toRGBString(bg),
+          fontSize: parseFloat(cs.fontSize),
+          fontWeight: cs.fontWeight
+        };
+      };
+
+      const compactSelector = window.__a11ySelector.compactSelector;
+
+      const isVisible = (el) => {
+        const cs = window.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0 && cs.display !== 'none' && cs.visibility !== 'hidden' && parseFloat(cs.opacity || '1') > 0.01;
+      };
+      const isDisabled = (el) => el.disabled || el.getAttribute('aria-disabled') === 'true' || !!el.closest('fieldset[disabled]');
+      const normalizeText = (s) => (s || '').replace(/\s+/g, ' ').trim();
+
+      const interactive = document.querySelectorAll(
+        'a[href], button, input[type="button"], input[type="submit"], input[type="reset"], summary, ' +
+        '[role="button"], [role="link"], [role="tab"], [role="menuitem"]'
+      );
+      const list = [];
+      for (const el of interactive) {
+        if (list.length >= max) break;
+        if (!isVisible(el)) continue;
+        const text = normalizeText(el.tagName === 'INPUT' ? el.value : el.textContent);
+        if (!text) continue;
+        const resting = window.__a11yStateMeasure(el);
+        if (!resting) continue;
+        const index = list.length;
+        el.setAttribute(attr, String(index));
+        list.push({
+          index,
+          isLink: el.matches('a[href]'),
+          disabled: isDisabled(el),
+          resting,
+          sampleText: text.substring(0, 100),
+          element: el.tagName.toLowerCase(),
+          className: (el.className?.baseVal ?? el.className) || null,
+          elementDetails: {
+            selector: compactSelector(el),
+            id: el.id || null,
+            textContent: text.substring(0, 200),
+            outerHTML: el.outerHTML.replace(` ${attr}="${index}"`, '').substring(0, 400),
+            parentContext: el.parentElement ? {
+              tagName: el.parentElement.tagName.toLowerCase(),
+              className: el.parentElement.className || null,
+              id: el.parentElement.id || null
+            } : null
           }
         });
-        
+      }
+      return list;
+    }, { attr: STATE_ATTR, max: MAX_ELEMENTS });
+
+    if (targets.length === 0) {
+      await this.page.evaluate(() => { delete window.__a11yStateMeasure; }).catch(() => {});
+      return;
+    }
+
+    const entries = [];
+    const record = (target, state, measured) => {
+      if (!measured) return;
+      const changed = measured.textColor !== target.resting.textColor || measured.backgroundColor !== target.resting.backgroundColor;
+      if (state !== 'disabled' && !changed) return;
+      entries.push({ target, state, measured });
+    };
+    const measure = (index, override) => this.page.evaluate(({ attr, index, override }) =>
+      window.__a11yStateMeasure(document.querySelector(`[${attr}="${index}"]`), override),
+    { attr: STATE_ATTR, index, override }).catch(() => null);
+
+    // Freeze transitions so each state is measured at its final colors; if the page refuses the
+    // style (e.g. a CSP that blocks inline styles) states are measured with transitions running
+    const style = await this.page.addStyleTag({
+      content: '*, *::before, *::after { transition-duration: 0s !important; transition-delay: 0s !important; }'
+    }).catch(() => null);
+
+    // CDP is Chromium-only; without it the :active and :visited passes are skipped
+    let cdp = null;
+    let rootNodeId = null;
+    try {
+      cdp = await this.page.context().newCDPSession(this.page);
+      await cdp.send('DOM.enable');
+      await cdp.send('CSS.enable');
+      rootNodeId = (await cdp.send('DOM.getDocument', { depth: 0 })).root.nodeId;
+    } catch {
+      cdp = null;
+    }
+
+    try {
+      for (const target of targets) {
+        const selector = `[${STATE_ATTR}="${target.index}"]`;
+        if (target.disabled) {
+          record(target, 'disabled', target.resting);
+          continue;
+        }
+
+        // Hover
+        try {
+          await this.page.hover(selector, { timeout: 2000 });
+          record(target, 'hover', await measure(target.index));
+        } catch {
+          // covered or detached; nothing to measure
+        } finally {
+          await this.page.mouse.move(0, 0).catch(() => {});
+        }
+
+        // Focus
+        const focused = await this.page.evaluate((sel) => {
+          const el = document.querySelector(sel);
+          if (!el) return false;
+          el.focus({ preventScroll: true });
+          return document.activeElement === el;
+        }, selector).catch(() => false);
+        if (focused) record(target, 'focus', await measure(target.index));
+        await this.page.evaluate((sel) => document.querySelector(sel)?.blur(), selector).catch(() => {});
+
+        if (!cdp) continue;
+        let nodeId = null;
+        try {
+          nodeId = (await cdp.send('DOM.querySelector', { nodeId: rootNodeId, selector })).nodeId || null;
+        } catch {
+          nodeId = null;
+        }
+        if (!nodeId) continue;
+
+        // :active and :visited via forced pseudo-classes
+        const pseudoStates = target.isLink ? ['active', 'visited'] : ['active'];
+        for (const state of pseudoStates) {
+          try {
+            await cdp.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: [state] });
+            let override;
+            if (state === 'visited') {
+              const { computedStyle } = await cdp.send('CSS.getComputedStyleForNode', { nodeId });
+              const prop = (name) => computedStyle.find(p => p.name === name)?.value;
+              override = { color: prop('color'), backgroundColor: prop('background-color') };
+            }
+            record(target, state, await measure(target.index, override));
+          } catch {
+            // state could not be forced on this node
+          } finally {
+            await cdp.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: [] }).catch(() => {});
+          }
+        }
+      }
+    } finally {
+      if (style) await style.evaluate(el => el.remove()).catch(() => {});
+      await this.page.evaluate((attr) => {
+        document.querySelectorAll(`[${attr}]`).forEach(el => el.removeAttribute(attr));
+        delete window.__a11yStateMeasure;
+      }, STATE_ATTR).catch(() => {});
+      if (cdp) await cdp.detach().catch(() => {});
+    }
+
+    for (const { target, state, measured } of entries) {
+      const { index, isLink, disabled, resting, ...combo } = target;
+      const isLarge = isLargeText(measured.fontSize, measured.fontWeight);
+      const analysis = analyzeContrast(measured.textColor, measured.backgroundColor, isLarge, this.options.wcagLevel || 'AA', {
+        fontSize: measured.fontSize,
+        fontWeight: measured.fontWeight
+      });
+      if (analysis.error) continue;
+
+      const passes = this.contrastPasses(analysis.compliance, analysis.apca);
+      this.results.colorContrast.push({
+        ...combo,
+        ...measured,
+        state,
+        restingColors: { textColor: resting.textColor, backgroundColor: resting.backgroundColor },
+        contrastRatio: analysis.contrastRatio,
+        compliance: analysis.compliance,
+        apca: analysis.apca,
+        contrastAlgorithm: this.options.contrastAlgorithm || 'wcag2',
+        suggestions: state === 'disabled' || analysis.compliance.passes
+          ? null
+          : suggestContrastFix(analysis.textRGB, analysis.bgRGB, analysis.compliance.requiredRatio),
+        status: state === 'disabled' ? 'EXEMPT' : passes ? 'PASS' : 'FAIL'
+      });
+    }
+  }
+
+  /**
+   * Check WCAG 1.4.1 Use of Color for links inside body copy (technique G183, failure F73).
+   * A link passes when it carries a non-color cue at rest (underline, border, font weight), or when
+   * its color has 3:1 contrast against the surrounding text and a cue appears on both hover and focus.
+   * Uses the links tagged by the text walk in checkColorContrast.
+   */
+  async checkLinkDistinguishability() {
+    const REQUIRED_RATIO = 3;
+    const links = this.inlineLinks || [];
+    const results = {
+      testedLinks: links.length,
+      issues: []
+    };
+    if (links.length === 0) {
+      this.results.linkDistinguishability = results;
+      return;
+    }
+
+    // Non-color cues that set the link apart from the surrounding text in its current state
+    const readCues = (index) => this.page.evaluate(({ attr, index }) => {
+      const link = document.querySelector(`[${attr}="${index}"]`);
+      if (!link) return null;
+      const cs = window.getComputedStyle(link);
+      const surrounding = window.getComputedStyle(link.parentElement);
+      const cues = [];
+      // The underline may be drawn by an element wrapped inside the link
+      const decorated = [link, ...Array.from(link.querySelectorAll('*')).slice(0, 10)];
+      if (decorated.some(el => window.getComputedStyle(el).textDecorationLine.includes('underline')) &&
+          !surrounding.textDecorationLine.includes('underline')) {
+        cues.push('underline');
+      }
+      const sides = ['Top', 'Right', 'Bottom', 'Left'];
+      if (sides.some(side => parseFloat(cs[`border${side}Width`]) > 0 && !['none', 'hidden'].includes(cs[`border${side}Style`]))) {
+        cues.push('border');
+      }
+      if (Math.abs(parseInt(cs.fontWeight, 10) - parseInt(surrounding.fontWeight, 10)) >= 300) cues.push('font-weight');
+      if (cs.outlineStyle !== 'none' && parseFloat(cs.outlineWidth) > 0) cues.push('outline');
+      if (cs.boxShadow && cs.boxShadow !== 'none') cues.push('box-shadow');
+      return cues;
+    }, { attr: INLINE_LINK_ATTR, index }).catch(() => null);
+
+    // Freeze transitions so hover/focus styles are read at their final values
+    const style = await this.page.addStyleTag({
+      content: '*, *::before, *::after { transition-duration: 0s !important; transition-delay: 0s !important; }'
+    }).catch(() => null);
+
+    try {
+      for (const link of links) {
+        const restingCues = await readCues(link.index);
+        if (!restingCues || restingCues.length > 0) continue;
+
+        const ratio = parseFloat(getContrastRatio(parseColor(link.linkColor), parseColor(link.surroundingColor)).toFixed(2));
+        const context = {
+          selector: link.elementDetails.selector,
+          elementType: 'a',
+          textSample: link.sampleText,
+          accessibleName: link.accessibleName,
+          surroundingText: link.surroundingText,
+          linkColor: link.linkColor,
+          surroundingColor: link.surroundingColor,
+          backgroundColor: link.backgroundColor,
+          contrastRatio: ratio,
+          requiredRatio: REQUIRED_RATIO,
+          restingCues
+        };
+
+        if (ratio < REQUIRED_RATIO) {
+          results.issues.push({
+            type: 'link_color_only',
+            severity: 'high',
+            message: `Inline link "${link.sampleText.substring(0, 60)}" differs from the surrounding text only by color (${ratio}:1, ${REQUIRED_RATIO}:1 required) and has no underline, border or font-weight cue`,
+            recommendation: 'Underline links in body copy, or give the link color at least 3:1 contrast with the surrounding text and add an underline on hover and focus',
+            element: link.elementDetails,
+            context
+          });
+          continue;
+        }
+
+        // Enough color contrast: a non-color cue must still appear on hover and on focus
+        const selector = `[${INLINE_LINK_ATTR}="${link.index}"]`;
+        let hoverCues = null;
+        try {
+          await this.page.hover(selector, { timeout: 2000 });
+          hoverCues = await readCues(link.index);
+        } catch {
+          // covered or detached; nothing to measure
+        } finally {
+          await this.page.mouse.move(0, 0).catch(() => {});
+        }
+
+        let focusCues = null;
+        const focused = await this.page.evaluate((sel) => {
+          const el = document.querySelector(sel);
+          if (!el) return false;
+          el.focus({ preventScroll: true });
+          return document.activeElement === el;
+        }, selector).catch(() => false);
+        if (focused) focusCues = await readCues(link.index);
+        await this.page.evaluate((sel) => document.querySelector(sel)?.blur(), selector).catch(() => {});
+
+        const missingStates = [
+          ...(hoverCues && hoverCues.length === 0 ? ['hover'] : []),
+          ...(focusCues && focusCues.length === 0 ? ['focus'] : [])
+        ];
+        if (missingStates.length === 0) continue;
+
+        results.issues.push({
+          type: 'link_no_state_cue',
+          severity: 'medium',
+          message: `Inline link "${link.sampleText.substring(0, 60)}" relies on color (${ratio}:1 against the surrounding text) and shows no non-color cue on ${missingStates.join(' or ')}`,
+          recommendation: 'Add an underline (or another non-color cue) when the link is hovered and focused, or underline it at all times',
+          element: link.elementDetails,
+          context: { ...context, hoverCues, focusCues, missingStates }
+        });
+      }
+    } finally {
+      if (style) await style.evaluate(el => el.remove()).catch(() => {});
+      await this.page.evaluate((attr) => {
+        document.querySelectorAll(`[${attr}]`).forEach(el => el.removeAttribute(attr));
+      }, INLINE_LINK_ATTR).catch(() => {});
+    }
+
+    this.results.linkDistinguishability = results;
+  }
+
+  /**
+   * Check WCAG 1.4.12 Text Spacing
+   * Applies the text-spacing bookmarklet overrides (line-height 1.5, paragraph spacing 2em,
+   * letter-spacing 0.12em, word-spacing 0.16em) and compares each text container with its unmodified render.
+   */
+  async checkTextSpacing() {
+    await this.installSelectorGenerator();
+    const textSpacingData = await this.page.evaluate(async () => {
+      const results = {
+        tested: 0,
+        clipped: 0,
+        overflowing: 0,
+        issues: []
+      };
+      const MAX_ISSUES = 30;
+      const STYLE_ID = '__a11y-text-spacing';
+
+      const compactSelector = window.__a11ySelector.compactSelector;
+
+      const nextFrame = () => new Promise(r => requestAnimationFrame(() => requestAnimationFrame(r)));
+      // Scrollable containers keep overflowing text reachable, so only hidden/clip count as clipping
+      const CLIPPING = ['hidden', 'clip'];
+      const isClipping = (cs) => CLIPPING.includes(cs.overflowX) || CLIPPING.includes(cs.overflowY);
+      const isScrollable = (cs) => ['auto', 'scroll'].includes(cs.overflowY);
+      const hasOwnText = (el) => Array.from(el.childNodes).some(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim().length > 0);
+
+      const containers = Array.from(document.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, dt, dd, td, th, blockquote, figcaption, label, legend, summary, button, a, span, div'))
+        .filter(el => {
+          if (!hasOwnText(el) || el.closest('svg, pre, code, textarea')) return false;
+          const cs = window.getComputedStyle(el);
+          return cs.display !== 'none' && cs.visibility !== 'hidden' && el.clientWidth > 1 && el.clientHeight > 1;
+        })
+        .slice(0, 1500);
+
+      // Nearest ancestor (or self) that clips its overflow; its box bounds what the user can see
+      const clippingBox = (el) => {
+        for (let cur = el; cur && cur !== document.body && cur !== document.documentElement; cur = cur.parentElement) {
+          if (isClipping(window.getComputedStyle(cur))) return cur;
+        }
+        return null;
+      };
+
+      const measure = (el) => {
+        const rect = el.getBoundingClientRect();
+        const clipper = clippingBox(el);
+        let hiddenWidth = 0;
+        let hiddenHeight = 0;
+        if (clipper === el) {
+          hiddenWidth = Math.max(0, el.scrollWidth - el.clientWidth);
+          hiddenHeight = Math.max(0, el.scrollHeight - el.clientHeight);
+        } else if (clipper) {
+          const box = clipper.getBoundingClientRect();
+          hiddenWidth = Math.max(0, rect.right - box.right, box.left - rect.left);
+          hiddenHeight = Math.max(0, rect.bottom - box.bottom, box.top - rect.top);
+        }
+        return {
+          width: Math.round(rect.width),
+          height: Math.round(rect.height),
+          contentWidth: el.scrollWidth,
+          contentHeight: el.scrollHeight,
+          spill: isScrollable(window.getComputedStyle(el)) ? 0 : Math.max(0, el.scrollHeight - el.clientHeight),
+          hiddenWidth: Math.round(hiddenWidth),
+          hiddenHeight: Math.round(hiddenHeight),
+          clipper
+        };
+      };
+
+      const before = containers.map(measure);
+
+      const style = document.createElement('style');
+      style.id = STYLE_ID;
+      style.textContent = [
+        '* { line-height: 1.5 !important; letter-spacing: 0.12em !important; word-spacing: 0.16em !important; }',
+        'p { margin-bottom: 2em !important; }'
+      ].join('\n');
+      document.head.appendChild(style);
+      await nextFrame();
+
+      // A Content-Security-Policy that blocks inline styles refuses the override without an error;
+      // measuring then would compare the page with itself and report a false pass
+      const probe = containers[0] || document.body;
+      const probeStyle = window.getComputedStyle(probe);
+      // 'normal' (NaN) means the override is not in effect
+      if (!(Math.abs(parseFloat(probeStyle.letterSpacing) - 0.12 * parseFloat(probeStyle.fontSize)) <= 0.5)) {
+        style.remove();
+        results.skipped = 'the spacing override style was blocked by the page';
+        results.untested = containers.slice(0, 100).map(el => ({ selector: compactSelector(el), element: el.tagName.toLowerCase() }));
+        return results;
+      }
+
+      try {
+        const reported = new Set();
+        containers.forEach((el, i) => {
+          results.tested++;
+          const a = before[i];
+          const b = measure(el);
+          const newlyHidden = b.hiddenWidth > a.hiddenWidth + 1 || b.hiddenHeight > a.hiddenHeight + 1;
+          // Text spilling out of a fixed-height box overlaps whatever follows it
+          const newlySpilling = !b.clipper && b.spill > a.spill + 1;
+          if (!newlyHidden && !newlySpilling) return;
+          if (newlyHidden) results.clipped++; else results.overflowing++;
+
+          // Report the outermost affected container once; nested text inside it shares the cause
+          for (let cur = el.parentElement; cur; cur = cur.parentElement) {
+            if (reported.has(cur)) return;
+          }
+          reported.add(el);
+          if (results.issues.length >= MAX_ISSUES) return;
+
+          const dims = (m) => ({ width: m.width, height: m.height, contentWidth: m.contentWidth, contentHeight: m.contentHeight });
+          const clippedBy = newlyHidden && b.clipper ? compactSelector(b.clipper) : null;
+          results.issues.push({
+            type: newlyHidden ? 'text_spacing_clipped' : 'text_spacing_overflow',
+            severity: newlyHidden ? 'high' : 'medium',
+            message: newlyHidden
+              ? `Text is cut off when text spacing is increased (${b.hiddenHeight - a.hiddenHeight > 1 ? `${b.hiddenHeight - a.hiddenHeight}px vertically` : `${b.hiddenWidth - a.hiddenWidth}px horizontally`} hidden by ${clippedBy})`
+              : `Text overflows its container when text spacing is increased (${b.spill - a.spill}px beyond its height)`,
+            recommendation: newlyHidden
+              ? 'Avoid fixed heights/widths with overflow: hidden on text containers; use min-height and let containers grow with their content'
+              : 'Replace fixed heights on text containers with min-height (or none) so they grow when users adjust line, letter or word spacing',
+            context: {
+              selector: compactSelector(el),
+              elementType: el.tagName.toLowerCase(),
+              textContent: (el.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 80),
+              clippedBy,
+              before: dims(a),
+              after: dims(b)
+            }
+          });
+        });
+      } finally {
+        style.remove();
+        await nextFrame();
+      }
+
+      return results;
+    });
+
+    if (textSpacingData.skipped && textSpacingData.untested.length) {
+      const untested = textSpacingData.untested;
+      this.results.manualReview.issues.push({
+        type: 'text_spacing_manual_review',
+        severity: 'medium',
+        message: `Text spacing could not be tested (${textSpacingData.skipped}). Manual review recommended.`,
+        recommendation: 'Apply the WCAG 1.4.12 spacing values with a bookmarklet or browser extension and confirm no text is cut off or overlaps',
+        context: {
+          selector: untested[0].selector,
+          textSample: untested.slice(0, 10).map(el => el.selector).join(', '),
+          elements: untested
+        }
+      });
+    }
+
+    this.results.textSpacing = textSpacingData;
+  }
+
+  /**
+   * Check WCAG 1.4.11 Non-text Contrast
+   * Measures form control boundaries, custom checkbox/radio outlines, icon fills/strokes and
+   * focus outlines against the effective background they sit on (3:1 minimum).
+   */
+  async checkNonTextContrast() {
+    const REQUIRED_RATIO = 3;
+    await this.installColorParser();
+    await this.installSelectorGenerator();
+
+    // A key press puts Chromium in keyboard modality so :focus-visible styles apply to programmatic focus
+    try { await this.page.keyboard.press('Shift'); } catch {}
+
+    const components = await this.page.evaluate(() => {
+      // Color utilities (duplicated from checkColorContrast to keep scope inside this evaluate call)
+      const parseRGBA = (str) => {
+        if (!str || typeof str !== 'string') return null;
+        const s = str.trim().toLowerCase();
+        if (s === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+        const m = s.match(/rgba?\((\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)(?:\s*,\s*([\d.]+))?\)/);
+        if (m) return { r: +m[1], g: +m[2], b: +m[3], a: m[4] !== undefined ? +m[4] : 1 };
+        const parsed = window.__a11yColor && window.__a11yColor.parse(s);
+        if (parsed) return { r: parsed.r, g: parsed.g, b: parsed.b, a: parsed.alpha };
+        return null;
+      };
+      const toRGBString = ({ r, g, b }) => `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+      const clamp01 = (x) => Math.max(0, Math.min(1, x));
+      const blend = (top, bottom) => {
+        const aTop = clamp01(top.a ?? 1);
+        const aBottom = clamp01(bottom.a ?? 1);
+        const outA = aTop + aBottom * (1 - aTop);
+        const blendChan = (ct, cb) => Math.round((ct * aTop + cb * aBottom * (1 - aTop)) / (outA || 1));
+        return { r: blendChan(top.r, bottom.r), g: blendChan(top.g, bottom.g), b: blendChan(top.b, bottom.b), a: outA };
+      };
+      const getEffectiveBackground = (el) => {
+        let current = el;
+        let acc = { r: 0, g: 0, b: 0, a: 0 };
+        let safety = 0;
+        while (current && current.nodeType === Node.ELEMENT_NODE && safety < 30) {
+          const cs = window.getComputedStyle(current);
+          if (cs.backgroundImage && cs.backgroundImage !== 'none') return null; // unreliable over images/gradients
+          const bg = parseRGBA(cs.backgroundColor);
+          if (bg) {
+            acc = blend(bg, acc);
+            if (acc.a >= 0.999) break;
+          }
+          current = current.parentElement;
+          safety++;
+        }
+        if (acc.a < 0.999) {
+          const htmlBg = parseRGBA(window.getComputedStyle(document.documentElement).backgroundColor) || { r: 255, g: 255, b: 255, a: 1 };
+          const bodyBg = parseRGBA(window.getComputedStyle(document.body).backgroundColor) || { r: 255, g: 255, b: 255, a: 1 };
+          acc = blend(acc, blend(bodyBg, htmlBg));
+        }
+        acc.a = 1;
+        return acc;
+      };
+
+      const compactSelector = window.__a11ySelector.compactSelector;
+
+      const isVisible = (el) => {
+        const cs = window.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0 && cs.display !== 'none' && cs.visibility !== 'hidden' && parseFloat(cs.opacity || '1') > 0.01;
+      };
+      const isDisabled = (el) => el.disabled || el.getAttribute('aria-disabled') === 'true' || !!el.closest('fieldset[disabled]');
+
+      // Widest visible border side; underline-only fields only have a bottom border
+      const strongestBorder = (cs) => {
+        return ['Top', 'Right', 'Bottom', 'Left']
+          .map(side => ({
+            side: side.toLowerCase(),
+            width: parseFloat(cs[`border${side}Width`]) || 0,
+            style: cs[`border${side}Style`],
+            color: parseRGBA(cs[`border${side}Color`])
+          }))
+          .filter(b => b.width > 0 && b.style !== 'none' && b.style !== 'hidden' && b.color && b.color.a > 0)
+          .sort((a, b) => b.width - a.width)[0] || null;
+      };
+
+      const components = [];
+      const describe = (el, kind) => ({
+        kind,
+        selector: compactSelector(el),
+        elementType: `${el.tagName.toLowerCase()}${el.type && el.tagName === 'INPUT' ? `[type="${el.type}"]` : ''}${el.getAttribute('role') ? `[role="${el.getAttribute('role')}"]` : ''}`,
+        label: (el.getAttribute('aria-label') || el.labels?.[0]?.textContent || el.getAttribute('placeholder') || el.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 60)
+      });
+
+      // Boundary pairs for a component: its border and its own fill, each against the surrounding background
+      const boundaryPairs = (el) => {
+        const outer = getEffectiveBackground(el.parentElement || document.body);
+        if (!outer) return null;
+        const cs = window.getComputedStyle(el);
+        const pairs = [];
+        const border = strongestBorder(cs);
+        if (border) pairs.push({ part: `border-${border.side}`, color: toRGBString(blend(border.color, outer)), adjacent: toRGBString(outer), width: border.width });
+        const fill = parseRGBA(cs.backgroundColor);
+        if (fill && fill.a > 0 && cs.backgroundImage === 'none') pairs.push({ part: 'background', color: toRGBString(blend(fill, outer)), adjacent: toRGBString(outer) });
+        return pairs;
+      };
+
+      // Text inputs, selects and textareas
+      document.querySelectorAll('input, select, textarea').forEach(el => {
+        const type = (el.getAttribute('type') || 'text').toLowerCase();
+        if (['hidden', 'submit', 'reset', 'button', 'image', 'checkbox', 'radio', 'range', 'color', 'file'].includes(type)) return;
+        if (!isVisible(el) || isDisabled(el)) return;
+        const pairs = boundaryPairs(el);
+        if (pairs === null) return;
+        components.push({ ...describe(el, 'input_boundary'), pairs });
+      });
+
+      // Checkboxes and radios: native ones are drawn by the user agent and are exempt unless restyled
+      document.querySelectorAll('input[type="checkbox"], input[type="radio"], [role="checkbox"], [role="radio"], [role="switch"]').forEach(el => {
+        if (!isVisible(el) || isDisabled(el)) return;
+        if (el.tagName === 'INPUT') {
+          const cs = window.getComputedStyle(el);
+          const appearance = cs.appearance || cs.webkitAppearance;
+          if (appearance !== 'none') return;
+        }
+        const pairs = boundaryPairs(el);
+        if (pairs === null) return;
+        components.push({ ...describe(el, 'checkbox_radio'), pairs });
+      });
+
+      // SVG icons: fill and stroke of the shapes against the background behind the icon
+      document.querySelectorAll('svg').forEach(svg => {
+        const rect = svg.getBoundingClientRect();
+        if (rect.width > 64 || rect.height > 64 || rect.width < 6 || rect.height < 6) return; // icons only, not illustrations
+        if (!isVisible(svg) || (svg.closest('[aria-hidden="true"]') && !svg.closest('a, button, [role="button"], [role="link"]'))) return;
+        const outer = getEffectiveBackground(svg.parentElement || document.body);
+        if (!outer) return;
+        const pairs = [];
+        svg.querySelectorAll('path, circle, rect, ellipse, polygon, polyline, line, text').forEach(shape => {
+          const cs = window.getComputedStyle(shape);
+          const fill = parseRGBA(cs.fill);
+          const fillOpacity = parseFloat(cs.fillOpacity || '1');
+          if (fill && fill.a > 0 && fillOpacity > 0) {
+            pairs.push({ part: 'fill', color: toRGBString(blend({ ...fill, a: fill.a * fillOpacity }, outer)), adjacent: toRGBString(outer) });
+          }
+          const stroke = parseRGBA(cs.stroke);
+          const strokeOpacity = parseFloat(cs.strokeOpacity || '1');
+          if (stroke && stroke.a > 0 && strokeOpacity > 0 && parseFloat(cs.strokeWidth) > 0) {
+            pairs.push({ part: 'stroke', color: toRGBString(blend({ ...stroke, a: stroke.a * strokeOpacity }, outer)), adjacent: toRGBString(outer) });
+          }
+        });
+        if (pairs.length === 0) return;
+        const host = svg.closest('a, button, [role="button"], [role="link"]');
+        const unique = Array.from(new Map(pairs.map(p => [`${p.part}|${p.color}`, p])).values()).slice(0, 6);
+        components.push({ ...describe(svg, 'icon'), label: host ? describe(host).label : describe(svg).label, hostSelector: host ? compactSelector(host) : null, pairs: unique });
+      });
+
+      // Icon fonts rendered through ::before / ::after in otherwise empty elements
+      document.querySelectorAll('i, span').forEach(el => {
+        if (el.textContent.trim() || el.children.length || !isVisible(el)) return;
+        const pseudo = ['::before', '::after']
+          .map(p => window.getComputedStyle(el, p))
+          .find(ps => ps.content && ps.content !== 'none' && ps.content !== 'normal' && ps.content !== '""');
+        if (!pseudo) return;
+        const outer = getEffectiveBackground(el);
+        const color = parseRGBA(pseudo.color);
+        if (!outer || !color) return;
+        const host = el.closest('a, button, [role="button"], [role="link"]');
+        components.push({
+          ...describe(el, 'icon'),
+          label: host ? describe(host).label : '',
+          hostSelector: host ? compactSelector(host) : null,
+          pairs: [{ part: 'glyph', color: toRGBString(blend(color, outer)), adjacent: toRGBString(outer) }]
+        });
+      });
+
+      // Focus outlines: focus a few elements per tag/class signature and read the outline drawn.
+      // 'auto' is the browser's two-tone default ring; rings that also use box-shadow are left to checkFocusManagement.
+      const MAX_RINGS = 60;
+      const ringSignatures = new Map();
+      let rings = 0;
+      document.querySelectorAll('a[href], button, input, select, textarea, [tabindex]').forEach(el => {
+        if (rings >= MAX_RINGS || el.tabIndex < 0 || (el.tagName === 'INPUT' && el.type === 'hidden')) return;
+        if (!isVisible(el) || isDisabled(el)) return;
+        const signature = `${el.tagName}|${el.type || ''}|${el.getAttribute('role') || ''}|${(el.className || '').toString()}`;
+        const seen = ringSignatures.get(signature) || 0;
+        if (seen >= 2) return;
+        ringSignatures.set(signature, seen + 1);
+        rings++;
+
+        el.focus({ preventScroll: true });
+        if (document.activeElement !== el) return;
+        const cs = window.getComputedStyle(el);
+        const width = parseFloat(cs.outlineWidth) || 0;
+        const color = parseRGBA(cs.outlineColor);
+        if (['none', 'auto'].includes(cs.outlineStyle) || width <= 0 || !color || color.a === 0) return;
+        if (cs.boxShadow && cs.boxShadow !== 'none') return;
+        // A negative offset draws the outline over the component's own fill
+        const adjacent = getEffectiveBackground(parseFloat(cs.outlineOffset) < 0 ? el : (el.parentElement || document.body));
+        if (!adjacent) return;
+        components.push({
+          ...describe(el, 'focus_ring'),
+          pairs: [{ part: 'outline', color: toRGBString(blend(color, adjacent)), adjacent: toRGBString(adjacent), width }]
+        });
+      });
+      document.activeElement?.blur?.();
+
+      return components.slice(0, 400);
+    });
+
+    const results = {
+      components: [],
+      issues: []
+    };
+    const kindText = {
+      input_boundary: { type: 'input_boundary_contrast', what: 'Form field boundary', fix: 'Give the field a border (or background) with at least 3:1 contrast against the surrounding background' },
+      checkbox_radio: { type: 'checkbox_radio_contrast', what: 'Checkbox/radio outline', fix: 'Use a border color with at least 3:1 contrast for custom checkboxes, radios and switches' },
+      icon: { type: 'icon_contrast', what: 'Icon', fix: 'Use an icon fill/stroke color with at least 3:1 contrast against its background' },
+      focus_ring: { type: 'focus_ring_contrast', what: 'Focus outline', fix: 'Use a focus outline color with at least 3:1 contrast against the background next to it' }
+    };
+
+    components.forEach(component => {
+      const measured = component.pairs.map(pair => {
+        const ratio = getContrastRatio(parseColor(pair.color), parseColor(pair.adjacent));
+        return { ...pair, contrastRatio: parseFloat(ratio.toFixed(2)) };
+      });
+      const best = measured.reduce((a, b) => (b.contrastRatio > (a?.contrastRatio ?? 0) ? b : a), null);
+      const status = best && best.contrastRatio >= REQUIRED_RATIO ? 'PASS' : 'FAIL';
+      results.components.push({
+        kind: component.kind,
+        selector: component.selector,
+        contrastRatio: best ? best.contrastRatio : 1,
+        status
+      });
+      if (status === 'PASS') return;
+
+      const text = kindText[component.kind];
+      const ratio = best ? best.contrastRatio : 1;
+      // A borderless, unfilled text field can still be identified by its label and layout
+      const unboundedField = !best && component.kind === 'input_boundary';
+      results.issues.push({
+        type: text.type,
+        severity: unboundedField ? 'low' : 'high',
+        message: best
+          ? `${text.what} contrast is ${ratio}:1 (${best.part} ${best.color} on ${best.adjacent}); 3:1 required`
+          : unboundedField
+            ? `${text.what} has no border or fill; confirm the field is identifiable from its label and layout`
+            : `${text.what} has no visible boundary against its background; 3:1 required`,
+        recommendation: text.fix,
+        context: {
+          selector: component.selector,
+          elementType: component.elementType,
+          textContent: component.label,
+          hostSelector: component.hostSelector || null,
+          componentColor: best?.color || null,
+          adjacentColor: best?.adjacent || null,
+          measuredPart: best?.part || null,
+          contrastRatio: ratio,
+          requiredRatio: REQUIRED_RATIO,
+          measurements: measured
+        }
+      });
+    });
+
+    this.results.nonTextContrast = results;
+  }
+
+  /**
+   * Check color combinations with vision simulation
+   */
+  async checkVisionSimulation() {
+    const MAX_SCREENSHOT_HEIGHT = 5000;
+
+    // Get unique color combinations from the contrast combinations that were collected
+    const colorPairs = [];
+    const seen = new Set();
+    
+    if (this.results.colorContrast && this.results.colorContrast.length > 0) {
+      this.results.colorContrast.forEach(item => {
+        if (item.status === 'ERROR') return;
+        const foreground = parseColor(item.textColor);
+        const background = parseColor(item.backgroundColor);
+        if (foreground && background) {
+          const key = `${foreground.join(',')}-${background.join(',')}`;
+          if (!seen.has(key)) {
+            seen.add(key);
+            colorPairs.push({
+              foreground,
+              background,
+              textColor: item.textColor,
+              backgroundColor: item.backgroundColor,
+              element: item.element || item.elementDetails,
+              context: {
+                selector: item.elementDetails?.selector,
+                textSample: item.sampleText
+              }
+            });
+          }
+        }
+      });
+    }
+    
+    const visionSimResults = {
+      testedPairs: colorPairs.length,
+      issues: []
+    };
+
+    // Full-page screenshot (height-capped); the reporter renders it once per vision type. It goes
+    // to a temp file rather than staying in the results, which are held for every page of a crawl.
+    // Color mode passes skip it (only the default pass reaches the reporter), and so does a run
+    // whose report format renders no vision images.
+    if (!this.options.mediaCondition && this.options.visionImages !== false) {
+      try {
+        const viewport = this.page.viewportSize() || { width: 1280, height: 720 };
+        const pageHeight = await this.page.evaluate(() => document.documentElement.scrollHeight);
+        const screenshotPath = path.join(os.tmpdir(), `a11y-vision-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.png`);
+        await this.page.screenshot({
+          path: screenshotPath,
+          fullPage: true,
+          clip: { x: 0, y: 0, width: viewport.width, height: Math.max(1, Math.min(pageHeight, MAX_SCREENSHOT_HEIGHT)) },
+          scale: 'css',
+          animations: 'disabled',
+          caret: 'hide'
+        });
+        visionSimResults.screenshotPath = screenshotPath;
+      } catch {
+        visionSimResults.screenshotPath = null;
+      }
+    }
+    
+    // Test each color pair against vision types
+    colorPairs.forEach(pair => {
+      const testResults = testAllVisionTypes(pair.foreground, pair.background);
+      
+      if (!testResults.summary.isAccessible) {
+        visionSimResults.issues.push({
+          type: 'vision_simulation_failure',
+          severity: 'high',
+          message: `Color combination may be indistinguishable for users with ${testResults.summary.problematicTypes.length} type(s) of color vision deficiency (from ${Math.round(testResults.summary.lowestFailingSeverity * 100)}% severity)`,
+          colorPair: testResults.colorPair,
+          problematicVisionTypes: testResults.summary.problematicTypes.map(type => {
+            const result = testResults.results[type];
+            return {
+              visionType: type,
+              name: this.getVisionTypeName(type),
+              severity: result.severity,
+              simulatedDifference: result.simulatedDifference,
+              indistinguishableAtSeverity: result.indistinguishableAtSeverity,
+              impactPercentage: result.impactPercentage
+            };
+          }),
+          recommendation: 'Consider using higher contrast colors or adding non-color indicators (text labels, patterns, borders)',
+          context: {
+            selector: pair.context?.selector || 'unknown',
+            textSample: pair.context?.textSample || '',
+            originalColors: testResults.colorPair,
+            failedVisionTypes: testResults.summary.failedVisionTypes,
+            passedVisionTypes: testResults.summary.passedVisionTypes,
+            severityThresholds: testResults.summary.severityThresholds,
+            lowestFailingSeverity: testResults.summary.lowestFailingSeverity,
+            element: pair.element
+          }
+        });
+      }
+    });
+    
+    this.results.visionSimulation = visionSimResults;
+  }
+
+  /**
+   * Get human-readable vision type name
+   */
+  getVisionTypeName(visionType) {
+    const names = {
+      protanopia: 'Protanopia (Red-blind)',
+      deuteranopia: 'Deuteranopia (Green-blind)',
+      tritanopia: 'Tritanopia (Blue-blind)',
+      protanomaly: 'Protanomaly (Red-weak)',
+      deuteranomaly: 'Deuteranomaly (Green-weak, most common)',
+      tritanomaly: 'Tritanomaly (Blue-weak)',
+      achromatopsia: 'Achromatopsia (Complete color blindness)',
+      achromatomaly: 'Achromatomaly (Partial color blindness)'
+    };
+    return names[visionType] || visionType;
+  }
+
+  /**
+   * Check ARIA labels and accessibility attributes
+   */
+  async checkARIALabels() {
+    await this.installAccnameComputer();
+    await this.installSelectorGenerator();
+
+    const ariaData = await this.page.evaluate(() => {
+      const accname = window.__a11yAccname;
+      const results = {
+        elements: [],
+        issues: []
+      };
+
+      const compactSelector = window.__a11ySelector.compactSelector;
+
+      // Check all elements with ARIA attributes
+      const ariaElements = document.querySelectorAll('[aria-label], [aria-labelledby], [aria-describedby], [role], [aria-expanded], [aria-hidden], [aria-disabled]');
+      
+      ariaElements.forEach(element => {
+        const ariaAttrs = {};
+        Array.from(element.attributes).forEach(attr => {
+          if (attr.name.startsWith('aria-')) {
+            ariaAttrs[attr.name] = attr.value;
+          }
+        });
+        
+        const computed = accname.computeAccessibleName(element);
         results.elements.push({
           tag: element.tagName.toLowerCase(),
           text: element.textContent.trim().substring(0, 30),
           ariaAttrs,
           hasRole: !!element.getAttribute('role'),
-          role: element.getAttribute('role')
+          role: element.getAttribute('role'),
+          computedRole: computed.role,
+          accessibleName: computed.name.substring(0, 100),
+          nameSources: computed.nameSources.map(s => s.source),
+          description: computed.description.substring(0, 100)
+        });
+      });
+
+      // Check for elements without accessible names (accname 1.2) with enhanced context
+      // Links are checked by checkLinks, which reports them as empty_link
+      const interactiveElements = document.querySelectorAll(
+        'button, input, select, textarea, ' +
+        '[role="button"], [role="checkbox"], [role="radio"], [role="switch"], [role="tab"], ' +
+        '[role="menuitem"], [role="combobox"], [role="textbox"], [role="slider"]'
+      );
+      interactiveElements.forEach((element, index) => {
+        // Hidden elements are not in the accessibility tree and need no name
+        if (accname.isHidden(element)) return;
+        const ariaLabelledBy = element.getAttribute("aria-labelledby");
+        const hasAccessibleName = !!accname.computeAccessibleName(element).name;
+        
+        if (!hasAccessibleName) {
+          const generateInteractiveSelector = (elem) => compactSelector(elem);
+
+          const getInteractiveContext = (elem) => {
+            const form = elem.closest('form');
+            const label = document.querySelector(`label[for="${elem.id}"]`) || elem.closest('label');
+            const fieldset = elem.closest('fieldset');
+            const legend = fieldset?.querySelector('legend');
+            
+            return {
+              selector: generateInteractiveSelector(elem),
+              tagName: elem.tagName.toLowerCase(),
+              type: elem.type || '',
+              value: elem.value?.substring(0, 50) || '',
+              placeholder: elem.placeholder || '',
+              name: elem.name || '',
+              // Removed position
+              formContext: form ? {
+                id: form.id || '',
+                className: form.className || '',
+                action: form.action || ''
+              } : null,
+              labelContext: label ? {
+                text: label.textContent?.trim().substring(0, 100) || '',
+                isWrapping: label.contains(elem),
+                forAttribute: label.getAttribute('for') || ''
+              } : null,
+              fieldsetContext: fieldset && legend ? {
+                legend: legend.textContent?.trim().substring(0, 100) || ''
+              } : null,
+              nearbyText: {
+                previousText: elem.previousElementSibling?.textContent?.trim().substring(0, 50) || '',
+                nextText: elem.nextElementSibling?.textContent?.trim().substring(0, 50) || '',
+                parentText: elem.parentElement?.textContent?.trim().substring(0, 100) || ''
+              },
+              outerHTML: elem.outerHTML.substring(0, 400)
+            };
+          };
+
+        const interactiveContext = getInteractiveContext(element);
+        
+        results.issues.push({
+          type: 'missing_accessible_name',
+          severity: 'medium',
+          message: `${element.tagName} element without accessible name`,
+          element: element.tagName.toLowerCase(),
+          recommendation: 'Add aria-label, aria-labelledby, or visible text content',
+          elementDetails: interactiveContext,
+          context: {
+            selector: interactiveContext.selector,
+            elementType: `${element.tagName.toLowerCase()}${element.type ? `[type="${element.type}"]` : ''}`,
+            // Removed location string
+            associatedLabel: interactiveContext.labelContext?.text || 'None found',
+            containingForm: interactiveContext.formContext?.id || 'Not in form',
+            surroundingContext: interactiveContext.nearbyText,
+            ariaLabelledBy: ariaLabelledBy || null,
+            suggestions: [
+              ...(ariaLabelledBy ? [`Fix aria-labelledby="${ariaLabelledBy}": the referenced elements are missing or have no text`] : []),
+              interactiveContext.labelContext ? 'Use existing label with for/id association' : 'Add a <label> element',
+              'Add aria-label attribute with descriptive text',
+              'Add meaningful text content inside the element',
+              'Use aria-labelledby to reference descriptive text elsewhere'
+            ]
+          }
+        });
+        }
+      });
+
+      return results;
+    });
+
+    this.results.ariaLabels = ariaData;
+  }
+
+  /**
+   * Check roles and aria-* attributes against the ARIA 1.2 data table: valid roles and values,
+   * supported/prohibited/required states and properties, required context and owned elements.
+   * Native elements are included when their computed role has context or owned-element rules.
+   */
+  async checkARIAValidity() {
+    await this.installAriaValidator();
+    await this.installSelectorGenerator();
+
+    const validityData = await this.page.evaluate((spec) => {
+      const accname = window.__a11yAccname;
+      const validate = window.__a11yValidateARIA;
+      const results = {
+        checkedElements: 0,
+        issues: []
+      };
+
+      const compactSelector = window.__a11ySelector.compactSelector;
+
+      const SEVERITY = {
+        invalid_role: 'high',
+        invalid_aria_value: 'high',
+        missing_required_aria_attribute: 'high',
+        missing_required_context: 'high',
+        missing_required_children: 'high',
+        prohibited_aria_attribute: 'medium',
+        unsupported_aria_attribute: 'medium',
+        unknown_aria_attribute: 'medium',
+        aria_reference_missing: 'medium'
+      };
+      const RECOMMENDATION = {
+        invalid_role: 'Use a concrete ARIA 1.2 role, or remove the role attribute and rely on native semantics',
+        invalid_aria_value: 'Use one of the values allowed for this attribute',
+        missing_required_aria_attribute: 'Add the required state or property and keep it in sync with the widget',
+        missing_required_context: 'Place the element inside its required parent role, or use aria-owns on the parent',
+        missing_required_children: 'Add the required owned elements, or set aria-busy="true" while they load',
+        prohibited_aria_attribute: 'Remove the name, or use a role that supports naming',
+        unsupported_aria_attribute: 'Remove the attribute or use a role that supports it',
+        unknown_aria_attribute: 'Fix the attribute name; unknown aria-* attributes are ignored by assistive technology',
+        aria_reference_missing: 'Point the attribute at the id of an element that exists in the page',
+        deprecated_aria_attribute: 'Remove the deprecated attribute; it is not supported by current assistive technology'
+      };
+
+      const structural = (el) => {
+        const roleSpec = spec.roles[accname.getRole(el)];
+        return !!roleSpec && !!(roleSpec.context || roleSpec.owned);
+      };
+      const candidates = Array.from(document.querySelectorAll('*')).filter(el =>
+        el.hasAttribute('role') || Array.from(el.attributes).some(attr => attr.name.startsWith('aria-')) || structural(el)
+      );
+
+      // aria-owns parents, looked up once for every context check
+      const ownersById = new Map();
+      document.querySelectorAll('[aria-owns]').forEach(owner => {
+        owner.getAttribute('aria-owns').trim().split(/\s+/).forEach(id => ownersById.set(id, owner));
+      });
+
+      candidates.forEach(element => {
+        results.checkedElements++;
+        const result = validate(element, spec, accname.getRole, ownersById);
+        const findings = [
+          ...result.issues.map(issue => ({ ...issue, severity: SEVERITY[issue.type] || 'medium' })),
+          ...result.warnings.map(warning => ({ ...warning, severity: 'low' }))
+        ];
+        if (findings.length === 0) return;
+
+        const tag = element.tagName.toLowerCase();
+        const selector = compactSelector(element);
+        findings.forEach(finding => {
+          results.issues.push({
+            type: finding.type,
+            severity: finding.severity,
+            message: `${finding.message} on <${tag}>`,
+            recommendation: RECOMMENDATION[finding.type] || 'Review the element against the ARIA 1.2 specification',
+            context: {
+              selector,
+              elementType: tag,
+              role: result.role || null,
+              roleAttribute: element.getAttribute('role'),
+              attribute: finding.attribute || null,
+              value: finding.attribute ? element.getAttribute(finding.attribute) : null,
+              hidden: accname.isHidden(element),
+              textSample: element.textContent.trim().replace(/\s+/g, ' ').substring(0, 60),
+              outerHTML: element.outerHTML.substring(0, 300)
+            }
+          });
+        });
+      });
+
+      return results;
+    }, ARIA_SPEC);
+
+    this.results.ariaValidity = validityData;
+  }
+
+  /**
+   * Check data table semantics: tell layout tables from data tables, then check headers,
+   * scope/headers associations, captions, empty header cells and ARIA table/grid structure
+   */
+  async checkTables() {
+    await this.installAccnameComputer();
+    await this.installSelectorGenerator();
+
+    const tableData = await this.page.evaluate(() => {
+      const accname = window.__a11yAccname;
+      const results = {
+        tables: [],
+        issues: []
+      };
+
+      const compactSelector = window.__a11ySelector.compactSelector;
+
+      const TABLE_ROLES = ['table', 'grid', 'treegrid'];
+      const CELL_ROLES = ['cell', 'gridcell', 'columnheader', 'rowheader'];
+      const HEADER_ROLES = ['columnheader', 'rowheader'];
+      const VALID_SCOPES = ['row', 'col', 'rowgroup', 'colgroup'];
+      const cellText = (cell) => (cell.textContent || '').replace(/\s+/g, ' ').trim();
+      const preview = (cells) => cells.map(c => cellText(c).substring(0, 20) || '(empty)').join(' | ').substring(0, 120);
+
+      // Layout vs data, following the signals browsers use for the same decision
+      const classify = (table, rows) => {
+        const role = accname.getRole(table);
+        if (role === 'none' || role === 'presentation') return { isData: false, reason: `role="${role}"` };
+        if ((table.getAttribute('role') || '').trim()) return { isData: true, reason: `role="${role}"` };
+        if (table.querySelector('table')) return { isData: false, reason: 'contains nested tables' };
+        if (table.querySelector(':scope > caption, :scope > thead, :scope > tfoot, :scope > colgroup, th, [scope], [headers], [abbr]') ||
+          table.hasAttribute('summary')) {
+          return { isData: true, reason: 'table markup (caption, th, thead, scope or headers)' };
+        }
+        const columns = Math.max(0, ...rows.map(r => r.cells.length));
+        if (rows.length < 2 || columns < 2) return { isData: false, reason: 'single row or column' };
+        if (parseInt(table.getAttribute('border'), 10) > 0) return { isData: true, reason: 'border attribute' };
+        if (rows.length >= 20) return { isData: true, reason: '20 or more rows' };
+        // Styled like a data grid: most cells have borders and the rows are striped
+        const cells = rows.flatMap(r => Array.from(r.cells));
+        const hasBorder = (cell) => {
+          const cs = window.getComputedStyle(cell);
+          return ['Top', 'Right', 'Bottom', 'Left'].some(side =>
+            parseFloat(cs[`border${side}Width`]) > 0 && !['none', 'hidden'].includes(cs[`border${side}Style`]));
+        };
+        const rowBackground = (row) => [row, row.cells[0]]
+          .map(el => el && window.getComputedStyle(el).backgroundColor)
+          .find(c => c && c !== 'transparent' && c !== 'rgba(0, 0, 0, 0)') || 'none';
+        const alternates = (bgs) => bgs.length >= 3 && bgs[0] !== bgs[1] && bgs.every((bg, i) => i < 2 || bg === bgs[i - 2]);
+        const backgrounds = rows.map(rowBackground);
+        // A differently colored first row is usually an unmarked header row
+        const striped = alternates(backgrounds) || alternates(backgrounds.slice(1));
+        if (striped && cells.filter(hasBorder).length >= cells.length / 2) {
+          return { isData: true, reason: 'bordered cells and alternating row backgrounds' };
+        }
+        return { isData: false, reason: 'no data table signals (table markup, borders, striped rows or 20+ rows)' };
+      };
+
+      const pushIssue = (table, summary, type, severity, message, recommendation, extra = {}) => {
+        results.issues.push({
+          type,
+          severity,
+          message,
+          recommendation,
+          context: {
+            selector: summary.selector,
+            elementType: table.tagName.toLowerCase(),
+            tableType: summary.type,
+            classification: summary.reason,
+            rows: summary.rows,
+            columns: summary.columns,
+            caption: summary.caption,
+            headerPreview: summary.headerPreview,
+            textSample: cellText(table).substring(0, 80),
+            ...extra
+          }
+        });
+      };
+
+      const checkHeaderNames = (table, summary, headers) => {
+        const empty = headers.filter(h => !accname.computeAccessibleName(h).name);
+        if (empty.length === 0) return;
+        // An empty top-left corner over row headers is a common and mostly harmless pattern
+        const corner = empty.length === 1 && empty[0].parentElement?.rowIndex === 0 && empty[0].cellIndex === 0;
+        pushIssue(table, summary, 'empty_table_header', corner ? 'low' : 'medium',
+          `${empty.length} empty header cell${empty.length > 1 ? 's' : ''} in data table`,
+          'Give every header cell text (visually hidden if needed), or use <td> for cells that are not headers',
+          { emptyHeaders: empty.slice(0, 5).map(h => compactSelector(h)) });
+      };
+
+      // Native <table> elements
+      Array.from(document.querySelectorAll('table')).slice(0, 50).forEach(table => {
+        if (accname.isHidden(table)) return;
+        const rows = Array.from(table.rows);
+        const { isData, reason } = classify(table, rows);
+        const columns = Math.max(0, ...rows.map(r => Array.from(r.cells).reduce((n, c) => n + (c.colSpan || 1), 0)));
+        const ownCells = (selector) => Array.from(table.querySelectorAll(selector)).filter(c => c.closest('table') === table);
+        const headers = ownCells('th, td[role="columnheader"], td[role="rowheader"]');
+        const name = accname.computeAccessibleName(table).name;
+        const summary = {
+          selector: compactSelector(table),
+          type: isData ? 'data' : 'layout',
+          reason,
+          rows: rows.length,
+          columns,
+          caption: name.substring(0, 100),
+          headerCount: headers.length,
+          headerPreview: rows[0] ? preview(Array.from(rows[0].cells)) : ''
+        };
+        results.tables.push(summary);
+
+        if (!isData) {
+          const role = accname.getRole(table);
+          if ((role === 'none' || role === 'presentation') && (headers.length || table.querySelector(':scope > caption'))) {
+            pushIssue(table, summary, 'layout_table_with_data_markup', 'low',
+              `Table marked role="${role}" still contains ${headers.length ? '<th>' : '<caption>'} markup`,
+              'Remove the role if this is a data table, or replace <th>/<caption> with plain cells and text in a layout table');
+          }
+          return;
+        }
+
+        if (headers.length === 0) {
+          pushIssue(table, summary, 'no_table_headers', 'high',
+            `Data table with ${rows.length} rows and ${columns} columns has no header cells`,
+            'Mark up column and/or row headers with <th> so screen readers announce them with each cell');
+        } else {
+          checkHeaderNames(table, summary, headers);
+        }
+
+        const badScope = headers.filter(h => h.hasAttribute('scope') && !VALID_SCOPES.includes(h.getAttribute('scope').trim().toLowerCase()));
+        if (badScope.length) {
+          pushIssue(table, summary, 'invalid_scope', 'medium',
+            `Invalid scope value "${badScope[0].getAttribute('scope')}" on ${badScope.length} header cell${badScope.length > 1 ? 's' : ''}`,
+            'Use scope="col", "row", "colgroup" or "rowgroup"');
+        }
+
+        // headers attributes must point at cells of the same table
+        const withHeaders = ownCells('[headers]');
+        const missingIds = new Set();
+        withHeaders.forEach(cell => {
+          cell.getAttribute('headers').trim().split(/\s+/).filter(Boolean).forEach(id => {
+            const target = document.getElementById(id);
+            if (!target || target.closest('table') !== table || !/^t[hd]$/i.test(target.tagName)) missingIds.add(id);
+          });
+        });
+        if (missingIds.size) {
+          pushIssue(table, summary, 'invalid_headers_reference', 'medium',
+            `headers attribute references ${missingIds.size > 1 ? `${missingIds.size} ids that are` : 'an id that is'} not a cell of this table: ${Array.from(missingIds).slice(0, 5).join(', ')}`,
+            'Point headers at the ids of <th> cells in the same table');
+        }
+
+        // Complex tables (several header rows, or headers inside the body) need explicit associations
+        const headerRows = rows.filter(r => r.cells.length && Array.from(r.cells).every(c => c.tagName === 'TH'));
+        const innerHeaders = headers.filter(h => !headerRows.includes(h.parentElement) && h.cellIndex > 0);
+        const spanningHeaders = headers.filter(h => h.colSpan > 1 || h.rowSpan > 1);
+        const complex = headerRows.length > 1 || innerHeaders.length > 0 || (spanningHeaders.length > 0 && headers.length > headerRows.reduce((n, r) => n + r.cells.length, 0));
+        if (complex && withHeaders.length === 0) {
+          const unscoped = headers.filter(h => !h.hasAttribute('scope'));
+          if (unscoped.length) {
+            pushIssue(table, summary, 'header_scope_missing', 'medium',
+              `Complex data table has ${unscoped.length} header cell${unscoped.length > 1 ? 's' : ''} without scope and no headers/id associations`,
+              'Add scope="col"/"row" (or colgroup/rowgroup for spanning headers), or associate data cells with headers="..." ids',
+              { headerRows: headerRows.length, unscopedHeaders: unscoped.slice(0, 5).map(h => cellText(h).substring(0, 30)) });
+          }
+        }
+
+        if (!name) {
+          pushIssue(table, summary, 'missing_table_caption', 'low',
+            'Data table has no caption or accessible name',
+            'Add a <caption> (or aria-label/aria-labelledby) describing the table');
+        }
+      });
+
+      // ARIA tables and grids built from non-table elements need role="row" owning cell roles
+      Array.from(document.querySelectorAll('[role]')).filter(el => el.tagName !== 'TABLE' && TABLE_ROLES.includes(accname.getRole(el))).slice(0, 50).forEach(table => {
+        if (accname.isHidden(table)) return;
+        const role = accname.getRole(table);
+        const nearest = (el, roles) => {
+          for (let node = el.parentElement; node; node = node.parentElement) {
+            if (roles.includes(accname.getRole(node))) return node;
+          }
+          return null;
+        };
+        const descendants = Array.from(table.querySelectorAll('*')).filter(el => nearest(el, TABLE_ROLES) === table);
+        const rows = descendants.filter(el => accname.getRole(el) === 'row');
+        const cells = descendants.filter(el => CELL_ROLES.includes(accname.getRole(el)));
+        const rowOf = new Map(cells.map(c => [c, nearest(c, ['row'])]));
+        const cellsOf = (row) => cells.filter(c => rowOf.get(c) === row);
+        const headers = cells.filter(c => HEADER_ROLES.includes(accname.getRole(c)));
+        const name = accname.computeAccessibleName(table).name;
+        const summary = {
+          selector: compactSelector(table),
+          type: 'aria',
+          reason: `role="${role}"`,
+          rows: rows.length,
+          columns: Math.max(0, ...rows.map(r => cellsOf(r).length)),
+          caption: name.substring(0, 100),
+          headerCount: headers.length,
+          headerPreview: rows[0] ? preview(cellsOf(rows[0])) : ''
+        };
+        results.tables.push(summary);
+
+        if (rows.length === 0) {
+          pushIssue(table, summary, 'aria_table_missing_rows', 'high',
+            `role="${role}" has no elements with role="row"`,
+            `Give each row role="row" and each cell role="${role === 'table' ? 'cell' : 'gridcell'}", columnheader or rowheader, or use a native <table>`);
+          return;
+        }
+        const emptyRows = rows.filter(r => cellsOf(r).length === 0);
+        if (emptyRows.length) {
+          pushIssue(table, summary, 'aria_row_missing_cells', 'high',
+            `${emptyRows.length} of ${rows.length} rows in role="${role}" ${emptyRows.length > 1 ? 'have' : 'has'} no cell, gridcell, columnheader or rowheader children`,
+            'Give the cells of each row a cell role');
+        }
+        const strayCells = cells.filter(c => !rows.includes(rowOf.get(c)));
+        if (strayCells.length) {
+          pushIssue(table, summary, 'aria_cells_outside_rows', 'high',
+            `${strayCells.length} cell${strayCells.length > 1 ? 's' : ''} in role="${role}" ${strayCells.length > 1 ? 'are' : 'is'} not inside a role="row"`,
+            'Wrap cells in an element with role="row"');
+        }
+        if (headers.length === 0) {
+          pushIssue(table, summary, 'no_table_headers', 'high',
+            `role="${role}" has no columnheader or rowheader cells`,
+            'Mark header cells with role="columnheader" or role="rowheader"');
+        } else {
+          checkHeaderNames(table, summary, headers);
+        }
+        if (!name) {
+          pushIssue(table, summary, 'missing_table_caption', 'low',
+            `role="${role}" has no accessible name`,
+            'Name the table with aria-label or aria-labelledby pointing at its visible title');
+        }
+      });
+
+      return results;
+    });
+
+    this.results.tables = tableData;
+  }
+
+  /**
+   * Check <video>, <audio> and embedded players (YouTube, Vimeo and similar iframes): captions,
+   * autoplaying sound (1.4.2), long-running background video without pause (2.2.2) and player
+   * iframe titles. Every asset is listed in results.media.assets for manual transcript review
+   */
+  async checkMedia() {
+    await this.installAccnameComputer();
+    await this.installSelectorGenerator();
+
+    const mediaData = await this.page.evaluate(() => {
+      const accname = window.__a11yAccname;
+      const results = {
+        assets: [],
+        issues: []
+      };
+
+      const compactSelector = window.__a11ySelector.compactSelector;
+
+      const PLAYERS = [
+        { provider: 'YouTube', host: /(^|\.)(youtube|youtube-nocookie)\.com$|^youtu\.be$/ },
+        { provider: 'Vimeo', host: /(^|\.)vimeo\.com$/ },
+        { provider: 'Wistia', host: /(^|\.)wistia\.(com|net)$/ },
+        { provider: 'Dailymotion', host: /(^|\.)dailymotion\.com$/ },
+        { provider: 'Brightcove', host: /(^|\.)brightcove\.(net|com)$/ },
+        { provider: 'JW Player', host: /(^|\.)(jwplayer|jwplatform|jwp)\.(com|io)$/ },
+        { provider: 'Loom', host: /(^|\.)loom\.com$/ },
+        { provider: 'Twitch', host: /(^|\.)twitch\.tv$/ },
+        { provider: 'SoundCloud', host: /(^|\.)soundcloud\.com$/ },
+        { provider: 'Spotify', host: /(^|\.)spotify\.com$/ }
+      ];
+
+      // Controls near a player: inside its container (figure, section, *player*, ...) within three
+      // levels, otherwise only immediate neighbours that hold no other player, never the whole page
+      const nearbyControls = (el, selector) => {
+        let regions = null;
+        let node = el.parentElement;
+        for (let depth = 0; node && node !== document.body && depth < 3; depth++) {
+          if (node.matches('figure, section, article, [class*="video" i], [class*="player" i], [class*="media" i]')) {
+            regions = [node];
+            break;
+          }
+          node = node.parentElement;
+        }
+        if (!regions) {
+          const parent = el.parentElement;
+          const otherMedia = (node) => node.matches('video, audio, iframe') || node.querySelector('video, audio, iframe');
+          regions = [el.previousElementSibling, el.nextElementSibling]
+            .filter(node => node && !otherMedia(node));
+          if (parent && parent !== document.body && parent.children.length <= 4 && parent.querySelectorAll('video, audio, iframe').length === 1) {
+            regions.push(parent);
+          }
+        }
+        return regions.flatMap(region => [
+          ...(region.matches(selector) ? [region] : []),
+          ...Array.from(region.querySelectorAll(selector))
+        ]);
+      };
+      const hasPauseControl = (el) => nearbyControls(el, 'button, [role="button"], input[type="button"], a[href]')
+        .some(control => /\b(pause|stop|play|mute|unmute|sound)\b/i.test(accname.computeAccessibleName(control).name));
+      const transcriptLink = (el) => {
+        const link = nearbyControls(el, 'a[href], button, summary')
+          .find(control => /transcript/i.test(accname.computeAccessibleName(control).name));
+        return link ? accname.computeAccessibleName(link).name.substring(0, 80) : null;
+      };
+
+      const pushIssue = (asset, type, severity, message, recommendation, extra = {}) => {
+        results.issues.push({
+          type,
+          severity,
+          message,
+          recommendation,
+          context: {
+            selector: asset.selector,
+            elementType: asset.kind === 'embed' ? 'iframe' : asset.kind,
+            provider: asset.provider,
+            src: asset.src,
+            textSample: asset.title || asset.src,
+            autoplay: asset.autoplay,
+            muted: asset.muted,
+            loop: asset.loop,
+            controls: asset.controls,
+            duration: asset.duration,
+            ...extra
+          }
+        });
+      };
+
+      // Native <video> and <audio>
+      Array.from(document.querySelectorAll('video, audio')).slice(0, 100).forEach(el => {
+        const kind = el.tagName.toLowerCase();
+        const tracks = Array.from(el.querySelectorAll('track')).map(t => ({
+          kind: (t.getAttribute('kind') || 'subtitles').toLowerCase(),
+          srclang: t.getAttribute('srclang') || '',
+          label: t.getAttribute('label') || '',
+          hasSrc: !!t.getAttribute('src')
+        }));
+        const source = el.currentSrc || el.getAttribute('src') || el.querySelector('source')?.getAttribute('src') || '';
+        const playing = !el.paused && !el.ended;
+        const asset = {
+          kind,
+          provider: 'native',
+          src: source.substring(0, 200),
+          selector: compactSelector(el),
+          title: accname.computeAccessibleName(el).name.substring(0, 100),
+          duration: Number.isFinite(el.duration) ? Math.round(el.duration * 10) / 10 : null,
+          autoplay: el.autoplay || playing,
+          muted: el.muted || el.volume === 0,
+          loop: el.loop,
+          controls: el.controls,
+          captions: tracks.some(t => t.kind === 'captions' && t.hasSrc) ? 'yes' : 'no',
+          tracks,
+          transcript: transcriptLink(el),
+          hidden: accname.isHidden(el)
+        };
+        results.assets.push(asset);
+        if (asset.hidden) return;
+
+        const pauseControl = asset.controls || hasPauseControl(el);
+        // Muted autoplaying video without controls is decorative and carries no speech to caption
+        const decorative = kind === 'video' && asset.autoplay && asset.muted && !asset.controls;
+        if (kind === 'video' && asset.captions === 'no' && !decorative) {
+          const subtitles = tracks.some(t => t.kind === 'subtitles');
+          pushIssue(asset, 'video_missing_captions', 'high',
+            subtitles ? 'Video has subtitle tracks but no captions track' : 'Video has no <track kind="captions">',
+            'Add <track kind="captions" src="..." srclang="..."> with captions that include speech and meaningful sounds',
+            { tracks });
+        }
+        // 1.4.2 applies to sound that plays for more than 3 seconds
+        if (asset.autoplay && !asset.muted && !pauseControl && (asset.duration === null || asset.duration > 3)) {
+          pushIssue(asset, 'autoplay_audio_no_control', 'high',
+            `Autoplaying ${kind} with sound has no pause, stop or mute control`,
+            'Do not autoplay sound; otherwise add the controls attribute or a visible pause/mute button');
+        }
+        if (kind === 'video' && asset.autoplay && !pauseControl && (asset.loop || asset.duration === null || asset.duration > 5)) {
+          pushIssue(asset, 'background_video_no_pause', 'high',
+            `Autoplaying video ${asset.loop ? 'loops' : asset.duration ? `runs ${asset.duration}s` : 'runs for an unknown length'} with no pause mechanism`,
+            'Add a visible pause button (or controls), stop after 5 seconds, or honour prefers-reduced-motion');
+        }
+      });
+
+      // Third-party players
+      Array.from(document.querySelectorAll('iframe')).slice(0, 100).forEach(frame => {
+        const rawSrc = frame.getAttribute('src') || frame.getAttribute('data-src') || '';
+        let url;
+        try { url = new URL(rawSrc, document.baseURI); } catch { return; }
+        const player = PLAYERS.find(p => p.host.test(url.hostname));
+        if (!player) return;
+        const param = (name) => url.searchParams.get(name);
+        const on = (name) => ['1', 'true'].includes((param(name) || '').toLowerCase());
+        const background = player.provider === 'Vimeo' && on('background');
+        const asset = {
+          kind: 'embed',
+          provider: player.provider,
+          src: url.href.substring(0, 200),
+          selector: compactSelector(frame),
+          title: accname.computeAccessibleName(frame).name.substring(0, 100),
+          duration: null,
+          autoplay: on('autoplay') || on('autostart') || background,
+          muted: on('mute') || on('muted') || background,
+          loop: on('loop') || background,
+          controls: param('controls') !== '0' && !background,
+          captions: on('cc_load_policy') || param('texttrack') ? 'on by default' : 'unknown',
+          tracks: [],
+          transcript: transcriptLink(frame),
+          hidden: accname.isHidden(frame)
+        };
+        results.assets.push(asset);
+        if (asset.hidden) return;
+
+        if (!asset.title) {
+          pushIssue(asset, 'media_iframe_missing_title', 'medium',
+            `${player.provider} player iframe has no title`,
+            'Add a title attribute describing the video, e.g. title="Product demo video"');
+        }
+        const pauseControl = asset.controls || hasPauseControl(frame);
+        if (asset.autoplay && !asset.muted && !pauseControl) {
+          pushIssue(asset, 'autoplay_audio_no_control', 'high',
+            `${player.provider} player autoplays with sound and its controls are turned off`,
+            'Remove autoplay, start muted, or keep the player controls enabled');
+        }
+        if (asset.autoplay && asset.loop && !pauseControl) {
+          pushIssue(asset, 'background_video_no_pause', 'high',
+            `${player.provider} player loops in the background with no pause mechanism`,
+            'Keep the player controls, or add a visible pause button that calls the player API');
+        }
+      });
+
+      return results;
+    });
+
+    this.results.media = mediaData;
+  }
+
+  /**
+   * Check motion and animation: flashing above three per second (2.3.1), and motion that keeps
+   * running with prefers-reduced-motion: reduce (2.2.2, 2.3.3). The page is observed as loaded and
+   * once more after a reload emulating reduced motion. Covers CSS/Web Animations from
+   * document.getAnimations(), auto-advancing carousels, animated GIF/APNG/WebP images and parallax
+   * scroll effects; animation names and durations are kept as evidence
+   */
+  async checkMotion() {
+    // Long enough to see a carousel advance on the usual 3-5 second interval
+    const OBSERVE_MS = 5500;
+    const FLASH_SAMPLE_MS = 1000;
+    // WCAG general flash threshold: 25% of 10 degrees of visual field, 341 x 256 px at 1024 x 768
+    const FLASH_AREA = 21824;
+    const MAX_IMAGES = 20;
+    const MAX_ISSUES_PER_TYPE = 30;
+    const results = {
+      normal: null,
+      reduced: null,
+      issues: []
+    };
+
+    const collectMotion = async ({ observeMs, flashSampleMs, maxImages }) => {
+      const data = {
+        animations: [],
+        flashing: [],
+        carousels: [],
+        images: [],
+        parallax: [],
+        scrollTested: false
+      };
+
+      const compactSelector = window.__a11ySelector.compactSelector;
+
+      const wait = (ms) => new Promise(r => setTimeout(r, ms));
+      const nextFrame = () => new Promise(r => (window.requestAnimationFrame || (cb => setTimeout(cb, 16)))(r));
+      const areaOf = (el) => {
+        const r = el.getBoundingClientRect();
+        return Math.round(Math.max(0, r.width) * Math.max(0, r.height));
+      };
+      const shown = (el) => {
+        const cs = window.getComputedStyle(el);
+        return cs.display !== 'none' && cs.visibility !== 'hidden' && areaOf(el) > 0;
+      };
+      const controlName = (el) => (el.getAttribute('aria-label') || el.textContent || el.getAttribute('title') || el.value || '').trim();
+      // Pause/stop/play buttons inside the element, or beside it in a small wrapper (never the whole page)
+      const hasPauseControl = (el) => [el, el.parentElement]
+        .filter((region, i) => region && region !== document.body && (i === 0 || region.children.length <= 4))
+        .some(region =>
+        Array.from(region.querySelectorAll('button, [role="button"], input[type="button"]'))
+          .some(control => /\b(pause|stop|play)\b/i.test(controlName(control))));
+
+      const documentTimeline = (anim) => !anim.timeline || anim.timeline === document.timeline ||
+        (typeof DocumentTimeline !== 'undefined' && anim.timeline instanceof DocumentTimeline);
+      const describeAnimation = (anim) => {
+        const effect = anim.effect;
+        const target = effect?.target;
+        if (!target || target.nodeType !== Node.ELEMENT_NODE) return null;
+        const timing = effect.getComputedTiming ? effect.getComputedTiming() : {};
+        const iterations = timing.iterations ?? 1;
+        const duration = typeof timing.duration === 'number' ? timing.duration : parseFloat(timing.duration) || 0;
+        const infinite = !Number.isFinite(iterations) || !Number.isFinite(timing.activeDuration);
+        let properties = [];
+        try {
+          properties = [...new Set(effect.getKeyframes().flatMap(frame => Object.keys(frame)))]
+            .filter(key => !['offset', 'computedOffset', 'easing', 'composite'].includes(key));
+        } catch {}
+        const kind = anim.animationName !== undefined ? 'css-animation'
+          : anim.transitionProperty !== undefined ? 'css-transition' : 'web-animation';
+        return {
+          element: target,
+          name: anim.animationName || anim.transitionProperty || anim.id || 'script animation',
+          kind,
+          selector: compactSelector(target) + (effect.pseudoElement || ''),
+          pseudoElement: effect.pseudoElement || null,
+          durationMs: Math.round(duration),
+          delayMs: Math.round(timing.delay || 0),
+          iterations: infinite ? 'infinite' : iterations,
+          infinite,
+          totalMs: infinite ? null : Math.round((timing.delay || 0) + (timing.activeDuration || 0)),
+          properties,
+          playState: anim.playState,
+          scrollDriven: !documentTimeline(anim),
+          area: areaOf(target)
+        };
+      };
+      const runningAnimations = () => (document.getAnimations ? document.getAnimations() : [])
+        .filter(anim => anim.playState === 'running')
+        .map(describeAnimation)
+        .filter(a => a && shown(a.element));
+
+      // Parallax: scroll and see which layers move at a different speed than the page
+      const pinned = (el) => {
+        for (let node = el; node && node !== document.body; node = node.parentElement) {
+          if (['fixed', 'sticky'].includes(window.getComputedStyle(node).position)) return true;
+        }
+        return false;
+      };
+      const scrollTo = (top) => window.scrollTo({ top, left: window.scrollX, behavior: 'instant' });
+      const startY = window.scrollY;
+      const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+      // Layers already moving by animation would look like parallax
+      const animated = new Set(runningAnimations()
+        .filter(a => !a.scrollDriven && a.properties.some(p => /transform|translate|top|left|backgroundPosition/i.test(p)))
+        .map(a => a.element));
+      const layers = Array.from(document.body?.querySelectorAll('*') || [])
+        .filter(el => !el.closest('svg, script, style, noscript, template') && !animated.has(el))
+        .filter(el => {
+          const r = el.getBoundingClientRect();
+          return r.width * r.height >= 2500 && r.bottom > 0 && r.top < window.innerHeight + 400;
+        })
+        .slice(0, 1500);
+      const place = (el) => {
+        const cs = window.getComputedStyle(el);
+        return { top: el.getBoundingClientRect().top, transform: cs.transform, backgroundPosition: cs.backgroundPosition };
+      };
+      const parallaxFound = new Map();
+      const addParallax = (el, technique, evidence = {}) => {
+        if ([...parallaxFound.keys()].some(found => found.contains(el))) return;
+        parallaxFound.set(el, { selector: compactSelector(el), technique, area: areaOf(el), ...evidence });
+      };
+      if (maxScroll - startY >= 100) {
+        const before = new Map(layers.map(el => [el, place(el)]));
+        scrollTo(startY + Math.min(400, maxScroll - startY));
+        await nextFrame();
+        await wait(300);
+        await nextFrame();
+        const scrolled = window.scrollY - startY;
+        if (scrolled >= 50) {
+          data.scrollTested = true;
+          layers.forEach(el => {
+            if (pinned(el)) return;
+            const a = before.get(el);
+            const b = place(el);
+            const offset = Math.round((b.top - a.top) + scrolled);
+            if (a.transform !== b.transform && Math.abs(offset) > 10) {
+              addParallax(el, 'transform changes on scroll', { offsetPx: offset, scrolledPx: scrolled });
+            } else if (a.backgroundPosition !== b.backgroundPosition) {
+              addParallax(el, 'background-position changes on scroll', { scrolledPx: scrolled });
+            } else if (Math.abs(offset) > 20) {
+              addParallax(el, 'position changes on scroll', { offsetPx: offset, scrolledPx: scrolled });
+            }
+          });
+        }
+        scrollTo(startY);
+        await nextFrame();
+      }
+      layers.forEach(el => {
+        const cs = window.getComputedStyle(el);
+        if (cs.backgroundImage !== 'none' && /fixed/.test(cs.backgroundAttachment)) {
+          addParallax(el, 'background-attachment: fixed');
+        }
+      });
+
+      // Carousels: compare the visible slide before and after the observation window
+      const CAROUSEL = '[aria-roledescription="carousel" i], .carousel, .swiper, .swiper-container, .slick-slider, ' +
+        '.glide, .splide, .flickity-enabled, [data-ride="carousel"], [data-bs-ride="carousel"], [class*="carousel" i], [class*="slideshow" i]';
+      const ACTIVE_SLIDE = '.active, .is-active, .is-selected, .swiper-slide-active, .slick-current, .glide__slide--active, ' +
+        '[aria-current="true"], [aria-selected="true"]';
+      const TRACK = '.swiper-wrapper, .slick-track, .glide__slides, .splide__list, .flickity-slider, .carousel-inner';
+      const SLIDE = '[aria-roledescription="slide" i], .swiper-slide, .slick-slide, .carousel-item, .glide__slide, .splide__slide';
+      const carouselEls = Array.from(document.querySelectorAll(CAROUSEL))
+        .filter((el, i, all) => shown(el) && !all.some(other => other !== el && other.contains(el)))
+        .slice(0, 10);
+      const carouselState = (el) => {
+        const box = el.getBoundingClientRect();
+        const active = Array.from(el.querySelectorAll(ACTIVE_SLIDE)).filter(s => !s.matches('button, [role="tab"], li:empty'));
+        const track = el.querySelector(TRACK);
+        const visibleSlides = Array.from(el.querySelectorAll(SLIDE)).map((slide, i) => {
+          const r = slide.getBoundingClientRect();
+          const cs = window.getComputedStyle(slide);
+          const inView = r.width > 0 && r.left < box.right - 1 && r.right > box.left + 1 &&
+            cs.visibility !== 'hidden' && parseFloat(cs.opacity) > 0.1 && cs.display !== 'none';
+          return inView ? i : null;
+        }).filter(i => i !== null);
+        return [
+          active.map(s => (s.textContent || '').trim().substring(0, 40)).join('/'),
+          track ? window.getComputedStyle(track).transform : '',
+          track ? track.scrollLeft : 0,
+          el.scrollLeft,
+          visibleSlides.join(',')
+        ].join('|');
+      };
+      const carouselStart = carouselEls.map(carouselState);
+      const started = performance.now();
+
+      // Flashing: sample the luminance of animated, large-enough targets every frame
+      const parseColor = (str) => {
+        const m = /rgba?\(([^)]+)\)/.exec(str || '');
+        if (!m) return null;
+        const p = m[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+        return { r: p[0], g: p[1], b: p[2], a: p.length > 3 ? p[3] : 1 };
+      };
+      const channel = (c) => {
+        const s = c / 255;
+        return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+      };
+      const luminance = (c) => 0.2126 * channel(c.r) + 0.7152 * channel(c.g) + 0.0722 * channel(c.b);
+      const backdropOf = (el) => {
+        for (let node = el.parentElement; node; node = node.parentElement) {
+          const bg = parseColor(window.getComputedStyle(node).backgroundColor);
+          if (bg && bg.a >= 0.5) return bg;
+        }
+        return { r: 255, g: 255, b: 255, a: 1 };
+      };
+      const sampleLuminance = (target, backdrop) => {
+        const cs = window.getComputedStyle(target.element, target.pseudoElement);
+        const bg = parseColor(cs.backgroundColor);
+        const paint = bg && bg.a > 0.1 ? bg : parseColor(cs.color) || backdrop;
+        const alpha = (paint.a ?? 1) * parseFloat(cs.opacity || '1') * (cs.visibility === 'hidden' ? 0 : 1);
+        const mix = (k) => paint[k] * alpha + backdrop[k] * (1 - alpha);
+        return luminance({ r: mix('r'), g: mix('g'), b: mix('b') });
+      };
+      // A flash is a pair of opposing luminance changes of at least 10% where the darker state is below 0.8
+      const countTransitions = (series) => {
+        let transitions = 0;
+        let dir = 0;
+        let pivot = series[0];
+        series.forEach(v => {
+          // Follow the current extreme until the value turns back
+          if ((dir > 0 && v > pivot) || (dir < 0 && v < pivot)) {
+            pivot = v;
+            return;
+          }
+          const delta = v - pivot;
+          if (Math.abs(delta) >= 0.1 && Math.min(v, pivot) < 0.8) {
+            transitions++;
+            dir = Math.sign(delta);
+            pivot = v;
+          }
+        });
+        return transitions;
+      };
+      const flashCandidates = new Map();
+      runningAnimations()
+        .filter(a => !a.scrollDriven && a.properties.some(p => /opacity|color|background|visibility|filter|fill/i.test(p)))
+        .forEach(a => {
+          const key = a.selector;
+          if (!flashCandidates.has(key)) flashCandidates.set(key, { ...a, backdrop: backdropOf(a.element), series: [], animations: [] });
+          flashCandidates.get(key).animations.push({ name: a.name, durationMs: a.durationMs, iterations: a.iterations });
+        });
+      const candidates = [...flashCandidates.values()].slice(0, 20);
+      if (candidates.length) {
+        const sampleStart = performance.now();
+        while (performance.now() - sampleStart < flashSampleMs) {
+          candidates.forEach(c => c.series.push(sampleLuminance(c, c.backdrop)));
+          await nextFrame();
+        }
+        const seconds = (performance.now() - sampleStart) / 1000;
+        candidates.forEach(c => {
+          const flashes = Math.floor(countTransitions(c.series) / 2);
+          if (flashes === 0) return;
+          data.flashing.push({
+            selector: c.selector,
+            elementType: c.element.tagName.toLowerCase(),
+            flashesPerSecond: Math.round((flashes / seconds) * 10) / 10,
+            area: c.area,
+            samples: c.series.length,
+            animations: c.animations
+          });
+        });
+      }
+
+      // Animated image candidates; the formats are read from the file outside the page
+      data.images = Array.from(document.images)
+        .filter(img => shown(img) && /(\.(gif|png|apng|webp)([?#]|$))|^data:image\/(gif|png|apng|webp)/i.test(img.currentSrc || img.src || ''))
+        .sort((a, b) => areaOf(b) - areaOf(a))
+        .slice(0, maxImages)
+        .map(img => ({
+          selector: compactSelector(img),
+          src: img.currentSrc || img.src,
+          alt: (img.getAttribute('alt') || '').substring(0, 100),
+          area: areaOf(img),
+          pauseControl: hasPauseControl(img)
+        }));
+
+      // Poll so a two-slide carousel that returns to its first slide is still caught
+      const advanced = carouselEls.map(() => false);
+      do {
+        carouselEls.forEach((el, i) => {
+          if (carouselState(el) !== carouselStart[i]) advanced[i] = true;
+        });
+        await wait(250);
+      } while (performance.now() - started < observeMs);
+
+      carouselEls.forEach((el, i) => {
+        const labelledBy = (el.getAttribute('aria-labelledby') || '').split(/\s+/)
+          .map(id => document.getElementById(id)?.textContent || '').join(' ').trim();
+        data.carousels.push({
+          selector: compactSelector(el),
+          label: (el.getAttribute('aria-label') || labelledBy || el.querySelector('h1, h2, h3, h4')?.textContent || '').trim().substring(0, 80),
+          autoAdvance: advanced[i],
+          pauseControl: hasPauseControl(el),
+          slides: el.querySelectorAll(SLIDE).length
+        });
+      });
+
+      // Animations seen at the end of the window too, so script-started ones are included
+      const seen = new Set();
+      runningAnimations().forEach(a => {
+        const key = `${a.selector}\u0000${a.name}`;
+        if (a.scrollDriven) {
+          addParallax(a.element, 'scroll-driven animation', { animation: a.name });
+          return;
+        }
+        if (seen.has(key)) return;
+        seen.add(key);
+        const { element, ...rest } = a;
+        data.animations.push({ ...rest, elementType: element.tagName.toLowerCase() });
+      });
+      data.animations = data.animations.slice(0, 100);
+      data.parallax = [...parallaxFound.values()].slice(0, 30);
+      return data;
+    };
+
+    // Frame counts and durations come from the image files; the page cannot see them
+    const imageInfo = new Map();
+    const readImages = async (pass) => {
+      for (const image of pass.images) {
+        if (!imageInfo.has(image.src)) {
+          let info = null;
+          try {
+            if (image.src.startsWith('data:')) {
+              info = animatedImageInfo(Buffer.from(image.src.split(',')[1] || '', 'base64'));
+            } else {
+              const response = await this.page.context().request.get(image.src, { timeout: 10000 });
+              if (response.ok()) info = animatedImageInfo(await response.body());
+            }
+          } catch {}
+          imageInfo.set(image.src, info);
+        }
+        image.info = imageInfo.get(image.src);
+        if (image.src.startsWith('data:')) image.src = image.src.substring(0, 60) + '...';
+      }
+      pass.images = pass.images.filter(image => image.info?.animated);
+    };
+    const args = { observeMs: OBSERVE_MS, flashSampleMs: FLASH_SAMPLE_MS, maxImages: MAX_IMAGES };
+
+    try {
+      await this.installSelectorGenerator();
+      results.normal = await this.page.evaluate(collectMotion, args);
+      await readImages(results.normal);
+    } catch (e) {
+      results.error = e.message;
+      this.results.motion = results;
+      return;
+    }
+
+    // Reload the same page under reduced motion so it keeps the crawler's context (user agent,
+    // headers, certificates, locale), then reload it without emulation for the remaining checks
+    const load = { waitUntil: 'networkidle', timeout: this.options.timeout || 30000 };
+    try {
+      await this.page.emulateMedia({ reducedMotion: 'reduce' });
+      await this.page.reload(load);
+      await this.installSelectorGenerator();
+      results.reduced = await this.page.evaluate(collectMotion, args);
+      await readImages(results.reduced);
+    } catch (e) {
+      results.reducedError = e.message;
+    } finally {
+      await this.page.emulateMedia({ reducedMotion: null }).catch(() => {});
+      await this.page.reload(load).catch(() => {});
+    }
+
+    const normal = results.normal;
+    const reduced = results.reduced;
+    const counts = {};
+    const pushIssue = (type, severity, message, recommendation, context) => {
+      counts[type] = (counts[type] || 0) + 1;
+      if (counts[type] > MAX_ISSUES_PER_TYPE) return;
+      results.issues.push({ type, severity, message, recommendation, context });
+    };
+    const describe = (a) => `${a.name} (${a.durationMs}ms${a.iterations === 'infinite' ? ', infinite' : a.iterations > 1 ? ` x${a.iterations}` : ''})`;
+    const seconds = (ms) => `${Math.round(ms / 100) / 10}s`;
+
+    // 2.3.1: flashing under either preference
+    const flashing = new Map();
+    [...normal.flashing, ...(reduced?.flashing || [])].forEach(flash => {
+      const known = flashing.get(flash.selector);
+      if (!known || flash.flashesPerSecond > known.flashesPerSecond) flashing.set(flash.selector, flash);
+    });
+    flashing.forEach(flash => {
+      if (flash.flashesPerSecond <= 3 || flash.area < FLASH_AREA) return;
+      const stillReduced = reduced?.flashing.some(f => f.selector === flash.selector && f.flashesPerSecond > 3);
+      pushIssue('flashing_content', 'critical',
+        `Content flashes ${flash.flashesPerSecond} times per second${stillReduced ? ', also with reduced motion' : ''}: ${flash.animations.map(describe).join(', ')}`,
+        'Keep flashing to three times or fewer in any one second, shrink the flashing area below the general flash threshold, or remove the effect',
+        {
+          selector: flash.selector,
+          elementType: flash.elementType,
+          textSample: flash.animations.map(a => a.name).join(', '),
+          flashesPerSecond: flash.flashesPerSecond,
+          area: flash.area,
+          animations: flash.animations,
+          reducedMotion: reduced ? stillReduced : null
+        });
+    });
+
+    // Carousels: auto-advance needs a pause control (2.2.2) and should stop under reduced motion
+    normal.carousels.forEach(carousel => {
+      const underReduced = reduced?.carousels.find(c => c.selector === carousel.selector);
+      const context = {
+        selector: carousel.selector,
+        elementType: 'carousel',
+        textSample: carousel.label,
+        slides: carousel.slides,
+        pauseControl: carousel.pauseControl,
+        observedMs: OBSERVE_MS
+      };
+      if (underReduced?.autoAdvance) {
+        pushIssue('carousel_ignores_reduced_motion', carousel.pauseControl ? 'medium' : 'high',
+          `Carousel keeps auto-advancing with prefers-reduced-motion: reduce${carousel.pauseControl ? '' : ' and has no pause control'}`,
+          'Do not start the rotation when prefers-reduced-motion is reduce, and provide a visible pause button',
+          context);
+      } else if (carousel.autoAdvance && !carousel.pauseControl) {
+        pushIssue('carousel_no_pause', 'high',
+          `Carousel auto-advances within ${seconds(OBSERVE_MS)} and has no pause or stop control`,
+          'Add a visible pause button that stops the rotation, or do not auto-advance',
+          context);
+      }
+    });
+
+    if (reduced) {
+      // Looping or longer-than-5-second motion that survives prefers-reduced-motion: reduce
+      const byTarget = new Map();
+      reduced.animations
+        .filter(a => a.infinite || a.totalMs > 5000)
+        .forEach(a => {
+          if (!byTarget.has(a.selector)) byTarget.set(a.selector, []);
+          byTarget.get(a.selector).push(a);
+        });
+      byTarget.forEach((animations, selector) => {
+        pushIssue('animation_ignores_reduced_motion', 'medium',
+          `Animation keeps running with prefers-reduced-motion: reduce: ${animations.map(describe).join(', ')}`,
+          'Move the animation inside @media (prefers-reduced-motion: no-preference), or stop it under reduce; looping motion also needs a pause control',
+          {
+            selector,
+            elementType: animations[0].elementType,
+            textSample: animations.map(a => a.name).join(', '),
+            animations: animations.map(a => ({
+              name: a.name,
+              kind: a.kind,
+              durationMs: a.durationMs,
+              delayMs: a.delayMs,
+              iterations: a.iterations,
+              properties: a.properties
+            })),
+            area: animations[0].area
+          });
+      });
+
+      reduced.images
+        .filter(image => (image.info.totalMs === Infinity || image.info.totalMs > 5000) && !image.pauseControl)
+        .forEach(image => {
+          const { format, frames, durationMs, plays } = image.info;
+          const length = plays === 0 ? 'loops forever' : `plays for ${seconds(image.info.totalMs)}`;
+          pushIssue('animated_image_ignores_reduced_motion', 'medium',
+            `Animated ${format.toUpperCase()} (${frames} frames, ${seconds(durationMs)} per loop) ${length} with reduced motion and has no pause control`,
+            'Serve a still image under prefers-reduced-motion (<picture><source media="(prefers-reduced-motion: reduce)">), stop it within 5 seconds, or add a pause control',
+            {
+              selector: image.selector,
+              elementType: 'img',
+              textSample: image.alt || image.src.substring(0, 100),
+              src: image.src.substring(0, 200),
+              format,
+              frames,
+              durationMs,
+              plays: plays === 0 ? 'infinite' : plays
+            });
+        });
+
+      reduced.parallax.forEach(layer => {
+        pushIssue('parallax_ignores_reduced_motion', layer.technique === 'background-attachment: fixed' ? 'low' : 'medium',
+          `Parallax effect (${layer.technique}) stays active with prefers-reduced-motion: reduce`,
+          'Disable parallax scrolling when prefers-reduced-motion is reduce so content moves only with the scroll',
+          {
+            selector: layer.selector,
+            elementType: 'parallax',
+            textSample: layer.animation || layer.technique,
+            technique: layer.technique,
+            offsetPx: layer.offsetPx ?? null,
+            scrolledPx: layer.scrolledPx ?? null
+          });
+      });
+    }
+
+    this.results.motion = results;
+  }
+
+  /**
+   * Check link purpose: empty links, generic text ("click here", "read more") reused for
+   * different destinations, identical names on links to different URLs (2.4.4), links that open
+   * a new window without saying so and document downloads without a file-type cue. The link
+   * inventory feeds the reporter's site-wide duplicate link text summary
+   */
+  async checkLinks() {
+    await this.installAccnameComputer();
+    await this.installSelectorGenerator();
+
+    const linkData = await this.page.evaluate((wcagLevel) => {
+      const accname = window.__a11yAccname;
+      const results = {
+        total: 0,
+        inventory: [],
+        issues: []
+      };
+
+      const compactSelector = window.__a11ySelector.compactSelector;
+
+      const GENERIC = /^(click|click here|here|this|this link|link|more|read more|learn more|find out more|more info|more information|info|details|view details|see more|view more|show more|see all|view all|continue|continue reading|go|start|download)$/;
+      const DOCUMENT_TYPES = {
+        pdf: 'PDF', doc: 'Word', docx: 'Word', rtf: 'RTF', odt: 'OpenDocument',
+        xls: 'Excel', xlsx: 'Excel', ods: 'OpenDocument', csv: 'CSV',
+        ppt: 'PowerPoint', pptx: 'PowerPoint', odp: 'OpenDocument', epub: 'EPUB', zip: 'ZIP'
+      };
+      const TYPE_CUE = /\b(pdf|docx?|word|rtf|odt|ods|odp|opendocument|xlsx?|excel|csv|spreadsheet|pptx?|powerpoint|epub|zip|\d+(\.\d+)?\s?(kb|mb))\b/i;
+      const NEW_WINDOW_CUE = /\b(new (window|tab)|opens? (in|a) |external (link|site))/i;
+
+      // Case, spacing and surrounding punctuation do not change how a name is announced
+      const normalizeName = (name) => name.toLowerCase().replace(/\s+/g, ' ').replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, '');
+      const pageOf = (url) => {
+        const pathname = url.pathname.length > 1 ? url.pathname.replace(/\/$/, '') : url.pathname;
+        return `${url.origin}${pathname}${url.search}`;
+      };
+      const currentPage = pageOf(new URL(document.URL));
+      const destination = (el) => {
+        const raw = el.getAttribute('href') ?? el.getAttribute('data-href');
+        if (raw === null) return '';
+        try {
+          const url = new URL(raw, document.baseURI);
+          if (!/^https?:$/.test(url.protocol)) return url.href;
+          // Same-page fragment links (skip links, back to top) are keyed by the fragment alone,
+          // so the same skip link on every page counts as one destination
+          if (raw.includes('#') && pageOf(url) === currentPage) return url.hash.length > 1 ? url.hash : '#';
+          return `${pageOf(url)}${url.hash === '#' ? '' : url.hash}`;
+        } catch {
+          return raw;
+        }
+      };
+
+      const pushIssue = (link, type, severity, message, recommendation, extra = {}) => {
+        results.issues.push({
+          type,
+          severity,
+          message,
+          recommendation,
+          context: {
+            selector: link.selector,
+            elementType: link.element.tagName.toLowerCase(),
+            textSample: link.name.substring(0, 100),
+            href: link.href.substring(0, 200),
+            ...extra
+          }
         });
+      };
+
+      const links = Array.from(document.querySelectorAll('a[href], area[href], [role="link"]'))
+        .slice(0, 2000)
+        .filter(el => !accname.isHidden(el))
+        .map(el => {
+          const computed = accname.computeAccessibleName(el);
+          return {
+            element: el,
+            selector: compactSelector(el),
+            name: computed.name.replace(/\s+/g, ' ').trim(),
+            description: computed.description || '',
+            href: destination(el)
+          };
+        });
+      results.total = links.length;
+      results.inventory = links.slice(0, 500).map(link => ({ name: link.name.substring(0, 100), href: link.href.substring(0, 300) }));
+
+      const byName = new Map();
+      links.forEach(link => {
+        const el = link.element;
+        if (!link.name) {
+          const image = el.querySelector('img, svg, [role="img"]');
+          pushIssue(link, 'empty_link', 'medium',
+            image ? 'Link contains only an image with no text alternative' : 'Link has no text or accessible name',
+            image ? 'Give the image alt text describing the destination, or add aria-label to the link'
+              : 'Add link text describing the destination, or remove the empty anchor',
+            { hasImage: !!image });
+          return;
+        }
+
+        const key = normalizeName(link.name);
+        if (!byName.has(key)) byName.set(key, []);
+        byName.get(key).push(link);
+
+        const spoken = `${link.name} ${link.description} ${el.getAttribute('title') || ''}`;
+        const target = (el.getAttribute('target') || '').trim().toLowerCase();
+        if (target && !['_self', '_parent', '_top'].includes(target) && !NEW_WINDOW_CUE.test(spoken)) {
+          pushIssue(link, 'new_window_no_warning', 'low',
+            `Link opens a new window (target="${target}") without warning`,
+            'Add "(opens in a new tab)" to the link text or a visually hidden span, or an icon with that text alternative',
+            // 3.2.5 is a AAA criterion; at lower levels this is reported as advice
+            { target, advisory: wcagLevel !== 'AAA' });
+        }
+
+        let extension = '';
+        try { extension = (/\.([a-z0-9]+)$/i.exec(new URL(link.href).pathname)?.[1] || '').toLowerCase(); } catch {}
+        if (DOCUMENT_TYPES[extension] && !TYPE_CUE.test(spoken)) {
+          pushIssue(link, 'document_link_no_type', 'low',
+            `Link to a ${DOCUMENT_TYPES[extension]} file does not say so`,
+            `Mention the file type and size in the link, e.g. "Annual report (${extension.toUpperCase()}, 2 MB)"`,
+            { fileType: DOCUMENT_TYPES[extension] });
+        }
       });
 
-      // Check for elements without accessible names with enhanced context
-      const interactiveElements = document.querySelectorAll('button, a, input, select, textarea');
-      interactiveElements.forEach((element, index) => {
-        const ariaLabel = element.getAttribute("aria-label");
-        const ariaLabelledBy = element.getAttribute("aria-labelledby");
-        const title = element.getAttribute("title");
-        const textContent = element.textContent?.trim();
-        const hasAccessibleName = !!(ariaLabel || ariaLabelledBy || title || textContent);
-        
-        if (!hasAccessibleName) {
-          const generateInteractiveSelector = (elem) => compactSelector(elem);
+      // One finding per name that leads to more than one destination
+      byName.forEach((group, key) => {
+        const destinations = [...new Set(group.map(link => link.href))];
+        if (destinations.length < 2) return;
+        const generic = GENERIC.test(key);
+        pushIssue(group[0],
+          generic ? 'ambiguous_link_text' : 'same_name_different_destination',
+          generic ? 'medium' : 'low',
+          `${group.length} links named "${group[0].name.substring(0, 60)}" lead to ${destinations.length} different destinations`,
+          generic
+            ? 'Name each link after its destination (e.g. "Read more about pricing"), or add the topic with aria-label or visually hidden text'
+            : 'Make the names unique, or point links with the same name at the same destination',
+          {
+            occurrences: group.length,
+            destinations: destinations.slice(0, 5),
+            selectors: group.slice(0, 5).map(link => link.selector)
+          });
+      });
 
-          const getInteractiveContext = (elem) => {
-            const form = elem.closest('form');
-            const label = document.querySelector(`label[for="${elem.id}"]`) || elem.closest('label');
-            const fieldset = elem.closest('fieldset');
-            const legend = fieldset?.querySelector('legend');
-            
-            return {
-              selector: generateInteractiveSelector(elem),
-              tagName: elem.tagName.toLowerCase(),
-              type: elem.type || '',
-              value: elem.value?.substring(0, 50) || '',
-              placeholder: elem.placeholder || '',
-              name: elem.name || '',
-              // Removed position
-              formContext: form ? {
-                id: form.id || '',
-                className: form.className || '',
-                action: form.action || ''
-              } : null,
-              labelContext: label ? {
-                text: label.textContent?.trim().substring(0, 100) || '',
-                isWrapping: label.contains(elem),
-                forAttribute: label.getAttribute('for') || ''
-              } : null,
-              fieldsetContext: fieldset && legend ? {
-                legend: legend.textContent?.trim().substring(0, 100) || ''
-              } : null,
-              nearbyText: {
-                previousText: elem.previousElementSibling?.textContent?.trim().substring(0, 50) || '',
-                nextText: elem.nextElementSibling?.textContent?.trim().substring(0, 50) || '',
-                parentText: elem.parentElement?.textContent?.trim().substring(0, 100) || ''
-              },
-              outerHTML: elem.outerHTML.substring(0, 400)
-            };
-          };
+      return results;
+    }, this.options.wcagLevel || 'AA');
 
-        const interactiveContext = getInteractiveContext(element);
-        
+    this.results.links = linkData;
+  }
+
+  /**
+   * Check form control labelling, grouping, required state and input purpose
+   */
+  async checkForms() {
+    await this.installAccnameComputer();
+    await this.installSelectorGenerator();
+
+    const formData = await this.page.evaluate((formRules) => {
+      const accname = window.__a11yAccname;
+      const results = {
+        controls: [],
+        issues: []
+      };
+
+      const compactSelector = window.__a11ySelector.compactSelector;
+
+      const isHidden = (el) => {
+        const cs = window.getComputedStyle(el);
+        return cs.display === 'none' || cs.visibility === 'hidden';
+      };
+      const textOf = (el) => (el?.textContent || '').replace(/\s+/g, ' ').trim();
+
+      // Required indicators match as whole words; '*' matches anywhere in the label
+      const notRequired = new RegExp(formRules.notRequiredPattern, 'i');
+      const indicatorPatterns = formRules.requiredIndicators.map(ind => ind === '*' ? null
+        : new RegExp(`(^|[^\\p{L}\\p{N}])${ind.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^\\p{L}\\p{N}])`, 'iu'));
+      const requiredIndicator = (text) => formRules.requiredIndicators.find((ind, i) =>
+        indicatorPatterns[i] ? indicatorPatterns[i].test(text) : text.includes(ind));
+
+      // Accessible name a control actually exposes (accname 1.2); a name that only comes from
+      // the placeholder does not count as a label
+      const getLabel = (elem) => {
+        const { name, nameSources } = accname.computeAccessibleName(elem);
+        const fromPlaceholder = nameSources.length > 0 && nameSources.every(s => s.source === 'placeholder');
+        return { text: fromPlaceholder ? '' : name, sources: nameSources.map(s => s.source) };
+      };
+      const getLabelText = (elem) => getLabel(elem).text;
+
+      const getFormContext = (elem) => {
+        const form = elem.closest('form');
+        return form ? {
+          id: form.id || '',
+          className: form.className || '',
+          action: form.getAttribute('action') || ''
+        } : null;
+      };
+
+      const controlSelector = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea';
+      const controls = Array.from(document.querySelectorAll(controlSelector)).filter(el => !isHidden(el));
+
+      controls.forEach(elem => {
+        const selector = compactSelector(elem);
+        const tagName = elem.tagName.toLowerCase();
+        const type = tagName === 'input' ? (elem.type || 'text') : tagName;
+        const label = getLabel(elem);
+        const labelText = label.text;
+        const placeholder = (elem.getAttribute('placeholder') || '').trim();
+        const elementType = `${tagName}${tagName === 'input' ? `[type="${type}"]` : ''}`;
+        const baseContext = {
+          selector,
+          elementType,
+          name: elem.getAttribute('name') || '',
+          labelText: labelText.substring(0, 100),
+          nameSources: label.sources,
+          placeholder: placeholder.substring(0, 100),
+          formContext: getFormContext(elem),
+          outerHTML: elem.outerHTML.substring(0, 300)
+        };
+
+        results.controls.push({
+          selector,
+          type,
+          hasLabel: !!labelText,
+          required: elem.required || elem.getAttribute('aria-required') === 'true',
+          autocomplete: elem.getAttribute('autocomplete') || ''
+        });
+
+        // Placeholder is the only label (3.3.2 / 4.1.2)
+        if (!labelText && placeholder) {
+          results.issues.push({
+            type: 'placeholder_only_label',
+            severity: 'high',
+            message: `Form field is labelled only by its placeholder ("${placeholder.substring(0, 60)}")`,
+            recommendation: 'Add a visible <label> associated with the field; placeholders disappear on input and are not a reliable accessible name',
+            context: {
+              ...baseContext,
+              textSample: placeholder.substring(0, 100)
+            }
+          });
+        }
+
+        // Required visually but not programmatically (3.3.2 / 1.3.1)
+        const isProgrammaticallyRequired = elem.required || elem.getAttribute('aria-required') === 'true';
+        if (!isProgrammaticallyRequired && labelText && !notRequired.test(labelText)) {
+          const indicator = requiredIndicator(labelText);
+          if (indicator) {
+            results.issues.push({
+              type: 'required_not_programmatic',
+              severity: 'medium',
+              message: `Field is marked as required in its label ("${indicator}") but has no required or aria-required attribute`,
+              recommendation: 'Add the required attribute (or aria-required="true") so assistive technologies announce the field as required',
+              context: {
+                ...baseContext,
+                textSample: labelText.substring(0, 100),
+                requiredIndicator: indicator
+              }
+            });
+          }
+        }
+
+        // Missing or invalid autocomplete on personal-data fields (1.3.5)
+        if (['checkbox', 'radio', 'file', 'range', 'color', 'password'].includes(type)) return;
+        const fieldTexts = [elem.getAttribute('name'), elem.id, labelText, placeholder]
+          .filter(Boolean)
+          .map(text => text.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/(\p{L})(\d)/gu, '$1 $2')
+            .toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim());
+        const typeHint = type === 'email' ? 'email' : (type === 'tel' ? 'tel' : null);
+        const match = formRules.personalDataFields.find(f => {
+          const pattern = new RegExp(f.pattern, 'i');
+          return fieldTexts.some(text => pattern.test(text));
+        });
+        const expectedToken = typeHint || match?.token;
+        if (!expectedToken) return;
+
+        const autocomplete = (elem.getAttribute('autocomplete') || '').trim().toLowerCase();
+        const tokens = autocomplete.split(/\s+/).filter(Boolean);
+        const fieldToken = tokens.filter(t => !t.startsWith('section-') && !formRules.autocompleteModifiers.includes(t)).pop() || '';
+        const validToken = formRules.autocompleteTokens.includes(fieldToken);
+        if (fieldToken === 'off') {
+          results.issues.push({
+            type: 'autocomplete_disabled',
+            severity: 'medium',
+            message: 'Personal-data field has autocomplete="off", which turns off autofill and hides its purpose',
+            recommendation: `Replace autocomplete="off" with autocomplete="${expectedToken}" so browsers can fill the field and assistive technologies can identify its purpose`,
+            context: {
+              ...baseContext,
+              textSample: (labelText || placeholder || elem.getAttribute('name') || '').substring(0, 100),
+              currentAutocomplete: autocomplete,
+              suggestedAutocomplete: expectedToken
+            }
+          });
+        } else if (!validToken) {
+          results.issues.push({
+            type: 'missing_autocomplete',
+            severity: 'medium',
+            message: autocomplete
+              ? `Personal-data field has autocomplete="${autocomplete}", which does not identify its purpose`
+              : 'Personal-data field has no autocomplete attribute',
+            recommendation: `Add autocomplete="${expectedToken}" so browsers and assistive technologies can identify the input purpose`,
+            context: {
+              ...baseContext,
+              textSample: (labelText || placeholder || elem.getAttribute('name') || '').substring(0, 100),
+              currentAutocomplete: autocomplete || 'none',
+              suggestedAutocomplete: expectedToken
+            }
+          });
+        }
+      });
+
+      // <label for> pointing at nothing, or at something that cannot be labelled (1.3.1)
+      const labelable = ['input', 'select', 'textarea', 'button', 'meter', 'output', 'progress'];
+      document.querySelectorAll('label[for]').forEach(label => {
+        const forId = label.getAttribute('for');
+        if (!forId || isHidden(label)) return;
+        const target = document.getElementById(forId);
+        const targetTag = target ? target.tagName.toLowerCase() : '';
+        if (target && labelable.includes(targetTag) && !(targetTag === 'input' && target.type === 'hidden')) return;
         results.issues.push({
-          type: 'missing_accessible_name',
+          type: 'orphaned_label',
           severity: 'medium',
-          message: `${element.tagName} element without accessible name`,
-          element: element.tagName.toLowerCase(),
-          recommendation: 'Add aria-label, aria-labelledby, or visible text content',
-          elementDetails: interactiveContext,
+          message: target
+            ? `<label for="${forId}"> points at a <${targetTag}>, which cannot be labelled`
+            : `<label for="${forId}"> does not match any element id`,
+          recommendation: 'Point the label\'s for attribute at the id of the form control it describes',
           context: {
-            selector: interactiveContext.selector,
-            elementType: `${element.tagName.toLowerCase()}${element.type ? `[type="${element.type}"]` : ''}`,
-            // Removed location string
-            associatedLabel: interactiveContext.labelContext?.text || 'None found',
-            containingForm: interactiveContext.formContext?.id || 'Not in form',
-            surroundingContext: interactiveContext.nearbyText,
-            suggestions: [
-              interactiveContext.labelContext ? 'Use existing label with for/id association' : 'Add a <label> element',
-              'Add aria-label attribute with descriptive text',
-              'Add meaningful text content inside the element',
-              'Use aria-labelledby to reference descriptive text elsewhere'
-            ]
+            selector: compactSelector(label),
+            elementType: 'label',
+            textSample: textOf(label).substring(0, 100),
+            forAttribute: forId,
+            targetFound: !!target,
+            targetTag,
+            formContext: getFormContext(label)
+          }
+        });
+      });
+
+      // Radio/checkbox groups without a group label (1.3.1)
+      const groups = new Map();
+      controls.filter(el => el.type === 'radio' || el.type === 'checkbox').forEach(el => {
+        const name = el.getAttribute('name');
+        if (!name) return;
+        const key = `${el.type}::${name}::${el.form ? Array.from(document.forms).indexOf(el.form) : -1}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(el);
+      });
+      groups.forEach((members, key) => {
+        if (members.length < 2) return;
+        const first = members[0];
+        // Group name from legend, aria-label or aria-labelledby
+        const hasGroupLabel = (container) => !!(container && accname.computeAccessibleName(container).name);
+        const container = first.closest('fieldset, [role="group"], [role="radiogroup"]');
+        const containsAll = container && members.every(m => container.contains(m));
+        if (containsAll && hasGroupLabel(container)) return;
+        const [type, name] = key.split('::');
+        results.issues.push({
+          type: 'missing_group_label',
+          severity: 'medium',
+          message: `${members.length} ${type} inputs named "${name}" are not grouped with a fieldset/legend or labelled role="group"`,
+          recommendation: type === 'radio'
+            ? 'Wrap the radio buttons in <fieldset> with a <legend>, or use role="radiogroup" with aria-labelledby'
+            : 'Wrap the checkboxes in <fieldset> with a <legend>, or use role="group" with aria-labelledby',
+          context: {
+            selector: compactSelector(first),
+            elementType: `input[type="${type}"]`,
+            name,
+            textSample: members.map(m => getLabelText(m)).filter(Boolean).join(' | ').substring(0, 100),
+            groupSize: members.length,
+            containerFound: container ? container.tagName.toLowerCase() + (container.getAttribute('role') ? `[role="${container.getAttribute('role')}"]` : '') : null,
+            formContext: getFormContext(first)
           }
         });
-        }
       });
 
       return results;
+    }, FORM_ACCESSIBILITY);
+
+    this.results.forms = formData;
+  }
+
+  /**
+   * Walk the page with real Tab / Shift+Tab key presses and record where focus lands.
+   * Detects keyboard traps, focus on invisible or off-screen elements and focus
+   * inside aria-hidden content. The recorded sequence feeds checkFocusOrder.
+   * @returns {Object} Recorded sequence (internal positions included) and issues
+   */
+  async walkKeyboard() {
+    const walk = {
+      sequence: [],
+      issues: [],
+      endReason: 'max_steps',
+      steps: 0
+    };
+
+    // Runs in the page after every key press; describes document.activeElement
+    const probe = () => {
+      const compactSelector = window.__a11ySelector.compactSelector;
+
+      // Stable per-element keys so the Node side can detect revisits
+      const state = window.__a11yKeyboardWalk || (window.__a11yKeyboardWalk = { keys: new WeakMap(), elements: [] });
+      let el = document.activeElement;
+      while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+      if (!el || el === document.body || el === document.documentElement) return { key: null };
+      if (!state.keys.has(el)) {
+        state.keys.set(el, state.elements.length);
+        state.elements.push(el);
+      }
+
+      const rect = el.getBoundingClientRect();
+      const cs = window.getComputedStyle(el);
+      let hiddenReason = null;
+      if (rect.width < 1 || rect.height < 1) hiddenReason = 'zero-size';
+      else if (cs.visibility === 'hidden') hiddenReason = 'visibility:hidden';
+      else {
+        for (let a = el; a && a.nodeType === Node.ELEMENT_NODE; a = a.parentElement) {
+          const acs = window.getComputedStyle(a);
+          if (parseFloat(acs.opacity || '1') <= 0.01) { hiddenReason = 'opacity:0'; break; }
+          if (acs.clipPath && /inset\(\s*50%/.test(acs.clipPath)) { hiddenReason = 'clip-path'; break; }
+          if (acs.clip && /rect\(\s*0(px)?[\s,]+0(px)?[\s,]+0(px)?[\s,]+0(px)?\s*\)/.test(acs.clip)) { hiddenReason = 'clip'; break; }
+        }
+      }
+      const offscreen = !hiddenReason && (
+        rect.right <= 0 || rect.bottom <= 0 ||
+        rect.left >= window.innerWidth || rect.top >= window.innerHeight
+      );
+      const hiddenAncestor = el.closest('[aria-hidden="true"]');
+
+      return {
+        key: state.keys.get(el),
+        selector: compactSelector(el),
+        tagName: el.tagName.toLowerCase(),
+        type: el.type || '',
+        role: el.getAttribute('role') || '',
+        tabIndex: el.getAttribute('tabindex') || '0',
+        textContent: el.textContent?.trim().substring(0, 80) || '',
+        ariaLabel: el.getAttribute('aria-label') || '',
+        isFrame: el.tagName === 'IFRAME' || el.tagName === 'FRAME',
+        hiddenReason,
+        offscreen,
+        ariaHiddenContainer: hiddenAncestor ? compactSelector(hiddenAncestor) : null,
+        // Internal only: document-relative geometry for focus-order analysis
+        left: Math.round(rect.left + window.scrollX),
+        top: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      };
+    };
+
+    const reset = () => this.page.evaluate(() => {
+      try { document.activeElement?.blur?.(); } catch {}
+      window.scrollTo(0, 0);
     });
 
-    this.results.ariaLabels = ariaData;
+    const focusableCount = await this.page.evaluate(() =>
+      document.querySelectorAll('a[href], button, input, select, textarea, [tabindex], area[href], iframe, [contenteditable="true"]').length
+    );
+    if (focusableCount === 0) return walk;
+    const maxSteps = Math.min(600, focusableCount * 2 + 20);
+    const MAX_FRAME_STEPS = 50;
+
+    await this.installSelectorGenerator();
+    await reset();
+
+    const firstSeen = new Map(); // key -> index in sequence
+    let frameSteps = 0;
+    let trap = null;
+
+    for (let i = 0; i < maxSteps; i++) {
+      await this.page.keyboard.press('Tab');
+      walk.steps++;
+      const info = await this.page.evaluate(probe);
+
+      // Focus left the document (browser chrome / body): the walk reached the end
+      if (info.key === null) {
+        if (walk.sequence.length > 0) { walk.endReason = 'document_end'; break; }
+        continue;
+      }
+
+      const prev = walk.sequence[walk.sequence.length - 1];
+      if (prev && prev.key === info.key) {
+        // Tabbing through a frame keeps the iframe as the outer activeElement
+        if (info.isFrame && ++frameSteps < MAX_FRAME_STEPS) continue;
+        trap = { kind: 'stuck', members: [prev] };
+        break;
+      }
+      frameSteps = 0;
+
+      if (firstSeen.has(info.key)) {
+        const start = firstSeen.get(info.key);
+        if (start === 0) { walk.endReason = 'wrapped'; break; }
+        trap = { kind: 'cycle', members: walk.sequence.slice(start) };
+        break;
+      }
+
+      firstSeen.set(info.key, walk.sequence.length);
+      walk.sequence.push({ ...info, index: walk.sequence.length });
+    }
+
+    if (trap) {
+      walk.endReason = 'trap';
+      const trapKeys = new Set(trap.members.map(m => m.key));
+
+      // Confirm with Shift+Tab: can the user back out of the trapped subtree?
+      let escapableWithShiftTab = false;
+      for (let i = 0; i < trap.members.length + 2; i++) {
+        await this.page.keyboard.press('Shift+Tab');
+        const info = await this.page.evaluate(probe);
+        if (info.key === null || !trapKeys.has(info.key)) { escapableWithShiftTab = true; break; }
+      }
+
+      const container = await this.page.evaluate((keys) => {
+        const els = keys.map(k => window.__a11yKeyboardWalk?.elements[k]).filter(Boolean);
+        if (!els.length) return null;
+        let common = els[0].parentElement;
+        while (common && !els.every(e => common.contains(e))) common = common.parentElement;
+        if (!common) return null;
+        const tag = common.tagName.toLowerCase();
+        const cls = (common.className || '').toString().split(/\s+/).filter(Boolean)[0];
+        return common.id ? `#${common.id}` : (cls ? `${tag}.${cls}` : tag);
+      }, Array.from(trapKeys));
+
+      const first = trap.members[0];
+      walk.issues.push({
+        type: 'keyboard_trap',
+        severity: 'critical',
+        message: trap.kind === 'stuck'
+          ? 'Keyboard focus cannot move past this element with the Tab key'
+          : `Keyboard focus cycles between ${trap.members.length} elements without reaching the end of the page`,
+        recommendation: 'Ensure users can move focus into and out of every component with Tab / Shift+Tab, or document a standard exit key (e.g. Escape)',
+        context: {
+          selector: container || first.selector,
+          elementType: first.tagName,
+          textContent: first.textContent,
+          trapKind: trap.kind,
+          cycle: trap.members.map(m => ({ selector: m.selector, text: m.textContent })),
+          escapableWithShiftTab,
+          stepsBeforeTrap: walk.steps
+        }
+      });
+    }
+
+    walk.sequence.forEach(item => {
+      const base = {
+        selector: item.selector,
+        elementType: `${item.tagName}${item.type ? `[type="${item.type}"]` : ''}${item.role ? `[role="${item.role}"]` : ''}`,
+        textContent: item.textContent || item.ariaLabel,
+        focusStep: item.index + 1
+      };
+      if (item.ariaHiddenContainer) {
+        walk.issues.push({
+          type: 'focus_in_aria_hidden',
+          severity: 'high',
+          message: 'Keyboard focus lands on an element inside aria-hidden content',
+          recommendation: 'Remove focusable elements from aria-hidden regions (tabindex="-1" or inert), or remove aria-hidden',
+          context: { ...base, ariaHiddenContainer: item.ariaHiddenContainer }
+        });
+      }
+      if (item.hiddenReason) {
+        walk.issues.push({
+          type: 'focus_on_hidden_element',
+          severity: 'medium',
+          message: `Keyboard focus lands on an element that is not visible (${item.hiddenReason})`,
+          recommendation: 'Make the element visible when it receives focus, or remove it from the tab order',
+          context: { ...base, hiddenReason: item.hiddenReason }
+        });
+      } else if (item.offscreen) {
+        walk.issues.push({
+          type: 'focus_offscreen',
+          severity: 'medium',
+          message: 'Keyboard focus lands on an element positioned outside the viewport',
+          recommendation: 'Bring the element on-screen when focused (e.g. skip links), or remove it from the tab order',
+          context: base
+        });
+      }
+    });
+
+    await reset();
+    await this.page.evaluate(() => { try { delete window.__a11yKeyboardWalk; } catch {} });
+
+    return walk;
   }
 
   /**
@@ -1180,6 +4015,16 @@ export class AccessibilityAuditor {
       return results;
     });
 
+    // Merge findings from the real Tab-key walk when it ran
+    if (this.keyboardWalk) {
+      keyboardData.keyboardWalk = {
+        steps: this.keyboardWalk.steps,
+        endReason: this.keyboardWalk.endReason,
+        focusedElements: this.keyboardWalk.sequence.length
+      };
+      keyboardData.issues = keyboardData.issues.concat(this.keyboardWalk.issues);
+    }
+
     this.results.keyboardNavigation = keyboardData;
   }
 
@@ -1187,28 +4032,17 @@ export class AccessibilityAuditor {
    * Check image accessibility
    */
   async checkImages() {
+    await this.installAccnameComputer();
+    await this.installSelectorGenerator();
+
     const imageData = await this.page.evaluate(() => {
+      const accname = window.__a11yAccname;
       const results = {
         images: [],
         issues: []
       };
       
-      // Local compact selector (duplicated to keep scope inside this evaluate call)
-      const compactSelector = (elem) => {
-        if (!elem) return '';
-        if (elem.id && document.querySelectorAll(`#${CSS.escape(elem.id)}`).length === 1) return `#${elem.id}`;
-        const tag = elem.tagName.toLowerCase();
-        const classes = (elem.className || '').toString().split(/\s+/).filter(Boolean).slice(0, 2);
-        const base = tag + (classes.length ? `.${classes.map(CSS.escape).join('.')}` : '');
-        if (document.querySelectorAll(base).length === 1) return base;
-        const parent = elem.closest('main, [role="main"], article, section, nav, aside, header, footer') || elem.parentElement;
-        if (parent) {
-          const pSel = parent.id ? `#${parent.id}` : parent.tagName ? parent.tagName.toLowerCase() : '';
-          const candidate = pSel ? `${pSel} ${base}` : base;
-          if (document.querySelectorAll(candidate).length === 1) return candidate;
-        }
-        return base;
-      };
+      const compactSelector = window.__a11ySelector.compactSelector;
 
       const images = document.querySelectorAll('img');
       images.forEach((img, index) => {
@@ -1218,6 +4052,8 @@ export class AccessibilityAuditor {
         const isDecorative = role === 'presentation' || role === 'none';
         const hasAlt = alt !== null && alt !== '';
         const hasAriaLabel = ariaLabel !== null && ariaLabel !== '';
+        // alt, aria-label, aria-labelledby and title all name an image (accname 1.2)
+        const computed = accname.computeAccessibleName(img);
         
         // Generate enhanced element context
         const generateImageSelector = compactSelector;
@@ -1265,11 +4101,13 @@ export class AccessibilityAuditor {
           hasAlt: hasAlt,
           hasAriaLabel: hasAriaLabel,
           title: img.getAttribute('title'),
+          accessibleName: computed.name.substring(0, 150),
+          nameSources: computed.nameSources.map(s => s.source),
           context: imageContext
         });
         
         // Check for missing alt text (only flag if not decorative)
-        if (!hasAlt && !hasAriaLabel && !isDecorative) {
+        if (!hasAlt && !computed.name && !isDecorative) {
           // Only flag as missing alt text if alt attribute is completely missing (not just empty)
           if (alt === null) {
             results.issues.push({
@@ -1303,198 +4141,284 @@ export class AccessibilityAuditor {
 
   /**
    * Check focus management
+   * Screenshots each focusable element before and after programmatic focus and measures
+   * the changed pixels to decide 2.4.7 Focus Visible and 2.4.13 Focus Appearance.
    */
   async checkFocusManagement() {
-    const focusData = await this.page.evaluate(() => {
-      const results = {
-        focusStyles: [],
-        issues: []
-      };
-      
-      const focusableElements = document.querySelectorAll('a, button, input, select, textarea, [tabindex]');
-      focusableElements.forEach(element => {
-        // Get both default and focus styles
-        const defaultStyle = window.getComputedStyle(element);
-        const focusStyle = window.getComputedStyle(element, ':focus');
-        
-        // Check various focus indicators
-        const outline = focusStyle.outline;
-        const outlineWidth = focusStyle.outlineWidth;
-        const outlineStyle = focusStyle.outlineStyle;
-        const border = focusStyle.border;
-        const borderWidth = focusStyle.borderWidth;
-        const backgroundColor = focusStyle.backgroundColor;
-        const boxShadow = focusStyle.boxShadow;
-        
-        // Compare with default styles to detect changes
-        const outlineChanged = outline !== defaultStyle.outline || 
-                              outlineWidth !== defaultStyle.outlineWidth;
-        const borderChanged = border !== defaultStyle.border || 
-                             borderWidth !== defaultStyle.borderWidth;
-        const backgroundChanged = backgroundColor !== defaultStyle.backgroundColor;
-        const boxShadowChanged = boxShadow !== defaultStyle.boxShadow && 
-                                boxShadow !== 'none';
-        
-        // Determine if element has visible focus indicator
-        const hasOutlineFocus = outline !== 'none' && outlineWidth !== '0px';
-        const hasBorderFocus = borderChanged && borderWidth !== '0px';
-        const hasBackgroundFocus = backgroundChanged;
-        const hasBoxShadowFocus = boxShadowChanged;
-        
-        const hasFocusStyle = hasOutlineFocus || hasBorderFocus || 
-                             hasBackgroundFocus || hasBoxShadowFocus;
-        
-        results.focusStyles.push({
-          element: element.tagName.toLowerCase(),
-          text: element.textContent.trim().substring(0, 30),
-          outline: outline,
-          outlineWidth: outlineWidth,
-          border: border,
-          backgroundColor: backgroundColor,
-          boxShadow: boxShadow,
-          hasFocusStyle: hasFocusStyle,
-          focusIndicators: {
-            outline: hasOutlineFocus,
-            border: hasBorderFocus,
-            background: hasBackgroundFocus,
-            boxShadow: hasBoxShadowFocus
-          }
-        });
-        
-        // Only flag if no visible focus indicator is present
-        if (!hasFocusStyle) {
-          const generateFocusSelector = (elem) => {
-            if (elem.id && document.querySelectorAll(`#${elem.id}`).length === 1) {
-              return `#${elem.id}`;
-            }
-            
-            let selector = elem.tagName.toLowerCase();
-            
-            // Add type for inputs
-            if (elem.tagName.toLowerCase() === 'input' && elem.type) {
-              selector += `[type="${elem.type}"]`;
-            }
-            
-            // Add class if present and helpful
-            if (elem.className) {
-              const classes = elem.className.split(/\s+/).filter(cls => cls.length > 0 && cls.length < 20);
-              if (classes.length > 0) {
-                selector += '.' + classes.slice(0, 2).join('.');
-              }
-            }
-            
-            // Add role if present
-            if (elem.getAttribute('role')) {
-              selector += `[role="${elem.getAttribute('role')}"]`;
-            }
-            
-            return selector;
-          };
+    const FOCUSABLE_SELECTOR = 'a, button, input, select, textarea, [tabindex]';
+    const MAX_SAMPLES = 60;
+    const MAX_PER_SIGNATURE = 2;
+    const CLIP_PADDING = 8;
+    const ATTR = 'data-a11y-focus-id';
+
+    const results = {
+      focusStyles: [],
+      measured: 0,
+      skipped: 0,
+      skippedElements: [],
+      measurementErrors: 0,
+      issues: []
+    };
+    const skip = (candidate, reason) => {
+      results.skipped++;
+      results.skippedElements.push({ selector: candidate.selector, element: candidate.tagName, reason });
+    };
+
+    await this.installSelectorGenerator();
+    const candidates = await this.page.evaluate((focusableSelector) => {
+      const generateFocusSelector = window.__a11ySelector.compactSelector;
+
+      return Array.from(document.querySelectorAll(focusableSelector)).map((elem, index) => {
+        const computedStyle = window.getComputedStyle(elem);
+        const rect = elem.getBoundingClientRect();
+        const tabIndex = elem.getAttribute('tabindex');
+        const focusable = !elem.disabled &&
+          !(elem.tagName === 'INPUT' && elem.type === 'hidden') &&
+          !(tabIndex !== null && parseInt(tabIndex) < 0) &&
+          !(elem.tagName === 'A' && !elem.hasAttribute('href') && tabIndex === null);
+        const visible = rect.width > 0 && rect.height > 0 &&
+          computedStyle.display !== 'none' &&
+          computedStyle.visibility !== 'hidden' &&
+          parseFloat(computedStyle.opacity || '1') > 0.01;
+        const classes = (elem.className || '').toString().split(/\s+/).filter(Boolean).sort().join('.');
+
+        return {
+          index,
+          eligible: focusable && visible,
+          signature: `${elem.tagName.toLowerCase()}|${elem.type || ''}|${elem.getAttribute('role') || ''}|${classes}`,
+          selector: generateFocusSelector(elem),
+          tagName: elem.tagName.toLowerCase(),
+          type: elem.type || '',
+          role: elem.getAttribute('role') || '',
+          tabIndex: elem.tabIndex,
+          textContent: elem.textContent?.trim().substring(0, 80) || '',
+          currentStyles: {
+            outline: computedStyle.outline,
+            outlineWidth: computedStyle.outlineWidth,
+            border: computedStyle.border,
+            backgroundColor: computedStyle.backgroundColor,
+            boxShadow: computedStyle.boxShadow
+          },
+          parentContext: elem.parentElement ? {
+            tagName: elem.parentElement.tagName.toLowerCase(),
+            className: elem.parentElement.className || '',
+            id: elem.parentElement.id || ''
+          } : null,
+          outerHTML: elem.outerHTML.substring(0, 300)
+        };
+      });
+    }, FOCUSABLE_SELECTOR);
+
+    // Sample at most MAX_PER_SIGNATURE elements per tag/class signature to bound screenshot cost
+    const perSignature = new Map();
+    const sampled = [];
+    for (const candidate of candidates) {
+      if (!candidate.eligible) continue;
+      const seen = perSignature.get(candidate.signature) || 0;
+      if (seen >= MAX_PER_SIGNATURE || sampled.length >= MAX_SAMPLES) {
+        skip(candidate, seen >= MAX_PER_SIGNATURE ? 'same tag and classes as measured elements' : 'sampling limit reached');
+        continue;
+      }
+      perSignature.set(candidate.signature, seen + 1);
+      sampled.push(candidate);
+    }
+
+    // Tag only the sampled elements; handles are looked up and disposed one at a time
+    await this.page.evaluate(({ focusableSelector, attr, indexes }) => {
+      const all = document.querySelectorAll(focusableSelector);
+      indexes.forEach(index => all[index]?.setAttribute(attr, String(index)));
+    }, { focusableSelector: FOCUSABLE_SELECTOR, attr: ATTR, indexes: sampled.map(c => c.index) });
+    const viewport = this.page.viewportSize() || { width: 1280, height: 720 };
+    // 2.4.13 Focus Appearance is AAA; at AA only 2.4.7 Focus Visible is reported
+    const checkFocusAppearance = this.options.wcagLevel === 'AAA';
+
+    // A key press puts Chromium in keyboard modality so :focus-visible styles apply to programmatic focus
+    try { await this.page.keyboard.press('Shift'); } catch {}
+
+    for (const candidate of sampled) {
+      const handle = await this.page.$(`[${ATTR}="${candidate.index}"]`).catch(() => null);
+      if (!handle) { skip(candidate, 'element not found'); continue; }
+      try {
+        await handle.scrollIntoViewIfNeeded({ timeout: 2000 });
+        await this.page.evaluate(() => document.activeElement?.blur?.());
+        const box = await handle.boundingBox();
+        if (!box || box.width < 1 || box.height < 1) { skip(candidate, 'not rendered'); continue; }
+
+        const x = Math.max(0, Math.floor(box.x - CLIP_PADDING));
+        const y = Math.max(0, Math.floor(box.y - CLIP_PADDING));
+        const clip = {
+          x,
+          y,
+          width: Math.min(viewport.width - x, Math.ceil(box.width + CLIP_PADDING * 2)),
+          height: Math.min(viewport.height - y, Math.ceil(box.height + CLIP_PADDING * 2))
+        };
+        if (clip.width < 1 || clip.height < 1) { skip(candidate, 'outside the viewport'); continue; }
 
-          const getFocusContext = (elem) => {
-            const computedStyle = window.getComputedStyle(elem);
-            const focusStyle = window.getComputedStyle(elem, ':focus');
-            
-            return {
-              selector: generateFocusSelector(elem),
-              tagName: elem.tagName.toLowerCase(),
-              type: elem.type || '',
-              role: elem.getAttribute('role') || '',
-              tabIndex: elem.tabIndex,
-              textContent: elem.textContent?.trim().substring(0, 80) || '',
-              // Removed position
-              currentStyles: {
-                outline: computedStyle.outline,
-                outlineWidth: computedStyle.outlineWidth,
-                border: computedStyle.border,
-                backgroundColor: computedStyle.backgroundColor,
-                boxShadow: computedStyle.boxShadow
-              },
-              focusStyles: {
-                outline: focusStyle.outline,
-                outlineWidth: focusStyle.outlineWidth,
-                border: focusStyle.border,
-                backgroundColor: focusStyle.backgroundColor,
-                boxShadow: focusStyle.boxShadow
-              },
-              parentContext: elem.parentElement ? {
-                tagName: elem.parentElement.tagName.toLowerCase(),
-                className: elem.parentElement.className || '',
-                id: elem.parentElement.id || ''
-              } : null,
-              outerHTML: elem.outerHTML.substring(0, 300)
-            };
+        const shotOptions = { clip, scale: 'css', animations: 'disabled', caret: 'hide' };
+        const before = decodePng(await this.page.screenshot(shotOptions));
+        await handle.focus();
+        const after = decodePng(await this.page.screenshot(shotOptions));
+        const focusStyles = await handle.evaluate(el => {
+          const cs = window.getComputedStyle(el);
+          return {
+            outline: cs.outline,
+            outlineWidth: cs.outlineWidth,
+            border: cs.border,
+            backgroundColor: cs.backgroundColor,
+            boxShadow: cs.boxShadow
           };
+        });
+        await handle.evaluate(el => el.blur());
 
-          const focusContext = getFocusContext(element);
-          
+        const diff = diffImages(before, after, { minContrast: 3 });
+        const width = Math.round(box.width);
+        const height = Math.round(box.height);
+        // 2.4.13: indicator area >= a 2 CSS px thick perimeter of the unfocused component, at 3:1 change contrast
+        const requiredArea = 4 * (width + height);
+        const minVisibleArea = Math.max(8, Math.round((width + height) / 4));
+        const focusIndicator = {
+          changedArea: diff.changedPixels,
+          contrastingArea: diff.contrastingPixels,
+          requiredArea,
+          maxContrast: diff.maxContrast,
+          indicatorColor: diff.dominantColor,
+          passesFocusVisible: diff.changedPixels >= minVisibleArea,
+          passesFocusAppearance: diff.contrastingPixels >= requiredArea
+        };
+        results.measured++;
+
+        results.focusStyles.push({
+          element: candidate.tagName,
+          selector: candidate.selector,
+          text: candidate.textContent.substring(0, 30),
+          outline: focusStyles.outline,
+          outlineWidth: focusStyles.outlineWidth,
+          border: focusStyles.border,
+          backgroundColor: focusStyles.backgroundColor,
+          boxShadow: focusStyles.boxShadow,
+          hasFocusStyle: focusIndicator.passesFocusVisible,
+          focusIndicator
+        });
+
+        if (focusIndicator.passesFocusVisible && (focusIndicator.passesFocusAppearance || !checkFocusAppearance)) continue;
+
+        const elementType = `${candidate.tagName}${candidate.type ? `[type="${candidate.type}"]` : ''}${candidate.role ? `[role="${candidate.role}"]` : ''}`;
+        const focusContext = {
+          selector: candidate.selector,
+          tagName: candidate.tagName,
+          type: candidate.type,
+          role: candidate.role,
+          tabIndex: candidate.tabIndex,
+          textContent: candidate.textContent,
+          currentStyles: candidate.currentStyles,
+          focusStyles,
+          focusIndicator,
+          parentContext: candidate.parentContext,
+          outerHTML: candidate.outerHTML
+        };
+        // Keep a measured indicator color when it already contrasts; otherwise suggest a safe default
+        const indicatorColor = focusIndicator.maxContrast >= 3 && focusIndicator.indicatorColor ? focusIndicator.indicatorColor : '#0066cc';
+
+        if (!focusIndicator.passesFocusVisible) {
           results.issues.push({
             type: 'missing_focus_style',
             severity: 'medium',
-            message: 'Element lacks visible focus indicator',
-            element: element.tagName.toLowerCase(),
+            message: `Element lacks visible focus indicator (${focusIndicator.changedArea}px changed on focus)`,
+            element: candidate.tagName,
             recommendation: 'Add visible focus styles (outline, border, background change, or box-shadow)',
             elementDetails: focusContext,
             context: {
-              selector: focusContext.selector,
-              elementType: `${focusContext.tagName}${focusContext.type ? `[type="${focusContext.type}"]` : ''}${focusContext.role ? `[role="${focusContext.role}"]` : ''}`,
-              // Removed location and size
+              selector: candidate.selector,
+              elementType,
+              currentFocusStyles: {
+                outline: focusStyles.outline,
+                border: focusStyles.border,
+                backgroundColor: focusStyles.backgroundColor,
+                boxShadow: focusStyles.boxShadow
+              },
+              focusIndicator,
+              textContent: candidate.textContent || 'No text content',
+              parentElement: candidate.parentContext,
+              cssFixSuggestions: [
+                `${candidate.selector}:focus-visible { outline: 2px solid ${indicatorColor}; outline-offset: 2px; }`,
+                `${candidate.selector}:focus { border: 2px solid ${indicatorColor}; }`,
+                `${candidate.selector}:focus { box-shadow: 0 0 0 2px ${indicatorColor}; }`,
+                `${candidate.selector}:focus { background-color: #e6f3ff; outline: 1px solid ${indicatorColor}; }`
+              ]
+            }
+          });
+        } else {
+          const shortBy = Math.max(0, focusIndicator.requiredArea - focusIndicator.contrastingArea);
+          results.issues.push({
+            type: 'focus_appearance_insufficient',
+            severity: 'medium',
+            message: `Focus indicator is too small or low-contrast: ${focusIndicator.contrastingArea}px at 3:1 (required: ${focusIndicator.requiredArea}px, max contrast ${focusIndicator.maxContrast}:1)`,
+            element: candidate.tagName,
+            recommendation: 'Use a focus indicator at least 2 CSS px thick around the component with a 3:1 contrast change between focused and unfocused states (WCAG 2.4.13)',
+            elementDetails: focusContext,
+            context: {
+              selector: candidate.selector,
+              elementType,
               currentFocusStyles: {
-                outline: focusContext.focusStyles.outline,
-                border: focusContext.focusStyles.border,
-                backgroundColor: focusContext.focusStyles.backgroundColor,
-                boxShadow: focusContext.focusStyles.boxShadow
+                outline: focusStyles.outline,
+                border: focusStyles.border,
+                backgroundColor: focusStyles.backgroundColor,
+                boxShadow: focusStyles.boxShadow
               },
-              textContent: focusContext.textContent || 'No text content',
-              parentElement: focusContext.parentContext,
+              focusIndicator,
+              missingArea: shortBy,
+              textContent: candidate.textContent || 'No text content',
+              parentElement: candidate.parentContext,
               cssFixSuggestions: [
-                `${focusContext.selector}:focus { outline: 2px solid #0066cc; }`,
-                `${focusContext.selector}:focus { border: 2px solid #0066cc; }`,
-                `${focusContext.selector}:focus { box-shadow: 0 0 0 2px #0066cc; }`,
-                `${focusContext.selector}:focus { background-color: #e6f3ff; outline: 1px solid #0066cc; }`
+                `${candidate.selector}:focus-visible { outline: 2px solid ${indicatorColor}; outline-offset: 2px; }`,
+                `${candidate.selector}:focus-visible { box-shadow: 0 0 0 3px ${indicatorColor}; }`
               ]
             }
           });
         }
+      } catch (e) {
+        results.measurementErrors++;
+      } finally {
+        await handle.dispose().catch(() => {});
+      }
+    }
+
+    try { await this.page.evaluate(() => document.activeElement?.blur?.()); } catch {}
+    await this.page.evaluate((attr) => {
+      document.querySelectorAll(`[${attr}]`).forEach(el => el.removeAttribute(attr));
+    }, ATTR).catch(() => {});
+
+    // Unmeasured focusables are not passes; list them for a manual keyboard check
+    if (results.skippedElements.length) {
+      const skipped = results.skippedElements;
+      this.results.manualReview.issues.push({
+        type: 'focus_indicator_manual_review',
+        severity: 'medium',
+        message: `${skipped.length} focusable element${skipped.length === 1 ? ' was' : 's were'} not measured for a visible focus indicator. Manual review recommended.`,
+        recommendation: 'Tab through the page and confirm each listed element shows a visible focus indicator',
+        context: {
+          selector: skipped[0].selector,
+          textSample: skipped.slice(0, 10).map(el => el.selector).join(', '),
+          elements: skipped.slice(0, 100)
+        }
       });
-      
-      return results;
-    });
+    }
 
-    this.results.focusManagement = focusData;
+    this.results.focusManagement = results;
   }
 
   /**
    * Check touch target sizes for mobile accessibility
    */
   async checkTouchTargets() {
+    await this.installSelectorGenerator();
     const touchTargetData = await this.page.evaluate(() => {
       const results = {
         targets: [],
         issues: []
       };
 
-      // Compact selector for touch targets
-      const ESC = (s) => {
-        try { return CSS.escape(s); } catch { return String(s).replace(/[^a-zA-Z0-9_-]/g, '\\$&'); }
-      };
-      const compactSelector = (elem) => {
-        if (!elem) return '';
-        if (elem.id && document.querySelectorAll(`#${ESC(elem.id)}`).length === 1) return `#${elem.id}`;
-        const tag = elem.tagName.toLowerCase();
-        const typeAttr = tag === 'input' && elem.type ? `[type="${elem.type}"]` : '';
-        const roleAttr = elem.getAttribute('role') ? `[role="${elem.getAttribute('role')}"]` : '';
-        const classes = (elem.className || '').toString().split(/\s+/).filter(Boolean).slice(0, 2);
-        const base = tag + typeAttr + roleAttr + (classes.length ? `.${classes.map(ESC).join('.')}` : '');
-        if (document.querySelectorAll(base).length === 1) return base;
-        const landmark = elem.closest('main, [role="main"], nav, [role="navigation"], header, footer, section, article');
-        if (landmark) {
-          const lSel = landmark.id ? `#${ESC(landmark.id)}` : landmark.tagName.toLowerCase();
-          const cand = `${lSel} ${base}`;
-          if (document.querySelectorAll(cand).length === 1) return cand;
-        }
-        return base;
-      };
+      const compactSelector = window.__a11ySelector.compactSelector;
       
       // WCAG 2.5.5 Target Size (Level AAA): minimum 44x44 pixels
       // WCAG 2.5.8 Target Size (Minimum) (Level AA): minimum 24x24 pixels
@@ -1639,36 +4563,15 @@ export class AccessibilityAuditor {
    * Check focus order and tab sequence
    */
   async checkFocusOrder() {
-    const focusOrderData = await this.page.evaluate(() => {
+    const recorded = this.keyboardWalk?.sequence?.length ? this.keyboardWalk.sequence : null;
+    await this.installSelectorGenerator();
+    const focusOrderData = await this.page.evaluate((recorded) => {
       const results = {
         focusSequence: [],
         issues: []
       };
 
-      // Compact selector for focus order
-      const ESC = (s) => {
-        try { return CSS.escape(s); } catch { return String(s).replace(/[^a-zA-Z0-9_-]/g, '\\$&'); }
-      };
-      const compactSelector = (elem) => {
-        if (!elem) return '';
-        if (elem.id && document.querySelectorAll(`#${ESC(elem.id)}`).length === 1) return `#${elem.id}`;
-        const tag = elem.tagName.toLowerCase();
-        const typeAttr = tag === 'input' && elem.type ? `[type="${elem.type}"]` : '';
-        const classes = (elem.className || '').toString().split(/\s+/).filter(Boolean).slice(0, 2);
-        const base = tag + typeAttr + (classes.length ? `.${classes.map(ESC).join('.')}` : '');
-        if (document.querySelectorAll(base).length === 1) return base;
-        const parent = elem.closest('main, [role="main"], section, article, nav, header, footer') || elem.parentElement;
-        if (parent) {
-          const pSel = parent.id ? `#${ESC(parent.id)}` : parent.tagName.toLowerCase();
-          const cand = `${pSel} ${base}`;
-          if (document.querySelectorAll(cand).length === 1) return cand;
-        }
-        const sibs = Array.from(elem.parentElement?.children || []).filter(s => s.tagName === elem.tagName);
-        const idx = sibs.indexOf(elem) + 1;
-        const nth = `${base}:nth-of-type(${idx})`;
-        if (document.querySelectorAll(nth).length === 1) return nth;
-        return base;
-      };
+      const compactSelector = window.__a11ySelector.compactSelector;
       
       // Get all focusable elements in DOM order
       const focusableSelectors = [
@@ -1758,11 +4661,28 @@ export class AccessibilityAuditor {
         }
       });
       
+      // Prefer the sequence recorded by real Tab presses over the DOM/tabindex inference
+      results.source = recorded ? 'keyboard' : 'dom';
+      const orderedInternal = recorded || sequenceInternal;
+      if (recorded) {
+        results.focusSequence = recorded.map((item, index) => ({
+          index,
+          selector: item.selector,
+          tagName: item.tagName,
+          type: item.type,
+          tabIndex: item.tabIndex,
+          textContent: item.textContent,
+          ariaLabel: item.ariaLabel,
+          role: item.role,
+          hasAriaLabel: !!item.ariaLabel
+        }));
+      }
+
       // Illogical focus order detection (internal geometry, no coordinates in output)
       const outOfOrderElements = [];
-      for (let i = 1; i < sequenceInternal.length; i++) {
-        const current = sequenceInternal[i];
-        const previous = sequenceInternal[i - 1];
+      for (let i = 1; i < orderedInternal.length; i++) {
+        const current = orderedInternal[i];
+        const previous = orderedInternal[i - 1];
         const verticalJump = Math.abs(current.top - previous.top);
         const horizontalJump = Math.abs(current.left - previous.left);
 
@@ -1785,6 +4705,7 @@ export class AccessibilityAuditor {
               // Removed positions and jump metrics
             })),
             totalFocusableElements: results.focusSequence.length,
+            sequenceSource: results.source,
             suggestion: 'Reorder DOM elements or adjust layout to match visual focus order'
           }
         });
@@ -1800,11 +4721,811 @@ export class AccessibilityAuditor {
       }
       
       return results;
-    });
+    }, recorded);
     
     this.results.focusOrder = focusOrderData;
   }
 
+  /**
+   * Check WCAG 2.2 Focus Not Obscured (2.4.11 AA / 2.4.12 AAA)
+   * Focuses each element from the focus sequence and samples elementFromPoint across its box
+   * to see whether fixed or sticky layers (headers, cookie banners) cover it.
+   */
+  async checkFocusNotObscured() {
+    const sequence = (this.results.focusOrder?.focusSequence || []).slice(0, 150);
+    const partialSeverity = this.options.wcagLevel === 'AAA' ? 'medium' : 'low';
+
+    await this.installSelectorGenerator();
+    const obscuredData = await this.page.evaluate(async ({ sequence, partialSeverity }) => {
+      const results = {
+        tested: 0,
+        obscured: [],
+        issues: []
+      };
+
+      const compactSelector = window.__a11ySelector.compactSelector;
+
+      // Resolve a sequence entry back to its element (selectors are not always unique)
+      const resolve = (item) => {
+        let matches = [];
+        try { matches = Array.from(document.querySelectorAll(item.selector)); } catch { return null; }
+        if (matches.length <= 1) return matches[0] || null;
+        return matches.find(m => (m.textContent?.trim().substring(0, 80) || '') === item.textContent) || matches[0];
+      };
+
+      // Nearest fixed/sticky ancestor (including self) that is actually painted
+      const findOverlayLayer = (el) => {
+        for (let cur = el; cur && cur.nodeType === Node.ELEMENT_NODE; cur = cur.parentElement) {
+          const cs = window.getComputedStyle(cur);
+          if (cs.position === 'fixed' || cs.position === 'sticky') {
+            if (cs.visibility === 'hidden' || parseFloat(cs.opacity || '1') <= 0.01) return null;
+            return { element: cur, position: cs.position };
+          }
+        }
+        return null;
+      };
+
+      const nextFrame = () => new Promise(r => requestAnimationFrame(() => requestAnimationFrame(r)));
+      const GRID = 5;
+
+      for (const item of sequence) {
+        const el = resolve(item);
+        if (!el) continue;
+        try { el.focus(); } catch { continue; }
+        if (document.activeElement !== el) continue;
+        await nextFrame(); // let scroll-linked headers settle
+
+        const rect = el.getBoundingClientRect();
+        const left = Math.max(0, rect.left);
+        const top = Math.max(0, rect.top);
+        const right = Math.min(window.innerWidth, rect.right);
+        const bottom = Math.min(window.innerHeight, rect.bottom);
+        if (right - left < 1 || bottom - top < 1) continue; // off-screen; reported by the keyboard walk
+        results.tested++;
+
+        let samples = 0;
+        let covered = 0;
+        const layers = new Map();
+        for (let gx = 0; gx < GRID; gx++) {
+          for (let gy = 0; gy < GRID; gy++) {
+            const x = left + 1 + (right - left - 2) * (gx / (GRID - 1));
+            const y = top + 1 + (bottom - top - 2) * (gy / (GRID - 1));
+            const hit = document.elementFromPoint(x, y);
+            samples++;
+            if (!hit || el.contains(hit) || hit.contains(el)) continue;
+            const layer = findOverlayLayer(hit);
+            if (!layer || layer.element.contains(el)) continue;
+            covered++;
+            layers.set(layer.element, layer.position);
+          }
+        }
+        if (covered === 0) continue;
+
+        const [layerEl, layerPosition] = Array.from(layers.entries())[0];
+        const obscuredBy = compactSelector(layerEl);
+        const obscuredPercent = Math.round((covered / samples) * 100);
+        const fully = covered === samples;
+        const elementType = `${item.tagName}${item.type ? `[type="${item.type}"]` : ''}${item.role ? `[role="${item.role}"]` : ''}`;
+        results.obscured.push({ selector: item.selector, obscuredBy, obscuredPercent });
+
+        results.issues.push({
+          type: fully ? 'focus_obscured_fully' : 'focus_obscured_partially',
+          severity: fully ? 'high' : partialSeverity,
+          message: fully
+            ? `Focused element is completely hidden by a ${layerPosition} layer (${obscuredBy})`
+            : `Focused element is ${obscuredPercent}% hidden by a ${layerPosition} layer (${obscuredBy})`,
+          recommendation: fully
+            ? 'Ensure focused elements are not entirely covered by sticky headers, footers or banners (e.g. use scroll-padding-top equal to the header height)'
+            : 'Keep focused elements fully visible; add scroll-padding / scroll-margin so sticky content does not overlap them',
+          context: {
+            selector: item.selector,
+            elementType,
+            textContent: item.textContent || item.ariaLabel || '',
+            obscuredBy,
+            obscuringPosition: layerPosition,
+            obscuredPercent,
+            otherObscuringLayers: Array.from(layers.keys()).slice(1).map(compactSelector),
+            cssFixSuggestion: `html { scroll-padding-top: ${Math.ceil(layerEl.getBoundingClientRect().height)}px; }`
+          }
+        });
+      }
+
+      try { document.activeElement?.blur?.(); } catch {}
+      window.scrollTo(0, 0);
+      return results;
+    }, { sequence, partialSeverity });
+
+    this.results.focusNotObscured = obscuredData;
+  }
+
+  /**
+   * Check WCAG 1.4.10 Reflow
+   * Re-renders the page at a 320 CSS px wide viewport and looks for horizontal scrolling,
+   * content clipped by overflow:hidden and truncated text. Clipping and truncation already present
+   * at the original width (carousels, marquees, masked regions) are not reported. The original
+   * viewport is restored afterwards.
+   */
+  async checkReflow() {
+    const REFLOW_WIDTH = 320;
+    const original = this.page.viewportSize() ||
+      await this.page.evaluate(() => ({ width: window.innerWidth, height: window.innerHeight }));
+
+    // Record what each clipping element already hides at the original width
+    await this.page.evaluate(() => {
+      const before = new WeakMap();
+      const CLIPPING = ['hidden', 'clip'];
+      document.body?.querySelectorAll('*').forEach(el => {
+        const cs = window.getComputedStyle(el);
+        const lineClamp = cs.webkitLineClamp && cs.webkitLineClamp !== 'none';
+        if (!CLIPPING.includes(cs.overflowX) && !CLIPPING.includes(cs.overflowY) && !lineClamp) return;
+        before.set(el, { x: el.scrollWidth - el.clientWidth, y: el.scrollHeight - el.clientHeight });
+      });
+      window.__a11yReflowBefore = before;
+    }).catch(() => {});
+
+    let reflowData;
+    try {
+      await this.page.setViewportSize({ width: REFLOW_WIDTH, height: original.height });
+
+      await this.installSelectorGenerator();
+      reflowData = await this.page.evaluate(async (reflowWidth) => {
+        const results = {
+          viewportWidth: reflowWidth,
+          documentWidth: 0,
+          overflowWidth: 0,
+          clipped: 0,
+          truncated: 0,
+          issues: []
+        };
+        const MAX_PER_TYPE = 25;
+
+        const compactSelector = window.__a11ySelector.compactSelector;
+
+        // Content that needs two-dimensional layout is exempt from 1.4.10
+        const EXEMPT = 'table, pre, code, canvas, video, svg, iframe, map, [role="grid"], [role="treegrid"], [role="toolbar"], [role="application"]';
+        const isExempt = (el) => !!el.closest(EXEMPT);
+        const isRendered = (el, cs) => cs.display !== 'none' && cs.visibility !== 'hidden' && el.getClientRects().length > 0;
+        const ownText = (el) => Array.from(el.childNodes)
+          .filter(n => n.nodeType === Node.TEXT_NODE)
+          .map(n => n.textContent)
+          .join(' ')
+          .replace(/\s+/g, ' ')
+          .trim();
+        const inScrollContainer = (el) => {
+          for (let cur = el.parentElement; cur && cur !== document.body && cur !== document.documentElement; cur = cur.parentElement) {
+            if (window.getComputedStyle(cur).overflowX !== 'visible') return true;
+          }
+          return false;
+        };
+
+        const nextFrame = () => new Promise(r => requestAnimationFrame(() => requestAnimationFrame(r)));
+        await nextFrame(); // let media queries and layout settle at the new width
+
+        const root = document.documentElement;
+        const clientWidth = root.clientWidth || reflowWidth;
+        const documentWidth = Math.max(root.scrollWidth, document.body?.scrollWidth || 0);
+        results.documentWidth = documentWidth;
+        results.overflowWidth = Math.max(0, documentWidth - clientWidth);
+
+        const elements = Array.from(document.body?.querySelectorAll('*') || []);
+
+        // Horizontal scrolling: find the outermost elements that extend past the viewport
+        if (results.overflowWidth > 1) {
+          const offenders = [];
+          for (const el of elements) {
+            if (offenders.length >= 10) break;
+            const rect = el.getBoundingClientRect();
+            if (rect.width === 0 || rect.right <= clientWidth + 1) continue;
+            const cs = window.getComputedStyle(el);
+            if (cs.position === 'fixed' || isExempt(el)) continue;
+            const parentRect = el.parentElement?.getBoundingClientRect();
+            if (parentRect && el.parentElement !== document.body && parentRect.right > clientWidth + 1) continue;
+            if (inScrollContainer(el)) continue;
+            offenders.push({
+              selector: compactSelector(el),
+              elementType: el.tagName.toLowerCase(),
+              width: Math.round(rect.width),
+              overflowWidth: Math.round(rect.right - clientWidth)
+            });
+          }
+
+          if (offenders.length > 0) {
+            results.issues.push({
+              type: 'horizontal_scroll',
+              severity: 'high',
+              message: `Page scrolls horizontally at ${reflowWidth}px wide: content is ${documentWidth}px wide (${results.overflowWidth}px overflow)`,
+              recommendation: 'Use fluid widths (max-width: 100%, flex-wrap, grid auto-fit) and media queries so content reflows into a single column at 320 CSS pixels',
+              context: {
+                selector: offenders[0].selector,
+                elementType: offenders[0].elementType,
+                viewportWidth: reflowWidth,
+                documentWidth,
+                overflowWidth: results.overflowWidth,
+                offenders
+              }
+            });
+          }
+        }
+
+        // Clipped content and truncated text inside individual containers
+        for (const el of elements) {
+          if (el.clientWidth <= 1 || el.clientHeight <= 1) continue; // visually-hidden helpers
+          const cs = window.getComputedStyle(el);
+          if (!isRendered(el, cs) || isExempt(el)) continue;
+
+          const hiddenX = cs.overflowX === 'hidden' || cs.overflowX === 'clip';
+          const hiddenY = cs.overflowY === 'hidden' || cs.overflowY === 'clip';
+          const lineClamp = cs.webkitLineClamp && cs.webkitLineClamp !== 'none';
+          const overflowX = el.scrollWidth - el.clientWidth;
+          const overflowY = el.scrollHeight - el.clientHeight;
+          const text = (el.textContent || '').replace(/\s+/g, ' ').trim();
+          if (!text) continue;
+          // Only overflow the narrow viewport introduces counts
+          const was = window.__a11yReflowBefore?.get(el) || { x: 0, y: 0 };
+          const newX = overflowX > 1 && was.x <= 1;
+          const newY = overflowY > 1 && was.y <= 1;
+
+          const truncatedX = hiddenX && cs.textOverflow === 'ellipsis' && newX && ownText(el);
+          const truncatedY = lineClamp && newY;
+          if (truncatedX || truncatedY) {
+            results.truncated++;
+            if (results.issues.filter(i => i.type === 'text_truncated').length >= MAX_PER_TYPE) continue;
+            results.issues.push({
+              type: 'text_truncated',
+              severity: 'medium',
+              message: `Text is truncated at ${reflowWidth}px wide (${truncatedX ? 'text-overflow: ellipsis' : 'line clamp'})`,
+              recommendation: 'Let text wrap at narrow widths instead of truncating it, or provide the full text elsewhere (e.g. expandable content)',
+              context: {
+                selector: compactSelector(el),
+                elementType: el.tagName.toLowerCase(),
+                textContent: text.substring(0, 80),
+                overflowWidth: truncatedX ? overflowX : 0,
+                overflowHeight: truncatedY ? overflowY : 0,
+                clientSize: `${el.clientWidth}x${el.clientHeight}px`,
+                scrollSize: `${el.scrollWidth}x${el.scrollHeight}px`
+              }
+            });
+            continue;
+          }
+
+          const clippedX = hiddenX && newX;
+          const clippedY = hiddenY && newY;
+          if (!clippedX && !clippedY) continue;
+          results.clipped++;
+          if (results.issues.filter(i => i.type === 'content_clipped').length >= MAX_PER_TYPE) continue;
+          results.issues.push({
+            type: 'content_clipped',
+            severity: 'medium',
+            message: `Content is clipped by overflow: hidden at ${reflowWidth}px wide (${clippedX ? `${overflowX}px horizontally` : ''}${clippedX && clippedY ? ', ' : ''}${clippedY ? `${overflowY}px vertically` : ''})`,
+            recommendation: 'Avoid fixed widths/heights on text containers with overflow: hidden; let the container grow or wrap its content',
+            context: {
+              selector: compactSelector(el),
+              elementType: el.tagName.toLowerCase(),
+              textContent: text.substring(0, 80),
+              overflowWidth: clippedX ? overflowX : 0,
+              overflowHeight: clippedY ? overflowY : 0,
+              clientSize: `${el.clientWidth}x${el.clientHeight}px`,
+              scrollSize: `${el.scrollWidth}x${el.scrollHeight}px`
+            }
+          });
+        }
+
+        return results;
+      }, REFLOW_WIDTH);
+    } finally {
+      await this.page.setViewportSize(original);
+      await this.page.evaluate(() => {
+        delete window.__a11yReflowBefore;
+        window.scrollTo(0, 0);
+      });
+    }
+
+    this.results.reflow = reflowData;
+  }
+
+  /**
+   * Options for a separate browser context that loads the audited page the way it was loaded:
+   * the page's user agent and locale, the caller's options.contextOptions (extra headers,
+   * ignoreHTTPSErrors, ...), its viewport, cookies and storage, then the given overrides
+   * @param {Object} overrides - Context options that must differ (e.g. deviceScaleFactor)
+   * @returns {Object} Options for browser.newContext()
+   */
+  async contextOptionsLikePage(overrides = {}) {
+    const viewport = this.page.viewportSize() || { width: 1280, height: 720 };
+    let storageState;
+    try { storageState = await this.page.context().storageState(); } catch {}
+    const detected = await this.page.evaluate(() => ({ userAgent: navigator.userAgent, locale: navigator.language }))
+      .catch(() => ({}));
+    return { ...detected, ...(this.options.contextOptions || {}), viewport, storageState, ...overrides };
+  }
+
+  /**
+   * Check WCAG 1.4.4 Resize Text
+   * Reopens the page in a separate browser context with a device scale factor of 2, doubles every
+   * computed font size (text-only zoom) and compares each text run with the 100% render.
+   */
+  async checkTextZoom() {
+    const ZOOM = 2;
+    const MAX_PER_TYPE = 30;
+    const results = {
+      zoom: ZOOM,
+      tested: 0,
+      overlapping: 0,
+      clipped: 0,
+      disappeared: 0,
+      issues: []
+    };
+
+    const browser = this.page.context().browser();
+    if (!browser) {
+      results.skipped = 'No browser handle available to open a separate context';
+      this.results.textZoom = results;
+      return;
+    }
+
+    // Carry the color mode of the current pass into the zoomed context
+    const media = {
+      ...(this.options.mediaCondition === 'dark' ? { colorScheme: 'dark' } : {}),
+      ...(this.options.mediaCondition === 'forced-colors' ? { forcedColors: 'active' } : {})
+    };
+    const context = await browser.newContext(await this.contextOptionsLikePage({ deviceScaleFactor: ZOOM, ...media }));
+
+    try {
+      const zoomPage = await context.newPage();
+      await zoomPage.goto(this.page.url(), { waitUntil: 'networkidle', timeout: this.options.timeout || 30000 });
+      await this.installSelectorGenerator(zoomPage);
+
+      const zoomData = await zoomPage.evaluate(async ({ scale, maxPerType }) => {
+        const data = {
+          tested: 0,
+          overlapping: 0,
+          clipped: 0,
+          disappeared: 0,
+          issues: []
+        };
+
+        const compactSelector = window.__a11ySelector.compactSelector;
+
+        const nextFrame = () => new Promise(r => requestAnimationFrame(() => requestAnimationFrame(r)));
+        const ownTextNodes = (el) => Array.from(el.childNodes).filter(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim().length > 0);
+
+        const elements = Array.from(document.body?.querySelectorAll('*') || [])
+          .filter(el => ownTextNodes(el).length > 0 && !el.closest('script, style, noscript, svg, template'))
+          .slice(0, 800);
+
+        // Bounding box of the element's own text runs (not its padding box)
+        const textBox = (el) => {
+          let box = null;
+          for (const node of ownTextNodes(el)) {
+            const range = document.createRange();
+            range.selectNodeContents(node);
+            for (const r of Array.from(range.getClientRects())) {
+              if (r.width === 0 || r.height === 0) continue;
+              box = box
+                ? { left: Math.min(box.left, r.left), top: Math.min(box.top, r.top), right: Math.max(box.right, r.right), bottom: Math.max(box.bottom, r.bottom) }
+                : { left: r.left, top: r.top, right: r.right, bottom: r.bottom };
+            }
+          }
+          return box;
+        };
+        const area = (b) => b ? Math.max(0, b.right - b.left) * Math.max(0, b.bottom - b.top) : 0;
+        const intersect = (a, b) => ({
+          left: Math.max(a.left, b.left),
+          top: Math.max(a.top, b.top),
+          right: Math.min(a.right, b.right),
+          bottom: Math.min(a.bottom, b.bottom)
+        });
+
+        // Visible share of the text box after clipping by overflow:hidden ancestors
+        const measure = (el) => {
+          const cs = window.getComputedStyle(el);
+          const box = textBox(el);
+          if (!box || cs.visibility === 'hidden') return { box: null, visible: 0, clipper: null, fontSize: cs.fontSize };
+          let visibleBox = box;
+          let clipper = null;
+          for (let cur = el; cur && cur !== document.documentElement; cur = cur.parentElement) {
+            const ccs = window.getComputedStyle(cur);
+            if (parseFloat(ccs.opacity || '1') <= 0.01) return { box, visible: 0, clipper: cur, fontSize: cs.fontSize };
+            if (['hidden', 'clip'].includes(ccs.overflowX) || ['hidden', 'clip'].includes(ccs.overflowY)) {
+              const before = area(visibleBox);
+              visibleBox = intersect(visibleBox, cur.getBoundingClientRect());
+              if (!clipper && area(visibleBox) < before - 1) clipper = cur;
+            }
+          }
+          return {
+            box,
+            visible: area(box) ? area(visibleBox) / area(box) : 0,
+            clipper,
+            clipperHeight: clipper ? Math.round(clipper.getBoundingClientRect().height) : null,
+            fontSize: cs.fontSize
+          };
+        };
+
+        const overlaps = (measurements) => {
+          const pairs = new Set();
+          const items = measurements
+            .map((m, i) => ({ i, box: m.box, visible: m.visible }))
+            .filter(x => x.box && x.visible > 0.05)
+            .sort((a, b) => a.box.top - b.box.top);
+          for (let a = 0; a < items.length; a++) {
+            for (let b = a + 1; b < items.length && items[b].box.top < items[a].box.bottom; b++) {
+              const ea = elements[items[a].i];
+              const eb = elements[items[b].i];
+              if (ea.contains(eb) || eb.contains(ea)) continue;
+              const shared = area(intersect(items[a].box, items[b].box));
+              const smaller = Math.min(area(items[a].box), area(items[b].box));
+              if (shared > 4 && shared / smaller > 0.2) pairs.add(`${items[a].i}|${items[b].i}`);
+            }
+          }
+          return pairs;
+        };
+
+        const before = elements.map(measure);
+        const overlapBefore = overlaps(before);
+
+        // Text-only zoom: read every computed size first so inherited em/% values are not doubled twice
+        const all = Array.from(document.querySelectorAll('body, body *'));
+        const sizes = all.map(el => parseFloat(window.getComputedStyle(el).fontSize) || 0);
+        all.forEach((el, i) => {
+          if (sizes[i] > 0) el.style.setProperty('font-size', `${sizes[i] * scale}px`, 'important');
+        });
+        await nextFrame();
+
+        const after = elements.map(measure);
+        const overlapAfter = overlaps(after);
+        const counts = { text_overlap_on_zoom: 0, text_clipped_on_zoom: 0, text_disappears_on_zoom: 0 };
+        const push = (issue) => {
+          if (counts[issue.type]++ < maxPerType) data.issues.push(issue);
+        };
+        const describe = (el, b, a) => ({
+          selector: compactSelector(el),
+          elementType: el.tagName.toLowerCase(),
+          textContent: (el.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 80),
+          fontSizeBefore: b.fontSize,
+          fontSizeAfter: a.fontSize
+        });
+
+        elements.forEach((el, i) => {
+          const b = before[i];
+          const a = after[i];
+          if (!b.box || b.visible < 0.5) return;
+          data.tested++;
+
+          if (a.visible < 0.05) {
+            data.disappeared++;
+            push({
+              type: 'text_disappears_on_zoom',
+              severity: 'high',
+              message: `Text disappears when text is resized to ${scale * 100}%`,
+              recommendation: 'Do not hide or clip text containers at larger font sizes; size containers in em/rem and use min-height instead of height',
+              context: {
+                ...describe(el, b, a),
+                clippedBy: a.clipper ? compactSelector(a.clipper) : null,
+                visiblePercentBefore: Math.round(b.visible * 100),
+                visiblePercentAfter: Math.round(a.visible * 100)
+              }
+            });
+          } else if (a.visible < b.visible - 0.05) {
+            data.clipped++;
+            push({
+              type: 'text_clipped_on_zoom',
+              severity: 'high',
+              message: `Text is cut off at ${scale * 100}% text size (${Math.round(a.visible * 100)}% visible) by ${compactSelector(a.clipper)}`,
+              recommendation: 'Replace fixed px heights on text containers with min-height and size text in rem/em so containers grow with the text',
+              context: {
+                ...describe(el, b, a),
+                clippedBy: a.clipper ? compactSelector(a.clipper) : null,
+                containerHeight: a.clipperHeight,
+                visiblePercentBefore: Math.round(b.visible * 100),
+                visiblePercentAfter: Math.round(a.visible * 100)
+              }
+            });
+          }
+        });
+
+        overlapAfter.forEach(key => {
+          if (overlapBefore.has(key)) return;
+          const [i, j] = key.split('|').map(Number);
+          data.overlapping++;
+          push({
+            type: 'text_overlap_on_zoom',
+            severity: 'medium',
+            message: `Text overlaps other text when resized to ${scale * 100}%`,
+            recommendation: 'Let text containers grow with their content (avoid fixed heights and absolutely positioned text) so resized text does not collide',
+            context: {
+              ...describe(elements[i], before[i], after[i]),
+              overlapsWith: compactSelector(elements[j]),
+              overlapsWithText: (elements[j].textContent || '').replace(/\s+/g, ' ').trim().substring(0, 80)
+            }
+          });
+        });
+
+        return data;
+      }, { scale: ZOOM, maxPerType: MAX_PER_TYPE });
+
+      Object.assign(results, zoomData);
+    } catch (error) {
+      results.error = error.message;
+    } finally {
+      await context.close().catch(() => {});
+    }
+
+    this.results.textZoom = results;
+  }
+
+  /**
+   * Forced colors mode (Windows High Contrast) checks, run during the forced-colors pass.
+   * Forced colors drop box-shadow, CSS gradients and author background colors, so icons drawn
+   * with them and focus indicators built from them can disappear. Each candidate is captured
+   * with forced colors active and again with them off; it "vanishes" when it is drawn normally
+   * but (almost) nothing is drawn in forced colors.
+   */
+  async checkForcedColors() {
+    const MAX_ICONS = 40;
+    const MAX_FOCUS = 25;
+    const ATTR = 'data-a11y-forced-id';
+    const results = {
+      measuredIcons: 0,
+      measuredFocus: 0,
+      issues: []
+    };
+
+    await this.installSelectorGenerator();
+    const candidates = await this.page.evaluate(({ attr, maxIcons, maxFocus }) => {
+      const compactSelector = window.__a11ySelector.compactSelector;
+      const isVisible = (el) => {
+        const cs = window.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0 && cs.display !== 'none' && cs.visibility !== 'hidden' && parseFloat(cs.opacity || '1') > 0.01;
+      };
+      const nameOf = (el) => {
+        const host = el.closest('a[href], button, [role="button"], [role="link"]') || el;
+        return (host.getAttribute('aria-label') || host.getAttribute('title') || host.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 80);
+      };
+
+      // Icons: small SVGs, mask-image icons and text-less elements painted only by their background
+      const technique = (el) => {
+        const cs = window.getComputedStyle(el);
+        if (el.tagName.toLowerCase() === 'svg') return 'svg';
+        const mask = cs.maskImage || cs.webkitMaskImage;
+        if (mask && mask !== 'none') return 'mask-image';
+        if (/gradient\(/.test(cs.backgroundImage || '')) return 'css-gradient';
+        if (!el.textContent.trim() && el.children.length === 0 && cs.backgroundColor !== 'rgba(0, 0, 0, 0)' && cs.backgroundColor !== 'transparent') {
+          return 'background-color';
+        }
+        return null;
+      };
+      const icons = [];
+      let n = 0;
+      for (const el of document.querySelectorAll('svg, i, span, div, a, button')) {
+        if (icons.length >= maxIcons) break;
+        if (el.tagName.toLowerCase() === 'svg' && el.parentElement?.closest('svg')) continue;
+        if (!isVisible(el)) continue;
+        const rect = el.getBoundingClientRect();
+        if (rect.width < 4 || rect.height < 4 || rect.width > 64 || rect.height > 64) continue;
+        const kind = technique(el);
+        if (!kind) continue;
+        el.setAttribute(attr, String(n));
+        icons.push({ id: n++, technique: kind, selector: compactSelector(el), elementType: el.tagName.toLowerCase(), textContent: nameOf(el) });
+      }
+
+      const focusables = [];
+      for (const el of document.querySelectorAll('a[href], button, input:not([type="hidden"]), select, textarea, [tabindex]:not([tabindex="-1"])')) {
+        if (focusables.length >= maxFocus) break;
+        if (el.disabled || !isVisible(el)) continue;
+        el.setAttribute(attr, String(n));
+        focusables.push({ id: n++, selector: compactSelector(el), elementType: el.tagName.toLowerCase(), textContent: nameOf(el) });
+      }
+      return { icons, focusables };
+    }, { attr: ATTR, maxIcons: MAX_ICONS, maxFocus: MAX_FOCUS });
+
+    const viewport = this.page.viewportSize() || { width: 1280, height: 720 };
+    const CLIP_PADDING = 4;
+    const clipFor = async (handle, padding) => {
+      await handle.scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => {});
+      const box = await handle.boundingBox();
+      if (!box || box.width < 1 || box.height < 1) return null;
+      const x = Math.max(0, Math.floor(box.x - padding));
+      const y = Math.max(0, Math.floor(box.y - padding));
+      const clip = {
+        x,
+        y,
+        width: Math.min(viewport.width - x, Math.ceil(box.width + padding * 2)),
+        height: Math.min(viewport.height - y, Math.ceil(box.height + padding * 2))
+      };
+      return clip.width >= 1 && clip.height >= 1 ? { clip, box } : null;
+    };
+    const shot = async (clip) => decodePng(await this.page.screenshot({ clip, scale: 'css', animations: 'disabled', caret: 'hide' }));
+
+    // Measure every candidate in one color mode: painted pixels for icons, focus change for focusables
+    const measureAll = async () => {
+      const icons = new Map();
+      const focus = new Map();
+      for (const icon of candidates.icons) {
+        const handle = await this.page.$(`[${ATTR}="${icon.id}"]`);
+        if (!handle) continue;
+        try {
+          // The padding ring shows what surrounds the icon; anything that differs from it is the icon
+          const area = await clipFor(handle, CLIP_PADDING);
+          if (area) icons.set(icon.id, paintedPixels(await shot(area.clip), { border: CLIP_PADDING }).paintedPixels);
+        } catch {} finally {
+          await handle.dispose().catch(() => {});
+        }
+      }
+      // A key press puts Chromium in keyboard modality so :focus-visible styles apply to programmatic focus
+      try { await this.page.keyboard.press('Shift'); } catch {}
+      for (const item of candidates.focusables) {
+        const handle = await this.page.$(`[${ATTR}="${item.id}"]`);
+        if (!handle) continue;
+        try {
+          await this.page.evaluate(() => document.activeElement?.blur?.());
+          const area = await clipFor(handle, CLIP_PADDING);
+          if (!area) continue;
+          const before = await shot(area.clip);
+          await handle.focus();
+          const after = await shot(area.clip);
+          const focusStyles = await handle.evaluate(el => {
+            const cs = window.getComputedStyle(el);
+            return { outlineStyle: cs.outlineStyle, outlineColor: cs.outlineColor, boxShadow: cs.boxShadow, backgroundColor: cs.backgroundColor };
+          });
+          await handle.evaluate(el => el.blur());
+          const diff = diffImages(before, after);
+          focus.set(item.id, { changedArea: diff.changedPixels, box: area.box, focusStyles });
+        } catch {} finally {
+          await handle.dispose().catch(() => {});
+        }
+      }
+      return { icons, focus };
+    };
+
+    let forced;
+    let normal;
+    try {
+      forced = await measureAll();
+      await this.page.emulateMedia({ forcedColors: 'none' });
+      normal = await measureAll();
+    } finally {
+      await this.page.emulateMedia({ forcedColors: 'active' }).catch(() => {});
+      await this.page.evaluate((attr) => {
+        document.querySelectorAll(`[${attr}]`).forEach(el => el.removeAttribute(attr));
+        window.scrollTo(0, 0);
+      }, ATTR).catch(() => {});
+    }
+
+    for (const icon of candidates.icons) {
+      if (!forced.icons.has(icon.id) || !normal.icons.has(icon.id)) continue;
+      results.measuredIcons++;
+      const normalPainted = normal.icons.get(icon.id);
+      const forcedPainted = forced.icons.get(icon.id);
+      if (normalPainted < 4 || forcedPainted > Math.max(2, normalPainted * 0.1)) continue;
+      results.issues.push({
+        type: 'icon_vanishes_forced_colors',
+        severity: 'high',
+        message: `Icon disappears in forced colors mode (${normalPainted}px drawn normally, ${forcedPainted}px with forced colors)`,
+        recommendation: icon.technique === 'svg'
+          ? 'Use fill="currentColor"/stroke="currentColor" in the SVG so it follows the forced text color, or add a @media (forced-colors: active) rule'
+          : `Icons drawn with ${icon.technique} are removed by forced colors; use an inline SVG with currentColor or an <img>, or restyle the icon under @media (forced-colors: active)`,
+        context: {
+          selector: icon.selector,
+          elementType: icon.elementType,
+          textContent: icon.textContent,
+          technique: icon.technique,
+          paintedPixels: { normal: normalPainted, forcedColors: forcedPainted }
+        }
+      });
+    }
+
+    for (const item of candidates.focusables) {
+      const f = forced.focus.get(item.id);
+      const nrm = normal.focus.get(item.id);
+      if (!f || !nrm) continue;
+      results.measuredFocus++;
+      const minVisibleArea = Math.max(8, Math.round((nrm.box.width + nrm.box.height) / 4));
+      if (nrm.changedArea < minVisibleArea || f.changedArea >= minVisibleArea) continue;
+      results.issues.push({
+        type: 'focus_indicator_vanishes_forced_colors',
+        severity: 'high',
+        message: `Focus indicator disappears in forced colors mode (${nrm.changedArea}px changed normally, ${f.changedArea}px with forced colors)`,
+        recommendation: 'Forced colors remove box-shadow and author background colors. Add a transparent outline (e.g. outline: 2px solid transparent), which forced colors make visible, or style focus under @media (forced-colors: active)',
+        context: {
+          selector: item.selector,
+          elementType: item.elementType,
+          textContent: item.textContent,
+          changedArea: { normal: nrm.changedArea, forcedColors: f.changedArea },
+          focusStyles: nrm.focusStyles
+        }
+      });
+    }
+
+    this.results.forcedColors = results;
+  }
+
+  /**
+   * Re-run the whole audit under each requested color mode (`options.colorModes`):
+   * `dark` emulates prefers-color-scheme: dark and `forced-colors` emulates forced-colors: active.
+   * Issues are matched across modes by stable ID. Every issue is tagged with the media conditions
+   * it appears under; issues found under only one condition are marked `modeOnly`, and any issue
+   * missing under some condition is flagged in its message. Issues that appear only in color modes
+   * are merged into these results.
+   */
+  async auditColorModes() {
+    const MEDIA = {
+      dark: { colorScheme: 'dark' },
+      'forced-colors': { forcedColors: 'active' }
+    };
+    const LABELS = { default: 'Default colors', dark: 'Dark mode', 'forced-colors': 'Forced colors' };
+
+    // Issue lists of a results object, including failing contrast combinations
+    const issueLists = (results) => {
+      const lists = Object.entries(results)
+        .filter(([key, value]) => key !== 'issues' && Array.isArray(value?.issues))
+        .map(([key, value]) => [key, value.issues]);
+      if (Array.isArray(results.colorContrast)) {
+        lists.push(['colorContrast', results.colorContrast.filter(c => c.status === 'FAIL')]);
+      }
+      return lists;
+    };
+
+    const runs = [['default', this.results]];
+    this.results.colorModes = {};
+    for (const mode of this.options.colorModes) {
+      if (!MEDIA[mode]) continue;
+      try {
+        await this.page.emulateMedia(MEDIA[mode]);
+        const auditor = new AccessibilityAuditor(this.page, { ...this.options, colorModes: [], mediaCondition: mode });
+        const results = await auditor.audit();
+        runs.push([mode, results]);
+        this.results.colorModes[mode] = { totalIssues: results.summary.totalIssues, modeOnlyIssues: 0 };
+      } catch (error) {
+        this.results.colorModes[mode] = { error: error.message };
+      } finally {
+        await this.page.emulateMedia({ colorScheme: null, forcedColors: null }).catch(() => {});
+      }
+    }
+
+    // Which media conditions each issue ID appears under
+    const seen = new Map();
+    for (const [mode, results] of runs) {
+      for (const [, list] of issueLists(results)) {
+        for (const issue of list) {
+          if (!issue.id) continue;
+          const modes = seen.get(issue.id) || new Set();
+          modes.add(mode);
+          seen.set(issue.id, modes);
+        }
+      }
+    }
+
+    const merged = new Set();
+    for (const [mode, results] of runs) {
+      for (const [category, list] of issueLists(results)) {
+        for (const issue of list) {
+          const modes = [...(seen.get(issue.id) || [mode])];
+          issue.mediaConditions = modes;
+          issue.modeOnly = runs.length > 1 && modes.length === 1;
+          // Highlight anything that does not reproduce under every condition (once per issue object)
+          if (modes.length < runs.length && issue.message && !issue.message.startsWith('[')) {
+            issue.message = `[${modes.map(m => LABELS[m]).join(' + ')} only] ${issue.message}`;
+          }
+          if (mode === 'default' || modes.includes('default') || merged.has(issue.id)) continue;
+
+          // Appears only under color modes: bring it into the page results
+          merged.add(issue.id);
+          if (issue.modeOnly) this.results.colorModes[mode].modeOnlyIssues++;
+          if (category === 'colorContrast') {
+            this.results.colorContrast.push(issue);
+          } else {
+            const target = this.results[category];
+            if (!target || !Array.isArray(target.issues)) {
+              this.results[category] = { ...(Array.isArray(target) || !target ? {} : target), issues: [] };
+            }
+            this.results[category].issues.push(issue);
+          }
+        }
+      }
+    }
+  }
+
   /**
    * Calculate summary statistics
    */
@@ -1818,12 +5539,26 @@ export class AccessibilityAuditor {
     const categories = [
       this.results.semanticHTML,
       this.results.ariaLabels,
+      this.results.forms,
       this.results.keyboardNavigation,
       this.results.images,
       this.results.focusManagement,
       this.results.touchTargets,
       this.results.focusOrder,
-      this.results.visionSimulation
+      this.results.visionSimulation,
+      this.results.focusNotObscured,
+      this.results.reflow,
+      this.results.textSpacing,
+      this.results.textZoom,
+      this.results.nonTextContrast,
+      this.results.forcedColors,
+      this.results.linkDistinguishability,
+      this.results.ariaValidity,
+      this.results.tables,
+      this.results.pageMetadata,
+      this.results.media,
+      this.results.motion,
+      this.results.links
     ];
 
     categories.forEach(category => {
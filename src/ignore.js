@@ -15,6 +15,18 @@ export function loadIgnoreConfig(ignoreFile = 'config/ignore.json') {
   }
 }
 
+/**
+ * Stable issue ID used by the ignore flow: a djb2 hash of the normalized URL, category, type,
+ * selector and text, so the same finding keeps its ID across runs
+ */
+export function issueId(url, category, type, selector, text) {
+  const norm = (s) => (s || '').toString().replace(/\s+/g, ' ').trim().toLowerCase();
+  const str = [norm(url), norm(category), norm(type), norm(selector), norm(text)].join('|');
+  let h = 5381; // djb2
+  for (let i = 0; i < str.length; i++) h = ((h << 5) + h) + str.charCodeAt(i);
+  return ('00000000' + (h >>> 0).toString(16)).slice(-8);
+}
+
 function isExpired(expires) {
   if (!expires) return false;
   const d = new Date(expires);
@@ -36,7 +48,7 @@ function urlMatches(rule, url) {
 }
 
 export function shouldIgnore(issue, rules = []) {
-  // issue = { id, url, category, type, severity, selector, text }
+  // issue = { id, url, category, type, severity, selector, text, state }
   for (const r of rules) {
     if (isExpired(r.expires)) continue;
 
@@ -56,6 +68,9 @@ export function shouldIgnore(issue, rules = []) {
     const sevOk = !r.severityAtMost || sevOrder[issue.severity || 'medium'] <= sevOrder[r.severityAtMost] || r.severityAtMost === '*';
     if (!sevOk) continue;
 
+    const stateOk = !r.state || r.state === '*' || r.state === (issue.state || 'default');
+    if (!stateOk) continue;
+
     const selOk = !r.selector || (issue.selector || '').includes(r.selector);
     if (!selOk) continue;
 
@@ -5,6 +5,9 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { decodePng, encodePng } from './utils/image.js';
+import { simulateImage, IMAGE_VISION_TYPES } from './utils/vision-simulator.js';
+import { issueId, loadIgnoreConfig, shouldIgnore } from './ignore.js';
 
 export class ReportGenerator {
   constructor(outputDir = './reports') {
@@ -47,8 +50,14 @@ export class ReportGenerator {
     const filePrefix = `${timestamp}_${sanitizedDomain}_compliance-report`;
     
     const targetDir = await this.ensureOutputDir(folderName);
+    this.applyCrossPageChecks(auditResults);
+    // Rendered first so the summary can link the images
+    const visionImages = await this.generateVisionImages(auditResults, targetDir);
+    const accessibilityTrees = await this.generateAccessibilityTrees(auditResults, targetDir);
     
     const reports = {
+      visionImages,
+      accessibilityTrees,
       summary: await this.generateSummaryReport(auditResults, `${filePrefix}_summary.md`, targetDir),
       detailed: await this.generateDetailedReport(auditResults, `${filePrefix}_detailed.csv`, targetDir),
       statistics: await this.generateStatisticsReport(auditResults, `${filePrefix}_statistics.json`, targetDir)
@@ -58,10 +67,192 @@ export class ReportGenerator {
     console.log(`- Summary: ${reports.summary}`);
     console.log(`- Detailed: ${reports.detailed}`);
     console.log(`- Statistics: ${reports.statistics}`);
+    if (visionImages.length) console.log(`- Vision simulations: ${visionImages.length} images in ${path.join(targetDir, 'vision-simulation')}`);
+    if (accessibilityTrees.length) console.log(`- Accessibility trees: ${accessibilityTrees.length} snapshots in ${path.join(targetDir, 'accessibility-tree')}`);
 
     return reports;
   }
 
+  /**
+   * Add findings that need the whole crawl to each page's results: page titles shared by more
+   * than one page (WCAG 2.4.2). Safe to call more than once
+   * @param {Object} auditResults - Complete audit results
+   */
+  applyCrossPageChecks(auditResults) {
+    if (auditResults.crossPageChecked) return;
+    auditResults.crossPageChecked = true;
+
+    const rules = loadIgnoreConfig(auditResults.options?.ignoreFile || 'config/ignore.json').rules || [];
+    const byTitle = new Map();
+    auditResults.pages.forEach(page => {
+      const title = page.results?.pageMetadata?.title;
+      if (!title) return;
+      const key = title.toLowerCase();
+      if (!byTitle.has(key)) byTitle.set(key, []);
+      byTitle.get(key).push(page);
+    });
+
+    byTitle.forEach(pages => {
+      if (pages.length < 2) return;
+      pages.forEach(page => {
+        const title = page.results.pageMetadata.title;
+        const others = pages.filter(other => other !== page).map(other => other.url);
+        const issue = {
+          type: 'duplicate_page_title',
+          severity: 'medium',
+          message: `Page title "${title.substring(0, 80)}" is shared with ${others.length} other page${others.length > 1 ? 's' : ''}`,
+          recommendation: 'Give each page a unique title that starts with its own topic, e.g. "Shipping - Help - Example Co"',
+          context: {
+            selector: 'title',
+            elementType: 'title',
+            value: title,
+            textSample: title,
+            duplicateCount: pages.length,
+            otherPages: others.slice(0, 5)
+          }
+        };
+        issue.id = issueId(page.url, 'pageMetadata', issue.type, 'title', title);
+        issue.url = page.url;
+        const ignored = shouldIgnore({
+          id: issue.id, url: page.url, category: 'pageMetadata', type: issue.type,
+          severity: issue.severity, selector: 'title', text: title
+        }, rules);
+        if (ignored) issue.ignored = true;
+        page.results.pageMetadata.issues.push(issue);
+        if (!ignored && page.results.summary) {
+          page.results.summary.totalIssues++;
+          page.results.summary.warnings++;
+        }
+      });
+    });
+  }
+
+  /**
+   * Group link text from every audited page's link inventory and keep the names that lead to
+   * more than one destination, for the site-wide duplicate link text summary
+   * @param {Object} auditResults - Complete audit results
+   * @returns {Array} [{ name, destinations, pages, occurrences, sampleDestinations }], most destinations first
+   */
+  summarizeLinkText(auditResults) {
+    const byName = new Map();
+    auditResults.pages.forEach(page => {
+      (page.results?.links?.inventory || []).forEach(link => {
+        // Same normalization as checkLinks: case, spacing and outer punctuation are ignored
+        const key = (link.name || '').toLowerCase().replace(/\s+/g, ' ').replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, '');
+        if (!key) return;
+        if (!byName.has(key)) byName.set(key, { name: link.name, destinations: new Set(), pages: new Set(), occurrences: 0 });
+        const entry = byName.get(key);
+        entry.destinations.add(link.href);
+        entry.pages.add(page.url);
+        entry.occurrences++;
+      });
+    });
+    return [...byName.values()]
+      .filter(entry => entry.destinations.size > 1)
+      .map(entry => ({
+        name: entry.name,
+        destinations: entry.destinations.size,
+        pages: entry.pages.size,
+        occurrences: entry.occurrences,
+        sampleDestinations: [...entry.destinations].slice(0, 3)
+      }))
+      .sort((a, b) => b.destinations - a.destinations || b.pages - a.pages);
+  }
+
+  /**
+   * Render each page's full-page screenshot once per vision type (color vision deficiencies,
+   * low vision and cataracts) and save the PNGs in a vision-simulation folder next to the reports.
+   * The auditor leaves the screenshots in temp files; each one is removed once rendered.
+   * @param {Object} auditResults - Complete audit results
+   * @param {string} targetDir - Report directory
+   * @returns {Array} Written file paths
+   */
+  async generateVisionImages(auditResults, targetDir) {
+    const pages = auditResults.pages.filter(page => page.results?.visionSimulation?.screenshotPath);
+    if (pages.length === 0) return [];
+
+    const dir = path.join(targetDir, 'vision-simulation');
+    await fs.mkdir(dir, { recursive: true });
+    const files = [];
+    for (const [index, page] of pages.entries()) {
+      const prefix = this.pageFilePrefix(index, page.url);
+      const screenshotPath = page.results.visionSimulation.screenshotPath;
+      delete page.results.visionSimulation.screenshotPath;
+      let image;
+      try {
+        image = decodePng(await fs.readFile(screenshotPath));
+      } catch {
+        continue;
+      } finally {
+        await fs.rm(screenshotPath, { force: true }).catch(() => {});
+      }
+      page.results.visionSimulation.images = {};
+      for (const visionType of IMAGE_VISION_TYPES) {
+        const filename = `${prefix}_${visionType}.png`;
+        await fs.writeFile(path.join(dir, filename), encodePng(simulateImage(image, visionType)));
+        page.results.visionSimulation.images[visionType] = `vision-simulation/${filename}`;
+        files.push(path.join(dir, filename));
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Remove the temp screenshot files left by the auditor without rendering them, for report
+   * formats that include no vision simulation images
+   * @param {Object} auditResults - Complete audit results
+   */
+  async cleanupVisionScreenshots(auditResults) {
+    for (const page of auditResults.pages) {
+      const screenshotPath = page.results?.visionSimulation?.screenshotPath;
+      if (!screenshotPath) continue;
+      delete page.results.visionSimulation.screenshotPath;
+      await fs.rm(screenshotPath, { force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Save each page's accessibility tree snapshot as JSON in an accessibility-tree folder next to
+   * the reports; scripts/diff-ax-tree.js matches snapshots between runs by their url field
+   * @param {Object} auditResults - Complete audit results
+   * @param {string} targetDir - Report directory
+   * @returns {Array} Written file paths
+   */
+  async generateAccessibilityTrees(auditResults, targetDir) {
+    const pages = auditResults.pages.filter(page => page.results?.accessibilityTree?.tree);
+    if (pages.length === 0) return [];
+
+    const dir = path.join(targetDir, 'accessibility-tree');
+    await fs.mkdir(dir, { recursive: true });
+    const files = [];
+    for (const [index, page] of pages.entries()) {
+      const { source, capturedAt, nodeCount, tree } = page.results.accessibilityTree;
+      const filename = `${this.pageFilePrefix(index, page.url)}.json`;
+      await fs.writeFile(
+        path.join(dir, filename),
+        JSON.stringify({ url: page.url, title: page.title, source, capturedAt, nodeCount, tree }, null, 2)
+      );
+      files.push(path.join(dir, filename));
+    }
+    return files;
+  }
+
+  /**
+   * File name prefix for per-page artifacts: position in the run plus a slug of the URL path
+   * @param {number} index - Zero-based page index
+   * @param {string} url - Page URL
+   * @returns {string} Prefix such as 01_products-chairs
+   */
+  pageFilePrefix(index, url) {
+    let slug;
+    try {
+      slug = new URL(url).pathname.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 60) || 'home';
+    } catch {
+      slug = 'page';
+    }
+    return `${String(index + 1).padStart(2, '0')}_${slug}`;
+  }
+
   /**
    * Ensure output directory exists
    * @param {string} subDir - Optional subdirectory to create within output directory
@@ -127,6 +318,11 @@ export class ReportGenerator {
         if (issue.context?.computedColors) {
           markdown += `   - **Colors**: ${issue.context.computedColors.foreground} on ${issue.context.computedColors.background}\n`;
         }
+        if (issue.suggestions?.foreground || issue.suggestions?.background) {
+          const fg = issue.suggestions.foreground;
+          const bg = issue.suggestions.background;
+          markdown += `   - **Suggested Colors**: ${[fg && `text \`${fg.hex}\` (${fg.contrastRatio}:1)`, bg && `background \`${bg.hex}\` (${bg.contrastRatio}:1)`].filter(Boolean).join(' or ')}\n`;
+        }
         if (issue.context?.filename) {
           markdown += `   - **Image**: ${issue.context.filename}\n`;
         }
@@ -157,6 +353,90 @@ export class ReportGenerator {
       });
     }
 
+    // Resize Text (200% zoom)
+    const zoomPages = auditResults.pages
+      .filter(page => page.results?.textZoom)
+      .map(page => ({ url: page.url, zoom: page.results.textZoom, issues: (page.results.textZoom.issues || []).filter(i => !i.ignored) }));
+    if (zoomPages.length) {
+      markdown += `## Resize Text (200% Zoom)\n\n`;
+      const affected = zoomPages.filter(p => p.issues.length > 0);
+      if (affected.length === 0 && zoomPages.some(p => !p.zoom.error && !p.zoom.skipped)) {
+        markdown += `No overlapping, cut-off or disappearing text found at 200% text size.\n\n`;
+      }
+      affected.forEach(p => {
+        const count = (type) => p.issues.filter(i => i.type === type).length;
+        markdown += `- **${p.url}**: ${count('text_overlap_on_zoom')} overlapping, ${count('text_clipped_on_zoom')} cut off, ${count('text_disappears_on_zoom')} disappearing\n`;
+        p.issues.slice(0, 3).forEach(issue => {
+          markdown += `  - \`${issue.context?.selector || ''}\` ${issue.message}\n`;
+        });
+      });
+      const failed = zoomPages.filter(p => p.zoom.error || p.zoom.skipped);
+      failed.forEach(p => {
+        markdown += `- **${p.url}**: not tested (${p.zoom.error || p.zoom.skipped})\n`;
+      });
+      markdown += `\n`;
+    }
+
+    // Vision simulation renders (written by generateVisionImages)
+    const visionPages = auditResults.pages.filter(page => page.results?.visionSimulation?.images);
+    if (visionPages.length) {
+      markdown += `## Vision Simulation Images\n\n`;
+      visionPages.forEach(page => {
+        const links = Object.entries(page.results.visionSimulation.images).map(([type, file]) => `[${type}](${file})`);
+        markdown += `- **${page.url}**: ${links.join(' · ')}\n`;
+      });
+      markdown += `\n`;
+    }
+
+    // Every media asset, so transcripts and captions can be confirmed by hand
+    const mediaPages = auditResults.pages.filter(page => page.results?.media?.assets?.length);
+    if (mediaPages.length) {
+      markdown += `## Media Inventory\n\n`;
+      markdown += `Confirm that each asset has a transcript (and captions for video with speech).\n\n`;
+      mediaPages.forEach(page => {
+        markdown += `- **${page.url}**\n`;
+        page.results.media.assets.forEach(asset => {
+          const label = asset.kind === 'embed' ? `${asset.provider} embed` : asset.kind;
+          const flags = [
+            `captions: ${asset.captions}`,
+            `transcript link: ${asset.transcript ? `"${asset.transcript}"` : 'none found'}`,
+            asset.autoplay ? `autoplay${asset.muted ? ' (muted)' : ''}` : null,
+            asset.loop ? 'loops' : null,
+            asset.duration ? `${asset.duration}s` : null,
+            asset.hidden ? 'hidden' : null
+          ].filter(Boolean);
+          markdown += `  - ${label} \`${asset.selector}\`${asset.title ? ` "${asset.title}"` : ''}: ${asset.src || 'no source'} (${flags.join(', ')})\n`;
+        });
+      });
+      markdown += `\n`;
+    }
+
+    // Link text reused for different destinations anywhere in the crawl
+    const linkText = this.summarizeLinkText(auditResults);
+    if (linkText.length) {
+      const cell = (text) => String(text).replace(/\|/g, '\\|');
+      markdown += `## Duplicate Link Text Across the Site\n\n`;
+      markdown += `Link text that leads to more than one destination across the audited pages. Each name should identify a single destination.\n\n`;
+      markdown += `| Link text | Destinations | Pages | Links | Examples |\n|-----------|--------------|-------|-------|----------|\n`;
+      linkText.slice(0, 25).forEach(entry => {
+        markdown += `| ${cell(entry.name)} | ${entry.destinations} | ${entry.pages} | ${entry.occurrences} | ${cell(entry.sampleDestinations.join(', '))} |\n`;
+      });
+      if (linkText.length > 25) markdown += `\n_${linkText.length - 25} more in the statistics report._\n`;
+      markdown += `\n`;
+    }
+
+    // Color mode passes (dark mode / forced colors)
+    const modePages = auditResults.pages.filter(page => page.results?.colorModes);
+    if (modePages.length) {
+      markdown += `## Color Modes\n\n`;
+      modePages.forEach(page => {
+        const modes = Object.entries(page.results.colorModes)
+          .map(([mode, r]) => r.error ? `${mode}: not tested (${r.error})` : `${mode}: ${r.totalIssues} issues, ${r.modeOnlyIssues} only in this mode`);
+        markdown += `- **${page.url}**: ${modes.join('; ')}\n`;
+      });
+      markdown += `\n`;
+    }
+
     // High Priority Issues
     if (overallStats.highPriorityIssues > 0) {
       markdown += `## High Priority Issues\n\n`;
@@ -198,9 +478,24 @@ export class ReportGenerator {
     // Advanced Accessibility Features
     markdown += `\n## Advanced Accessibility Checks\n\n`;
     markdown += `This audit includes advanced accessibility testing:\n\n`;
+    markdown += `- **Forms**: Checks label association, radio/checkbox grouping, required state and autocomplete purpose (WCAG 1.3.1, 1.3.5, 3.3.2)\n`;
     markdown += `- **Touch Targets**: Validates interactive element sizes meet WCAG 2.5.5 (44x44px AAA, 24x24px AA minimum)\n`;
-    markdown += `- **Focus Order**: Tests keyboard navigation sequence and detects illogical tab orders\n`;
-    markdown += `- **Vision Simulation**: Tests color combinations for 8 types of color vision deficiencies:\n`;
+    markdown += `- **Focus Indicators**: Screenshots each focusable element before and after focus and measures the changed area and contrast (WCAG 2.4.7, 2.4.13)\n`;
+    markdown += `- **Focus Order**: Presses Tab / Shift+Tab through each page to record the real focus sequence, detect keyboard traps, and flag illogical tab orders\n`;
+    markdown += `- **Focus Not Obscured**: Focuses each element in tab order and checks whether sticky headers or fixed banners cover it (WCAG 2.4.11 AA fully hidden, 2.4.12 AAA partially hidden)\n`;
+    markdown += `- **Reflow**: Re-renders each page at 320 CSS px wide and reports horizontal scrolling, content clipped by overflow: hidden and truncated text (WCAG 1.4.10)\n`;
+    markdown += `- **Non-text Contrast**: Measures form field borders, custom checkbox/radio outlines and icon fills/strokes against their background (3:1, WCAG 1.4.11)\n`;
+    markdown += `- **Text Spacing**: Applies increased line, paragraph, letter and word spacing and reports text that is clipped or overflows its container (WCAG 1.4.12)\n`;
+    markdown += `- **Resize Text**: Reopens each page with a device scale factor of 2 and doubled font sizes, and reports text that overlaps, is cut off or disappears (WCAG 1.4.4)\n`;
+    markdown += `- **Link Distinguishability**: Compares links in body copy with the surrounding text color (3:1) and checks for an underline, border or font-weight cue at rest and on hover/focus (WCAG 1.4.1)\n`;
+    markdown += `- **ARIA Validity**: Checks every element with a role or aria-* attribute against ARIA 1.2 roles, states and properties: valid values, supported/prohibited/required attributes, and required parent and child roles (WCAG 4.1.2, 1.3.1)\n`;
+    markdown += `- **Tables**: Separates layout tables from data tables, then checks header cells, scope/headers associations in complex tables, captions, empty headers and ARIA table/grid row and cell structure (WCAG 1.3.1)\n`;
+    markdown += `- **Page Metadata**: Checks the page \`<title>\` (missing, empty, or duplicated across the crawl), \`<html lang>\` and \`lang\` on parts against BCP 47, viewport zoom restrictions and timed meta refresh (WCAG 2.4.2, 3.1.1, 3.1.2, 1.4.4, 2.2.1)\n`;
+    markdown += `- **Media**: Lists every \`<video>\`, \`<audio>\` and embedded player, and flags video without a captions track, autoplaying sound without a pause control, looping background video without a pause mechanism and player iframes without a title (WCAG 1.2.2, 1.4.2, 2.2.2, 4.1.2)\n`;
+    markdown += `- **Links**: Flags empty links, generic link text such as "click here" or "read more" and identical link names that lead to different destinations, links that open a new window without warning and links to PDF/Word/Excel files that do not name the file type; the report adds a site-wide list of link text used for more than one destination (WCAG 2.4.4)\n`;
+    markdown += `- **Motion**: Observes each page as loaded and again with \`prefers-reduced-motion: reduce\`, and flags content flashing more than three times per second, auto-advancing carousels without a pause control, and animations, animated GIF/APNG/WebP images and parallax effects that keep running under reduced motion (WCAG 2.2.2, 2.3.1, 2.3.3)\n`;
+    markdown += `- **Color Modes** (with \`--color-modes\`): Re-runs every check under dark mode and forced colors, flags icons and focus indicators that disappear in forced colors, and highlights issues that only occur in one mode\n`;
+    markdown += `- **Vision Simulation**: Tests color combinations for 8 types of color vision deficiencies with the Machado et al. (2009) model, comparing colors by CIEDE2000 and reporting the severity at which each pair becomes indistinguishable:\n`;
     markdown += `  - Protanopia (Red-blind)\n`;
     markdown += `  - Deuteranopia (Green-blind, most common)\n`;
     markdown += `  - Tritanopia (Blue-blind)\n`;
@@ -251,11 +546,56 @@ export class ReportGenerator {
         case 'Color Contrast': return '1.4.3 Contrast (Minimum)';
         case 'Images': return '1.1.1 Non-text Content';
         case 'ARIA Labels': return '4.1.2 Name, Role, Value';
-        case 'Keyboard Navigation': return '2.1.1 Keyboard';
+        case 'Forms':
+          if (issueType === 'missing_autocomplete' || issueType === 'autocomplete_disabled') return '1.3.5 Identify Input Purpose';
+          if (issueType === 'placeholder_only_label' || issueType === 'required_not_programmatic') return '3.3.2 Labels or Instructions';
+          return '1.3.1 Info and Relationships';
+        case 'Keyboard Navigation':
+          if (issueType === 'keyboard_trap') return '2.1.2 No Keyboard Trap';
+          if (issueType === 'focus_in_aria_hidden') return '4.1.2 Name, Role, Value';
+          if (issueType === 'focus_on_hidden_element' || issueType === 'focus_offscreen') return '2.4.7 Focus Visible';
+          return '2.1.1 Keyboard';
         case 'Focus Order': return '2.4.3 Focus Order';
-        case 'Focus Management': return '2.4.7 Focus Visible';
+        case 'Focus Management': return issueType === 'focus_appearance_insufficient' ? '2.4.13 Focus Appearance' : '2.4.7 Focus Visible';
         case 'Touch Targets': return '2.5.8 Target Size (Minimum)';
         case 'Vision Simulation': return 'Advisory';
+        case 'Focus Not Obscured': return issueType === 'focus_obscured_partially' ? '2.4.12 Focus Not Obscured (Enhanced)' : '2.4.11 Focus Not Obscured (Minimum)';
+        case 'Reflow': return '1.4.10 Reflow';
+        case 'Text Spacing': return '1.4.12 Text Spacing';
+        case 'Resize Text': return '1.4.4 Resize Text';
+        case 'Non-text Contrast': return '1.4.11 Non-text Contrast';
+        case 'Forced Colors': return issueType === 'focus_indicator_vanishes_forced_colors' ? '2.4.7 Focus Visible' : '1.4.11 Non-text Contrast';
+        case 'Link Distinguishability': return '1.4.1 Use of Color';
+        case 'Tables': return '1.3.1 Info and Relationships';
+        case 'Media': {
+          const map = {
+            video_missing_captions: '1.2.2 Captions (Prerecorded)',
+            autoplay_audio_no_control: '1.4.2 Audio Control',
+            background_video_no_pause: '2.2.2 Pause, Stop, Hide',
+            media_iframe_missing_title: '4.1.2 Name, Role, Value'
+          };
+          return map[issueType] || 'Advisory';
+        }
+        case 'Links':
+          if (issueType === 'new_window_no_warning') return '3.2.5 Change on Request';
+          if (issueType === 'document_link_no_type') return 'Advisory';
+          return '2.4.4 Link Purpose (In Context)';
+        case 'Motion':
+          if (issueType === 'flashing_content') return '2.3.1 Three Flashes or Below Threshold';
+          if (issueType === 'parallax_ignores_reduced_motion') return '2.3.3 Animation from Interactions';
+          return '2.2.2 Pause, Stop, Hide';
+        case 'Page Metadata': {
+          if (/title/.test(issueType)) return '2.4.2 Page Titled';
+          if (issueType === 'invalid_lang_attribute') return '3.1.2 Language of Parts';
+          if (/lang/.test(issueType)) return '3.1.1 Language of Page';
+          if (/viewport/.test(issueType)) return '1.4.4 Resize Text';
+          if (/refresh/.test(issueType)) return '2.2.1 Timing Adjustable';
+          return 'Advisory';
+        }
+        case 'ARIA Validity':
+          return issueType === 'missing_required_context' || issueType === 'missing_required_children'
+            ? '1.3.1 Info and Relationships'
+            : '4.1.2 Name, Role, Value';
         case 'Semantic HTML': return 'Advisory';
         case 'Manual Review': return 'Manual Review';
         default: return rawCategory || 'Other';
@@ -267,13 +607,145 @@ export class ReportGenerator {
         case 'Color Contrast': return 'Insufficient Contrast';
         case 'ARIA Labels': return issueType === 'missing_accessible_name' ? 'Missing Accessible Name' : 'Name/Role/Value Issue';
         case 'Images': return issueType === 'missing_alt' ? 'Missing Alt Text' : 'Non-text Content Issue';
-        case 'Keyboard Navigation': return 'Keyboard Accessibility Issue';
+        case 'Forms': {
+          const labels = {
+            placeholder_only_label: 'Placeholder Used as Label',
+            orphaned_label: 'Orphaned Label',
+            missing_group_label: 'Missing Group Label',
+            required_not_programmatic: 'Required State Not Exposed',
+            missing_autocomplete: 'Missing Autocomplete',
+            autocomplete_disabled: 'Autocomplete Disabled'
+          };
+          return labels[issueType] || 'Form Labelling Issue';
+        }
+        case 'Keyboard Navigation': {
+          const labels = {
+            keyboard_trap: 'Keyboard Trap',
+            focus_in_aria_hidden: 'Focus Inside aria-hidden',
+            focus_on_hidden_element: 'Focus on Invisible Element',
+            focus_offscreen: 'Focus Off-screen'
+          };
+          return labels[issueType] || 'Keyboard Accessibility Issue';
+        }
         case 'Focus Order': return 'Illogical Focus Order';
-        case 'Focus Management': return 'No Visible Focus';
+        case 'Focus Management': return issueType === 'focus_appearance_insufficient' ? 'Insufficient Focus Appearance' : 'No Visible Focus';
         case 'Touch Targets': return issueType === 'touch_target_too_small' ? 'Target Too Small' : 'Target Size Advisory';
         case 'Vision Simulation': return 'Potential CVD Issue';
+        case 'Focus Not Obscured': return issueType === 'focus_obscured_partially' ? 'Focus Partially Obscured' : 'Focus Fully Obscured';
+        case 'Reflow': {
+          const labels = {
+            horizontal_scroll: 'Horizontal Scrolling at 320px',
+            content_clipped: 'Content Clipped',
+            text_truncated: 'Text Truncated'
+          };
+          return labels[issueType] || 'Reflow Issue';
+        }
+        case 'Text Spacing': return issueType === 'text_spacing_clipped' ? 'Text Clipped with Spacing' : 'Text Overflows with Spacing';
+        case 'Non-text Contrast': {
+          const labels = {
+            input_boundary_contrast: 'Low Contrast Field Boundary',
+            checkbox_radio_contrast: 'Low Contrast Checkbox/Radio',
+            icon_contrast: 'Low Contrast Icon',
+            focus_ring_contrast: 'Low Contrast Focus Outline'
+          };
+          return labels[issueType] || 'Insufficient Non-text Contrast';
+        }
+        case 'Forced Colors':
+          return issueType === 'focus_indicator_vanishes_forced_colors' ? 'Focus Indicator Lost in Forced Colors' : 'Icon Lost in Forced Colors';
+        case 'Link Distinguishability':
+          return issueType === 'link_no_state_cue' ? 'No Link Cue on Hover/Focus' : 'Link Identified by Color Only';
+        case 'ARIA Validity': {
+          const labels = {
+            invalid_role: 'Invalid ARIA Role',
+            invalid_aria_value: 'Invalid ARIA Attribute Value',
+            missing_required_aria_attribute: 'Missing Required ARIA Attribute',
+            missing_required_context: 'ARIA Role Outside Required Parent',
+            missing_required_children: 'ARIA Role Missing Required Children',
+            prohibited_aria_attribute: 'Prohibited ARIA Attribute',
+            unsupported_aria_attribute: 'ARIA Attribute Not Supported by Role',
+            unknown_aria_attribute: 'Unknown ARIA Attribute',
+            aria_reference_missing: 'ARIA Reference to Missing Element',
+            deprecated_aria_attribute: 'Deprecated ARIA Attribute'
+          };
+          return labels[issueType] || 'ARIA Validity Issue';
+        }
+        case 'Page Metadata': {
+          const labels = {
+            missing_page_title: 'Missing Page Title',
+            empty_page_title: 'Empty Page Title',
+            duplicate_page_title: 'Duplicate Page Title',
+            missing_html_lang: 'Missing Page Language',
+            invalid_html_lang: 'Invalid Page Language',
+            html_lang_mismatch: 'Conflicting lang and xml:lang',
+            invalid_lang_attribute: 'Invalid Language of Part',
+            viewport_zoom_disabled: 'Zoom Disabled by Viewport',
+            viewport_zoom_limited: 'Zoom Limited by Viewport',
+            meta_refresh_redirect: 'Timed Meta Refresh Redirect',
+            meta_refresh_reload: 'Timed Meta Refresh Reload'
+          };
+          return labels[issueType] || 'Page Metadata Issue';
+        }
+        case 'Media': {
+          const labels = {
+            video_missing_captions: 'Video Without Captions',
+            autoplay_audio_no_control: 'Autoplaying Audio Without Control',
+            background_video_no_pause: 'Background Video Without Pause',
+            media_iframe_missing_title: 'Player Iframe Without Title'
+          };
+          return labels[issueType] || 'Media Issue';
+        }
+        case 'Links': {
+          const labels = {
+            empty_link: 'Empty Link',
+            ambiguous_link_text: 'Ambiguous Link Text',
+            same_name_different_destination: 'Same Link Text, Different Destinations',
+            new_window_no_warning: 'New Window Without Warning',
+            document_link_no_type: 'Document Link Without File Type'
+          };
+          return labels[issueType] || 'Link Purpose Issue';
+        }
+        case 'Motion': {
+          const labels = {
+            flashing_content: 'Flashing Content',
+            carousel_no_pause: 'Auto-advancing Carousel Without Pause',
+            carousel_ignores_reduced_motion: 'Carousel Ignores Reduced Motion',
+            animation_ignores_reduced_motion: 'Animation Ignores Reduced Motion',
+            animated_image_ignores_reduced_motion: 'Animated Image Ignores Reduced Motion',
+            parallax_ignores_reduced_motion: 'Parallax Ignores Reduced Motion'
+          };
+          return labels[issueType] || 'Motion Issue';
+        }
+        case 'Tables': {
+          const labels = {
+            no_table_headers: 'Data Table Without Headers',
+            empty_table_header: 'Empty Table Header',
+            header_scope_missing: 'Complex Table Missing Scope/Headers',
+            invalid_scope: 'Invalid Header Scope',
+            invalid_headers_reference: 'Broken Headers Reference',
+            missing_table_caption: 'Data Table Without Caption',
+            layout_table_with_data_markup: 'Layout Table With Data Markup',
+            aria_table_missing_rows: 'ARIA Table Without Rows',
+            aria_row_missing_cells: 'ARIA Row Without Cells',
+            aria_cells_outside_rows: 'ARIA Cells Outside Rows'
+          };
+          return labels[issueType] || 'Table Semantics Issue';
+        }
+        case 'Resize Text': {
+          const labels = {
+            text_overlap_on_zoom: 'Text Overlaps at 200%',
+            text_clipped_on_zoom: 'Text Cut Off at 200%',
+            text_disappears_on_zoom: 'Text Disappears at 200%'
+          };
+          return labels[issueType] || 'Resize Text Issue';
+        }
         case 'Semantic HTML': return 'Structure Recommendation';
-        case 'Manual Review': return 'Ensure Sufficient Image Overlay';
+        case 'Manual Review': {
+          const labels = {
+            focus_indicator_manual_review: 'Check Focus Indicators',
+            text_spacing_manual_review: 'Check Text Spacing'
+          };
+          return labels[issueType] || 'Ensure Sufficient Image Overlay';
+        }
         default: return issueType || 'Issue';
       }
     };
@@ -288,7 +760,12 @@ export class ReportGenerator {
       },
       contrast(contrast) {
         const t = contrast.sampleText || contrast.context?.textSample || '';
-        return `Text: "${t}" | Colors: ${contrast.textColor} on ${contrast.backgroundColor} | Font: ${contrast.fontSize || ''} ${contrast.fontWeight || ''}`;
+        const sampled = contrast.backgroundSource === 'pixels' ? ` | Background: sampled from image on ${contrast.backgroundImageOn || ''} (${contrast.samples} px)` : '';
+        const state = contrast.state && contrast.state !== 'default'
+          ? ` | State: ${contrast.state} (resting: ${contrast.restingColors?.textColor} on ${contrast.restingColors?.backgroundColor})`
+          : '';
+        const media = contrast.mediaConditions ? ` | Media: ${contrast.mediaConditions.join(', ')}` : '';
+        return `Text: "${t}" | Colors: ${contrast.textColor} on ${contrast.backgroundColor} | Font: ${contrast.fontSize || ''} ${contrast.fontWeight || ''}${sampled}${state}${media}`;
       },
       aria(issue) {
         const t = issue.context?.elementType || issue.element || '';
@@ -296,10 +773,23 @@ export class ReportGenerator {
         const txt = (issue.context?.surroundingContext?.parentText || '').substring(0,80);
         return `Type: ${t} | Label: ${label} | Text: "${txt}"`;
       },
+      forms(issue) {
+        const t = issue.context?.elementType || 'form control';
+        const label = issue.context?.labelText || 'None';
+        const extra = issue.context?.suggestedAutocomplete
+          ? ` | Autocomplete: ${issue.context.currentAutocomplete} → ${issue.context.suggestedAutocomplete}`
+          : issue.context?.forAttribute ? ` | for="${issue.context.forAttribute}"` : '';
+        return `Type: ${t} | Label: ${label}${issue.context?.placeholder ? ` | Placeholder: "${issue.context.placeholder}"` : ''}${extra}`;
+      },
       keyboard(issue) {
         const t = issue.context?.elementType || 'element';
         const txt = (issue.context?.textContent || '').substring(0,80);
-        return `Type: ${t} | Text: "${txt}"`;
+        if (issue.type === 'keyboard_trap') {
+          const cycle = (issue.context?.cycle || []).map(c => c.selector).slice(0, 4).join(' → ');
+          return `Trap: ${issue.context?.trapKind || ''} | Cycle: ${cycle} | Shift+Tab escapes: ${issue.context?.escapableWithShiftTab ? 'yes' : 'no'}`;
+        }
+        const extra = issue.context?.hiddenReason ? ` | Hidden: ${issue.context.hiddenReason}` : issue.context?.ariaHiddenContainer ? ` | aria-hidden: ${issue.context.ariaHiddenContainer}` : '';
+        return `Type: ${t} | Text: "${txt}"${extra}`;
       },
       images(issue) {
         const near = issue.context?.surroundingContent?.heading || issue.context?.surroundingContent?.figcaption || '';
@@ -308,7 +798,9 @@ export class ReportGenerator {
       focusMgmt(issue) {
         const t = issue.context?.elementType || '';
         const txt = (issue.context?.textContent || '').substring(0,60);
-        return `Type: ${t} | Text: "${txt}"`;
+        const fi = issue.context?.focusIndicator;
+        const measured = fi ? ` | Changed: ${fi.changedArea}px | At 3:1: ${fi.contrastingArea}/${fi.requiredArea}px | Max contrast: ${fi.maxContrast}:1` : '';
+        return `Type: ${t} | Text: "${txt}"${measured}`;
       },
       touch(issue) {
         return `Size: ${issue.context?.currentSize || 'unknown'} | Required: ${issue.context?.minimumSizeAA || '24x24px'} | Text: "${issue.context?.textContent || ''}"`;
@@ -317,13 +809,82 @@ export class ReportGenerator {
         const jumps = issue.context?.jumps?.length || 0;
         const first = issue.context?.jumps?.[0];
         const snippet = first ? `${first.from?.text || ''} → ${first.to?.text || ''}` : '';
-        return `Jumps: ${jumps}${snippet ? ` | First: ${snippet.substring(0,60)}` : ''}`;
+        const source = issue.context?.sequenceSource === 'keyboard' ? ' | Source: Tab key walk' : '';
+        return `Jumps: ${jumps}${snippet ? ` | First: ${snippet.substring(0,60)}` : ''}${source}`;
       },
       vision(issue) {
-        const v = issue.problematicVisionTypes?.map(x => x.name).join(', ') || '';
+        const v = issue.problematicVisionTypes?.map(x =>
+          x.indistinguishableAtSeverity != null ? `${x.name} (from ${Math.round(x.indistinguishableAtSeverity * 100)}% severity)` : x.name
+        ).join(', ') || '';
         return `Colors: ${issue.colorPair?.color1 || ''} / ${issue.colorPair?.color2 || ''} | Problematic for: ${v} | Text: "${issue.context?.textSample || ''}"`;
       },
+      focusObscured(issue) {
+        const txt = (issue.context?.textContent || '').substring(0,60);
+        return `Type: ${issue.context?.elementType || ''} | Text: "${txt}" | Obscured by: ${issue.context?.obscuredBy || ''} (${issue.context?.obscuringPosition || ''}, ${issue.context?.obscuredPercent ?? ''}%)`;
+      },
+      reflow(issue) {
+        if (issue.type === 'horizontal_scroll') {
+          const offenders = (issue.context?.offenders || []).slice(0, 4).map(o => `${o.selector} (+${o.overflowWidth}px)`).join(', ');
+          return `Document: ${issue.context?.documentWidth || ''}px at ${issue.context?.viewportWidth || 320}px | Offenders: ${offenders}`;
+        }
+        const txt = (issue.context?.textContent || '').substring(0,60);
+        return `Type: ${issue.context?.elementType || ''} | Text: "${txt}" | Box: ${issue.context?.clientSize || ''} | Content: ${issue.context?.scrollSize || ''}`;
+      },
+      textSpacing(issue) {
+        const txt = (issue.context?.textContent || '').substring(0,60);
+        const b = issue.context?.before;
+        const a = issue.context?.after;
+        const content = b && a ? ` | Content: ${b.contentWidth}x${b.contentHeight}px → ${a.contentWidth}x${a.contentHeight}px` : '';
+        return `Type: ${issue.context?.elementType || ''} | Text: "${txt}"${content}${issue.context?.clippedBy ? ` | Clipped by: ${issue.context.clippedBy}` : ''}`;
+      },
+      textZoom(issue) {
+        const txt = (issue.context?.textContent || '').substring(0,60);
+        const extra = issue.context?.overlapsWith
+          ? ` | Overlaps: ${issue.context.overlapsWith} "${(issue.context.overlapsWithText || '').substring(0,40)}"`
+          : issue.context?.clippedBy ? ` | Clipped by: ${issue.context.clippedBy} | Visible: ${issue.context.visiblePercentAfter}%` : '';
+        return `Type: ${issue.context?.elementType || ''} | Text: "${txt}"${extra}`;
+      },
+      nonText(issue) {
+        const host = issue.context?.hostSelector ? ` | In: ${issue.context.hostSelector}` : '';
+        return `Type: ${issue.context?.elementType || ''} | Label: "${issue.context?.textContent || ''}" | Colors: ${issue.context?.componentColor || 'none'} on ${issue.context?.adjacentColor || ''} (${issue.context?.measuredPart || 'no boundary'})${host}`;
+      },
+      forcedColors(issue) {
+        const how = issue.context?.technique ? ` | Drawn with: ${issue.context.technique}` : '';
+        return `Type: ${issue.context?.elementType || ''} | Label: "${issue.context?.textContent || ''}"${how}`;
+      },
+      linkColor(issue) {
+        const states = issue.context?.missingStates?.length ? ` | No cue on: ${issue.context.missingStates.join(', ')}` : '';
+        return `Link: "${issue.context?.textSample || ''}" | Colors: ${issue.context?.linkColor || ''} vs text ${issue.context?.surroundingColor || ''}${states}`;
+      },
+      ariaValidity(issue) {
+        const attr = issue.context?.attribute ? ` | Attribute: ${issue.context.attribute}="${issue.context.value ?? ''}"` : '';
+        return `Element: <${issue.context?.elementType || ''}> | Role: ${issue.context?.role || 'none'}${attr} | Text: "${issue.context?.textSample || ''}"`;
+      },
+      tables(issue) {
+        const caption = issue.context?.caption ? ` | Caption: "${issue.context.caption}"` : '';
+        return `Header row: ${issue.context?.headerPreview || '(none)'}${caption}`;
+      },
+      pageMetadata(issue) {
+        if (issue.type === 'duplicate_page_title') {
+          return `Title: "${issue.context?.value || ''}" | Also on: ${(issue.context?.otherPages || []).join(', ')}`;
+        }
+        const count = issue.context?.occurrences > 1 ? ` | Elements: ${issue.context.occurrences}` : '';
+        return `Element: <${issue.context?.elementType || ''}> | Value: "${issue.context?.value || ''}"${count}`;
+      },
+      media(issue) {
+        const provider = issue.context?.provider && issue.context.provider !== 'native' ? ` (${issue.context.provider})` : '';
+        return `Media: <${issue.context?.elementType || ''}>${provider} | Source: ${issue.context?.src || 'none'}`;
+      },
+      links(issue) {
+        return `Link: "${issue.context?.textSample || ''}" | Destination: ${issue.context?.href || 'none'}`;
+      },
+      motion(issue) {
+        return `Element: ${issue.context?.elementType || ''} | Motion: ${issue.context?.textSample || ''}`;
+      },
       manual(issue) {
+        if (issue.type === 'focus_indicator_manual_review' || issue.type === 'text_spacing_manual_review') {
+          return `Unmeasured elements: ${issue.context?.textSample || ''}${issue.context?.elements?.length > 10 ? ` and ${issue.context.elements.length - 10} more` : ''}`;
+        }
         return `Text: "${issue.context?.textSample || ''}" | Background image on: ${issue.context?.backgroundImageOn || ''}`;
       }
     };
@@ -372,7 +933,13 @@ export class ReportGenerator {
               || (contrast.element ? String(contrast.element) : '')
               || 'text element';
             const contextInfo = ctxText.contrast(contrast);
-            const technicalDetails = `Contrast: ${contrast.contrastRatio}:1 (required: ${contrast.compliance?.requiredRatio}:1)`;
+            const range = contrast.contrastRange
+              ? ` | Range over image: ${contrast.contrastRange.worst}-${contrast.contrastRange.best}:1 (median ${contrast.contrastRange.median}:1, 5th percentile used)`
+              : '';
+            const apca = contrast.apca
+              ? ` | APCA Lc: ${contrast.apca.lc} (required: ${contrast.apca.requiredLc}, ${contrast.apca.status})`
+              : '';
+            const technicalDetails = `Contrast: ${contrast.contrastRatio}:1 (required: ${contrast.compliance?.requiredRatio}:1, ${contrast.compliance?.status})${apca}${range}`;
             const status = 'FAIL';
             const sev = severityOut(rawCategory, 'critical');
             const row = [
@@ -383,8 +950,8 @@ export class ReportGenerator {
               status,
               selector,
               contextInfo,
-              `Contrast ratio: ${contrast.contrastRatio}:1 (required: ${contrast.compliance?.requiredRatio}:1)`,
-              'Improve color contrast to meet WCAG AA standards',
+              `Contrast ratio: ${contrast.contrastRatio}:1 (required: ${contrast.compliance?.requiredRatio}:1)${contrast.apca ? `; APCA Lc ${contrast.apca.lc} (required: ${contrast.apca.requiredLc})` : ''}`,
+              this.getContrastRecommendation(contrast),
               technicalDetails,
               contrast.id || ''
             ];
@@ -449,6 +1016,34 @@ export class ReportGenerator {
         });
       }
 
+      // Form issues
+      if (results.forms && results.forms.issues) {
+        results.forms.issues.forEach(issue => {
+          if (issue.ignored) return;
+          const rawCategory = 'Forms';
+          const category = wcagCategory(rawCategory, issue.type);
+          const issueType = issueLabel(rawCategory, issue.type);
+          const selector = issue.context?.selector || 'form control';
+          const contextInfo = ctxText.forms(issue);
+          const status = 'FAIL';
+          const sev = severityOut(rawCategory, issue.severity);
+          const row = [
+            pageUrl,
+            category,
+            issueType,
+            sev,
+            status,
+            selector,
+            contextInfo,
+            issue.message || '',
+            issue.recommendation || '',
+            'Form Control',
+            issue.id || ''
+          ];
+          rows.push(row);
+        });
+      }
+
       // Keyboard navigation issues
       if (results.keyboardNavigation && results.keyboardNavigation.issues) {
         results.keyboardNavigation.issues.forEach(issue => {
@@ -456,7 +1051,7 @@ export class ReportGenerator {
           const rawCategory = 'Keyboard Navigation';
           const category = wcagCategory(rawCategory, issue.type);
           const issueType = issueLabel(rawCategory, issue.type);
-          const selector = issue.elementDetails?.selector || 'navigation element';
+          const selector = issue.elementDetails?.selector || issue.context?.selector || 'navigation element';
           const contextInfo = ctxText.keyboard(issue);
           const status = 'FAIL';
           const sev = severityOut(rawCategory, issue.severity);
@@ -600,7 +1195,388 @@ export class ReportGenerator {
           const issueType = issueLabel(rawCategory, issue.type);
           const selector = issue.context?.selector || 'color combination';
           const contextInfo = ctxText.vision(issue);
-          const technicalDetails = `Color vision deficiency (${issue.problematicVisionTypes?.length || 0} type(s) affected)`;
+          const worstDiff = Math.min(...(issue.problematicVisionTypes || []).map(x => x.simulatedDifference));
+          const technicalDetails = `Color vision deficiency (${issue.problematicVisionTypes?.length || 0} type(s) affected, simulated ΔE00 ${Number.isFinite(worstDiff) ? worstDiff : 'n/a'})`;
+          const status = 'FAIL';
+          const sev = severityOut(rawCategory, issue.severity);
+          const row = [
+            pageUrl,
+            category,
+            issueType,
+            sev,
+            status,
+            selector,
+            contextInfo,
+            issue.message || '',
+            issue.recommendation || '',
+            technicalDetails,
+            issue.id || ''
+          ];
+          rows.push(row);
+        });
+      }
+
+      // Focus not obscured issues
+      if (results.focusNotObscured && results.focusNotObscured.issues) {
+        results.focusNotObscured.issues.forEach(issue => {
+          if (issue.ignored) return;
+          const rawCategory = 'Focus Not Obscured';
+          const category = wcagCategory(rawCategory, issue.type);
+          const issueType = issueLabel(rawCategory, issue.type);
+          const selector = issue.context?.selector || 'focused element';
+          const contextInfo = ctxText.focusObscured(issue);
+          const technicalDetails = issue.context?.cssFixSuggestion || 'Sticky/fixed overlay';
+          const status = 'FAIL';
+          const sev = severityOut(rawCategory, issue.severity);
+          const row = [
+            pageUrl,
+            category,
+            issueType,
+            sev,
+            status,
+            selector,
+            contextInfo,
+            issue.message || '',
+            issue.recommendation || '',
+            technicalDetails,
+            issue.id || ''
+          ];
+          rows.push(row);
+        });
+      }
+
+      // Reflow issues
+      if (results.reflow && results.reflow.issues) {
+        results.reflow.issues.forEach(issue => {
+          if (issue.ignored) return;
+          const rawCategory = 'Reflow';
+          const category = wcagCategory(rawCategory, issue.type);
+          const issueType = issueLabel(rawCategory, issue.type);
+          const selector = issue.context?.selector || 'page';
+          const contextInfo = ctxText.reflow(issue);
+          const technicalDetails = `Overflow: ${issue.context?.overflowWidth || 0}px wide, ${issue.context?.overflowHeight || 0}px high`;
+          const status = 'FAIL';
+          const sev = severityOut(rawCategory, issue.severity);
+          const row = [
+            pageUrl,
+            category,
+            issueType,
+            sev,
+            status,
+            selector,
+            contextInfo,
+            issue.message || '',
+            issue.recommendation || '',
+            technicalDetails,
+            issue.id || ''
+          ];
+          rows.push(row);
+        });
+      }
+
+      // Text spacing issues
+      if (results.textSpacing && results.textSpacing.issues) {
+        results.textSpacing.issues.forEach(issue => {
+          if (issue.ignored) return;
+          const rawCategory = 'Text Spacing';
+          const category = wcagCategory(rawCategory, issue.type);
+          const issueType = issueLabel(rawCategory, issue.type);
+          const selector = issue.context?.selector || 'text container';
+          const contextInfo = ctxText.textSpacing(issue);
+          const technicalDetails = issue.context?.before ? `Before: ${issue.context.before.width}x${issue.context.before.height}px | After: ${issue.context.after.width}x${issue.context.after.height}px` : '';
+          const status = 'FAIL';
+          const sev = severityOut(rawCategory, issue.severity);
+          const row = [
+            pageUrl,
+            category,
+            issueType,
+            sev,
+            status,
+            selector,
+            contextInfo,
+            issue.message || '',
+            issue.recommendation || '',
+            technicalDetails,
+            issue.id || ''
+          ];
+          rows.push(row);
+        });
+      }
+
+      // Resize text issues
+      if (results.textZoom && results.textZoom.issues) {
+        results.textZoom.issues.forEach(issue => {
+          if (issue.ignored) return;
+          const rawCategory = 'Resize Text';
+          const category = wcagCategory(rawCategory, issue.type);
+          const issueType = issueLabel(rawCategory, issue.type);
+          const selector = issue.context?.selector || 'text element';
+          const contextInfo = ctxText.textZoom(issue);
+          const technicalDetails = issue.context?.fontSizeBefore ? `Font: ${issue.context.fontSizeBefore} → ${issue.context.fontSizeAfter}` : '';
+          const status = 'FAIL';
+          const sev = severityOut(rawCategory, issue.severity);
+          const row = [
+            pageUrl,
+            category,
+            issueType,
+            sev,
+            status,
+            selector,
+            contextInfo,
+            issue.message || '',
+            issue.recommendation || '',
+            technicalDetails,
+            issue.id || ''
+          ];
+          rows.push(row);
+        });
+      }
+
+      // Non-text contrast issues
+      if (results.nonTextContrast && results.nonTextContrast.issues) {
+        results.nonTextContrast.issues.forEach(issue => {
+          if (issue.ignored) return;
+          const rawCategory = 'Non-text Contrast';
+          const category = wcagCategory(rawCategory, issue.type);
+          const issueType = issueLabel(rawCategory, issue.type);
+          const selector = issue.context?.selector || 'component';
+          const contextInfo = ctxText.nonText(issue);
+          const technicalDetails = issue.context?.contrastRatio ? `Ratio: ${issue.context.contrastRatio}:1 (required ${issue.context.requiredRatio}:1)` : '';
+          const status = 'FAIL';
+          const sev = severityOut(rawCategory, issue.severity);
+          const row = [
+            pageUrl,
+            category,
+            issueType,
+            sev,
+            status,
+            selector,
+            contextInfo,
+            issue.message || '',
+            issue.recommendation || '',
+            technicalDetails,
+            issue.id || ''
+          ];
+          rows.push(row);
+        });
+      }
+
+      // Forced colors issues
+      if (results.forcedColors && results.forcedColors.issues) {
+        results.forcedColors.issues.forEach(issue => {
+          if (issue.ignored) return;
+          const rawCategory = 'Forced Colors';
+          const category = wcagCategory(rawCategory, issue.type);
+          const issueType = issueLabel(rawCategory, issue.type);
+          const selector = issue.context?.selector || 'icon or focusable element';
+          const contextInfo = ctxText.forcedColors(issue);
+          const measured = issue.context?.paintedPixels || issue.context?.changedArea;
+          const technicalDetails = measured
+            ? `${issue.context?.paintedPixels ? 'Painted' : 'Focus change'}: ${measured.normal}px normally, ${measured.forcedColors}px in forced colors`
+            : '';
+          const status = 'FAIL';
+          const sev = severityOut(rawCategory, issue.severity);
+          const row = [
+            pageUrl,
+            category,
+            issueType,
+            sev,
+            status,
+            selector,
+            contextInfo,
+            issue.message || '',
+            issue.recommendation || '',
+            technicalDetails,
+            issue.id || ''
+          ];
+          rows.push(row);
+        });
+      }
+
+      // Link distinguishability issues
+      if (results.linkDistinguishability && results.linkDistinguishability.issues) {
+        results.linkDistinguishability.issues.forEach(issue => {
+          if (issue.ignored) return;
+          const rawCategory = 'Link Distinguishability';
+          const category = wcagCategory(rawCategory, issue.type);
+          const issueType = issueLabel(rawCategory, issue.type);
+          const selector = issue.context?.selector || 'inline link';
+          const contextInfo = ctxText.linkColor(issue);
+          const technicalDetails = `Link/text contrast: ${issue.context?.contrastRatio ?? 'n/a'}:1 (required ${issue.context?.requiredRatio ?? 3}:1)`;
+          const status = 'FAIL';
+          const sev = severityOut(rawCategory, issue.severity);
+          const row = [
+            pageUrl,
+            category,
+            issueType,
+            sev,
+            status,
+            selector,
+            contextInfo,
+            issue.message || '',
+            issue.recommendation || '',
+            technicalDetails,
+            issue.id || ''
+          ];
+          rows.push(row);
+        });
+      }
+
+      // ARIA validity issues
+      if (results.ariaValidity && results.ariaValidity.issues) {
+        results.ariaValidity.issues.forEach(issue => {
+          if (issue.ignored) return;
+          const rawCategory = 'ARIA Validity';
+          const category = wcagCategory(rawCategory, issue.type);
+          const issueType = issueLabel(rawCategory, issue.type);
+          const selector = issue.context?.selector || '[role]';
+          const contextInfo = ctxText.ariaValidity(issue);
+          const technicalDetails = `Computed role: ${issue.context?.role || 'none'}${issue.context?.roleAttribute ? ` (role='${issue.context.roleAttribute}')` : ''}`;
+          const status = 'FAIL';
+          const sev = severityOut(rawCategory, issue.severity);
+          const row = [
+            pageUrl,
+            category,
+            issueType,
+            sev,
+            status,
+            selector,
+            contextInfo,
+            issue.message || '',
+            issue.recommendation || '',
+            technicalDetails,
+            issue.id || ''
+          ];
+          rows.push(row);
+        });
+      }
+
+      // Data table issues
+      if (results.tables && results.tables.issues) {
+        results.tables.issues.forEach(issue => {
+          if (issue.ignored) return;
+          const rawCategory = 'Tables';
+          const category = wcagCategory(rawCategory, issue.type);
+          const issueType = issueLabel(rawCategory, issue.type);
+          const selector = issue.context?.selector || 'table';
+          const contextInfo = ctxText.tables(issue);
+          const technicalDetails = `Table type: ${issue.context?.tableType || 'n/a'} (${issue.context?.classification || ''}) | ${issue.context?.rows ?? 0}x${issue.context?.columns ?? 0}`;
+          const status = 'FAIL';
+          const sev = severityOut(rawCategory, issue.severity);
+          const row = [
+            pageUrl,
+            category,
+            issueType,
+            sev,
+            status,
+            selector,
+            contextInfo,
+            issue.message || '',
+            issue.recommendation || '',
+            technicalDetails,
+            issue.id || ''
+          ];
+          rows.push(row);
+        });
+      }
+
+      // Page metadata issues
+      if (results.pageMetadata && results.pageMetadata.issues) {
+        results.pageMetadata.issues.forEach(issue => {
+          if (issue.ignored) return;
+          const rawCategory = 'Page Metadata';
+          const category = wcagCategory(rawCategory, issue.type);
+          const issueType = issueLabel(rawCategory, issue.type);
+          const selector = issue.context?.selector || 'html';
+          const contextInfo = ctxText.pageMetadata(issue);
+          const technicalDetails = issue.context?.selectors?.length > 1 ? `Elements: ${issue.context.selectors.join(', ')}` : '';
+          const status = 'FAIL';
+          const sev = severityOut(rawCategory, issue.severity);
+          const row = [
+            pageUrl,
+            category,
+            issueType,
+            sev,
+            status,
+            selector,
+            contextInfo,
+            issue.message || '',
+            issue.recommendation || '',
+            technicalDetails,
+            issue.id || ''
+          ];
+          rows.push(row);
+        });
+      }
+
+      // Media issues
+      if (results.media && results.media.issues) {
+        results.media.issues.forEach(issue => {
+          if (issue.ignored) return;
+          const rawCategory = 'Media';
+          const category = wcagCategory(rawCategory, issue.type);
+          const issueType = issueLabel(rawCategory, issue.type);
+          const selector = issue.context?.selector || 'video';
+          const contextInfo = ctxText.media(issue);
+          const technicalDetails = `Autoplay: ${issue.context?.autoplay ? 'yes' : 'no'} | Muted: ${issue.context?.muted ? 'yes' : 'no'} | Controls: ${issue.context?.controls ? 'yes' : 'no'} | Duration: ${issue.context?.duration != null ? `${issue.context.duration}s` : 'unknown'}`;
+          const status = 'FAIL';
+          const sev = severityOut(rawCategory, issue.severity);
+          const row = [
+            pageUrl,
+            category,
+            issueType,
+            sev,
+            status,
+            selector,
+            contextInfo,
+            issue.message || '',
+            issue.recommendation || '',
+            technicalDetails,
+            issue.id || ''
+          ];
+          rows.push(row);
+        });
+      }
+
+      // Motion issues
+      if (results.motion && results.motion.issues) {
+        results.motion.issues.forEach(issue => {
+          if (issue.ignored) return;
+          const rawCategory = 'Motion';
+          const category = wcagCategory(rawCategory, issue.type);
+          const issueType = issueLabel(rawCategory, issue.type);
+          const selector = issue.context?.selector || 'body';
+          const contextInfo = ctxText.motion(issue);
+          const technicalDetails = [issue.context?.animations?.length ? `Animations: ${issue.context.animations.map(a => `${a.name} ${a.durationMs}ms ${a.iterations === 'infinite' ? 'infinite' : `x${a.iterations}`}`).join('; ')}` : '', issue.context?.flashesPerSecond != null ? `Flashes/s: ${issue.context.flashesPerSecond}` : '', issue.context?.format ? `Image: ${issue.context.format}, ${issue.context.frames} frames, ${issue.context.durationMs}ms per loop, plays: ${issue.context.plays}` : '', issue.context?.slides != null ? `Slides: ${issue.context.slides} | Pause control: ${issue.context.pauseControl ? 'yes' : 'no'}` : '', issue.context?.technique ? `Technique: ${issue.context.technique}` : ''].filter(Boolean).join(' | ');
+          const status = 'FAIL';
+          const sev = severityOut(rawCategory, issue.severity);
+          const row = [
+            pageUrl,
+            category,
+            issueType,
+            sev,
+            status,
+            selector,
+            contextInfo,
+            issue.message || '',
+            issue.recommendation || '',
+            technicalDetails,
+            issue.id || ''
+          ];
+          rows.push(row);
+        });
+      }
+
+      // Link issues
+      if (results.links && results.links.issues) {
+        results.links.issues.forEach(issue => {
+          if (issue.ignored) return;
+          const rawCategory = 'Links';
+          const category = issue.context?.advisory ? 'Advisory' : wcagCategory(rawCategory, issue.type);
+          const issueType = issueLabel(rawCategory, issue.type);
+          const selector = issue.context?.selector || 'a';
+          const contextInfo = ctxText.links(issue);
+          const technicalDetails = [issue.context?.occurrences ? `Occurrences: ${issue.context.occurrences} | Destinations: ${(issue.context.destinations || []).join(', ')}` : '', issue.context?.target ? `Target: ${issue.context.target}` : '', issue.context?.fileType ? `File type: ${issue.context.fileType}` : '', issue.context?.hasImage ? 'Image-only link' : ''].filter(Boolean).join(' | ');
           const status = 'FAIL';
           const sev = severityOut(rawCategory, issue.severity);
           const row = [
@@ -670,7 +1646,8 @@ export class ReportGenerator {
         issues: this.countIssuesBySeverity(page.results),
         issuesDetailed: this.collectIssuesDetailed(page.results, page.url)
       })),
-      trends: this.calculateTrends(auditResults)
+      trends: this.calculateTrends(auditResults),
+      duplicateLinkText: this.summarizeLinkText(auditResults)
     };
 
     await fs.writeFile(filePath, JSON.stringify(statistics, null, 2));
@@ -730,12 +1707,26 @@ export class ReportGenerator {
     const categories = [
       pageResults.semanticHTML,
       pageResults.ariaLabels,
+      pageResults.forms,
       pageResults.keyboardNavigation,
       pageResults.images,
       pageResults.focusManagement,
       pageResults.touchTargets,
       pageResults.focusOrder,
       pageResults.visionSimulation,
+      pageResults.focusNotObscured,
+      pageResults.reflow,
+      pageResults.textSpacing,
+      pageResults.textZoom,
+      pageResults.nonTextContrast,
+      pageResults.forcedColors,
+      pageResults.linkDistinguishability,
+      pageResults.ariaValidity,
+      pageResults.tables,
+      pageResults.pageMetadata,
+      pageResults.media,
+      pageResults.motion,
+      pageResults.links,
       pageResults.manualReview
     ];
 
@@ -788,9 +1779,23 @@ export class ReportGenerator {
       const categories = [
         results.semanticHTML,
         results.ariaLabels,
+        results.forms,
         results.keyboardNavigation,
         results.images,
-        results.focusManagement
+        results.focusManagement,
+        results.focusNotObscured,
+        results.reflow,
+        results.textSpacing,
+        results.textZoom,
+        results.nonTextContrast,
+        results.forcedColors,
+        results.linkDistinguishability,
+        results.ariaValidity,
+        results.tables,
+        results.pageMetadata,
+        results.media,
+        results.motion,
+        results.links
       ];
 
       categories.forEach(category => {
@@ -810,8 +1815,15 @@ export class ReportGenerator {
             issues.push({
               type: 'color_contrast',
               severity: 'critical',
-              message: `Insufficient contrast ratio: ${contrast.contrastRatio}:1`,
-              recommendation: 'Improve color contrast to meet WCAG AA standards',
+              message: `Insufficient contrast ratio: ${contrast.contrastRatio}:1${contrast.state && contrast.state !== 'default' ? ` (${contrast.state} state)` : ''}`,
+              recommendation: this.getContrastRecommendation(contrast),
+              suggestions: contrast.suggestions || null,
+              context: {
+                selector: contrast.elementDetails?.selector,
+                textSample: contrast.sampleText,
+                state: contrast.state || 'default',
+                computedColors: { foreground: contrast.textColor, background: contrast.backgroundColor }
+              },
               pageUrl: page.url
             });
           }
@@ -903,12 +1915,26 @@ export class ReportGenerator {
 
     if (pageResults.semanticHTML?.issues) addCat('Semantic HTML', pageResults.semanticHTML.issues);
     if (pageResults.ariaLabels?.issues) addCat('ARIA Labels', pageResults.ariaLabels.issues);
+    if (pageResults.forms?.issues) addCat('Forms', pageResults.forms.issues);
     if (pageResults.keyboardNavigation?.issues) addCat('Keyboard Navigation', pageResults.keyboardNavigation.issues);
     if (pageResults.images?.issues) addCat('Images', pageResults.images.issues);
     if (pageResults.focusManagement?.issues) addCat('Focus Management', pageResults.focusManagement.issues);
     if (pageResults.touchTargets?.issues) addCat('Touch Targets', pageResults.touchTargets.issues);
     if (pageResults.focusOrder?.issues) addCat('Focus Order', pageResults.focusOrder.issues);
     if (pageResults.visionSimulation?.issues) addCat('Vision Simulation', pageResults.visionSimulation.issues);
+    if (pageResults.focusNotObscured?.issues) addCat('Focus Not Obscured', pageResults.focusNotObscured.issues);
+    if (pageResults.reflow?.issues) addCat('Reflow', pageResults.reflow.issues);
+    if (pageResults.textSpacing?.issues) addCat('Text Spacing', pageResults.textSpacing.issues);
+    if (pageResults.textZoom?.issues) addCat('Resize Text', pageResults.textZoom.issues);
+    if (pageResults.nonTextContrast?.issues) addCat('Non-text Contrast', pageResults.nonTextContrast.issues);
+    if (pageResults.forcedColors?.issues) addCat('Forced Colors', pageResults.forcedColors.issues);
+    if (pageResults.linkDistinguishability?.issues) addCat('Link Distinguishability', pageResults.linkDistinguishability.issues);
+    if (pageResults.ariaValidity?.issues) addCat('ARIA Validity', pageResults.ariaValidity.issues);
+    if (pageResults.tables?.issues) addCat('Tables', pageResults.tables.issues);
+    if (pageResults.pageMetadata?.issues) addCat('Page Metadata', pageResults.pageMetadata.issues);
+    if (pageResults.media?.issues) addCat('Media', pageResults.media.issues);
+    if (pageResults.motion?.issues) addCat('Motion', pageResults.motion.issues);
+    if (pageResults.links?.issues) addCat('Links', pageResults.links.issues);
     if (pageResults.manualReview?.issues) {
       pageResults.manualReview.issues.forEach(issue => {
         if (issue.ignored) return;
@@ -938,7 +1964,10 @@ export class ReportGenerator {
             status: 'FAIL',
             selector: contrast.elementDetails?.selector || contrast.context?.selector || '',
             description: `Contrast ratio: ${contrast.contrastRatio}:1 (required: ${contrast.compliance?.requiredRatio}:1)`,
-            recommendation: 'Improve color contrast to meet WCAG AA standards'
+            recommendation: this.getContrastRecommendation(contrast),
+            suggestedForeground: contrast.suggestions?.foreground?.hex || null,
+            suggestedBackground: contrast.suggestions?.background?.hex || null,
+            state: contrast.state || 'default'
           });
         }
       });
@@ -947,6 +1976,22 @@ export class ReportGenerator {
     return items;
   }
 
+  /**
+   * Build the recommendation for a contrast failure, naming the suggested passing colors
+   * @param {Object} contrast - Color contrast result
+   * @returns {string} Recommendation text
+   */
+  getContrastRecommendation(contrast) {
+    const level = contrast.compliance?.level || 'AA';
+    const fg = contrast.suggestions?.foreground;
+    const bg = contrast.suggestions?.background;
+    const options = [];
+    if (fg) options.push(`text color ${fg.hex} (${fg.contrastRatio}:1)`);
+    if (bg) options.push(`background ${bg.hex} (${bg.contrastRatio}:1)`);
+    if (options.length === 0) return `Improve color contrast to meet WCAG ${level} standards`;
+    return `Improve color contrast to meet WCAG ${level} standards: use ${options.join(' or ')}`;
+  }
+
   /**
    * Get recommendations
    * @param {Object} auditResults - Audit results
@@ -982,12 +2027,26 @@ export class ReportGenerator {
       semanticHTML: { total: 0, issues: 0 },
       colorContrast: { total: 0, issues: 0 },
       ariaLabels: { total: 0, issues: 0 },
+      forms: { total: 0, issues: 0 },
       keyboardNavigation: { total: 0, issues: 0 },
       images: { total: 0, issues: 0 },
       focusManagement: { total: 0, issues: 0 },
       touchTargets: { total: 0, issues: 0 },
       focusOrder: { total: 0, issues: 0 },
       visionSimulation: { total: 0, issues: 0 },
+      focusNotObscured: { total: 0, issues: 0 },
+      reflow: { total: 0, issues: 0 },
+      textSpacing: { total: 0, issues: 0 },
+      textZoom: { total: 0, issues: 0 },
+      nonTextContrast: { total: 0, issues: 0 },
+      forcedColors: { total: 0, issues: 0 },
+      linkDistinguishability: { total: 0, issues: 0 },
+      ariaValidity: { total: 0, issues: 0 },
+      tables: { total: 0, issues: 0 },
+      pageMetadata: { total: 0, issues: 0 },
+      media: { total: 0, issues: 0 },
+      motion: { total: 0, issues: 0 },
+      links: { total: 0, issues: 0 },
       manualReview: { total: 0, issues: 0 }
     };
 
@@ -1013,6 +2072,12 @@ export class ReportGenerator {
         categories.ariaLabels.issues += results.ariaLabels.issues.filter(i => !i.ignored).length;
       }
 
+      // Count form issues
+      if (results.forms && results.forms.issues) {
+        categories.forms.total++;
+        categories.forms.issues += results.forms.issues.filter(i => !i.ignored).length;
+      }
+
       // Count keyboard navigation issues
       if (results.keyboardNavigation && results.keyboardNavigation.issues) {
         categories.keyboardNavigation.total++;
@@ -1049,6 +2114,84 @@ export class ReportGenerator {
         categories.visionSimulation.issues += results.visionSimulation.issues.filter(i => !i.ignored).length;
       }
 
+      // Count focus not obscured issues
+      if (results.focusNotObscured && results.focusNotObscured.issues) {
+        categories.focusNotObscured.total++;
+        categories.focusNotObscured.issues += results.focusNotObscured.issues.filter(i => !i.ignored).length;
+      }
+
+      // Count reflow issues
+      if (results.reflow && results.reflow.issues) {
+        categories.reflow.total++;
+        categories.reflow.issues += results.reflow.issues.filter(i => !i.ignored).length;
+      }
+
+      // Count text spacing issues
+      if (results.textSpacing && results.textSpacing.issues) {
+        categories.textSpacing.total++;
+        categories.textSpacing.issues += results.textSpacing.issues.filter(i => !i.ignored).length;
+      }
+
+      // Count resize text issues
+      if (results.textZoom && results.textZoom.issues) {
+        categories.textZoom.total++;
+        categories.textZoom.issues += results.textZoom.issues.filter(i => !i.ignored).length;
+      }
+
+      // Count non-text contrast issues
+      if (results.nonTextContrast && results.nonTextContrast.issues) {
+        categories.nonTextContrast.total++;
+        categories.nonTextContrast.issues += results.nonTextContrast.issues.filter(i => !i.ignored).length;
+      }
+
+      // Count forced colors issues
+      if (results.forcedColors && results.forcedColors.issues) {
+        categories.forcedColors.total++;
+        categories.forcedColors.issues += results.forcedColors.issues.filter(i => !i.ignored).length;
+      }
+
+      // Count link distinguishability issues
+      if (results.linkDistinguishability && results.linkDistinguishability.issues) {
+        categories.linkDistinguishability.total++;
+        categories.linkDistinguishability.issues += results.linkDistinguishability.issues.filter(i => !i.ignored).length;
+      }
+
+      // Count ARIA validity issues
+      if (results.ariaValidity && results.ariaValidity.issues) {
+        categories.ariaValidity.total++;
+        categories.ariaValidity.issues += results.ariaValidity.issues.filter(i => !i.ignored).length;
+      }
+
+      // Count data table issues
+      if (results.tables && results.tables.issues) {
+        categories.tables.total++;
+        categories.tables.issues += results.tables.issues.filter(i => !i.ignored).length;
+      }
+
+      // Count page metadata issues
+      if (results.pageMetadata && results.pageMetadata.issues) {
+        categories.pageMetadata.total++;
+        categories.pageMetadata.issues += results.pageMetadata.issues.filter(i => !i.ignored).length;
+      }
+
+      // Count media issues
+      if (results.media && results.media.issues) {
+        categories.media.total++;
+        categories.media.issues += results.media.issues.filter(i => !i.ignored).length;
+      }
+
+      // Count motion issues
+      if (results.motion && results.motion.issues) {
+        categories.motion.total++;
+        categories.motion.issues += results.motion.issues.filter(i => !i.ignored).length;
+      }
+
+      // Count link issues
+      if (results.links && results.links.issues) {
+        categories.links.total++;
+        categories.links.issues += results.links.issues.filter(i => !i.ignored).length;
+      }
+
       // Count manual review issues
       if (results.manualReview && results.manualReview.issues) {
         categories.manualReview.total++;
@@ -1086,9 +2229,23 @@ export class ReportGenerator {
       const categories = [
         results.semanticHTML,
         results.ariaLabels,
+        results.forms,
         results.keyboardNavigation,
         results.images,
-        results.focusManagement
+        results.focusManagement,
+        results.focusNotObscured,
+        results.reflow,
+        results.textSpacing,
+        results.textZoom,
+        results.nonTextContrast,
+        results.forcedColors,
+        results.linkDistinguishability,
+        results.ariaValidity,
+        results.tables,
+        results.pageMetadata,
+        results.media,
+        results.motion,
+        results.links
       ];
 
       categories.forEach(category => {
@@ -1135,7 +2292,7 @@ export class ReportGenerator {
       const issueCount = this.countIssuesBySeverity(results).total;
       
       if (issueCount > 0) {
-        const categories = ['semanticHTML', 'ariaLabels', 'keyboardNavigation', 'images', 'focusManagement', 'touchTargets', 'focusOrder', 'visionSimulation', 'manualReview'];
+        const categories = ['semanticHTML', 'ariaLabels', 'forms', 'keyboardNavigation', 'images', 'focusManagement', 'touchTargets', 'focusOrder', 'visionSimulation', 'focusNotObscured', 'reflow', 'textSpacing', 'textZoom', 'nonTextContrast', 'forcedColors', 'linkDistinguishability', 'ariaValidity', 'tables', 'pageMetadata', 'media', 'motion', 'links', 'manualReview'];
         categories.forEach(category => {
           if (results[category] && results[category].issues) {
             distribution[category] = (distribution[category] || 0) + results[category].issues.length;
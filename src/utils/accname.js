@@ -0,0 +1,472 @@
+/**
+ * Accessible Name and Description Computation
+ * Implements the W3C accname 1.2 algorithm with the HTML-AAM host language rules
+ * (label, alt, legend, caption, figcaption, value, title, placeholder)
+ */
+
+/**
+ * Build the accname toolkit.
+ * Everything lives inside this one function, with no outside references, so the same source can be
+ * installed into the page under test (see AccessibilityAuditor.installAccnameComputer).
+ * @returns {Object} { computeAccessibleName, getRole, isHidden }
+ */
+export function createAccnameModule() {
+  // ARIA 1.2 roles (abstract roles excluded)
+  const ARIA_ROLES = new Set([
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell',
+    'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion',
+    'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell',
+    'group', 'heading', 'img', 'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'marquee',
+    'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none',
+    'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row',
+    'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status',
+    'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox',
+    'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+  ]);
+
+  // Roles whose name may come from their content (ARIA 1.2 "Name From: contents")
+  const NAME_FROM_CONTENT = new Set([
+    'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch', 'tab', 'tooltip', 'treeitem'
+  ]);
+
+  const RANGE_ROLES = new Set(['slider', 'spinbutton', 'progressbar', 'scrollbar', 'meter']);
+  const LABELABLE = new Set(['input', 'select', 'textarea', 'button', 'meter', 'output', 'progress']);
+  const TEXT_INPUT_TYPES = new Set(['text', 'search', 'email', 'tel', 'url', 'password', 'number']);
+  const GLOBAL_ARIA = ['aria-atomic', 'aria-busy', 'aria-controls', 'aria-current', 'aria-describedby', 'aria-details',
+    'aria-dropeffect', 'aria-flowto', 'aria-grabbed', 'aria-keyshortcuts', 'aria-label', 'aria-labelledby',
+    'aria-live', 'aria-owns', 'aria-relevant', 'aria-roledescription'];
+
+  const flat = (s) => (s || '').replace(/\s+/g, ' ').trim();
+  const tagOf = (el) => (el.localName || el.tagName || '').toLowerCase();
+  const viewOf = (el) => el.ownerDocument.defaultView;
+
+  const isFocusable = (el) => {
+    if (el.hasAttribute('tabindex')) return true;
+    const tag = tagOf(el);
+    if ((tag === 'a' || tag === 'area') && el.hasAttribute('href')) return true;
+    return ['button', 'input', 'select', 'textarea'].includes(tag) && !el.disabled;
+  };
+
+  const implicitRole = (el) => {
+    const tag = tagOf(el);
+    const inSectioning = () => !!el.parentElement?.closest('article, aside, main, nav, section');
+    switch (tag) {
+      case 'a':
+      case 'area':
+        return el.hasAttribute('href') ? 'link' : 'generic';
+      case 'article': return 'article';
+      case 'aside': return 'complementary';
+      case 'blockquote': return 'blockquote';
+      case 'button': return 'button';
+      case 'caption': return 'caption';
+      case 'code': return 'code';
+      case 'datalist': return 'listbox';
+      case 'dd': return 'definition';
+      case 'del': return 'deletion';
+      case 'details': return 'group';
+      case 'dfn':
+      case 'dt':
+        return 'term';
+      case 'dialog': return 'dialog';
+      case 'em': return 'emphasis';
+      case 'fieldset':
+      case 'optgroup':
+        return 'group';
+      case 'figure': return 'figure';
+      case 'footer': return inSectioning() ? 'generic' : 'contentinfo';
+      case 'form': return 'form';
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+        return 'heading';
+      case 'header': return inSectioning() ? 'generic' : 'banner';
+      case 'hr': return 'separator';
+      case 'img': return el.getAttribute('alt') === '' ? 'presentation' : 'img';
+      case 'input': {
+        const type = (el.getAttribute('type') || 'text').toLowerCase();
+        if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+        if (type === 'checkbox') return 'checkbox';
+        if (type === 'radio') return 'radio';
+        if (type === 'range') return 'slider';
+        if (type === 'number') return 'spinbutton';
+        if (['text', 'search', 'email', 'tel', 'url'].includes(type)) {
+          if (el.hasAttribute('list')) return 'combobox';
+          return type === 'search' ? 'searchbox' : 'textbox';
+        }
+        return null;
+      }
+      case 'ins': return 'insertion';
+      case 'li': return 'listitem';
+      case 'main': return 'main';
+      case 'math': return 'math';
+      case 'menu':
+      case 'ol':
+      case 'ul':
+        return 'list';
+      case 'meter': return 'meter';
+      case 'nav': return 'navigation';
+      case 'option': return 'option';
+      case 'output': return 'status';
+      case 'p': return 'paragraph';
+      case 'progress': return 'progressbar';
+      case 'search': return 'search';
+      case 'section':
+        return el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby') ? 'region' : 'generic';
+      case 'select':
+        return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+      case 'strong': return 'strong';
+      case 'sub': return 'subscript';
+      case 'sup': return 'superscript';
+      case 'svg': return 'graphics-document';
+      case 'table': return 'table';
+      case 'tbody':
+      case 'tfoot':
+      case 'thead':
+        return 'rowgroup';
+      case 'td': return el.closest('table')?.getAttribute('role') === 'grid' ? 'gridcell' : 'cell';
+      case 'textarea': return 'textbox';
+      case 'th': return el.getAttribute('scope') === 'row' ? 'rowheader' : 'columnheader';
+      case 'time': return 'time';
+      case 'tr': return 'row';
+      case 'b': case 'bdi': case 'bdo': case 'data': case 'div': case 'i': case 'pre': case 'q':
+      case 'samp': case 'small': case 'span': case 'u':
+        return 'generic';
+      default: return null;
+    }
+  };
+
+  /**
+   * Computed role: the first valid token of the role attribute, else the implicit HTML-AAM role.
+   * presentation/none is ignored on focusable elements and elements with global ARIA attributes.
+   */
+  const getRole = (el) => {
+    const explicit = (el.getAttribute('role') || '').trim().toLowerCase().split(/\s+/).find(r => ARIA_ROLES.has(r));
+    if (explicit === 'presentation' || explicit === 'none') {
+      const conflict = isFocusable(el) || GLOBAL_ARIA.some(attr => el.hasAttribute(attr));
+      return conflict ? implicitRole(el) : explicit;
+    }
+    return explicit || implicitRole(el);
+  };
+
+  // display: none and aria-hidden hide the whole subtree; visibility is inherited but can be overridden
+  const createHiddenTest = () => {
+    const cache = new Map();
+    const subtreeHidden = (el) => {
+      if (!el || el.nodeType !== 1) return false;
+      if (cache.has(el)) return cache.get(el);
+      let hidden = el.getAttribute('aria-hidden') === 'true';
+      if (!hidden) {
+        const cs = viewOf(el).getComputedStyle(el);
+        hidden = cs.display === 'none';
+      }
+      if (!hidden) {
+        const parent = el.parentElement || el.getRootNode?.().host || null;
+        hidden = subtreeHidden(parent);
+      }
+      cache.set(el, hidden);
+      return hidden;
+    };
+    return (el) => {
+      if (!el || el.nodeType !== 1) return false;
+      if (tagOf(el) === 'input' && (el.getAttribute('type') || '').toLowerCase() === 'hidden') return true;
+      if (subtreeHidden(el)) return true;
+      const visibility = viewOf(el).getComputedStyle(el).visibility;
+      return visibility === 'hidden' || visibility === 'collapse';
+    };
+  };
+
+  // Text from CSS generated content, honouring the alternative text after "/" (content: "★" / "Rating")
+  const pseudoText = (el, pseudo) => {
+    let content;
+    try {
+      content = viewOf(el).getComputedStyle(el, pseudo).content;
+    } catch {
+      return '';
+    }
+    if (!content || content === 'none' || content === 'normal') return '';
+    const parts = [];
+    let alt = null;
+    for (let i = 0; i < content.length; i++) {
+      const ch = content[i];
+      if (ch === '"' || ch === "'") {
+        let str = '';
+        for (i++; i < content.length && content[i] !== ch; i++) {
+          str += content[i] === '\\' ? content[++i] : content[i];
+        }
+        (alt || parts).push(str);
+      } else if (ch === '/') {
+        alt = [];
+      } else if (content.startsWith('attr(', i)) {
+        const end = content.indexOf(')', i);
+        const name = content.slice(i + 5, end).trim();
+        (alt || parts).push(el.getAttribute(name) || '');
+        i = end;
+      }
+    }
+    return (alt || parts).join('');
+  };
+
+  const childNodesOf = (el) => {
+    if (el.shadowRoot) return Array.from(el.shadowRoot.childNodes);
+    if (tagOf(el) === 'slot' && el.assignedNodes) {
+      const assigned = el.assignedNodes({ flatten: true });
+      if (assigned.length) return assigned;
+    }
+    return Array.from(el.childNodes);
+  };
+
+  const selectedOptionsText = (el, role) => {
+    if (tagOf(el) === 'select') {
+      return Array.from(el.selectedOptions || []).map(o => flat(o.textContent)).join(' ');
+    }
+    if (role === 'combobox') {
+      return el.value !== undefined ? el.value : flat(el.textContent);
+    }
+    return Array.from(el.querySelectorAll('[role="option"][aria-selected="true"]')).map(o => flat(o.textContent)).join(' ');
+  };
+
+  // Step 2C: value of a control embedded in another element's label
+  const embeddedValue = (el, role) => {
+    if (role === 'textbox' || role === 'searchbox') {
+      const tag = tagOf(el);
+      return tag === 'input' || tag === 'textarea' ? el.value || '' : flat(el.textContent);
+    }
+    if (role === 'combobox' || role === 'listbox') return selectedOptionsText(el, role);
+    if (RANGE_ROLES.has(role)) {
+      const valueText = el.getAttribute('aria-valuetext');
+      if (valueText) return valueText;
+      const valueNow = el.getAttribute('aria-valuenow');
+      if (valueNow) return valueNow;
+      return el.value !== undefined ? String(el.value) : '';
+    }
+    return null;
+  };
+
+  /**
+   * Step 2E: host language label (HTML-AAM)
+   * @returns {Object|null} { text, source, parts }
+   */
+  const hostLanguageLabel = (el, ctx) => {
+    const tag = tagOf(el);
+    const type = (el.getAttribute('type') || '').toLowerCase();
+
+    if (LABELABLE.has(tag) && !(tag === 'input' && type === 'hidden')) {
+      const labels = Array.from(el.labels || []).filter(label => !ctx.visited.has(label));
+      const parts = labels.map(label => ({
+        source: 'label',
+        element: label,
+        text: flat(traverse(label, ctx, { referenced: true, recursion: true, hiddenOk: ctx.isHidden(label) }))
+      })).filter(p => p.text);
+      if (parts.length) return { text: parts.map(p => p.text).join(' '), parts };
+    }
+
+    if (tag === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+      const value = el.getAttribute('value');
+      if (value) return { text: value, parts: [{ source: 'value', text: value }] };
+      if (type !== 'button') {
+        const fallback = type === 'submit' ? 'Submit' : 'Reset';
+        return { text: fallback, parts: [{ source: 'default', text: fallback }] };
+      }
+    }
+
+    if (tag === 'img' || tag === 'area' || (tag === 'input' && type === 'image')) {
+      const alt = flat(el.getAttribute('alt'));
+      if (alt) return { text: alt, parts: [{ source: 'alt', text: alt }] };
+      if (tag === 'input') {
+        const value = flat(el.getAttribute('value'));
+        if (value) return { text: value, parts: [{ source: 'value', text: value }] };
+      }
+    }
+
+    const firstChild = (name) => Array.from(el.children).find(child => tagOf(child) === name);
+    const fromChild = (name, source) => {
+      const child = firstChild(name);
+      if (!child || ctx.visited.has(child)) return null;
+      const text = flat(traverse(child, ctx, { referenced: true, recursion: true }));
+      return text ? { text, parts: [{ source, element: child, text }] } : null;
+    };
+    if (tag === 'fieldset') return fromChild('legend', 'legend');
+    if (tag === 'figure') return fromChild('figcaption', 'figcaption');
+    if (tag === 'table') return fromChild('caption', 'caption');
+    if (tag === 'svg') {
+      const title = firstChild('title');
+      const text = flat(title?.textContent);
+      if (text) return { text, parts: [{ source: 'svg-title', element: title, text }] };
+    }
+    if (tag === 'option' || tag === 'optgroup') {
+      const label = flat(el.getAttribute('label'));
+      if (label) return { text: label, parts: [{ source: 'label-attribute', text: label }] };
+    }
+    return null;
+  };
+
+  /**
+   * Text alternative of one node (accname 1.2 step 2).
+   * `ctx` is shared by the whole computation; `flags` describe how this node was reached:
+   *   recursion  - reached as a descendant while computing name from content (2F / 2H)
+   *   referenced - directly referenced by aria-labelledby/-describedby or a native label element
+   *   inLabelledBy - inside an aria-labelledby/-describedby traversal (2B is not followed again)
+   *   hiddenOk   - the referenced root of this traversal was hidden, so hidden nodes are included
+   */
+  const traverse = (node, ctx, flags = {}) => {
+    if (node.nodeType === 3) return node.textContent; // 2G
+    if (node.nodeType !== 1) return '';
+    const el = node;
+    const isRoot = el === ctx.root && !flags.recursion && !flags.inLabelledBy;
+    const report = isRoot ? ctx.report : () => {};
+
+    // 2A: hidden and not directly referenced
+    if (!isRoot && !flags.hiddenOk && !flags.referenced && ctx.isHidden(el)) return '';
+
+    ctx.visited.add(el);
+    try {
+      const role = getRole(el);
+
+      // 2B: aria-labelledby
+      if (!flags.inLabelledBy) {
+        const refs = (el.getAttribute('aria-labelledby') || '').trim().split(/\s+/).filter(Boolean)
+          .map(id => el.ownerDocument.getElementById(id))
+          .filter(Boolean);
+        if (refs.length) {
+          const parts = refs.map(ref => ({
+            source: 'aria-labelledby',
+            element: ref,
+            text: flat(traverse(ref, ctx, { inLabelledBy: true, referenced: true, hiddenOk: ctx.isHidden(ref) }))
+          }));
+          const text = parts.map(p => p.text).filter(Boolean).join(' ');
+          if (text) {
+            parts.filter(p => p.text).forEach(p => report(p));
+            return text;
+          }
+        }
+      }
+
+      // 2C: embedded control inside another element's label
+      const embedded = el !== ctx.root && (flags.recursion || flags.inLabelledBy);
+      if (embedded) {
+        const value = embeddedValue(el, role);
+        if (value !== null) return value;
+      }
+
+      // 2D: aria-label
+      const ariaLabel = flat(el.getAttribute('aria-label'));
+      if (ariaLabel) {
+        report({ source: 'aria-label', text: ariaLabel });
+        return ariaLabel;
+      }
+
+      // 2E: host language label, unless presentational
+      if (role !== 'presentation' && role !== 'none') {
+        const native = hostLanguageLabel(el, ctx);
+        if (native) {
+          native.parts.forEach(p => report(p));
+          return native.text;
+        }
+      }
+
+      // 2F / 2H: name from content
+      if (NAME_FROM_CONTENT.has(role) || flags.referenced || flags.recursion || tagOf(el) === 'label') {
+        let text = pseudoText(el, '::before');
+        for (const child of childNodesOf(el)) {
+          if (child.nodeType === 1 && ctx.visited.has(child)) continue;
+          const childText = traverse(child, ctx, { recursion: true, inLabelledBy: flags.inLabelledBy, hiddenOk: flags.hiddenOk });
+          // Block-level children are separated from their neighbours
+          const display = child.nodeType === 1 ? viewOf(child).getComputedStyle(child).display : 'inline';
+          text += display.startsWith('inline') || display === 'contents' ? childText : ` ${childText} `;
+        }
+        text += pseudoText(el, '::after');
+        if (flat(text)) {
+          report({ source: 'contents', text: flat(text) });
+          return text;
+        }
+      }
+
+      // 2I: tooltip attribute, then the placeholder of text fields (HTML-AAM)
+      const title = flat(el.getAttribute('title'));
+      if (title) {
+        report({ source: 'title', text: title });
+        return title;
+      }
+      const tag = tagOf(el);
+      const type = (el.getAttribute('type') || 'text').toLowerCase();
+      if (tag === 'textarea' || (tag === 'input' && TEXT_INPUT_TYPES.has(type))) {
+        const placeholder = flat(el.getAttribute('placeholder') || el.getAttribute('aria-placeholder'));
+        if (placeholder) {
+          report({ source: 'placeholder', text: placeholder });
+          return placeholder;
+        }
+      }
+      if (tag === 'input' && type === 'image') {
+        report({ source: 'default', text: 'Submit Query' });
+        return 'Submit Query';
+      }
+      return '';
+    } finally {
+      if (el !== ctx.root) ctx.visited.delete(el);
+    }
+  };
+
+  // Describe a source element briefly so results stay serialisable
+  const describeSource = (part) => {
+    const { element, ...rest } = part;
+    if (!element) return rest;
+    return { ...rest, element: tagOf(element) + (element.id ? `#${element.id}` : '') };
+  };
+
+  /**
+   * Compute the accessible name and description of an element
+   * @param {Element} el - DOM element
+   * @returns {Object} { role, name, nameSources, description, descriptionSources }
+   */
+  const computeAccessibleName = (el) => {
+    const isHidden = createHiddenTest();
+    const nameSources = [];
+    const ctx = { root: el, isHidden, visited: new Set(), report: (part) => nameSources.push(describeSource(part)) };
+    const name = flat(traverse(el, ctx));
+
+    // Description: aria-describedby, then aria-description, then an unused title
+    const descriptionSources = [];
+    const descCtx = { root: el, isHidden, visited: new Set([el]), report: () => {} };
+    const refs = (el.getAttribute('aria-describedby') || '').trim().split(/\s+/).filter(Boolean)
+      .map(id => el.ownerDocument.getElementById(id))
+      .filter(Boolean);
+    refs.forEach(ref => {
+      const text = flat(traverse(ref, descCtx, { inLabelledBy: true, referenced: true, hiddenOk: isHidden(ref) }));
+      if (text) descriptionSources.push(describeSource({ source: 'aria-describedby', element: ref, text }));
+    });
+    if (!descriptionSources.length) {
+      const ariaDescription = flat(el.getAttribute('aria-description'));
+      const title = flat(el.getAttribute('title'));
+      if (ariaDescription) {
+        descriptionSources.push({ source: 'aria-description', text: ariaDescription });
+      } else if (title && !nameSources.some(s => s.source === 'title')) {
+        descriptionSources.push({ source: 'title', text: title });
+      }
+    }
+
+    return {
+      role: getRole(el),
+      name,
+      nameSources,
+      description: descriptionSources.map(s => s.text).join(' '),
+      descriptionSources
+    };
+  };
+
+  return { computeAccessibleName, getRole, isHidden: (el) => createHiddenTest()(el) };
+}
+
+const accnameModule = createAccnameModule();
+
+/**
+ * Compute the accessible name and description of an element (accname 1.2)
+ * @param {Element} element - DOM element
+ * @returns {Object} { role, name, nameSources, description, descriptionSources }
+ */
+export const computeAccessibleName = accnameModule.computeAccessibleName;
+
+/**
+ * Get the computed ARIA role of an element (explicit role, else implicit HTML-AAM role)
+ * @param {Element} element - DOM element
+ * @returns {string|null} Role name
+ */
+export const getRole = accnameModule.getRole;
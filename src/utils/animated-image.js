@@ -0,0 +1,139 @@
+/**
+ * Animated Image Detection
+ * Reads GIF, APNG and WebP headers to tell whether an image animates and for how long
+ */
+
+// Browsers stretch GIF frame delays of 10ms or less to 100ms
+const MIN_GIF_DELAY_MS = 20;
+const CLAMPED_GIF_DELAY_MS = 100;
+
+function gifInfo(buf) {
+  let frames = 0;
+  let durationMs = 0;
+  let loopCount = null;
+  let delay = 0;
+  let pos = 13;
+  if (buf[10] & 0x80) pos += 3 * (2 ** ((buf[10] & 0x07) + 1));
+
+  const skipSubBlocks = () => {
+    while (pos < buf.length && buf[pos] !== 0) pos += buf[pos] + 1;
+    pos++;
+  };
+
+  while (pos < buf.length) {
+    const block = buf[pos];
+    if (block === 0x3b) break;
+    if (block === 0x21) {
+      const label = buf[pos + 1];
+      pos += 2;
+      if (label === 0xf9 && buf[pos] >= 4) {
+        const raw = buf.readUInt16LE(pos + 2) * 10;
+        delay = raw < MIN_GIF_DELAY_MS ? CLAMPED_GIF_DELAY_MS : raw;
+      } else if (label === 0xff && buf.toString('latin1', pos + 1, pos + 12) === 'NETSCAPE2.0' && buf[pos + 13] === 1) {
+        loopCount = buf.readUInt16LE(pos + 14);
+      }
+      skipSubBlocks();
+    } else if (block === 0x2c) {
+      frames++;
+      durationMs += delay;
+      delay = 0;
+      const packed = buf[pos + 9];
+      pos += 10;
+      if (packed & 0x80) pos += 3 * (2 ** ((packed & 0x07) + 1));
+      pos++; // LZW minimum code size
+      skipSubBlocks();
+    } else {
+      break;
+    }
+  }
+  // Without a NETSCAPE loop extension a GIF plays once; its count is repeats after the first play
+  return { format: 'gif', frames, durationMs, plays: loopCount === null ? 1 : loopCount === 0 ? 0 : loopCount + 1 };
+}
+
+function apngInfo(buf) {
+  let frames = 0;
+  let durationMs = 0;
+  let plays = 1;
+  let animated = false;
+  let pos = 8;
+  while (pos + 8 <= buf.length) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    const data = pos + 8;
+    if (type === 'acTL') {
+      animated = true;
+      plays = buf.readUInt32BE(data + 4);
+    } else if (type === 'fcTL') {
+      frames++;
+      const num = buf.readUInt16BE(data + 20);
+      const den = buf.readUInt16BE(data + 22) || 100;
+      durationMs += (num / den) * 1000;
+    } else if (type === 'IDAT' && !animated) {
+      // acTL must precede the image data; anything later is not an APNG
+      break;
+    } else if (type === 'IEND') {
+      break;
+    }
+    pos = data + length + 4;
+  }
+  return animated
+    ? { format: 'apng', frames, durationMs: Math.round(durationMs), plays }
+    : { format: 'png', frames: 1, durationMs: 0, plays: 1 };
+}
+
+function webpInfo(buf) {
+  let frames = 0;
+  let durationMs = 0;
+  let plays = 1;
+  let animated = false;
+  let pos = 12;
+  while (pos + 8 <= buf.length) {
+    const type = buf.toString('latin1', pos, pos + 4);
+    const size = buf.readUInt32LE(pos + 4);
+    const data = pos + 8;
+    if (type === 'VP8X') {
+      animated = (buf[data] & 0x02) !== 0;
+    } else if (type === 'ANIM') {
+      plays = buf.readUInt16LE(data + 4);
+    } else if (type === 'ANMF') {
+      frames++;
+      durationMs += buf.readUIntLE(data + 12, 3);
+    }
+    pos = data + size + (size % 2);
+  }
+  return animated
+    ? { format: 'webp', frames, durationMs, plays }
+    : { format: 'webp', frames: 1, durationMs: 0, plays: 1 };
+}
+
+/**
+ * Read the animation details of a GIF, PNG/APNG or WebP image
+ * @param {Buffer} buffer - Image file contents
+ * @returns {Object|null} { format, animated, frames, durationMs (one play), plays (0 = forever),
+ *   totalMs (Infinity when looping forever) }, or null for other formats and unreadable data
+ */
+export function animatedImageInfo(buffer) {
+  if (!buffer || buffer.length < 16) return null;
+  let info;
+  try {
+    const head = buffer.toString('latin1', 0, 6);
+    if (head === 'GIF87a' || head === 'GIF89a') {
+      info = gifInfo(buffer);
+    } else if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+      info = apngInfo(buffer);
+    } else if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+      info = webpInfo(buffer);
+    } else {
+      return null;
+    }
+  } catch {
+    // Truncated files throw on out-of-range reads
+    return null;
+  }
+  const animated = info.frames > 1;
+  return {
+    ...info,
+    animated,
+    totalMs: !animated ? 0 : info.plays === 0 ? Infinity : info.durationMs * info.plays
+  };
+}
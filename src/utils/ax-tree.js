@@ -0,0 +1,188 @@
+/**
+ * Accessibility Tree Snapshots
+ * Normalizes Playwright and CDP accessibility trees to one shape and diffs two snapshots
+ */
+
+// Text leaves change with ordinary content edits; the diff skips them unless asked
+const TEXT_ROLES = new Set(['text', 'StaticText']);
+
+// CDP roles folded into their parents, as Playwright's interestingOnly snapshot does
+const CDP_SKIPPED_ROLES = new Set(['InlineTextBox', 'LineBreak']);
+const CDP_UNNAMED_CONTAINERS = new Set(['generic', 'none', 'presentation', 'LayoutTable', 'LayoutTableRow', 'LayoutTableCell']);
+const CDP_ROLE_NAMES = { RootWebArea: 'WebArea', StaticText: 'text' };
+
+// States copied from CDP properties (only when set), matching Playwright snapshot keys
+const CDP_STATES = ['checked', 'pressed', 'expanded', 'selected', 'disabled', 'required', 'invalid', 'level', 'modal'];
+
+/**
+ * Build a Playwright-style snapshot tree ({role, name, children}) from CDP
+ * Accessibility.getFullAXTree nodes
+ * @param {Array} nodes - AXNode list from CDP
+ * @returns {Object|null} Root node
+ */
+export function treeFromCdpNodes(nodes) {
+  if (!Array.isArray(nodes) || nodes.length === 0) return null;
+  const byId = new Map(nodes.map(node => [node.nodeId, node]));
+  const root = nodes.find(node => !node.parentId) || nodes[0];
+
+  const convert = (axNode) => {
+    const children = (axNode.childIds || [])
+      .map(id => byId.get(id))
+      .filter(Boolean)
+      .flatMap(child => {
+        const role = child.role?.value || '';
+        const name = child.name?.value || '';
+        if (CDP_SKIPPED_ROLES.has(role)) return [];
+        const converted = convert(child);
+        // Ignored and unnamed structural nodes contribute only their children
+        if (child.ignored || (CDP_UNNAMED_CONTAINERS.has(role) && !name)) return converted.children || [];
+        if (role === 'StaticText' && !name.trim()) return [];
+        return [converted];
+      });
+
+    const role = axNode.role?.value || '';
+    const node = { role: CDP_ROLE_NAMES[role] || role, name: axNode.name?.value || '' };
+    if (axNode.value?.value !== undefined && axNode.value.value !== '') node.value = axNode.value.value;
+    if (axNode.description?.value) node.description = axNode.description.value;
+    (axNode.properties || []).forEach(prop => {
+      const value = prop.value?.value;
+      if (!CDP_STATES.includes(prop.name) || value === undefined || value === false || value === 'false') return;
+      node[prop.name] = value;
+    });
+    if (children.length) node.children = children;
+    return node;
+  };
+
+  return convert(root);
+}
+
+/**
+ * Count the nodes of a snapshot tree
+ * @param {Object} node - Snapshot node
+ * @returns {number} Node count including the node itself
+ */
+export function countNodes(node) {
+  if (!node) return 0;
+  return 1 + (node.children || []).reduce((sum, child) => sum + countNodes(child), 0);
+}
+
+/**
+ * Diff two snapshot trees. Siblings are aligned on role and name (longest common subsequence);
+ * unmatched siblings in the same gap are paired when they share a role or a name and reported
+ * as role/name changes, the rest as added or removed
+ * @param {Object} before - Earlier snapshot tree
+ * @param {Object} after - Later snapshot tree
+ * @param {Object} options - { includeText: compare text leaves too (default false) }
+ * @returns {Array} Changes: { change, path, before, after, nodes? }
+ */
+export function diffAccessibilityTrees(before, after, options = {}) {
+  const includeText = options.includeText === true;
+  const changes = [];
+  const key = (node) => `${node.role}\u0000${node.name || ''}`;
+  const label = (node) => (node.name ? `${node.role} "${node.name.replace(/\s+/g, ' ').trim().substring(0, 60)}"` : node.role);
+  const summary = (node) => ({ role: node.role, name: node.name || '' });
+  const childrenOf = (node) => (node.children || []).filter(child => includeText || !TEXT_ROLES.has(child.role));
+
+  // Index pairs of the longest common subsequence of sibling keys
+  const align = (as, bs) => {
+    const n = as.length;
+    const m = bs.length;
+    if (n === 0 || m === 0) return [];
+    const aKeys = as.map(key);
+    const bKeys = bs.map(key);
+    // Very wide sibling lists fall back to in-order key matching to bound memory
+    if (n * m > 4000000) {
+      const pairs = [];
+      let j = 0;
+      for (let i = 0; i < n && j < m; i++) {
+        const found = bKeys.indexOf(aKeys[i], j);
+        if (found >= 0) {
+          pairs.push([i, found]);
+          j = found + 1;
+        }
+      }
+      return pairs;
+    }
+    const table = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i * (m + 1) + j] = aKeys[i] === bKeys[j]
+          ? table[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(table[(i + 1) * (m + 1) + j], table[i * (m + 1) + j + 1]);
+      }
+    }
+    const pairs = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (aKeys[i] === bKeys[j]) {
+        pairs.push([i, j]);
+        i++;
+        j++;
+      } else if (table[(i + 1) * (m + 1) + j] >= table[i * (m + 1) + j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+    return pairs;
+  };
+
+  const compare = (a, b, trail) => {
+    const roleChanged = a.role !== b.role;
+    const nameChanged = (a.name || '') !== (b.name || '');
+    if (roleChanged || nameChanged) {
+      changes.push({
+        change: roleChanged && nameChanged ? 'role+name' : roleChanged ? 'role' : 'name',
+        path: trail.join(' > '),
+        before: summary(a),
+        after: summary(b)
+      });
+    }
+    compareChildren(childrenOf(a), childrenOf(b), [...trail, label(b)]);
+  };
+
+  const compareGap = (gapA, gapB, trail) => {
+    const used = new Set();
+    let next = 0;
+    gapA.forEach(a => {
+      let match = -1;
+      for (let j = next; j < gapB.length; j++) {
+        if (gapB[j].role === a.role || (a.name && gapB[j].name === a.name)) {
+          match = j;
+          break;
+        }
+      }
+      if (match < 0) {
+        changes.push({ change: 'removed', path: trail.join(' > '), before: summary(a), after: null, nodes: countNodes(a) });
+        return;
+      }
+      // Anything skipped over in the later tree is new
+      for (let j = next; j < match; j++) {
+        used.add(j);
+        changes.push({ change: 'added', path: trail.join(' > '), before: null, after: summary(gapB[j]), nodes: countNodes(gapB[j]) });
+      }
+      used.add(match);
+      next = match + 1;
+      compare(a, gapB[match], trail);
+    });
+    gapB.forEach((b, j) => {
+      if (!used.has(j)) changes.push({ change: 'added', path: trail.join(' > '), before: null, after: summary(b), nodes: countNodes(b) });
+    });
+  };
+
+  const compareChildren = (as, bs, trail) => {
+    let i = 0;
+    let j = 0;
+    for (const [mi, mj] of [...align(as, bs), [as.length, bs.length]]) {
+      compareGap(as.slice(i, mi), bs.slice(j, mj), trail);
+      if (mi < as.length) compare(as[mi], bs[mj], trail);
+      i = mi + 1;
+      j = mj + 1;
+    }
+  };
+
+  if (!before || !after) return changes;
+  compare(before, after, []);
+  return changes;
+}
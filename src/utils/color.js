@@ -0,0 +1,525 @@
+/**
+ * CSS Color Parsing
+ * Parses CSS Color 4/5 syntaxes (hex, named, rgb, hsl, hwb, lab, lch, oklab, oklch, color(), color-mix())
+ * and gamut-maps the result to sRGB using the CSS Color 4 OKLCH chroma-reduction algorithm
+ */
+
+/**
+ * Build the color toolkit.
+ * Everything lives inside this one function, with no outside references, so the same source can be
+ * installed into the page under test (see AccessibilityAuditor.installColorParser).
+ * @returns {Object} { parse, rgbToOklch, oklchToRgb }
+ */
+export function createColorModule() {
+  const NAMED_COLORS = {
+    aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+    beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+    blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+    chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+    cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+    darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b', darkolivegreen: '556b2f',
+    darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+    darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+    deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969', dodgerblue: '1e90ff',
+    firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff', gainsboro: 'dcdcdc',
+    ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080', green: '008000',
+    greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+    indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa', lavenderblush: 'fff0f5',
+    lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080', lightcyan: 'e0ffff',
+    lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3', lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1',
+    lightsalmon: 'ffa07a', lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+    lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6',
+    magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3',
+    mediumpurple: '9370db', mediumseagreen: '3cb371', mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+    mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+    navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23',
+    orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+    paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f',
+    pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+    red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513', salmon: 'fa8072',
+    sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0',
+    skyblue: '87ceeb', slateblue: '6a5acd', slategray: '708090', slategrey: '708090', snow: 'fffafa',
+    springgreen: '00ff7f', steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+    tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff',
+    whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+  };
+
+  // Conversion matrices from the CSS Color 4 sample code
+  const SRGB_TO_XYZ = [
+    [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+    [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+    [0.01933081871559182, 0.11919477979462598, 0.9505321522496606]
+  ];
+  const XYZ_TO_SRGB = [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+  ];
+  const P3_TO_XYZ = [
+    [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+    [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+    [0, 0.04511338185890264, 1.043944368900976]
+  ];
+  const A98_TO_XYZ = [
+    [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+    [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+    [0.02703136138641234, 0.07068885253582723, 0.9913375368376388]
+  ];
+  const PROPHOTO_TO_XYZ_D50 = [
+    [0.7977666449006423, 0.13518129740053308, 0.0313477341283922],
+    [0.2880748288194013, 0.711835234241873, 0.00008993693872564],
+    [0, 0, 0.8251046025104602]
+  ];
+  const REC2020_TO_XYZ = [
+    [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+    [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+    [0, 0.028072693049087428, 1.060985057710791]
+  ];
+  const D65_TO_D50 = [
+    [1.0479297925449969, 0.022946870601609652, -0.05019226628920524],
+    [0.02962780877005599, 0.9904344267538799, -0.017073799063418826],
+    [-0.009243040646204504, 0.015055191490298152, 0.7518742814281371]
+  ];
+  const D50_TO_D65 = [
+    [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+    [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+    [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+  ];
+  const XYZ_TO_LMS = [
+    [0.8190224379967030, 0.3619062600528904, -0.1288737815209879],
+    [0.0329836539323885, 0.9292868615863434, 0.0361446663506424],
+    [0.0481771893596242, 0.2642395317527308, 0.6335478284694309]
+  ];
+  const LMS_TO_OKLAB = [
+    [0.2104542683093140, 0.7936177747023054, -0.0040720430116193],
+    [1.9779985324311684, -2.4285922420485799, 0.4505937096174110],
+    [0.0259040424655478, 0.7827717124575296, -0.8086757549230774]
+  ];
+  const OKLAB_TO_LMS = [
+    [1, 0.3963377773761749, 0.2158037573099136],
+    [1, -0.1055613458156586, -0.0638541728258133],
+    [1, -0.0894841775298119, -1.2914855480194092]
+  ];
+  const LMS_TO_XYZ = [
+    [1.2268798758459243, -0.5578149944602171, 0.2813910456659647],
+    [-0.0405757452148008, 1.1122868032803170, -0.0717110580655164],
+    [-0.0763729366746601, -0.4214933324022432, 1.5869240198367816]
+  ];
+  const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+  const invert = (m) => {
+    const [[a, b, c], [d, e, f], [g, h, i]] = m;
+    const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+    return [
+      [(e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det],
+      [(f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det],
+      [(d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det]
+    ];
+  };
+  const multiply = (m, v) => m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+
+  // Transfer functions (sign-preserving so out-of-gamut values survive round trips)
+  const srgbToLinear = (c) => {
+    const abs = Math.abs(c);
+    return abs <= 0.04045 ? c / 12.92 : Math.sign(c) * Math.pow((abs + 0.055) / 1.055, 2.4);
+  };
+  const linearToSrgb = (c) => {
+    const abs = Math.abs(c);
+    return abs > 0.0031308 ? Math.sign(c) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055) : 12.92 * c;
+  };
+  const a98ToLinear = (c) => Math.sign(c) * Math.pow(Math.abs(c), 563 / 256);
+  const linearToA98 = (c) => Math.sign(c) * Math.pow(Math.abs(c), 256 / 563);
+  const prophotoToLinear = (c) => (Math.abs(c) <= 16 / 512 ? c / 16 : Math.sign(c) * Math.pow(Math.abs(c), 1.8));
+  const linearToProphoto = (c) => (Math.abs(c) >= 1 / 512 ? Math.sign(c) * Math.pow(Math.abs(c), 1 / 1.8) : 16 * c);
+  const REC_A = 1.09929682680944;
+  const REC_B = 0.018053968510807;
+  const rec2020ToLinear = (c) => (Math.abs(c) < REC_B * 4.5 ? c / 4.5 : Math.sign(c) * Math.pow((Math.abs(c) + REC_A - 1) / REC_A, 1 / 0.45));
+  const linearToRec2020 = (c) => (Math.abs(c) > REC_B ? Math.sign(c) * (REC_A * Math.pow(Math.abs(c), 0.45) - (REC_A - 1)) : 4.5 * c);
+
+  const rgbSpace = (toXYZ, toLinear, fromLinear) => {
+    const fromXYZ = invert(toXYZ);
+    return {
+      toXYZ: (c) => multiply(toXYZ, c.map(toLinear)),
+      fromXYZ: (xyz) => multiply(fromXYZ, xyz).map(fromLinear)
+    };
+  };
+
+  // Polar helpers
+  const toPolar = ([l, a, b]) => {
+    const c = Math.sqrt(a * a + b * b);
+    const h = (Math.atan2(b, a) * 180) / Math.PI;
+    return [l, c, h < 0 ? h + 360 : h];
+  };
+  const fromPolar = ([l, c, h]) => [l, c * Math.cos((h * Math.PI) / 180), c * Math.sin((h * Math.PI) / 180)];
+
+  const labToXYZ = ([L, a, b]) => {
+    const k = 24389 / 27;
+    const e = 216 / 24389;
+    const f1 = (L + 16) / 116;
+    const f0 = a / 500 + f1;
+    const f2 = f1 - b / 200;
+    const xyz = [
+      Math.pow(f0, 3) > e ? Math.pow(f0, 3) : (116 * f0 - 16) / k,
+      L > k * e ? Math.pow(f1, 3) : L / k,
+      Math.pow(f2, 3) > e ? Math.pow(f2, 3) : (116 * f2 - 16) / k
+    ].map((v, i) => v * D50_WHITE[i]);
+    return multiply(D50_TO_D65, xyz);
+  };
+  const xyzToLab = (xyz) => {
+    const k = 24389 / 27;
+    const e = 216 / 24389;
+    const f = multiply(D65_TO_D50, xyz)
+      .map((v, i) => v / D50_WHITE[i])
+      .map(v => (v > e ? Math.cbrt(v) : (k * v + 16) / 116));
+    return [116 * f[1] - 16, 500 * (f[0] - f[1]), 200 * (f[1] - f[2])];
+  };
+  const oklabToXYZ = (lab) => multiply(LMS_TO_XYZ, multiply(OKLAB_TO_LMS, lab).map(v => v * v * v));
+  const xyzToOklab = (xyz) => multiply(LMS_TO_OKLAB, multiply(XYZ_TO_LMS, xyz).map(Math.cbrt));
+
+  // sRGB (0-1) <-> HSL (h degrees, s/l 0-100) and HWB (h degrees, w/b 0-100)
+  const hslToSrgb = ([h, s, l]) => {
+    s /= 100;
+    l /= 100;
+    const f = (n) => {
+      const k = (n + h / 30) % 12;
+      const a = s * Math.min(l, 1 - l);
+      return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    return [f(0), f(8), f(4)];
+  };
+  const srgbToHsl = ([r, g, b]) => {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (min + max) / 2;
+    const d = max - min;
+    let h = 0;
+    let s = 0;
+    if (d !== 0) {
+      s = l === 0 || l === 1 ? 0 : (max - l) / Math.min(l, 1 - l);
+      if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+      else if (max === g) h = (b - r) / d + 2;
+      else h = (r - g) / d + 4;
+      h *= 60;
+    }
+    return [h, s * 100, l * 100];
+  };
+  const hwbToSrgb = ([h, w, b]) => {
+    w /= 100;
+    b /= 100;
+    if (w + b >= 1) {
+      const gray = w / (w + b);
+      return [gray, gray, gray];
+    }
+    return hslToSrgb([h, 100, 50]).map(c => c * (1 - w - b) + w);
+  };
+  const srgbToHwb = (rgb) => [srgbToHsl(rgb)[0], Math.min(...rgb) * 100, (1 - Math.max(...rgb)) * 100];
+
+  const srgb = rgbSpace(SRGB_TO_XYZ, srgbToLinear, linearToSrgb);
+  const xyzD50 = {
+    toXYZ: (c) => multiply(D50_TO_D65, c),
+    fromXYZ: (xyz) => multiply(D65_TO_D50, xyz)
+  };
+  const identity = { toXYZ: (c) => c, fromXYZ: (xyz) => xyz };
+  const SPACES = {
+    srgb,
+    'srgb-linear': rgbSpace(SRGB_TO_XYZ, c => c, c => c),
+    'display-p3': rgbSpace(P3_TO_XYZ, srgbToLinear, linearToSrgb),
+    'a98-rgb': rgbSpace(A98_TO_XYZ, a98ToLinear, linearToA98),
+    'prophoto-rgb': {
+      toXYZ: (c) => multiply(D50_TO_D65, multiply(PROPHOTO_TO_XYZ_D50, c.map(prophotoToLinear))),
+      fromXYZ: (xyz) => multiply(invert(PROPHOTO_TO_XYZ_D50), multiply(D65_TO_D50, xyz)).map(linearToProphoto)
+    },
+    rec2020: rgbSpace(REC2020_TO_XYZ, rec2020ToLinear, linearToRec2020),
+    xyz: identity,
+    'xyz-d65': identity,
+    'xyz-d50': xyzD50,
+    lab: { toXYZ: labToXYZ, fromXYZ: xyzToLab },
+    lch: { toXYZ: (c) => labToXYZ(fromPolar(c)), fromXYZ: (xyz) => toPolar(xyzToLab(xyz)), hueIndex: 2 },
+    oklab: { toXYZ: oklabToXYZ, fromXYZ: xyzToOklab },
+    oklch: { toXYZ: (c) => oklabToXYZ(fromPolar(c)), fromXYZ: (xyz) => toPolar(xyzToOklab(xyz)), hueIndex: 2 },
+    hsl: { toXYZ: (c) => srgb.toXYZ(hslToSrgb(c)), fromXYZ: (xyz) => srgbToHsl(srgb.fromXYZ(xyz)), hueIndex: 0 },
+    hwb: { toXYZ: (c) => srgb.toXYZ(hwbToSrgb(c)), fromXYZ: (xyz) => srgbToHwb(srgb.fromXYZ(xyz)), hueIndex: 0 }
+  };
+
+  // CSS Color 4 gamut mapping: reduce OKLCH chroma until the clipped color is within a JND
+  const gamutMapToSrgb = (xyz) => {
+    const EPSILON = 0.0001;
+    const JND = 0.02;
+    const inGamut = (rgb) => rgb.every(c => c >= -EPSILON && c <= 1 + EPSILON);
+    const clip = (rgb) => rgb.map(c => Math.max(0, Math.min(1, c)));
+    const direct = srgb.fromXYZ(xyz);
+    if (inGamut(direct)) return clip(direct);
+
+    const [L, C, h] = toPolar(xyzToOklab(xyz));
+    if (L >= 1) return [1, 1, 1];
+    if (L <= 0) return [0, 0, 0];
+    const toRgb = (chroma) => srgb.fromXYZ(oklabToXYZ(fromPolar([L, chroma, h])));
+    const deltaEOK = (rgbA, rgbB) => {
+      const a = xyzToOklab(srgb.toXYZ(rgbA));
+      const b = xyzToOklab(srgb.toXYZ(rgbB));
+      return Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2);
+    };
+
+    let current = toRgb(C);
+    let clipped = clip(current);
+    if (deltaEOK(clipped, current) < JND) return clipped;
+    let min = 0;
+    let max = C;
+    let minInGamut = true;
+    while (max - min > EPSILON) {
+      const chroma = (min + max) / 2;
+      current = toRgb(chroma);
+      if (minInGamut && inGamut(current)) {
+        min = chroma;
+        continue;
+      }
+      clipped = clip(current);
+      const E = deltaEOK(clipped, current);
+      if (E < JND) {
+        if (JND - E < EPSILON) return clipped;
+        minInGamut = false;
+        min = chroma;
+      } else {
+        max = chroma;
+      }
+    }
+    return clipped;
+  };
+
+  // Tokenizing helpers: split on separators outside parentheses
+  const splitTopLevel = (str, separator) => {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of str) {
+      if (ch === '(') depth++;
+      if (ch === ')') depth--;
+      if (depth === 0 && (separator === ' ' ? /\s/.test(ch) : ch === separator)) {
+        if (current.trim()) parts.push(current.trim());
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  };
+
+  // Parse a numeric component; `percentRef` is the value 100% maps to
+  const component = (token, percentRef = 1) => {
+    if (token === undefined) return null;
+    if (token === 'none') return 0;
+    const m = token.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|rad|grad|turn)?$/);
+    if (!m) return null;
+    const value = parseFloat(m[1]);
+    switch (m[2]) {
+      case '%': return (value / 100) * percentRef;
+      case 'rad': return (value * 180) / Math.PI;
+      case 'grad': return value * 0.9;
+      case 'turn': return value * 360;
+      default: return value;
+    }
+  };
+  const hue = (token) => {
+    const value = component(token);
+    return value === null ? null : ((value % 360) + 360) % 360;
+  };
+
+  // Split function arguments into channels and alpha (legacy comma or modern space + slash syntax)
+  const splitArgs = (body) => {
+    if (splitTopLevel(body, ',').length > 1) {
+      const parts = splitTopLevel(body, ',');
+      return { channels: parts.slice(0, 3), alpha: parts[3] };
+    }
+    const [main, alpha] = splitTopLevel(body, '/');
+    return { channels: splitTopLevel(main || '', ' '), alpha: alpha && alpha.trim() };
+  };
+  const alphaValue = (token) => {
+    if (token === undefined) return 1;
+    const value = component(token, 1);
+    return value === null ? null : Math.max(0, Math.min(1, value));
+  };
+
+  const parseHex = (hex) => {
+    if (![3, 4, 6, 8].includes(hex.length) || !/^[0-9a-f]+$/.test(hex)) return null;
+    const full = hex.length <= 4 ? hex.split('').map(c => c + c).join('') : hex;
+    const values = full.match(/../g).map(h => parseInt(h, 16));
+    return { space: 'srgb', coords: values.slice(0, 3).map(v => v / 255), alpha: values.length === 4 ? values[3] / 255 : 1 };
+  };
+
+  // Channel definitions: [percent reference, isHue] per function
+  const FUNCTIONS = {
+    rgb: { space: 'srgb', refs: [255, 255, 255], scale: 255 },
+    rgba: { space: 'srgb', refs: [255, 255, 255], scale: 255 },
+    hsl: { space: 'hsl', refs: ['hue', 100, 100] },
+    hsla: { space: 'hsl', refs: ['hue', 100, 100] },
+    hwb: { space: 'hwb', refs: ['hue', 100, 100] },
+    lab: { space: 'lab', refs: [100, 125, 125] },
+    lch: { space: 'lch', refs: [100, 150, 'hue'] },
+    oklab: { space: 'oklab', refs: [1, 0.4, 0.4] },
+    oklch: { space: 'oklch', refs: [1, 0.4, 'hue'] }
+  };
+
+  const parseInternal = (input) => {
+    const str = input.trim().toLowerCase();
+    if (!str) return null;
+    if (str === 'transparent') return { space: 'srgb', coords: [0, 0, 0], alpha: 0 };
+    if (NAMED_COLORS[str]) return parseHex(NAMED_COLORS[str]);
+    if (str.startsWith('#')) return parseHex(str.slice(1));
+
+    const fn = str.match(/^([a-z-]+)\(([\s\S]*)\)$/);
+    if (!fn) return null;
+    const [, name, body] = fn;
+    if (/^\s*from\s/.test(body)) return null; // relative color syntax needs a resolved origin
+
+    if (name === 'color-mix') return parseColorMix(body);
+
+    if (name === 'color') {
+      const [main, alphaToken] = splitTopLevel(body, '/');
+      const [spaceName, ...channels] = splitTopLevel(main || '', ' ');
+      if (!SPACES[spaceName] || SPACES[spaceName].hueIndex !== undefined || ['lab', 'oklab'].includes(spaceName)) return null;
+      const coords = channels.slice(0, 3).map(t => component(t, 1));
+      const alpha = alphaValue(alphaToken && alphaToken.trim());
+      if (coords.length !== 3 || coords.some(c => c === null) || alpha === null) return null;
+      return { space: spaceName, coords, alpha };
+    }
+
+    const def = FUNCTIONS[name];
+    if (!def) return null;
+    const { channels, alpha: alphaToken } = splitArgs(body);
+    if (channels.length !== 3) return null;
+    const coords = channels.map((t, i) => (def.refs[i] === 'hue' ? hue(t) : component(t, def.refs[i])));
+    const alpha = alphaValue(alphaToken);
+    if (coords.some(c => c === null) || alpha === null) return null;
+    return { space: def.space, coords: def.scale ? coords.map(c => c / def.scale) : coords, alpha };
+  };
+
+  const convert = (color, spaceName) => {
+    if (color.space === spaceName) return color.coords;
+    return SPACES[spaceName].fromXYZ(SPACES[color.space].toXYZ(color.coords));
+  };
+
+  // color-mix(in <space> [<hue-method> hue], <color> [<percentage>], <color> [<percentage>])
+  const parseColorMix = (body) => {
+    const parts = splitTopLevel(body, ',');
+    if (parts.length !== 3) return null;
+    const method = parts[0].match(/^in\s+([a-z0-9-]+)(?:\s+(shorter|longer|increasing|decreasing)\s+hue)?$/);
+    if (!method || !SPACES[method[1]]) return null;
+    const spaceName = method[1];
+    const hueMethod = method[2] || 'shorter';
+
+    const readItem = (item) => {
+      const tokens = splitTopLevel(item, ' ');
+      let pct = null;
+      if (tokens.length > 1 && /%$/.test(tokens[tokens.length - 1])) pct = component(tokens.pop(), 100);
+      else if (tokens.length > 1 && /%$/.test(tokens[0])) pct = component(tokens.shift(), 100);
+      const color = parseInternal(tokens.join(' '));
+      return color ? { color, pct } : null;
+    };
+    const a = readItem(parts[1]);
+    const b = readItem(parts[2]);
+    if (!a || !b) return null;
+
+    let p1 = a.pct;
+    let p2 = b.pct;
+    if (p1 === null && p2 === null) { p1 = 50; p2 = 50; }
+    else if (p1 === null) p1 = 100 - p2;
+    else if (p2 === null) p2 = 100 - p1;
+    const sum = p1 + p2;
+    if (sum <= 0) return null;
+    const alphaMultiplier = Math.min(1, sum / 100);
+    const t = p2 / sum;
+
+    const ca = convert(a.color, spaceName);
+    const cb = convert(b.color, spaceName);
+    const hueIndex = SPACES[spaceName].hueIndex;
+    // Achromatic colors have a powerless hue; borrow the other color's hue
+    // (chroma, or HSL saturation, sits at index 1 in every polar space)
+    if (hueIndex !== undefined) {
+      if (ca[1] < 1e-4) ca[hueIndex] = cb[hueIndex];
+      if (cb[1] < 1e-4) cb[hueIndex] = ca[hueIndex];
+      let h1 = ca[hueIndex];
+      let h2 = cb[hueIndex];
+      const diff = h2 - h1;
+      if (hueMethod === 'shorter') {
+        if (diff > 180) h1 += 360; else if (diff < -180) h2 += 360;
+      } else if (hueMethod === 'longer') {
+        if (diff > 0 && diff < 180) h1 += 360; else if (diff > -180 && diff <= 0) h2 += 360;
+      } else if (hueMethod === 'increasing') {
+        if (diff < 0) h2 += 360;
+      } else if (hueMethod === 'decreasing') {
+        if (diff > 0) h1 += 360;
+      }
+      ca[hueIndex] = h1;
+      cb[hueIndex] = h2;
+    }
+
+    // Interpolate with premultiplied alpha (hue is never premultiplied)
+    const alpha = a.color.alpha * (1 - t) + b.color.alpha * t;
+    const coords = ca.map((v, i) => {
+      if (i === hueIndex) return (((v * (1 - t) + cb[i] * t) % 360) + 360) % 360;
+      const mixed = v * a.color.alpha * (1 - t) + cb[i] * b.color.alpha * t;
+      return alpha === 0 ? mixed : mixed / alpha;
+    });
+    return { space: spaceName, coords, alpha: alpha * alphaMultiplier };
+  };
+
+  /**
+   * Parse any CSS color string and map it into sRGB
+   * @param {string} colorString - CSS color
+   * @returns {Object|null} { r, g, b, alpha } with 0-255 channels, or null if unsupported
+   */
+  const parse = (colorString) => {
+    if (!colorString || typeof colorString !== 'string') return null;
+    const color = parseInternal(colorString);
+    if (!color) return null;
+    const rgb = color.space === 'srgb' && color.coords.every(c => c >= 0 && c <= 1)
+      ? color.coords
+      : gamutMapToSrgb(SPACES[color.space].toXYZ(color.coords));
+    const [r, g, b] = rgb.map(c => Math.round(Math.max(0, Math.min(1, c)) * 255));
+    return { r, g, b, alpha: color.alpha };
+  };
+
+  /**
+   * Convert an sRGB color to OKLCH
+   * @param {Array} rgb - [r, g, b] array (0-255)
+   * @returns {Array} [L, C, h] with L in 0-1 and h in degrees
+   */
+  const rgbToOklch = (rgb) => {
+    const [L, C, h] = toPolar(xyzToOklab(srgb.toXYZ(rgb.map(c => c / 255))));
+    // Greys carry float noise in a/b; treat them as achromatic so results stay neutral
+    return C < 0.0005 ? [L, 0, 0] : [L, C, h];
+  };
+
+  /**
+   * Convert OKLCH to sRGB, gamut-mapping by chroma reduction (lightness and hue kept)
+   * @param {Array} lch - [L, C, h]
+   * @returns {Array} [r, g, b] array (0-255)
+   */
+  const oklchToRgb = (lch) => gamutMapToSrgb(oklabToXYZ(fromPolar(lch)))
+    .map(c => Math.round(Math.max(0, Math.min(1, c)) * 255));
+
+  return { parse, rgbToOklch, oklchToRgb };
+}
+
+const colorModule = createColorModule();
+
+/**
+ * Parse any CSS Color 4/5 color string into sRGB
+ * @param {string} colorString - CSS color (hex, named, rgb, hsl, hwb, lab, lch, oklab, oklch, color(), color-mix())
+ * @returns {Object|null} { r, g, b, alpha } with 0-255 channels and 0-1 alpha, or null if unsupported
+ */
+export const parseCSSColor = colorModule.parse;
+
+/**
+ * Convert an sRGB color to OKLCH
+ * @param {Array} rgb - [r, g, b] array (0-255)
+ * @returns {Array} [L, C, h] with L in 0-1 and h in degrees
+ */
+export const rgbToOklch = colorModule.rgbToOklch;
+
+/**
+ * Convert OKLCH to sRGB, gamut-mapping by chroma reduction
+ * @param {Array} lch - [L, C, h]
+ * @returns {Array} [r, g, b] array (0-255)
+ */
+export const oklchToRgb = colorModule.oklchToRgb;
@@ -1,8 +1,12 @@
 /**
  * WCAG Contrast Ratio Calculator
- * Implements the official WCAG 2.1 contrast ratio formula
+ * Implements the official WCAG 2.1 contrast ratio formula and the APCA Lc alternative
  */
 
+import { parseCSSColor, rgbToOklch, oklchToRgb } from './color.js';
+
+export { rgbToOklch, oklchToRgb };
+
 /**
  * Calculate the relative luminance of a color
  * @param {number} r - Red component (0-255)
@@ -32,116 +36,161 @@ export function getContrastRatio(color1, color2) {
   return (brightest + 0.05) / (darkest + 0.05);
 }
 
+/**
+ * APCA 0.0.98G-4g constants (Accessible Perceptual Contrast Algorithm)
+ */
+const APCA = {
+  mainTRC: 2.4,
+  sRco: 0.2126729,
+  sGco: 0.7151522,
+  sBco: 0.0721750,
+  normBG: 0.56,
+  normTXT: 0.57,
+  revTXT: 0.62,
+  revBG: 0.65,
+  blkThrs: 0.022,
+  blkClmp: 1.414,
+  scaleBoW: 1.14,
+  scaleWoB: 1.14,
+  loBoWoffset: 0.027,
+  loWoBoffset: 0.027,
+  deltaYmin: 0.0005,
+  loClip: 0.1
+};
+
+/**
+ * APCA font lookup table: minimum |Lc| by font size (px) and weight (100-900).
+ * 999 means the size/weight combination should not be used for readable text.
+ */
+export const APCA_FONT_LOOKUP = {
+  weights: [100, 200, 300, 400, 500, 600, 700, 800, 900],
+  sizes: {
+    12: [999, 999, 999, 999, 999, 999, 999, 999, 999],
+    14: [999, 999, 999, 100, 100, 90, 75, 75, 75],
+    15: [999, 999, 999, 100, 90, 75, 70, 70, 70],
+    16: [999, 999, 999, 90, 75, 70, 60, 60, 60],
+    18: [999, 999, 100, 75, 70, 60, 55, 55, 55],
+    21: [999, 999, 90, 70, 60, 55, 50, 50, 50],
+    24: [999, 999, 75, 60, 55, 50, 45, 45, 45],
+    28: [999, 100, 70, 55, 50, 45, 43, 43, 43],
+    32: [999, 90, 65, 50, 45, 43, 40, 40, 40],
+    36: [999, 75, 60, 45, 43, 40, 38, 38, 38],
+    48: [100, 70, 55, 43, 40, 38, 35, 35, 35],
+    60: [90, 60, 50, 40, 38, 35, 33, 33, 33],
+    72: [75, 55, 45, 38, 35, 33, 30, 30, 30],
+    96: [70, 50, 43, 35, 33, 30, 25, 25, 25]
+  }
+};
+
+/**
+ * Calculate APCA screen luminance (Y) of a color
+ * @param {Array} rgb - [r, g, b] array (0-255)
+ * @returns {number} Screen luminance
+ */
+function apcaLuminance([r, g, b]) {
+  const lin = (c) => Math.pow(c / 255, APCA.mainTRC);
+  return APCA.sRco * lin(r) + APCA.sGco * lin(g) + APCA.sBco * lin(b);
+}
+
+/**
+ * Calculate APCA lightness contrast (Lc) of text on a background
+ * @param {Array} textColor - [r, g, b] array for the text
+ * @param {Array} backgroundColor - [r, g, b] array for the background
+ * @returns {number} Lc value; positive for dark text on light, negative for light text on dark
+ */
+export function getAPCAContrast(textColor, backgroundColor) {
+  const clampBlack = (y) => (y > APCA.blkThrs ? y : y + Math.pow(APCA.blkThrs - y, APCA.blkClmp));
+  const txtY = clampBlack(apcaLuminance(textColor));
+  const bgY = clampBlack(apcaLuminance(backgroundColor));
+
+  if (Math.abs(bgY - txtY) < APCA.deltaYmin) return 0;
+
+  let output;
+  if (bgY > txtY) {
+    const sapc = (Math.pow(bgY, APCA.normBG) - Math.pow(txtY, APCA.normTXT)) * APCA.scaleBoW;
+    output = sapc < APCA.loClip ? 0 : sapc - APCA.loBoWoffset;
+  } else {
+    const sapc = (Math.pow(bgY, APCA.revBG) - Math.pow(txtY, APCA.revTXT)) * APCA.scaleWoB;
+    output = sapc > -APCA.loClip ? 0 : sapc + APCA.loWoBoffset;
+  }
+  return output * 100;
+}
+
+/**
+ * Get the minimum APCA |Lc| for a font size and weight from the lookup table
+ * @param {number} fontSize - Font size in pixels
+ * @param {string|number} fontWeight - Font weight
+ * @returns {number} Required |Lc| (999 when the size/weight is too small or thin for text)
+ */
+export function getRequiredAPCAContrast(fontSize, fontWeight) {
+  const sizes = Object.keys(APCA_FONT_LOOKUP.sizes).map(Number).sort((a, b) => a - b);
+  const row = sizes.filter(size => size <= fontSize).pop();
+  if (row === undefined) return 999;
+  const weight = Math.min(900, Math.max(100, Math.round((parseInt(fontWeight) || 400) / 100) * 100));
+  return APCA_FONT_LOOKUP.sizes[row][APCA_FONT_LOOKUP.weights.indexOf(weight)];
+}
+
+/**
+ * Check if an APCA Lc value meets the font lookup table requirement
+ * @param {number} lc - APCA Lc value
+ * @param {number} fontSize - Font size in pixels
+ * @param {string|number} fontWeight - Font weight
+ * @returns {Object} Result with pass status and details
+ */
+export function checkAPCACompliance(lc, fontSize, fontWeight) {
+  const requiredLc = getRequiredAPCAContrast(fontSize, fontWeight);
+  const passes = Math.abs(lc) >= requiredLc;
+  return {
+    lc: parseFloat(lc.toFixed(1)),
+    requiredLc,
+    passes,
+    status: passes ? 'PASS' : 'FAIL'
+  };
+}
+
 /**
  * Parse RGB/RGBA color string to array
- * @param {string} rgbString - RGB/RGBA color string like "rgb(255, 0, 0)" or "rgba(255, 0, 0, 0.5)"
+ * @param {string} rgbString - RGB/RGBA color string like "rgb(255, 0, 0)" or "rgb(255 0 0 / 50%)"
  * @returns {Array|null} [r, g, b] array or null if invalid
  */
 export function parseRGB(rgbString) {
-  // Handle both rgb() and rgba()
-  const match = rgbString.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*[\d.]+)?\)/);
-  if (match) {
-    return [parseInt(match[1]), parseInt(match[2]), parseInt(match[3])];
-  }
-  return null;
+  return /^\s*rgba?\(/i.test(rgbString) ? toRGBArray(parseCSSColor(rgbString)) : null;
 }
 
 /**
  * Parse hex color to RGB array
- * @param {string} hexString - Hex color string like "#ff0000" or "#f00"
+ * @param {string} hexString - Hex color string like "#ff0000", "#f00" or "#ff000080"
  * @returns {Array|null} [r, g, b] array or null if invalid
  */
 export function parseHex(hexString) {
-  const hex = hexString.replace('#', '');
-  if (hex.length === 3) {
-    const r = parseInt(hex[0] + hex[0], 16);
-    const g = parseInt(hex[1] + hex[1], 16);
-    const b = parseInt(hex[2] + hex[2], 16);
-    return [r, g, b];
-  } else if (hex.length === 6) {
-    const r = parseInt(hex.substring(0, 2), 16);
-    const g = parseInt(hex.substring(2, 4), 16);
-    const b = parseInt(hex.substring(4, 6), 16);
-    return [r, g, b];
-  }
-  return null;
+  return toRGBArray(parseCSSColor('#' + hexString.trim().replace(/^#/, '')));
 }
 
 /**
  * Parse HSL color to RGB array
- * @param {string} hslString - HSL color string like "hsl(120, 100%, 50%)"
+ * @param {string} hslString - HSL color string like "hsl(120, 100%, 50%)" or "hsl(120deg 100% 50%)"
  * @returns {Array|null} [r, g, b] array or null if invalid
  */
 export function parseHSL(hslString) {
-  const match = hslString.match(/hsla?\((\d+),\s*(\d+)%,\s*(\d+)%(?:,\s*[\d.]+)?\)/);
-  if (!match) return null;
-
-  const h = parseInt(match[1]) / 360;
-  const s = parseInt(match[2]) / 100;
-  const l = parseInt(match[3]) / 100;
-
-  const hslToRgb = (h, s, l) => {
-    let r, g, b;
-
-    if (s === 0) {
-      r = g = b = l; // achromatic
-    } else {
-      const hue2rgb = (p, q, t) => {
-        if (t < 0) t += 1;
-        if (t > 1) t -= 1;
-        if (t < 1/6) return p + (q - p) * 6 * t;
-        if (t < 1/2) return q;
-        if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-        return p;
-      };
-
-      const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-      const p = 2 * l - q;
-      r = hue2rgb(p, q, h + 1/3);
-      g = hue2rgb(p, q, h);
-      b = hue2rgb(p, q, h - 1/3);
-    }
-
-    return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)];
-  };
-
-  return hslToRgb(h, s, l);
-}
-
-/**
- * Named colors mapping to RGB values
- */
-const NAMED_COLORS = {
-  'black': [0, 0, 0],
-  'white': [255, 255, 255],
-  'red': [255, 0, 0],
-  'green': [0, 128, 0],
-  'blue': [0, 0, 255],
-  'yellow': [255, 255, 0],
-  'cyan': [0, 255, 255],
-  'magenta': [255, 0, 255],
-  'silver': [192, 192, 192],
-  'gray': [128, 128, 128],
-  'maroon': [128, 0, 0],
-  'olive': [128, 128, 0],
-  'lime': [0, 255, 0],
-  'aqua': [0, 255, 255],
-  'teal': [0, 128, 128],
-  'navy': [0, 0, 128],
-  'fuchsia': [255, 0, 255],
-  'purple': [128, 0, 128],
-  'orange': [255, 165, 0],
-  'transparent': [255, 255, 255] // Default to white for transparent
-};
+  return /^\s*hsla?\(/i.test(hslString) ? toRGBArray(parseCSSColor(hslString)) : null;
+}
 
 /**
  * Parse named color to RGB array
- * @param {string} colorName - Named color like "red", "blue", etc.
+ * @param {string} colorName - Named color like "red", "rebeccapurple", etc.
  * @returns {Array|null} [r, g, b] array or null if invalid
  */
 export function parseNamedColor(colorName) {
-  const normalized = colorName.toLowerCase().trim();
-  return NAMED_COLORS[normalized] || null;
+  return /^\s*[a-z]+\s*$/i.test(colorName) ? parseColor(colorName) : null;
+}
+
+/**
+ * Drop alpha from a parsed color
+ * @param {Object|null} color - { r, g, b, alpha } from parseCSSColor
+ * @returns {Array|null} [r, g, b] array
+ */
+function toRGBArray(color) {
+  return color ? [color.r, color.g, color.b] : null;
 }
 
 /**
@@ -178,7 +227,7 @@ export function checkWCAGCompliance(contrastRatio, isLargeText, level = 'AA') {
 
 /**
  * Parse any color format to RGB array
- * @param {string} colorString - Color in any supported format
+ * @param {string} colorString - Any CSS Color 4/5 color (see parseCSSColor)
  * @returns {Array|null} [r, g, b] array or null if invalid
  */
 export function parseColor(colorString) {
@@ -186,25 +235,12 @@ export function parseColor(colorString) {
     return null;
   }
 
-  const color = colorString.trim();
-
-  // Try RGB/RGBA
-  if (color.startsWith('rgb')) {
-    return parseRGB(color);
+  // Default to white for transparent
+  if (colorString.trim().toLowerCase() === 'transparent') {
+    return [255, 255, 255];
   }
-  
-  // Try hex
-  if (color.startsWith('#')) {
-    return parseHex(color);
-  }
-  
-  // Try HSL/HSLA
-  if (color.startsWith('hsl')) {
-    return parseHSL(color);
-  }
-  
-  // Try named colors
-  return parseNamedColor(color);
+
+  return toRGBArray(parseCSSColor(colorString));
 }
 
 /**
@@ -213,9 +249,10 @@ export function parseColor(colorString) {
  * @param {string} backgroundColor - Background color in any supported format
  * @param {boolean} isLargeText - Whether text is large
  * @param {string} level - WCAG level
- * @returns {Object} Complete contrast analysis
+ * @param {Object} font - Optional { fontSize, fontWeight } used for the APCA lookup
+ * @returns {Object} Complete contrast analysis (WCAG 2.x ratio and APCA Lc)
  */
-export function analyzeContrast(textColor, backgroundColor, isLargeText = false, level = 'AA') {
+export function analyzeContrast(textColor, backgroundColor, isLargeText = false, level = 'AA', font = null) {
   const textRGB = parseColor(textColor);
   const bgRGB = parseColor(backgroundColor);
 
@@ -224,12 +261,16 @@ export function analyzeContrast(textColor, backgroundColor, isLargeText = false,
       error: `Invalid color format - Text: "${textColor}", Background: "${backgroundColor}"`,
       textColor,
       backgroundColor,
-      supportedFormats: ['rgb()', 'rgba()', '#hex', 'hsl()', 'hsla()', 'named colors']
+      supportedFormats: ['#hex', 'named colors', 'rgb()', 'hsl()', 'hwb()', 'lab()', 'lch()', 'oklab()', 'oklch()', 'color()', 'color-mix()']
     };
   }
 
   const contrastRatio = getContrastRatio(textRGB, bgRGB);
   const compliance = checkWCAGCompliance(contrastRatio, isLargeText, level);
+  const lc = getAPCAContrast(textRGB, bgRGB);
+  const apca = font
+    ? checkAPCACompliance(lc, font.fontSize, font.fontWeight)
+    : { lc: parseFloat(lc.toFixed(1)) };
 
   return {
     textColor,
@@ -237,6 +278,65 @@ export function analyzeContrast(textColor, backgroundColor, isLargeText = false,
     textRGB,
     bgRGB,
     contrastRatio: parseFloat(contrastRatio.toFixed(2)),
-    compliance
+    compliance,
+    apca
+  };
+}
+
+/**
+ * Find the nearest color to `adjustRGB` that reaches the required ratio against `fixedRGB`.
+ * Hue and chroma are kept in OKLCH and only lightness moves, trying both lighter and darker.
+ * @param {Array} adjustRGB - [r, g, b] color to change
+ * @param {Array} fixedRGB - [r, g, b] color that stays as is
+ * @param {number} requiredRatio - Minimum WCAG contrast ratio
+ * @returns {Object|null} { hex, rgb, contrastRatio, deltaL } or null if no lightness reaches the ratio
+ */
+export function suggestPassingColor(adjustRGB, fixedRGB, requiredRatio) {
+  const [L0, C, h] = rgbToOklch(adjustRGB);
+  const ratioAt = (L) => getContrastRatio(oklchToRgb([L, C, h]), fixedRGB);
+  const candidates = [];
+
+  // Contrast grows monotonically as lightness moves away from the fixed color, so bisect each direction
+  for (const target of [0, 1]) {
+    if (ratioAt(target) < requiredRatio) continue;
+    let near = L0;
+    let far = target;
+    for (let i = 0; i < 24; i++) {
+      const mid = (near + far) / 2;
+      if (ratioAt(mid) >= requiredRatio) far = mid; else near = mid;
+    }
+    // Rounding to 8-bit channels can land just under the threshold; nudge until it passes
+    let L = far;
+    let rgb = oklchToRgb([L, C, h]);
+    for (let i = 0; i < 20 && getContrastRatio(rgb, fixedRGB) < requiredRatio; i++) {
+      L += target === 0 ? -0.005 : 0.005;
+      rgb = oklchToRgb([Math.max(0, Math.min(1, L)), C, h]);
+    }
+    const ratio = getContrastRatio(rgb, fixedRGB);
+    if (ratio >= requiredRatio) candidates.push({ rgb, ratio, deltaL: Math.abs(L - L0) });
+  }
+
+  if (candidates.length === 0) return null;
+  const best = candidates.sort((a, b) => a.deltaL - b.deltaL)[0];
+  return {
+    hex: '#' + best.rgb.map(c => c.toString(16).padStart(2, '0')).join(''),
+    rgb: best.rgb,
+    contrastRatio: parseFloat(best.ratio.toFixed(2)),
+    deltaL: parseFloat(best.deltaL.toFixed(3))
+  };
+}
+
+/**
+ * Suggest a passing foreground (keeping the background) and a passing background (keeping the text)
+ * @param {Array} textRGB - [r, g, b] text color
+ * @param {Array} bgRGB - [r, g, b] background color, or null when the background is an image
+ * @param {number} requiredRatio - Minimum WCAG contrast ratio for the current level
+ * @returns {Object} { requiredRatio, foreground, background }
+ */
+export function suggestContrastFix(textRGB, bgRGB, requiredRatio) {
+  return {
+    requiredRatio,
+    foreground: bgRGB ? suggestPassingColor(textRGB, bgRGB, requiredRatio) : null,
+    background: bgRGB ? suggestPassingColor(bgRGB, textRGB, requiredRatio) : null
   };
 }
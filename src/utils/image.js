@@ -0,0 +1,195 @@
+/**
+ * Screenshot Image Utilities
+ * Decodes Playwright PNG screenshots and compares pixel regions
+ */
+
+import { PNG } from 'pngjs';
+import { getLuminance } from './contrast.js';
+
+/**
+ * Decode a PNG buffer into raw RGBA pixels
+ * @param {Buffer} buffer - PNG data (e.g. from page.screenshot())
+ * @returns {Object} { width, height, data } where data is RGBA bytes
+ */
+export function decodePng(buffer) {
+  const png = PNG.sync.read(buffer);
+  return { width: png.width, height: png.height, data: png.data };
+}
+
+/**
+ * Convert an [r, g, b] array to a hex string
+ * @param {Array} rgb - [r, g, b] array
+ * @returns {string} Hex color like "#0066cc"
+ */
+export function rgbToHex(rgb) {
+  return '#' + rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compare two same-sized screenshots pixel by pixel.
+ * Used to measure focus indicators: "before" is the unfocused render, "after" the focused one.
+ * @param {Object} before - Decoded image { width, height, data }
+ * @param {Object} after - Decoded image { width, height, data }
+ * @param {Object} options - { minChannelDelta: 24, minContrast: 3 }
+ * @returns {Object} Changed/contrasting pixel counts, maximum contrast and dominant changed color
+ */
+export function diffImages(before, after, options = {}) {
+  const minChannelDelta = options.minChannelDelta ?? 24;
+  const minContrast = options.minContrast ?? 3;
+
+  const width = Math.min(before.width, after.width);
+  const height = Math.min(before.height, after.height);
+  let changedPixels = 0;
+  let contrastingPixels = 0;
+  let maxContrast = 1;
+  const colorCounts = new Map();
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const ib = (y * before.width + x) * 4;
+      const ia = (y * after.width + x) * 4;
+      const b = [before.data[ib], before.data[ib + 1], before.data[ib + 2]];
+      const a = [after.data[ia], after.data[ia + 1], after.data[ia + 2]];
+      const delta = Math.max(Math.abs(a[0] - b[0]), Math.abs(a[1] - b[1]), Math.abs(a[2] - b[2]));
+      if (delta < minChannelDelta) continue;
+
+      changedPixels++;
+      const lumA = getLuminance(...a);
+      const lumB = getLuminance(...b);
+      const ratio = (Math.max(lumA, lumB) + 0.05) / (Math.min(lumA, lumB) + 0.05);
+      if (ratio > maxContrast) maxContrast = ratio;
+      if (ratio >= minContrast) {
+        contrastingPixels++;
+        // Quantize to 8 levels per channel to find the indicator's dominant color
+        const key = a.map(c => c >> 5).join(',');
+        const entry = colorCounts.get(key) || { count: 0, sum: [0, 0, 0] };
+        entry.count++;
+        entry.sum[0] += a[0]; entry.sum[1] += a[1]; entry.sum[2] += a[2];
+        colorCounts.set(key, entry);
+      }
+    }
+  }
+
+  let dominantColor = null;
+  let best = 0;
+  for (const entry of colorCounts.values()) {
+    if (entry.count > best) {
+      best = entry.count;
+      dominantColor = rgbToHex(entry.sum.map(v => v / entry.count));
+    }
+  }
+
+  return {
+    totalPixels: width * height,
+    changedPixels,
+    contrastingPixels,
+    maxContrast: parseFloat(maxContrast.toFixed(2)),
+    dominantColor
+  };
+}
+
+/**
+ * Measure the contrast of a text color against every background pixel of a screenshot.
+ * Semi-transparent text is blended over each pixel before the ratio is taken.
+ * @param {Object} image - Decoded image { width, height, data } with the text hidden
+ * @param {Object} textColor - { r, g, b, a } text color
+ * @param {Object} options - { maxSamples: 40000 }
+ * @returns {Object} Sample count, background luminance percentiles and the contrast range
+ *   (worst, p5, median, best) with the background color behind each
+ */
+export function contrastRange(image, textColor, options = {}) {
+  const maxSamples = options.maxSamples ?? 40000;
+  const total = image.width * image.height;
+  const stride = Math.max(1, Math.ceil(Math.sqrt(total / maxSamples)));
+  const alpha = textColor.a ?? 1;
+  const samples = [];
+
+  for (let y = 0; y < image.height; y += stride) {
+    for (let x = 0; x < image.width; x += stride) {
+      const i = (y * image.width + x) * 4;
+      const bg = [image.data[i], image.data[i + 1], image.data[i + 2]];
+      const fg = [textColor.r, textColor.g, textColor.b].map((c, k) => c * alpha + bg[k] * (1 - alpha));
+      const lumBg = getLuminance(...bg);
+      const lumFg = getLuminance(...fg);
+      const ratio = (Math.max(lumBg, lumFg) + 0.05) / (Math.min(lumBg, lumFg) + 0.05);
+      samples.push({ ratio, luminance: lumBg, color: bg });
+    }
+  }
+
+  if (samples.length === 0) return null;
+
+  const at = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  const point = (s) => ({ ratio: parseFloat(s.ratio.toFixed(2)), color: rgbToHex(s.color) });
+  const byRatio = [...samples].sort((a, b) => a.ratio - b.ratio);
+  const byLuminance = samples.map(s => s.luminance).sort((a, b) => a - b);
+  const lum = (p) => parseFloat(at(byLuminance, p).toFixed(4));
+
+  return {
+    samples: samples.length,
+    luminance: { min: lum(0), p5: lum(0.05), median: lum(0.5), p95: lum(0.95), max: lum(1) },
+    worst: point(byRatio[0]),
+    p5: point(at(byRatio, 0.05)),
+    median: point(at(byRatio, 0.5)),
+    best: point(byRatio[byRatio.length - 1])
+  };
+}
+
+/**
+ * Count pixels that stand out from an image's dominant (background) color.
+ * Used to tell whether an icon or indicator is still drawn at all.
+ * With a border, the background is taken from that many pixels along the edges only, so an
+ * element captured with padding is measured against its surroundings even when it fills most
+ * of the capture (e.g. a solid background-color icon).
+ * @param {Object} image - Decoded image { width, height, data }
+ * @param {Object} options - { minChannelDelta: 24, border: 0 }
+ * @returns {Object} { totalPixels, paintedPixels, backgroundColor }
+ */
+export function paintedPixels(image, options = {}) {
+  const minChannelDelta = options.minChannelDelta ?? 24;
+  const border = options.border ?? 0;
+  const total = image.width * image.height;
+  const inBorder = (p) => {
+    const x = p % image.width;
+    const y = Math.floor(p / image.width);
+    return x < border || y < border || x >= image.width - border || y >= image.height - border;
+  };
+  const counts = new Map();
+  for (let i = 0; i < total * 4; i += 4) {
+    if (border > 0 && !inBorder(i / 4)) continue;
+    const key = (image.data[i] << 16) | (image.data[i + 1] << 8) | image.data[i + 2];
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  let dominant = 0;
+  let best = 0;
+  for (const [key, count] of counts) {
+    if (count > best) {
+      best = count;
+      dominant = key;
+    }
+  }
+  const bg = [(dominant >> 16) & 255, (dominant >> 8) & 255, dominant & 255];
+
+  let painted = 0;
+  for (let i = 0; i < total * 4; i += 4) {
+    const delta = Math.max(
+      Math.abs(image.data[i] - bg[0]),
+      Math.abs(image.data[i + 1] - bg[1]),
+      Math.abs(image.data[i + 2] - bg[2])
+    );
+    if (delta >= minChannelDelta) painted++;
+  }
+
+  return { totalPixels: total, paintedPixels: painted, backgroundColor: rgbToHex(bg) };
+}
+
+/**
+ * Encode raw RGBA pixels as a PNG
+ * @param {Object} image - Decoded image { width, height, data }
+ * @returns {Buffer} PNG data
+ */
+export function encodePng(image) {
+  const png = new PNG({ width: image.width, height: image.height });
+  Buffer.from(image.data).copy(png.data);
+  return PNG.sync.write(png);
+}
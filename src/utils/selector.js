@@ -0,0 +1,61 @@
+/**
+ * Compact CSS Selector Generator
+ * Builds short, readable selectors that still match exactly one element, for issue reports
+ */
+
+/**
+ * Build the selector toolkit.
+ * Everything lives inside this one function, with no outside references, so the same source can be
+ * installed into the page under test (see AccessibilityAuditor.installSelectorGenerator).
+ * @returns {Object} { compactSelector }
+ */
+export function createSelectorModule() {
+  const ESC = (s) => {
+    try { return CSS.escape(s); } catch { return String(s).replace(/[^a-zA-Z0-9_-]/g, '\\$&'); }
+  };
+  const attrValue = (s) => String(s).replace(/["\\]/g, '\\$&');
+
+  const unique = (sel) => {
+    try { return document.querySelectorAll(sel).length === 1; } catch { return false; }
+  };
+
+  const SCOPES = 'form, main, [role="main"], article, section, nav, aside, header, footer, ' +
+    '[role="navigation"], [role="banner"], [role="contentinfo"]';
+
+  /**
+   * Selector for an element: a unique id, else tag with type, role and up to two classes,
+   * narrowed by name attribute, enclosing landmark or form, and :nth-of-type until it is unique
+   * @param {Element} elem - DOM element
+   * @returns {string} CSS selector ('' when there is no element)
+   */
+  const compactSelector = (elem) => {
+    if (!elem || !elem.tagName) return '';
+    if (elem.id && unique(`#${ESC(elem.id)}`)) return `#${ESC(elem.id)}`;
+
+    const tag = elem.tagName.toLowerCase();
+    const type = tag === 'input' && elem.getAttribute('type') ? `[type="${attrValue(elem.getAttribute('type'))}"]` : '';
+    const role = elem.getAttribute('role') ? `[role="${attrValue(elem.getAttribute('role'))}"]` : '';
+    // SVG elements expose className as an SVGAnimatedString
+    const classes = (elem.className?.baseVal ?? elem.className ?? '').toString().split(/\s+/).filter(Boolean).slice(0, 2);
+    const base = tag + type + role + (classes.length ? `.${classes.map(ESC).join('.')}` : '');
+    if (unique(base)) return base;
+
+    const name = elem.getAttribute('name');
+    const named = name ? `${base}[name="${attrValue(name)}"]` : base;
+    if (named !== base && unique(named)) return named;
+
+    const scope = elem.parentElement?.closest(SCOPES);
+    const scopeSel = !scope ? '' : scope.id && unique(`#${ESC(scope.id)}`)
+      ? `#${ESC(scope.id)}`
+      : scope.tagName.toLowerCase() + (scope.getAttribute('role') ? `[role="${attrValue(scope.getAttribute('role'))}"]` : '');
+    if (scopeSel && unique(`${scopeSel} ${named}`)) return `${scopeSel} ${named}`;
+
+    if (!elem.parentElement) return named;
+    const sibs = Array.from(elem.parentElement.children).filter(s => s.tagName === elem.tagName);
+    const nth = `${named}:nth-of-type(${sibs.indexOf(elem) + 1})`;
+    if (unique(nth) || !scopeSel) return nth;
+    return unique(`${scopeSel} ${nth}`) ? `${scopeSel} ${nth}` : nth;
+  };
+
+  return { compactSelector };
+}
@@ -3,9 +3,10 @@
  * Simulates various vision conditions including color blindness and impaired vision
  */
 
+import { parseCSSColor } from './color.js';
+
 /**
- * Color blindness simulation matrices
- * Based on research by Brettel, Viénot, and Mollon
+ * Vision condition types
  */
 export const VISION_TYPES = {
   NORMAL: 'normal',
@@ -22,101 +23,352 @@ export const VISION_TYPES = {
 };
 
 /**
- * Color transformation matrices for different types of color blindness
+ * Severity used for the anomalous trichromacies (and achromatomaly) when none is given
  */
-const COLOR_BLINDNESS_MATRICES = {
-  protanopia: [
-    [0.567, 0.433, 0.0],
-    [0.558, 0.442, 0.0],
-    [0.0, 0.242, 0.758]
-  ],
-  deuteranopia: [
-    [0.625, 0.375, 0.0],
-    [0.7, 0.3, 0.0],
-    [0.0, 0.3, 0.7]
-  ],
-  tritanopia: [
-    [0.95, 0.05, 0.0],
-    [0.0, 0.433, 0.567],
-    [0.0, 0.475, 0.525]
-  ],
-  protanomaly: [
-    [0.817, 0.183, 0.0],
-    [0.333, 0.667, 0.0],
-    [0.0, 0.125, 0.875]
-  ],
-  deuteranomaly: [
-    [0.8, 0.2, 0.0],
-    [0.258, 0.742, 0.0],
-    [0.0, 0.142, 0.858]
-  ],
-  tritanomaly: [
-    [0.967, 0.033, 0.0],
-    [0.0, 0.733, 0.267],
-    [0.0, 0.183, 0.817]
+export const DEFAULT_ANOMALY_SEVERITY = 0.6;
+
+/**
+ * Minimum CIEDE2000 difference for two colors to count as distinguishable
+ */
+export const MIN_DELTA_E = 10;
+
+/**
+ * Machado, Oliveira & Fernandes (2009) simulation matrices for linear RGB,
+ * one per severity step from 0.0 to 1.0 in increments of 0.1
+ */
+const MACHADO_MATRICES = {
+  protan: [
+    [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+    [[0.856167, 0.182038, -0.038205], [0.029342, 0.955115, 0.015544], [-0.002880, -0.001563, 1.004443]],
+    [[0.734766, 0.334872, -0.069637], [0.051840, 0.919198, 0.028963], [-0.004928, -0.004209, 1.009137]],
+    [[0.630323, 0.465641, -0.095964], [0.069181, 0.890046, 0.040773], [-0.006308, -0.007724, 1.014032]],
+    [[0.539009, 0.579343, -0.118352], [0.082546, 0.866121, 0.051332], [-0.007136, -0.011959, 1.019095]],
+    [[0.458064, 0.679578, -0.137642], [0.092785, 0.846313, 0.060902], [-0.007494, -0.016807, 1.024301]],
+    [[0.385450, 0.769005, -0.154455], [0.100526, 0.829802, 0.069673], [-0.007442, -0.022190, 1.029632]],
+    [[0.319627, 0.849633, -0.169261], [0.106241, 0.815969, 0.077790], [-0.007025, -0.028051, 1.035076]],
+    [[0.259411, 0.923008, -0.182420], [0.110296, 0.804340, 0.085364], [-0.006276, -0.034346, 1.040622]],
+    [[0.203876, 0.990338, -0.194214], [0.112975, 0.794542, 0.092483], [-0.005222, -0.041043, 1.046265]],
+    [[0.152286, 1.052583, -0.204868], [0.114503, 0.786281, 0.099216], [-0.003882, -0.048116, 1.051998]]
   ],
-  achromatopsia: [
-    [0.299, 0.587, 0.114],
-    [0.299, 0.587, 0.114],
-    [0.299, 0.587, 0.114]
+  deutan: [
+    [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+    [[0.866435, 0.177704, -0.044139], [0.049567, 0.939063, 0.011370], [-0.003453, 0.007233, 0.996220]],
+    [[0.760729, 0.319078, -0.079807], [0.090568, 0.889315, 0.020117], [-0.006027, 0.013325, 0.992702]],
+    [[0.675425, 0.433850, -0.109275], [0.125303, 0.847755, 0.026942], [-0.007950, 0.018572, 0.989378]],
+    [[0.605511, 0.528560, -0.134071], [0.155318, 0.812366, 0.032316], [-0.009376, 0.023176, 0.986200]],
+    [[0.547494, 0.607765, -0.155259], [0.181692, 0.781742, 0.036566], [-0.010410, 0.027275, 0.983136]],
+    [[0.498864, 0.674741, -0.173604], [0.205199, 0.754872, 0.039929], [-0.011131, 0.030969, 0.980162]],
+    [[0.457771, 0.731899, -0.189670], [0.226409, 0.731012, 0.042579], [-0.011595, 0.034333, 0.977261]],
+    [[0.422823, 0.781057, -0.203881], [0.245752, 0.709602, 0.044646], [-0.011843, 0.037423, 0.974421]],
+    [[0.392952, 0.823610, -0.216562], [0.263559, 0.690210, 0.046232], [-0.011910, 0.040281, 0.971630]],
+    [[0.367322, 0.860646, -0.227968], [0.280085, 0.672501, 0.047413], [-0.011820, 0.042940, 0.968881]]
   ],
-  achromatomaly: [
-    [0.618, 0.320, 0.062],
-    [0.163, 0.775, 0.062],
-    [0.163, 0.320, 0.516]
+  tritan: [
+    [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+    [[0.926670, 0.092514, -0.019184], [0.021191, 0.964503, 0.014306], [0.008437, 0.054813, 0.936750]],
+    [[0.895720, 0.133330, -0.029050], [0.029997, 0.945400, 0.024603], [0.013027, 0.104707, 0.882266]],
+    [[0.905871, 0.127791, -0.033662], [0.026856, 0.941251, 0.031893], [0.013410, 0.148296, 0.838294]],
+    [[0.948035, 0.089490, -0.037526], [0.014364, 0.946792, 0.038844], [0.010853, 0.193991, 0.795156]],
+    [[1.017277, 0.027029, -0.044306], [-0.006113, 0.958479, 0.047634], [0.006379, 0.248708, 0.744913]],
+    [[1.104996, -0.046633, -0.058363], [-0.032137, 0.971635, 0.060503], [0.001336, 0.317922, 0.680742]],
+    [[1.193214, -0.109812, -0.083402], [-0.058496, 0.979410, 0.079086], [-0.002346, 0.403492, 0.598854]],
+    [[1.257728, -0.139648, -0.118081], [-0.078003, 0.975409, 0.102594], [-0.003316, 0.501214, 0.502102]],
+    [[1.278864, -0.125333, -0.153531], [-0.084748, 0.957674, 0.127074], [-0.000989, 0.601151, 0.399838]],
+    [[1.255528, -0.076749, -0.178779], [-0.078411, 0.930809, 0.147602], [0.004733, 0.691367, 0.303900]]
   ]
 };
 
 /**
- * Apply color blindness transformation to RGB values
+ * Deficiency model and default severity for each color vision type
+ */
+const VISION_MODELS = {
+  protanopia: { deficiency: 'protan', severity: 1 },
+  deuteranopia: { deficiency: 'deutan', severity: 1 },
+  tritanopia: { deficiency: 'tritan', severity: 1 },
+  protanomaly: { deficiency: 'protan', severity: DEFAULT_ANOMALY_SEVERITY },
+  deuteranomaly: { deficiency: 'deutan', severity: DEFAULT_ANOMALY_SEVERITY },
+  tritanomaly: { deficiency: 'tritan', severity: DEFAULT_ANOMALY_SEVERITY },
+  achromatopsia: { deficiency: 'achromat', severity: 1 },
+  achromatomaly: { deficiency: 'achromat', severity: DEFAULT_ANOMALY_SEVERITY }
+};
+
+// Rec. 709 luminance weights; achromatopsia collapses linear RGB onto luminance
+const LUMINANCE_ROW = [0.2126, 0.7152, 0.0722];
+const IDENTITY = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+/**
+ * Get the linear RGB simulation matrix for a deficiency at a given severity.
+ * Machado matrices are interpolated between the tabulated 0.1 steps; the achromat
+ * matrix blends identity towards luminance-only vision.
+ * @param {string} deficiency - 'protan', 'deutan', 'tritan' or 'achromat'
+ * @param {number} severity - Severity from 0 (normal) to 1 (dichromacy / monochromacy)
+ * @returns {Array|null} 3x3 matrix, or null for an unknown deficiency
+ */
+export function getSimulationMatrix(deficiency, severity) {
+  const s = Math.max(0, Math.min(1, Number(severity) || 0));
+  const lerp = (a, b, t) => a.map((row, i) => row.map((v, j) => v + (b[i][j] - v) * t));
+
+  if (deficiency === 'achromat') {
+    return lerp(IDENTITY, [LUMINANCE_ROW, LUMINANCE_ROW, LUMINANCE_ROW], s);
+  }
+
+  const table = MACHADO_MATRICES[deficiency];
+  if (!table) return null;
+  const step = s * 10;
+  const lower = Math.floor(step);
+  if (lower >= 10) return table[10];
+  return lerp(table[lower], table[lower + 1], step - lower);
+}
+
+function srgbToLinear(v) {
+  const c = v / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(v) {
+  const c = Math.max(0, Math.min(1, v));
+  const s = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+  return Math.round(s * 255);
+}
+
+/**
+ * Apply color blindness transformation to RGB values.
+ * The matrix is applied in linear RGB, as the Machado model requires.
  * @param {number} r - Red value (0-255)
  * @param {number} g - Green value (0-255)
  * @param {number} b - Blue value (0-255)
  * @param {string} visionType - Type of vision condition
+ * @param {number} [severity] - Severity from 0 to 1 (defaults to the type's own severity)
  * @returns {Array} Transformed [r, g, b] values
  */
-export function simulateColorBlindness(r, g, b, visionType) {
-  if (visionType === VISION_TYPES.NORMAL) {
+export function simulateColorBlindness(r, g, b, visionType, severity) {
+  const model = VISION_MODELS[visionType];
+  if (!model) {
     return [r, g, b];
   }
 
-  const matrix = COLOR_BLINDNESS_MATRICES[visionType];
-  if (!matrix) {
-    return [r, g, b];
+  const matrix = getSimulationMatrix(model.deficiency, severity ?? model.severity);
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  return [
+    linearToSrgb(matrix[0][0] * lr + matrix[0][1] * lg + matrix[0][2] * lb),
+    linearToSrgb(matrix[1][0] * lr + matrix[1][1] * lg + matrix[1][2] * lb),
+    linearToSrgb(matrix[2][0] * lr + matrix[2][1] * lg + matrix[2][2] * lb)
+  ];
+}
+
+/**
+ * Acuity conditions rendered on top of (or instead of) a color matrix:
+ * a box blur approximating a Gaussian of the given radius (CSS px) and an optional haze
+ */
+const ACUITY_FILTERS = {
+  low_vision: { blurRadius: 4 },
+  cataracts: { blurRadius: 2, haze: { color: [255, 248, 225], amount: 0.3 } }
+};
+
+/**
+ * Vision types rendered as full-page simulation images
+ */
+export const IMAGE_VISION_TYPES = [
+  VISION_TYPES.PROTANOPIA,
+  VISION_TYPES.DEUTERANOPIA,
+  VISION_TYPES.TRITANOPIA,
+  VISION_TYPES.PROTANOMALY,
+  VISION_TYPES.DEUTERANOMALY,
+  VISION_TYPES.TRITANOMALY,
+  VISION_TYPES.ACHROMATOPSIA,
+  VISION_TYPES.ACHROMATOMALY,
+  VISION_TYPES.LOW_VISION,
+  VISION_TYPES.CATARACTS
+];
+
+/**
+ * Render a decoded screenshot as seen with a vision condition
+ * @param {Object} image - Decoded image { width, height, data } with RGBA bytes
+ * @param {string} visionType - Type of vision condition
+ * @returns {Object} New decoded image { width, height, data }
+ */
+export function simulateImage(image, visionType) {
+  const { width, height } = image;
+  const data = Buffer.from(image.data);
+  const clamp = (v) => Math.round(Math.max(0, Math.min(255, v)));
+
+  const model = VISION_MODELS[visionType];
+  if (model) {
+    const matrix = getSimulationMatrix(model.deficiency, model.severity);
+    // Lookup tables keep the per-pixel sRGB <-> linear conversion cheap on tall screenshots
+    const toLinear = Float64Array.from({ length: 256 }, (_, v) => srgbToLinear(v));
+    const toSrgb = Uint8Array.from({ length: 4096 }, (_, v) => linearToSrgb(v / 4095));
+    const encode = (v) => toSrgb[Math.round(Math.max(0, Math.min(1, v)) * 4095)];
+    for (let i = 0; i < data.length; i += 4) {
+      const r = toLinear[data[i]];
+      const g = toLinear[data[i + 1]];
+      const b = toLinear[data[i + 2]];
+      data[i] = encode(matrix[0][0] * r + matrix[0][1] * g + matrix[0][2] * b);
+      data[i + 1] = encode(matrix[1][0] * r + matrix[1][1] * g + matrix[1][2] * b);
+      data[i + 2] = encode(matrix[2][0] * r + matrix[2][1] * g + matrix[2][2] * b);
+    }
   }
 
-  // Normalize RGB to 0-1
-  const rNorm = r / 255;
-  const gNorm = g / 255;
-  const bNorm = b / 255;
+  const filter = ACUITY_FILTERS[visionType];
+  if (filter?.blurRadius) {
+    // Three box blur passes approximate a Gaussian blur
+    for (let pass = 0; pass < 3; pass++) {
+      boxBlur(data, width, height, filter.blurRadius);
+    }
+  }
+  if (filter?.haze) {
+    const { color, amount } = filter.haze;
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = clamp(data[i] * (1 - amount) + color[0] * amount);
+      data[i + 1] = clamp(data[i + 1] * (1 - amount) + color[1] * amount);
+      data[i + 2] = clamp(data[i + 2] * (1 - amount) + color[2] * amount);
+    }
+  }
 
-  // Apply transformation matrix
-  const rNew = matrix[0][0] * rNorm + matrix[0][1] * gNorm + matrix[0][2] * bNorm;
-  const gNew = matrix[1][0] * rNorm + matrix[1][1] * gNorm + matrix[1][2] * bNorm;
-  const bNew = matrix[2][0] * rNorm + matrix[2][1] * gNorm + matrix[2][2] * bNorm;
+  return { width, height, data };
+}
 
-  // Convert back to 0-255 and clamp
-  return [
-    Math.round(Math.max(0, Math.min(255, rNew * 255))),
-    Math.round(Math.max(0, Math.min(255, gNew * 255))),
-    Math.round(Math.max(0, Math.min(255, bNew * 255)))
-  ];
+/**
+ * Blur RGB channels in place with a horizontal then vertical running-sum box filter
+ * @param {Buffer} data - RGBA bytes
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} radius - Box radius in pixels
+ */
+function boxBlur(data, width, height, radius) {
+  const pass = (length, lines, index) => {
+    const line = new Uint8ClampedArray(length * 3);
+    for (let l = 0; l < lines; l++) {
+      for (let k = 0; k < length; k++) {
+        const i = index(l, k);
+        line[k * 3] = data[i];
+        line[k * 3 + 1] = data[i + 1];
+        line[k * 3 + 2] = data[i + 2];
+      }
+      for (let c = 0; c < 3; c++) {
+        let sum = 0;
+        let count = 0;
+        for (let k = 0; k <= Math.min(radius, length - 1); k++) {
+          sum += line[k * 3 + c];
+          count++;
+        }
+        for (let k = 0; k < length; k++) {
+          data[index(l, k) + c] = Math.round(sum / count);
+          const add = k + radius + 1;
+          const remove = k - radius;
+          if (add < length) { sum += line[add * 3 + c]; count++; }
+          if (remove >= 0) { sum -= line[remove * 3 + c]; count--; }
+        }
+      }
+    }
+  };
+  pass(width, height, (y, x) => (y * width + x) * 4);
+  pass(height, width, (x, y) => (y * width + x) * 4);
 }
 
 /**
- * Calculate color difference using CIEDE2000 algorithm (simplified)
+ * Convert an sRGB color to CIE L*a*b* (D65 reference white)
+ * @param {Array} color - [r, g, b] array
+ * @returns {Array} [L, a, b] array
+ */
+function rgbToLab(color) {
+  const [r, g, b] = color.map(srgbToLinear);
+  const x = (0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / 0.95047;
+  const y = 0.2126729 * r + 0.7151522 * g + 0.0721750 * b;
+  const z = (0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / 1.08883;
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Calculate color difference using CIEDE2000 (Sharma, Wu & Dalal 2005)
  * @param {Array} color1 - [r, g, b] array
  * @param {Array} color2 - [r, g, b] array
- * @returns {number} Color difference value
+ * @returns {number} Color difference value (ΔE00)
  */
 export function calculateColorDifference(color1, color2) {
-  // Simplified Euclidean distance in RGB space
-  // For production, consider implementing full CIEDE2000
-  const dr = color1[0] - color2[0];
-  const dg = color1[1] - color2[1];
-  const db = color1[2] - color2[2];
-  
-  return Math.sqrt(dr * dr + dg * dg + db * db);
+  const [L1, a1, b1] = rgbToLab(color1);
+  const [L2, a2, b2] = rgbToLab(color2);
+  const rad = Math.PI / 180;
+  const pow7 = (v) => Math.pow(v, 7);
+
+  const C1 = Math.hypot(a1, b1);
+  const C2 = Math.hypot(a2, b2);
+  const Cbar = (C1 + C2) / 2;
+  const G = 0.5 * (1 - Math.sqrt(pow7(Cbar) / (pow7(Cbar) + pow7(25))));
+  const a1p = a1 * (1 + G);
+  const a2p = a2 * (1 + G);
+  const C1p = Math.hypot(a1p, b1);
+  const C2p = Math.hypot(a2p, b2);
+  const hue = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / rad;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hue(b1, a1p);
+  const h2p = hue(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+    else hbarp = h1p + h2p < 360 ? (h1p + h2p + 360) / 2 : (h1p + h2p - 360) / 2;
+  }
+
+  const T = 1
+    - 0.17 * Math.cos((hbarp - 30) * rad)
+    + 0.24 * Math.cos(2 * hbarp * rad)
+    + 0.32 * Math.cos((3 * hbarp + 6) * rad)
+    - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+  const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+  const Rc = 2 * Math.sqrt(pow7(Cbarp) / (pow7(Cbarp) + pow7(25)));
+  const Sl = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+  const Sc = 1 + 0.045 * Cbarp;
+  const Sh = 1 + 0.015 * Cbarp * T;
+  const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+  return Math.sqrt(
+    Math.pow(dLp / Sl, 2) +
+    Math.pow(dCp / Sc, 2) +
+    Math.pow(dHp / Sh, 2) +
+    Rt * (dCp / Sc) * (dHp / Sh)
+  );
+}
+
+/**
+ * Find the lowest severity at which two colors stop being distinguishable
+ * @param {Array} color1 - [r, g, b] array
+ * @param {Array} color2 - [r, g, b] array
+ * @param {string} visionType - Type of vision condition
+ * @param {number} threshold - Minimum ΔE00 difference (default: MIN_DELTA_E)
+ * @returns {number|null} Severity from 0 to 1, or null if the pair stays distinguishable at full severity
+ */
+export function findIndistinguishableSeverity(color1, color2, visionType, threshold = MIN_DELTA_E) {
+  if (!VISION_MODELS[visionType]) return null;
+  for (let step = 0; step <= 100; step++) {
+    const severity = step / 100;
+    const sim1 = simulateColorBlindness(color1[0], color1[1], color1[2], visionType, severity);
+    const sim2 = simulateColorBlindness(color2[0], color2[1], color2[2], visionType, severity);
+    if (calculateColorDifference(sim1, sim2) < threshold) return severity;
+  }
+  return null;
 }
 
 /**
@@ -124,26 +376,31 @@ export function calculateColorDifference(color1, color2) {
  * @param {Array} color1 - [r, g, b] array
  * @param {Array} color2 - [r, g, b] array
  * @param {string} visionType - Type of vision condition
- * @param {number} threshold - Minimum difference threshold (default: 30)
+ * @param {number} threshold - Minimum ΔE00 difference (default: MIN_DELTA_E)
+ * @param {number} [severity] - Severity from 0 to 1 (defaults to the type's own severity)
  * @returns {Object} Result with distinguishability info
  */
-export function testColorDistinguishability(color1, color2, visionType, threshold = 30) {
+export function testColorDistinguishability(color1, color2, visionType, threshold = MIN_DELTA_E, severity) {
+  const appliedSeverity = severity ?? VISION_MODELS[visionType]?.severity ?? 0;
+
   // Original colors
   const originalDiff = calculateColorDifference(color1, color2);
   
   // Simulated colors
-  const simColor1 = simulateColorBlindness(color1[0], color1[1], color1[2], visionType);
-  const simColor2 = simulateColorBlindness(color2[0], color2[1], color2[2], visionType);
+  const simColor1 = simulateColorBlindness(color1[0], color1[1], color1[2], visionType, appliedSeverity);
+  const simColor2 = simulateColorBlindness(color2[0], color2[1], color2[2], visionType, appliedSeverity);
   const simulatedDiff = calculateColorDifference(simColor1, simColor2);
   
   const isDistinguishable = simulatedDiff >= threshold;
   
   return {
     visionType,
-    originalDifference: Math.round(originalDiff),
-    simulatedDifference: Math.round(simulatedDiff),
+    severity: appliedSeverity,
+    originalDifference: Math.round(originalDiff * 10) / 10,
+    simulatedDifference: Math.round(simulatedDiff * 10) / 10,
     isDistinguishable,
     threshold,
+    indistinguishableAtSeverity: findIndistinguishableSeverity(color1, color2, visionType, threshold),
     originalColors: {
       color1: `rgb(${color1[0]}, ${color1[1]}, ${color1[2]})`,
       color2: `rgb(${color2[0]}, ${color2[1]}, ${color2[2]})`
@@ -152,7 +409,7 @@ export function testColorDistinguishability(color1, color2, visionType, threshol
       color1: `rgb(${simColor1[0]}, ${simColor1[1]}, ${simColor1[2]})`,
       color2: `rgb(${simColor2[0]}, ${simColor2[1]}, ${simColor2[2]})`
     },
-    impactPercentage: Math.round((1 - simulatedDiff / originalDiff) * 100)
+    impactPercentage: originalDiff > 0 ? Math.round((1 - simulatedDiff / originalDiff) * 100) : 0
   };
 }
 
@@ -181,6 +438,14 @@ export function testAllVisionTypes(color1, color2) {
   
   // Determine overall accessibility
   const failedTypes = Object.values(results).filter(r => !r.isDistinguishable);
+
+  // Severity per deficiency at which the pair first becomes indistinguishable
+  const severityThresholds = {};
+  Object.values(results).forEach(r => {
+    const { deficiency } = VISION_MODELS[r.visionType];
+    severityThresholds[deficiency] = r.indistinguishableAtSeverity;
+  });
+  const reached = Object.values(severityThresholds).filter(s => s !== null);
   
   return {
     colorPair: {
@@ -193,7 +458,9 @@ export function testAllVisionTypes(color1, color2) {
       passedVisionTypes: visionTypesToTest.length - failedTypes.length,
       failedVisionTypes: failedTypes.length,
       isAccessible: failedTypes.length === 0,
-      problematicTypes: failedTypes.map(r => r.visionType)
+      problematicTypes: failedTypes.map(r => r.visionType),
+      severityThresholds,
+      lowestFailingSeverity: reached.length ? Math.min(...reached) : null
     }
   };
 }
@@ -245,34 +512,15 @@ export function analyzeColorDependency(elements) {
 
 /**
  * Parse color string to RGB array
- * @param {string} colorString - Color in rgb() or hex format
+ * @param {string} colorString - Any CSS color
  * @returns {Array} [r, g, b] array
  */
 function parseColor(colorString) {
-  // Handle rgb/rgba
-  const rgbMatch = colorString.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-  if (rgbMatch) {
-    return [parseInt(rgbMatch[1]), parseInt(rgbMatch[2]), parseInt(rgbMatch[3])];
+  const color = parseCSSColor(colorString);
+  if (color) {
+    return [color.r, color.g, color.b];
   }
-  
-  // Handle hex
-  if (colorString.startsWith('#')) {
-    const hex = colorString.replace('#', '');
-    if (hex.length === 3) {
-      return [
-        parseInt(hex[0] + hex[0], 16),
-        parseInt(hex[1] + hex[1], 16),
-        parseInt(hex[2] + hex[2], 16)
-      ];
-    } else if (hex.length === 6) {
-      return [
-        parseInt(hex.substring(0, 2), 16),
-        parseInt(hex.substring(2, 4), 16),
-        parseInt(hex.substring(4, 6), 16)
-      ];
-    }
-  }
-  
+
   // Default to black
   return [0, 0, 0];
 }
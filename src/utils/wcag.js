@@ -3,6 +3,8 @@
  * Contains thresholds, rules, and validation logic for accessibility compliance
  */
 
+import { computeAccessibleName, getRole as getComputedRole } from './accname.js';
+
 export const WCAG_LEVELS = {
   A: 'A',
   AA: 'AA', 
@@ -38,6 +40,236 @@ export const ARIA_ROLES = {
   states: ['expanded', 'hidden', 'disabled', 'checked', 'selected']
 };
 
+/**
+ * WAI-ARIA 1.2 role and attribute data used by validateARIA.
+ * attributes: value type (true/false, tristate, true/false/undefined, token, tokens, idref, idrefs,
+ * integer, number, string) and allowed tokens. roles: supported and required states/properties,
+ * required context roles, required owned elements and whether naming is prohibited.
+ */
+export const ARIA_SPEC = {
+  attributes: {
+    'aria-activedescendant': { type: 'idref' },
+    'aria-atomic': { type: 'true/false' },
+    'aria-autocomplete': { type: 'token', values: ['inline', 'list', 'both', 'none'] },
+    'aria-busy': { type: 'true/false' },
+    'aria-checked': { type: 'tristate' },
+    'aria-colcount': { type: 'integer' },
+    'aria-colindex': { type: 'integer' },
+    'aria-colspan': { type: 'integer' },
+    'aria-controls': { type: 'idrefs' },
+    'aria-current': { type: 'token', values: ['page', 'step', 'location', 'date', 'time', 'true', 'false'] },
+    'aria-describedby': { type: 'idrefs' },
+    'aria-description': { type: 'string' },
+    'aria-details': { type: 'idref' },
+    'aria-disabled': { type: 'true/false' },
+    'aria-dropeffect': { type: 'tokens', values: ['copy', 'execute', 'link', 'move', 'none', 'popup'], deprecated: true },
+    'aria-errormessage': { type: 'idref' },
+    'aria-expanded': { type: 'true/false/undefined' },
+    'aria-flowto': { type: 'idrefs' },
+    'aria-grabbed': { type: 'true/false/undefined', deprecated: true },
+    'aria-haspopup': { type: 'token', values: ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'] },
+    'aria-hidden': { type: 'true/false/undefined' },
+    'aria-invalid': { type: 'token', values: ['grammar', 'false', 'spelling', 'true'] },
+    'aria-keyshortcuts': { type: 'string' },
+    'aria-label': { type: 'string' },
+    'aria-labelledby': { type: 'idrefs' },
+    'aria-level': { type: 'integer' },
+    'aria-live': { type: 'token', values: ['assertive', 'off', 'polite'] },
+    'aria-modal': { type: 'true/false' },
+    'aria-multiline': { type: 'true/false' },
+    'aria-multiselectable': { type: 'true/false' },
+    'aria-orientation': { type: 'token', values: ['horizontal', 'vertical', 'undefined'] },
+    'aria-owns': { type: 'idrefs' },
+    'aria-placeholder': { type: 'string' },
+    'aria-posinset': { type: 'integer' },
+    'aria-pressed': { type: 'tristate' },
+    'aria-readonly': { type: 'true/false' },
+    'aria-relevant': { type: 'tokens', values: ['additions', 'all', 'removals', 'text'] },
+    'aria-required': { type: 'true/false' },
+    'aria-roledescription': { type: 'string' },
+    'aria-rowcount': { type: 'integer' },
+    'aria-rowindex': { type: 'integer' },
+    'aria-rowspan': { type: 'integer' },
+    'aria-selected': { type: 'true/false/undefined' },
+    'aria-setsize': { type: 'integer' },
+    'aria-sort': { type: 'token', values: ['ascending', 'descending', 'none', 'other'] },
+    'aria-valuemax': { type: 'number' },
+    'aria-valuemin': { type: 'number' },
+    'aria-valuenow': { type: 'number' },
+    'aria-valuetext': { type: 'string' }
+  },
+  // Allowed on every role (aria-disabled, -errormessage, -haspopup and -invalid are deprecated as globals but still accepted)
+  globalAttributes: [
+    'aria-atomic', 'aria-busy', 'aria-controls', 'aria-current', 'aria-describedby', 'aria-description',
+    'aria-details', 'aria-disabled', 'aria-dropeffect', 'aria-errormessage', 'aria-flowto', 'aria-grabbed',
+    'aria-haspopup', 'aria-hidden', 'aria-invalid', 'aria-keyshortcuts', 'aria-label', 'aria-labelledby',
+    'aria-live', 'aria-owns', 'aria-relevant', 'aria-roledescription'
+  ],
+  abstractRoles: [
+    'command', 'composite', 'input', 'landmark', 'range', 'roletype', 'section', 'sectionhead', 'select',
+    'structure', 'widget', 'window'
+  ],
+  roles: {
+    alert: { supported: ['aria-expanded'] },
+    alertdialog: { supported: ['aria-modal'] },
+    application: { supported: ['aria-activedescendant', 'aria-expanded'] },
+    article: { supported: ['aria-posinset', 'aria-setsize', 'aria-expanded'] },
+    banner: { supported: ['aria-expanded'] },
+    blockquote: { supported: [] },
+    button: { supported: ['aria-expanded', 'aria-pressed'] },
+    caption: { supported: [], context: ['figure', 'grid', 'table', 'treegrid'], nameProhibited: true },
+    cell: { supported: ['aria-colindex', 'aria-colspan', 'aria-rowindex', 'aria-rowspan'], context: ['row'] },
+    checkbox: { supported: ['aria-expanded', 'aria-readonly', 'aria-required'], required: ['aria-checked'] },
+    code: { supported: [], nameProhibited: true },
+    columnheader: {
+      supported: ['aria-colindex', 'aria-colspan', 'aria-rowindex', 'aria-rowspan', 'aria-expanded', 'aria-readonly', 'aria-required', 'aria-selected', 'aria-sort'],
+      context: ['row']
+    },
+    combobox: {
+      supported: ['aria-activedescendant', 'aria-autocomplete', 'aria-readonly', 'aria-required'],
+      required: ['aria-expanded']
+    },
+    complementary: { supported: ['aria-expanded'] },
+    contentinfo: { supported: ['aria-expanded'] },
+    definition: { supported: [] },
+    deletion: { supported: [], nameProhibited: true },
+    dialog: { supported: ['aria-modal'] },
+    directory: { supported: ['aria-expanded'] },
+    document: { supported: ['aria-expanded'] },
+    emphasis: { supported: [], nameProhibited: true },
+    feed: { supported: [], owned: ['article'] },
+    figure: { supported: ['aria-expanded'] },
+    form: { supported: ['aria-expanded'] },
+    generic: { supported: [], nameProhibited: true },
+    grid: {
+      supported: ['aria-activedescendant', 'aria-colcount', 'aria-expanded', 'aria-multiselectable', 'aria-readonly', 'aria-rowcount'],
+      owned: ['row', 'rowgroup']
+    },
+    gridcell: {
+      supported: ['aria-colindex', 'aria-colspan', 'aria-rowindex', 'aria-rowspan', 'aria-expanded', 'aria-readonly', 'aria-required', 'aria-selected'],
+      context: ['row']
+    },
+    group: { supported: ['aria-activedescendant', 'aria-expanded'] },
+    heading: { supported: ['aria-expanded'], required: ['aria-level'] },
+    img: { supported: ['aria-expanded'] },
+    insertion: { supported: [], nameProhibited: true },
+    link: { supported: ['aria-expanded'] },
+    list: { supported: ['aria-expanded'], owned: ['listitem'] },
+    listbox: {
+      supported: ['aria-activedescendant', 'aria-expanded', 'aria-multiselectable', 'aria-orientation', 'aria-readonly', 'aria-required'],
+      owned: ['option', 'group']
+    },
+    listitem: { supported: ['aria-level', 'aria-posinset', 'aria-setsize', 'aria-expanded'], context: ['list', 'directory'] },
+    log: { supported: ['aria-expanded'] },
+    main: { supported: ['aria-expanded'] },
+    marquee: { supported: ['aria-expanded'] },
+    math: { supported: ['aria-expanded'] },
+    menu: {
+      supported: ['aria-activedescendant', 'aria-expanded', 'aria-orientation'],
+      owned: ['group', 'menuitem', 'menuitemcheckbox', 'menuitemradio']
+    },
+    menubar: {
+      supported: ['aria-activedescendant', 'aria-expanded', 'aria-orientation'],
+      owned: ['group', 'menuitem', 'menuitemcheckbox', 'menuitemradio']
+    },
+    menuitem: { supported: ['aria-expanded', 'aria-posinset', 'aria-setsize'], context: ['menu', 'menubar', 'group'] },
+    menuitemcheckbox: {
+      supported: ['aria-expanded', 'aria-posinset', 'aria-setsize'],
+      required: ['aria-checked'],
+      context: ['menu', 'menubar', 'group']
+    },
+    menuitemradio: {
+      supported: ['aria-expanded', 'aria-posinset', 'aria-setsize'],
+      required: ['aria-checked'],
+      context: ['menu', 'menubar', 'group']
+    },
+    meter: { supported: ['aria-valuemax', 'aria-valuemin', 'aria-valuetext'], required: ['aria-valuenow'] },
+    navigation: { supported: ['aria-expanded'] },
+    none: { supported: [] },
+    note: { supported: ['aria-expanded'] },
+    option: { supported: ['aria-checked', 'aria-posinset', 'aria-selected', 'aria-setsize'], context: ['listbox', 'group'] },
+    paragraph: { supported: [], nameProhibited: true },
+    presentation: { supported: [] },
+    progressbar: { supported: ['aria-expanded', 'aria-valuemax', 'aria-valuemin', 'aria-valuenow', 'aria-valuetext'] },
+    radio: { supported: ['aria-posinset', 'aria-setsize'], required: ['aria-checked'] },
+    radiogroup: {
+      supported: ['aria-activedescendant', 'aria-expanded', 'aria-orientation', 'aria-readonly', 'aria-required'],
+      owned: ['radio']
+    },
+    region: { supported: ['aria-expanded'] },
+    row: {
+      supported: ['aria-activedescendant', 'aria-colindex', 'aria-expanded', 'aria-level', 'aria-posinset', 'aria-rowindex', 'aria-selected', 'aria-setsize'],
+      context: ['grid', 'rowgroup', 'table', 'treegrid'],
+      owned: ['cell', 'columnheader', 'gridcell', 'rowheader']
+    },
+    rowgroup: { supported: [], context: ['grid', 'table', 'treegrid'], owned: ['row'] },
+    rowheader: {
+      supported: ['aria-colindex', 'aria-colspan', 'aria-rowindex', 'aria-rowspan', 'aria-expanded', 'aria-readonly', 'aria-required', 'aria-selected', 'aria-sort'],
+      context: ['row']
+    },
+    scrollbar: {
+      supported: ['aria-orientation', 'aria-valuemax', 'aria-valuemin', 'aria-valuetext'],
+      required: ['aria-controls', 'aria-valuenow']
+    },
+    search: { supported: ['aria-expanded'] },
+    searchbox: {
+      supported: ['aria-activedescendant', 'aria-autocomplete', 'aria-multiline', 'aria-placeholder', 'aria-readonly', 'aria-required']
+    },
+    separator: { supported: ['aria-orientation', 'aria-valuemax', 'aria-valuemin', 'aria-valuenow', 'aria-valuetext'] },
+    slider: {
+      supported: ['aria-orientation', 'aria-readonly', 'aria-valuemax', 'aria-valuemin', 'aria-valuetext'],
+      required: ['aria-valuenow']
+    },
+    spinbutton: {
+      supported: ['aria-activedescendant', 'aria-readonly', 'aria-required', 'aria-valuemax', 'aria-valuemin', 'aria-valuenow', 'aria-valuetext']
+    },
+    status: { supported: ['aria-expanded'] },
+    strong: { supported: [], nameProhibited: true },
+    subscript: { supported: [], nameProhibited: true },
+    superscript: { supported: [], nameProhibited: true },
+    switch: { supported: ['aria-expanded', 'aria-readonly', 'aria-required'], required: ['aria-checked'] },
+    tab: { supported: ['aria-expanded', 'aria-posinset', 'aria-selected', 'aria-setsize'], context: ['tablist'] },
+    table: { supported: ['aria-colcount', 'aria-rowcount'], owned: ['row', 'rowgroup'] },
+    tablist: { supported: ['aria-activedescendant', 'aria-multiselectable', 'aria-orientation'], owned: ['tab'] },
+    tabpanel: { supported: [] },
+    term: { supported: [] },
+    textbox: {
+      supported: ['aria-activedescendant', 'aria-autocomplete', 'aria-multiline', 'aria-placeholder', 'aria-readonly', 'aria-required']
+    },
+    time: { supported: [] },
+    timer: { supported: ['aria-expanded'] },
+    toolbar: { supported: ['aria-activedescendant', 'aria-expanded', 'aria-orientation'] },
+    tooltip: { supported: [] },
+    tree: {
+      supported: ['aria-activedescendant', 'aria-expanded', 'aria-multiselectable', 'aria-orientation', 'aria-required'],
+      owned: ['group', 'treeitem']
+    },
+    treegrid: {
+      supported: ['aria-activedescendant', 'aria-colcount', 'aria-expanded', 'aria-multiselectable', 'aria-orientation', 'aria-readonly', 'aria-required', 'aria-rowcount'],
+      owned: ['row', 'rowgroup']
+    },
+    treeitem: {
+      supported: ['aria-checked', 'aria-expanded', 'aria-level', 'aria-posinset', 'aria-selected', 'aria-setsize'],
+      context: ['tree', 'group']
+    }
+  }
+};
+
+// ISO 639-1 two-letter language codes (plus the deprecated iw, in, ji, jw, mo and sh still seen in the wild)
+export const LANGUAGE_CODES = [
+  'aa', 'ab', 'ae', 'af', 'ak', 'am', 'an', 'ar', 'as', 'av', 'ay', 'az', 'ba', 'be', 'bg', 'bh', 'bi', 'bm',
+  'bn', 'bo', 'br', 'bs', 'ca', 'ce', 'ch', 'co', 'cr', 'cs', 'cu', 'cv', 'cy', 'da', 'de', 'dv', 'dz', 'ee',
+  'el', 'en', 'eo', 'es', 'et', 'eu', 'fa', 'ff', 'fi', 'fj', 'fo', 'fr', 'fy', 'ga', 'gd', 'gl', 'gn', 'gu',
+  'gv', 'ha', 'he', 'hi', 'ho', 'hr', 'ht', 'hu', 'hy', 'hz', 'ia', 'id', 'ie', 'ig', 'ii', 'ik', 'io', 'is',
+  'it', 'iu', 'ja', 'jv', 'ka', 'kg', 'ki', 'kj', 'kk', 'kl', 'km', 'kn', 'ko', 'kr', 'ks', 'ku', 'kv', 'kw',
+  'ky', 'la', 'lb', 'lg', 'li', 'ln', 'lo', 'lt', 'lu', 'lv', 'mg', 'mh', 'mi', 'mk', 'ml', 'mn', 'mr', 'ms',
+  'mt', 'my', 'na', 'nb', 'nd', 'ne', 'ng', 'nl', 'nn', 'no', 'nr', 'nv', 'ny', 'oc', 'oj', 'om', 'or', 'os',
+  'pa', 'pi', 'pl', 'ps', 'pt', 'qu', 'rm', 'rn', 'ro', 'ru', 'rw', 'sa', 'sc', 'sd', 'se', 'sg', 'si', 'sk',
+  'sl', 'sm', 'sn', 'so', 'sq', 'sr', 'ss', 'st', 'su', 'sv', 'sw', 'ta', 'te', 'tg', 'th', 'ti', 'tk', 'tl',
+  'tn', 'to', 'tr', 'ts', 'tt', 'tw', 'ty', 'ug', 'uk', 'ur', 'uz', 've', 'vi', 'vo', 'wa', 'wo', 'xh', 'yi',
+  'yo', 'za', 'zh', 'zu', 'iw', 'in', 'ji', 'jw', 'mo', 'sh'
+];
+
 export const KEYBOARD_NAVIGATION = {
   tabIndex: {
     focusable: 0,
@@ -66,7 +298,42 @@ export const IMAGE_ACCESSIBILITY = {
 
 export const FORM_ACCESSIBILITY = {
   requiredAttributes: ['id', 'for', 'aria-label', 'aria-labelledby'],
-  inputTypes: ['text', 'email', 'password', 'search', 'tel', 'url', 'number', 'date', 'time']
+  inputTypes: ['text', 'email', 'password', 'search', 'tel', 'url', 'number', 'date', 'time'],
+  // WCAG 1.3.5 Identify Input Purpose: HTML autofill field names
+  autocompleteTokens: [
+    'name', 'honorific-prefix', 'given-name', 'additional-name', 'family-name', 'honorific-suffix',
+    'nickname', 'username', 'new-password', 'current-password', 'one-time-code',
+    'organization-title', 'organization', 'street-address', 'address-line1', 'address-line2',
+    'address-line3', 'address-level4', 'address-level3', 'address-level2', 'address-level1',
+    'country', 'country-name', 'postal-code', 'cc-name', 'cc-given-name', 'cc-additional-name',
+    'cc-family-name', 'cc-number', 'cc-exp', 'cc-exp-month', 'cc-exp-year', 'cc-csc', 'cc-type',
+    'transaction-currency', 'transaction-amount', 'language', 'bday', 'bday-day', 'bday-month',
+    'bday-year', 'sex', 'url', 'photo', 'tel', 'tel-country-code', 'tel-national', 'tel-area-code',
+    'tel-local', 'tel-local-prefix', 'tel-local-suffix', 'tel-extension', 'email', 'impp'
+  ],
+  autocompleteModifiers: ['shipping', 'billing', 'home', 'work', 'mobile', 'fax', 'pager', 'webauthn'],
+  // Patterns that indicate personal data, with the token we expect. Each is tested on the name,
+  // id, label and placeholder separately, after camelCase, digits and punctuation become single
+  // spaces ("billing_firstName" -> "billing first name"); ^...$ patterns must match a whole field
+  personalDataFields: [
+    { pattern: '\\be ?mail\\b', token: 'email' },
+    { pattern: '\\b(tel|telephone|phone|mobile|cell ?phone)( number)?\\b', token: 'tel' },
+    { pattern: '\\b(first|given) ?name\\b|\\b(fname|forename)\\b', token: 'given-name' },
+    { pattern: '\\b(last|family) ?name\\b|\\b(lname|surname)\\b', token: 'family-name' },
+    { pattern: '^(your )?(full )?name$', token: 'name' },
+    { pattern: '\\bstreet\\b|^((billing|shipping|home|postal|mailing) )?address( line)?( [1-3])?$', token: 'street-address' },
+    { pattern: '\\b(city|town)\\b', token: 'address-level2' },
+    { pattern: '^((billing|shipping) )?(state|region|county)$|\\bprovince\\b', token: 'address-level1' },
+    { pattern: '\\b(zip|zip ?code|postal ?code|post ?code)\\b', token: 'postal-code' },
+    { pattern: '\\bcountry\\b', token: 'country-name' },
+    { pattern: '\\b(company|organi[sz]ation)( name)?$', token: 'organization' },
+    { pattern: '\\b(user ?name|login)\\b', token: 'username' },
+    { pattern: '\\b(birth ?date|date of birth|birthday|bday|dob)\\b', token: 'bday' }
+  ],
+  // Label text that signals a visually required field; words only match whole ("required", not "requirements")
+  requiredIndicators: ['*', '(required)', 'required'],
+  // Label text that says the opposite; such labels never count as marked required
+  notRequiredPattern: '\\b(not|non)[ -]?required\\b|\\boptional\\b'
 };
 
 export const FOCUS_MANAGEMENT = {
@@ -151,40 +418,64 @@ export function validateHeadingHierarchy(headings) {
   };
 }
 
+/**
+ * Validate a lang attribute value as a BCP 47 language tag (RFC 5646 syntax). Two-letter primary
+ * subtags must be ISO 639-1 codes; 4-8 letter primary subtags are reserved and never valid
+ * @param {string} tag - Language tag, e.g. "en-GB"
+ * @returns {Object} { valid, reason }
+ */
+export function validateLanguageTag(tag) {
+  const value = String(tag ?? '').trim();
+  if (!value) return { valid: false, reason: 'empty' };
+  // Private use (x-...) and irregular grandfathered (i-...) tags
+  if (/^[xi](-[a-z\d]{1,8})+$/i.test(value)) return { valid: true, reason: null };
+  const wellFormed = /^[a-z]{2,8}(-[a-z]{3}){0,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?(-([a-z\d]{5,8}|\d[a-z\d]{3}))*(-[\da-wy-z](-[a-z\d]{2,8})+)*(-x(-[a-z\d]{1,8})+)?$/i;
+  if (!wellFormed.test(value)) {
+    return { valid: false, reason: value.includes('_') ? 'uses "_" instead of "-"' : 'not a well-formed BCP 47 tag' };
+  }
+  const primary = value.split('-')[0].toLowerCase();
+  if (primary.length > 3 || (primary.length === 2 && !LANGUAGE_CODES.includes(primary))) {
+    return { valid: false, reason: `unknown primary language "${primary}"` };
+  }
+  return { valid: true, reason: null };
+}
+
 /**
  * Check if element has proper accessible name
  * @param {Element} element - DOM element
- * @returns {Object} Accessibility name analysis
+ * @returns {Object} Accessibility name analysis (computed with the accname 1.2 algorithm)
  */
 export function checkAccessibleName(element) {
-  const ariaLabel = element.getAttribute('aria-label');
-  const ariaLabelledBy = element.getAttribute('aria-labelledby');
-  const title = element.getAttribute('title');
-  const textContent = element.textContent?.trim();
-  
-  const hasAccessibleName = !!(ariaLabel || ariaLabelledBy || title || textContent);
+  const { role, name, nameSources, description, descriptionSources } = computeAccessibleName(element);
+  const hasAccessibleName = name.length > 0;
   
   return {
     hasAccessibleName,
-    sources: {
-      ariaLabel,
-      ariaLabelledBy,
-      title,
-      textContent: textContent || null
-    },
+    role,
+    name,
+    description,
+    sources: nameSources,
+    descriptionSources,
     recommendations: hasAccessibleName ? [] : ['Add aria-label, aria-labelledby, or visible text content']
   };
 }
 
 /**
- * Validate ARIA attributes with context awareness
+ * Validate an element's role and aria-* attributes against the ARIA 1.2 data table.
+ * Self-contained so the auditor can install it in the page with toString(); callers there pass
+ * the spec and the in-page getRole explicitly.
  * @param {Element} element - DOM element
- * @returns {Object} ARIA validation result
+ * @param {Object} spec - ARIA data table (defaults to ARIA_SPEC)
+ * @param {Function} getRole - Computed role lookup (defaults to the accname module's getRole)
+ * @param {Map} [ownersById] - id → element whose aria-owns lists it; built from the document when omitted
+ * @returns {Object} ARIA validation result with structured issues and warnings
  */
-export function validateARIA(element) {
+export function validateARIA(element, spec = ARIA_SPEC, getRole = getComputedRole, ownersById = null) {
   const issues = [];
   const warnings = [];
   const ariaAttrs = {};
+  const doc = element.ownerDocument;
+  const tag = element.tagName.toLowerCase();
   
   // Collect all ARIA attributes
   Array.from(element.attributes).forEach(attr => {
@@ -193,70 +484,177 @@ export function validateARIA(element) {
     }
   });
   
-  // Check for common ARIA issues with better context awareness
-  if (ariaAttrs['aria-expanded'] && !ariaAttrs['aria-controls']) {
-    // This is a recommendation, not always required
-    warnings.push('Element with aria-expanded should ideally have aria-controls for better user experience');
+  // The first recognised token of a role list wins; flag the attribute only when none is usable
+  const roleAttr = (element.getAttribute('role') || '').trim().toLowerCase();
+  if (roleAttr) {
+    const tokens = roleAttr.split(/\s+/);
+    if (!tokens.some(token => spec.roles[token])) {
+      issues.push({
+        type: 'invalid_role',
+        attribute: 'role',
+        message: spec.abstractRoles.includes(tokens[0])
+          ? `Abstract ARIA role "${tokens[0]}" must not be used in content`
+          : `Invalid ARIA role: "${roleAttr}"`
+      });
+    }
   }
   
-  // More lenient checking for referenced elements
-  if (ariaAttrs['aria-describedby']) {
-    const referencedIds = ariaAttrs['aria-describedby'].split(/\s+/);
-    const missingIds = referencedIds.filter(id => {
-      const referencedElement = document.getElementById(id);
-      // Also check if element might be in shadow DOM or loaded dynamically
-      return !referencedElement && !id.includes('-dynamic-') && !id.includes('-shadow-');
-    });
+  const role = getRole(element);
+  const roleSpec = spec.roles[role] || null;
+  const allowed = roleSpec
+    ? new Set([...spec.globalAttributes, ...roleSpec.supported, ...(roleSpec.required || [])])
+    : null;
+  
+  const validValue = (def, raw) => {
+    const value = raw.trim().toLowerCase();
+    // An empty value means the attribute's default
+    if (value === '') return true;
+    switch (def.type) {
+      case 'true/false': return value === 'true' || value === 'false';
+      case 'tristate': return ['true', 'false', 'mixed'].includes(value);
+      case 'true/false/undefined': return ['true', 'false', 'undefined'].includes(value);
+      case 'token': return def.values.includes(value);
+      case 'tokens': return value.split(/\s+/).every(token => def.values.includes(token));
+      case 'integer': return /^-?\d+$/.test(value);
+      case 'number': return Number.isFinite(Number(value));
+      case 'idref': return !/\s/.test(value);
+      default: return true;
+    }
+  };
+  
+  Object.entries(ariaAttrs).forEach(([name, value]) => {
+    const def = spec.attributes[name];
+    if (!def) {
+      issues.push({ type: 'unknown_aria_attribute', attribute: name, message: `Unknown ARIA attribute: ${name}` });
+      return;
+    }
+    if (def.deprecated) {
+      warnings.push({ type: 'deprecated_aria_attribute', attribute: name, message: `${name} is deprecated in ARIA 1.2` });
+    }
     
-    if (missingIds.length > 0) {
-      // Only flag as error if clearly not dynamic content
-      if (missingIds.some(id => !id.includes('temp') && !id.includes('loading'))) {
-        issues.push(`aria-describedby references potentially missing elements: ${missingIds.join(', ')}`);
-      } else {
-        warnings.push(`aria-describedby references elements that may be dynamically loaded: ${missingIds.join(', ')}`);
+    if (roleSpec && roleSpec.nameProhibited && (name === 'aria-label' || name === 'aria-labelledby')) {
+      issues.push({
+        type: 'prohibited_aria_attribute',
+        attribute: name,
+        message: `${name} is prohibited on role "${role}"`
+      });
+    } else if (allowed && !allowed.has(name)) {
+      issues.push({
+        type: 'unsupported_aria_attribute',
+        attribute: name,
+        message: `${name} is not supported on role "${role}"`
+      });
+    }
+    
+    if (!validValue(def, value)) {
+      const expected = def.values
+        ? `${def.type === 'tokens' ? 'any of' : 'one of'}: ${def.values.join(', ')}`
+        : `a ${def.type} value`;
+      issues.push({
+        type: 'invalid_aria_value',
+        attribute: name,
+        message: `Invalid value "${value}" for ${name} (expected ${expected})`
+      });
+      return;
+    }
+    
+    // ID references; controls/owns/activedescendant often point at content rendered on demand
+    if (def.type === 'idref' || def.type === 'idrefs') {
+      const missingIds = value.trim().split(/\s+/).filter(id => id && !doc.getElementById(id));
+      if (missingIds.length > 0) {
+        const deferred = ['aria-controls', 'aria-owns', 'aria-activedescendant'].includes(name) ||
+          missingIds.every(id => /dynamic|shadow|temp|loading/.test(id));
+        (deferred ? warnings : issues).push({
+          type: 'aria_reference_missing',
+          attribute: name,
+          message: `${name} references missing element${missingIds.length > 1 ? 's' : ''}: ${missingIds.join(', ')}`
+        });
       }
     }
-  }
+  });
   
-  if (ariaAttrs['aria-labelledby']) {
-    const referencedIds = ariaAttrs['aria-labelledby'].split(/\s+/);
-    const missingIds = referencedIds.filter(id => {
-      const referencedElement = document.getElementById(id);
-      return !referencedElement && !id.includes('-dynamic-') && !id.includes('-shadow-');
+  // Context and owned elements are checked for native roles too (an <li> outside a list);
+  // required states only for authored roles, since native elements carry their own state
+  if (roleSpec) {
+    const authored = roleAttr.split(/\s+/).includes(role);
+    const nativeState = {
+      'aria-checked': () => tag === 'input' && ['checkbox', 'radio'].includes(element.type),
+      'aria-level': () => /^h[1-6]$/.test(tag),
+      'aria-valuenow': () => ['meter', 'progress'].includes(tag) || (tag === 'input' && ['range', 'number'].includes(element.type)),
+      'aria-expanded': () => tag === 'select'
+    };
+    (authored ? roleSpec.required || [] : []).forEach(name => {
+      if (!(name in ariaAttrs) && !(nativeState[name] && nativeState[name]())) {
+        issues.push({
+          type: 'missing_required_aria_attribute',
+          attribute: name,
+          message: `Role "${role}" requires ${name}`
+        });
+      }
     });
     
-    if (missingIds.length > 0) {
-      if (missingIds.some(id => !id.includes('temp') && !id.includes('loading'))) {
-        issues.push(`aria-labelledby references potentially missing elements: ${missingIds.join(', ')}`);
-      } else {
-        warnings.push(`aria-labelledby references elements that may be dynamically loaded: ${missingIds.join(', ')}`);
+    // generic, none and presentation are transparent when looking for context and owned roles
+    const transparent = (el) => {
+      const elRole = getRole(el);
+      return !elRole || ['generic', 'none', 'presentation'].includes(elRole);
+    };
+    if (!ownersById) {
+      ownersById = new Map();
+      doc.querySelectorAll('[aria-owns]').forEach(owner => {
+        owner.getAttribute('aria-owns').trim().split(/\s+/).forEach(id => ownersById.set(id, owner));
+      });
+    }
+    const parentOf = (el) => (el.id && ownersById.get(el.id)) || el.parentElement;
+    
+    if (roleSpec.context) {
+      let ancestor = parentOf(element);
+      let presentational = false;
+      while (ancestor && transparent(ancestor)) {
+        presentational = presentational || ['none', 'presentation'].includes(getRole(ancestor));
+        ancestor = parentOf(ancestor);
+      }
+      const contextRole = ancestor ? getRole(ancestor) : null;
+      // Rows and items of a presentational table or list are presentational too, and a native
+      // <option> in a <select> belongs to its popup listbox
+      const exempt = !authored && (presentational || (tag === 'option' && !!element.closest('select')));
+      if (!exempt && !roleSpec.context.includes(contextRole)) {
+        issues.push({
+          type: 'missing_required_context',
+          message: `Role "${role}" must be contained in ${roleSpec.context.join(' or ')} (found ${contextRole ? `"${contextRole}"` : 'no parent role'})`
+        });
       }
     }
-  }
-  
-  // Validate ARIA roles if present
-  const role = element.getAttribute('role');
-  if (role) {
-    const validRoles = [
-      'alert', 'alertdialog', 'application', 'article', 'banner', 'button', 'cell', 'checkbox',
-      'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'dialog',
-      'directory', 'document', 'feed', 'figure', 'form', 'grid', 'gridcell', 'group',
-      'heading', 'img', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'marquee',
-      'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'navigation',
-      'none', 'note', 'option', 'presentation', 'progressbar', 'radio', 'radiogroup',
-      'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox',
-      'separator', 'slider', 'spinbutton', 'status', 'switch', 'tab', 'table', 'tablist',
-      'tabpanel', 'term', 'textbox', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid',
-      'treeitem'
-    ];
     
-    if (!validRoles.includes(role.toLowerCase())) {
-      issues.push(`Invalid ARIA role: "${role}"`);
+    // aria-busy marks containers that are still being populated
+    if (roleSpec.owned && ariaAttrs['aria-busy'] !== 'true') {
+      const ownedRoles = [];
+      const collect = (el) => {
+        Array.from(el.children).forEach(child => {
+          if (transparent(child)) collect(child);
+          else ownedRoles.push(getRole(child));
+        });
+      };
+      collect(element);
+      (ariaAttrs['aria-owns'] || '').trim().split(/\s+/).filter(Boolean).forEach(id => {
+        const ref = doc.getElementById(id);
+        if (!ref) return;
+        if (transparent(ref)) collect(ref);
+        else ownedRoles.push(getRole(ref));
+      });
+      // An empty native container (<ul></ul>) is valid HTML; only the wrong children are reported
+      const emptyNative = !authored && ownedRoles.length === 0;
+      if (!emptyNative && !ownedRoles.some(owned => roleSpec.owned.includes(owned))) {
+        issues.push({
+          type: 'missing_required_children',
+          message: `Role "${role}" must own at least one ${roleSpec.owned.join(' or ')}`
+        });
+      }
     }
   }
   
   return {
     valid: issues.length === 0,
+    role,
     issues,
     warnings,
     attributes: ariaAttrs